@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
-import { ToastContainer } from 'react-toastify';
+import axios from 'axios';
+import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import Navbar from './components/Navbar';
 import Login from './pages/Login';
@@ -10,6 +11,19 @@ import EventDetail from './pages/EventDetail';
 import MyBookings from './pages/MyBookings';
 import AdminEvents from './pages/AdminEvents';
 import AdminAnalytics from './pages/AdminAnalytics';
+import CheckIn from './pages/CheckIn';
+import AdminSettings from './pages/AdminSettings';
+import AdminPromoCodes from './pages/AdminPromoCodes';
+import AdminMessages from './pages/AdminMessages';
+import AdminVenues from './pages/AdminVenues';
+import AdminUsers from './pages/AdminUsers';
+import Sessions from './pages/Sessions';
+import Security from './pages/Security';
+import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import API_CONFIG from './config/api';
+import { saveSession, clearSession, installTokenRefresh } from './config/session';
 import './App.css';
 
 function App() {
@@ -27,17 +41,30 @@ function App() {
     setLoading(false);
   }, []);
 
-  const handleLogin = (token, userData) => {
-    localStorage.setItem('token', token);
+  useEffect(() => installTokenRefresh(() => {
+    setUser(null);
+    toast.info('Your session has ended. Please log in again.');
+  }), []);
+
+  const handleLogin = (token, userData, refreshToken) => {
+    saveSession(token, refreshToken);
     localStorage.setItem('user', JSON.stringify(userData));
     setUser(userData);
   };
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
     setLoggingOut(true);
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`${API_CONFIG.auth}/auth/logout`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+    } catch (err) {
+      // The session may already be gone; clearing local state is enough
+      console.error('Error logging out:', err);
+    }
     setTimeout(() => {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+      clearSession();
       setUser(null);
       setLoggingOut(false);
     }, 1000);
@@ -76,11 +103,22 @@ function App() {
           <Routes>
             <Route path="/" element={<Events user={user} />} />
             <Route path="/login" element={user ? <Navigate to="/" /> : <Login onLogin={handleLogin} />} />
-            <Route path="/register" element={user ? <Navigate to="/" /> : <Register onLogin={handleLogin} />} />
+            <Route path="/register" element={user ? <Navigate to="/" /> : <Register />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/forgot-password" element={user ? <Navigate to="/" /> : <ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
             <Route path="/events/:id" element={<EventDetail user={user} />} />
             <Route path="/my-bookings" element={user ? <MyBookings user={user} /> : <Navigate to="/login" />} />
+            <Route path="/sessions" element={user ? <Sessions onLogout={() => { clearSession(); setUser(null); }} /> : <Navigate to="/login" />} />
+            <Route path="/security" element={user ? <Security /> : <Navigate to="/login" />} />
             <Route path="/admin/events" element={user?.role === 'admin' ? <AdminEvents user={user} /> : <Navigate to="/" />} />
             <Route path="/admin/analytics" element={user?.role === 'admin' ? <AdminAnalytics /> : <Navigate to="/" />} />
+            <Route path="/admin/users" element={user?.role === 'admin' ? <AdminUsers user={user} /> : <Navigate to="/" />} />
+            <Route path="/admin/settings" element={user?.role === 'admin' ? <AdminSettings /> : <Navigate to="/" />} />
+            <Route path="/admin/promo-codes" element={user?.role === 'admin' ? <AdminPromoCodes /> : <Navigate to="/" />} />
+            <Route path="/admin/messages" element={user?.role === 'admin' ? <AdminMessages /> : <Navigate to="/" />} />
+            <Route path="/admin/venues" element={user?.role === 'admin' ? <AdminVenues /> : <Navigate to="/" />} />
+            <Route path="/admin/check-in" element={['admin', 'staff'].includes(user?.role) ? <CheckIn /> : <Navigate to="/" />} />
           </Routes>
         </div>
       </div>
@@ -14,6 +14,18 @@ import MyBookings from './pages/MyBookings';
 import AdminAnalytics from './pages/AdminAnalytics';
 import AdminEvents from './pages/AdminEvents';
 import Analytics from './pages/Analytics';
+import CheckIn from './pages/CheckIn';
+import AdminSettings from './pages/AdminSettings';
+import AdminUsers from './pages/AdminUsers';
+import AdminPromoCodes from './pages/AdminPromoCodes';
+import AdminMessages from './pages/AdminMessages';
+import AdminVenues from './pages/AdminVenues';
+import Sessions from './pages/Sessions';
+import Security from './pages/Security';
+import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import { installTokenRefresh } from './config/session';
 
 jest.mock('axios');
 
@@ -140,12 +152,20 @@ describe('Eventrix Application Unit Tests', () => {
       renderWithRouter(<Navbar user={mockUser} onLogout={jest.fn()} />);
       expect(screen.getByText(`Hi, ${mockUser.name}`)).toBeInTheDocument();
       expect(screen.getByText('My Bookings')).toBeInTheDocument();
+      expect(screen.getByText('Sessions')).toBeInTheDocument();
     });
 
     test('renders admin links when admin is logged in', () => {
       renderWithRouter(<Navbar user={mockAdmin} onLogout={jest.fn()} />);
       expect(screen.getByText('Manage Events')).toBeInTheDocument();
       expect(screen.getByText('Analytics')).toBeInTheDocument();
+      expect(screen.getByText('Check-In')).toBeInTheDocument();
+    });
+
+    test('renders only the check-in link for staff', () => {
+      renderWithRouter(<Navbar user={{ ...mockUser, role: 'staff' }} onLogout={jest.fn()} />);
+      expect(screen.getByText('Check-In')).toBeInTheDocument();
+      expect(screen.queryByText('Manage Events')).not.toBeInTheDocument();
     });
 
     test('calls onLogout when logout button is clicked', () => {
@@ -160,7 +180,7 @@ describe('Eventrix Application Unit Tests', () => {
     test('Login handles success', async () => {
       jest.useFakeTimers();
       const onLoginMock = jest.fn();
-      axios.post.mockResolvedValueOnce({ data: { token: 't', user: mockUser } });
+      axios.post.mockResolvedValueOnce({ data: { token: 't', refreshToken: 'r', user: mockUser } });
 
       renderWithRouter(<Login onLogin={onLoginMock} />);
       fireEvent.change(screen.getByPlaceholderText('Email'), { target: { value: 'test@test.com' } });
@@ -171,7 +191,38 @@ describe('Eventrix Application Unit Tests', () => {
       });
 
       act(() => { jest.advanceTimersByTime(1000); });
-      await waitFor(() => expect(onLoginMock).toHaveBeenCalled());
+      await waitFor(() => expect(onLoginMock).toHaveBeenCalledWith('t', mockUser, 'r'));
+      jest.useRealTimers();
+    });
+
+    test('Login asks for an authenticator code when 2FA is on', async () => {
+      jest.useFakeTimers();
+      const onLoginMock = jest.fn();
+      axios.post
+        .mockResolvedValueOnce({ data: { mfaRequired: true, mfaToken: 'challenge' } })
+        .mockRejectedValueOnce({ response: { status: 401, data: { error: 'Invalid authentication code', code: 'INVALID_MFA_CODE' } } })
+        .mockResolvedValueOnce({ data: { token: 't', refreshToken: 'r', user: mockAdmin } });
+
+      renderWithRouter(<Login onLogin={onLoginMock} />);
+      fireEvent.change(screen.getByPlaceholderText('Email'), { target: { value: 'admin@umd.edu' } });
+      fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'pass123' } });
+      fireEvent.click(screen.getByRole('button', { name: /^Login$/i }));
+
+      fireEvent.change(await screen.findByPlaceholderText('Authentication code'), { target: { value: '000000' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+      expect(await screen.findByText('Invalid authentication code')).toBeInTheDocument();
+
+      // A wrong code keeps the challenge, so a recovery code can be tried next
+      fireEvent.click(screen.getByRole('button', { name: 'Use a recovery code instead' }));
+      fireEvent.change(screen.getByPlaceholderText('Recovery code'), { target: { value: 'abcde-12345' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+      await waitFor(() => expect(axios.post).toHaveBeenLastCalledWith(
+        expect.stringContaining('/auth/login/mfa'),
+        { mfaToken: 'challenge', recoveryCode: 'abcde-12345' }
+      ));
+      act(() => { jest.advanceTimersByTime(1000); });
+      await waitFor(() => expect(onLoginMock).toHaveBeenCalledWith('t', mockAdmin, 'r'));
       jest.useRealTimers();
     });
 
@@ -182,11 +233,22 @@ describe('Eventrix Application Unit Tests', () => {
       await waitFor(() => expect(screen.getByText('Bad creds')).toBeInTheDocument());
     });
 
-    test('Register validates UMD email', async () => {
+    test('Register validates the email against the registration policy', async () => {
+      axios.get.mockResolvedValueOnce({ data: { mode: 'allowlist', allowedDomains: ['umd.edu', '*.partner.org'] } });
       renderWithRouter(<Register onLogin={jest.fn()} />);
-      fireEvent.change(screen.getByPlaceholderText(/Email/i), { target: { value: 'bad@gmail.com' } });
+      const emailInput = await screen.findByPlaceholderText('Email (@umd.edu or @*.partner.org)');
+      fireEvent.change(emailInput, { target: { value: 'bad@gmail.com' } });
       fireEvent.click(screen.getByRole('button', { name: /Register/i }));
-      expect(await screen.findByText('Only @umd.edu email addresses are allowed')).toBeInTheDocument();
+      expect(await screen.findByText('Only @umd.edu or @*.partner.org email addresses are allowed')).toBeInTheDocument();
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('Register prefills invited addresses and explains invite-only mode', async () => {
+      axios.get.mockResolvedValueOnce({ data: { mode: 'invite_only', allowedDomains: [] } });
+      renderWithRouter(<Register />, { route: '/register?email=guest@partner.org' });
+
+      expect(await screen.findByText(/Registration is by invitation only/)).toBeInTheDocument();
+      expect(screen.getByPlaceholderText('Email')).toHaveValue('guest@partner.org');
     });
 
     test('Register validates password length', async () => {
@@ -197,11 +259,9 @@ describe('Eventrix Application Unit Tests', () => {
       expect(await screen.findByText('Password must be at least 6 characters long')).toBeInTheDocument();
     });
 
-    test('Register handles success', async () => {
-      jest.useFakeTimers();
-      const onLoginMock = jest.fn();
-      axios.post.mockResolvedValueOnce({ data: { token: 't', user: mockUser } });
-      renderWithRouter(<Register onLogin={onLoginMock} />);
+    test('Register handles success by asking the user to verify their email', async () => {
+      axios.post.mockResolvedValueOnce({ data: { requiresVerification: true, user: mockUser } });
+      renderWithRouter(<Register />);
       
       fireEvent.change(screen.getByPlaceholderText(/Full Name/i), { target: { value: 'User' } });
       fireEvent.change(screen.getByPlaceholderText(/Email/i), { target: { value: 'test@umd.edu' } });
@@ -211,9 +271,601 @@ describe('Eventrix Application Unit Tests', () => {
         fireEvent.click(screen.getByRole('button', { name: /Register/i }));
       });
       
-      act(() => { jest.advanceTimersByTime(1000); });
-      await waitFor(() => expect(onLoginMock).toHaveBeenCalled());
-      jest.useRealTimers();
+      expect(await screen.findByText('Check Your Email')).toBeInTheDocument();
+      expect(screen.getByText('test@umd.edu')).toBeInTheDocument();
+    });
+
+    test('Login offers to resend the verification email for unverified accounts', async () => {
+      axios.post
+        .mockRejectedValueOnce({ response: { status: 403, data: { error: 'Please verify your email address before logging in', code: 'EMAIL_NOT_VERIFIED' } } })
+        .mockResolvedValueOnce({ data: { message: 'If an account exists for that email, we have sent a message to it.' } });
+      renderWithRouter(<Login onLogin={jest.fn()} />);
+      fireEvent.change(screen.getByPlaceholderText('Email'), { target: { value: 'test@umd.edu' } });
+      fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'pass123' } });
+      fireEvent.click(screen.getByRole('button', { name: /^Login$/i }));
+
+      fireEvent.click(await screen.findByRole('button', { name: /Resend Verification Email/i }));
+
+      expect(await screen.findByText(/we have sent a message/)).toBeInTheDocument();
+      expect(axios.post).toHaveBeenLastCalledWith(expect.stringContaining('/auth/resend-verification'), { email: 'test@umd.edu' });
+    });
+
+    test('VerifyEmail submits the token from the link', async () => {
+      axios.post.mockResolvedValueOnce({ data: { message: 'Email verified. You can now log in.' } });
+      renderWithRouter(<VerifyEmail />, { route: '/verify-email?token=abc123' });
+
+      expect(await screen.findByText('Email verified. You can now log in.')).toBeInTheDocument();
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(axios.post).toHaveBeenCalledWith(expect.stringContaining('/auth/verify-email'), { token: 'abc123' });
+    });
+
+    test('VerifyEmail shows an expired link error', async () => {
+      axios.post.mockRejectedValueOnce({ response: { data: { error: 'Verification link is invalid or has expired' } } });
+      renderWithRouter(<VerifyEmail />, { route: '/verify-email?token=old' });
+
+      expect(await screen.findByText('Verification link is invalid or has expired')).toBeInTheDocument();
+    });
+
+    test('ForgotPassword requests a reset link', async () => {
+      axios.post.mockResolvedValueOnce({ data: { message: 'If an account exists for that email, we have sent a message to it.' } });
+      renderWithRouter(<ForgotPassword />);
+
+      fireEvent.change(screen.getByPlaceholderText('Email'), { target: { value: 'test@umd.edu' } });
+      fireEvent.click(screen.getByRole('button', { name: /Send Reset Link/i }));
+
+      expect(await screen.findByText(/we have sent a message/)).toBeInTheDocument();
+      expect(axios.post).toHaveBeenCalledWith(expect.stringContaining('/auth/forgot-password'), { email: 'test@umd.edu' });
+    });
+
+    test('ResetPassword checks the confirmation and submits the new password', async () => {
+      axios.post.mockResolvedValueOnce({ data: { message: 'Password has been reset. You can now log in.' } });
+      renderWithRouter(<ResetPassword />, { route: '/reset-password?token=reset123' });
+
+      fireEvent.change(screen.getByPlaceholderText(/min 6 characters/i), { target: { value: 'newpass1' } });
+      fireEvent.change(screen.getByPlaceholderText(/Confirm/i), { target: { value: 'different' } });
+      fireEvent.click(screen.getByRole('button', { name: /Reset Password/i }));
+      expect(await screen.findByText('Passwords do not match')).toBeInTheDocument();
+      expect(axios.post).not.toHaveBeenCalled();
+
+      fireEvent.change(screen.getByPlaceholderText(/Confirm/i), { target: { value: 'newpass1' } });
+      fireEvent.click(screen.getByRole('button', { name: /Reset Password/i }));
+
+      expect(await screen.findByText('Password has been reset. You can now log in.')).toBeInTheDocument();
+      expect(axios.post).toHaveBeenCalledWith(expect.stringContaining('/auth/reset-password'), { token: 'reset123', password: 'newpass1' });
+    });
+  });
+
+  describe('Session refresh', () => {
+    const getRejectHandler = () => {
+      installTokenRefresh(onExpired);
+      return axios.interceptors.response.use.mock.calls.at(-1)[1];
+    };
+    let onExpired;
+
+    beforeEach(() => {
+      onExpired = jest.fn();
+      localStorage.clear();
+    });
+
+    test('refreshes the access token once and replays the request', async () => {
+      localStorage.setItem('token', 'old-access');
+      localStorage.setItem('refreshToken', 'old-refresh');
+      axios.post.mockResolvedValueOnce({ data: { token: 'new-access', refreshToken: 'new-refresh' } });
+      axios.request.mockResolvedValueOnce({ data: 'replayed' });
+      const onRejected = getRejectHandler();
+
+      const original = { url: 'http://localhost:4003/api/bookings', headers: {} };
+      const result = await onRejected({ config: original, response: { status: 401 } });
+
+      expect(axios.post).toHaveBeenCalledWith(expect.stringContaining('/auth/refresh'), { refreshToken: 'old-refresh' });
+      expect(result).toEqual({ data: 'replayed' });
+      expect(original.headers.Authorization).toBe('Bearer new-access');
+      expect(localStorage.getItem('token')).toBe('new-access');
+      expect(localStorage.getItem('refreshToken')).toBe('new-refresh');
+    });
+
+    test('logs the user out when the refresh token is rejected', async () => {
+      localStorage.setItem('token', 'old-access');
+      localStorage.setItem('refreshToken', 'revoked');
+      localStorage.setItem('user', JSON.stringify(mockUser));
+      axios.post.mockRejectedValueOnce({ response: { status: 401 } });
+      const onRejected = getRejectHandler();
+
+      const error = { config: { url: 'http://localhost:4003/api/bookings', headers: {} }, response: { status: 401 } };
+      await expect(onRejected(error)).rejects.toBe(error);
+
+      expect(onExpired).toHaveBeenCalled();
+      expect(localStorage.getItem('token')).toBeNull();
+      expect(localStorage.getItem('user')).toBeNull();
+    });
+
+    test('does not try to refresh failed logins', async () => {
+      localStorage.setItem('refreshToken', 'r');
+      const onRejected = getRejectHandler();
+
+      const error = { config: { url: 'http://localhost:4001/api/auth/login', headers: {} }, response: { status: 401 } };
+      await expect(onRejected(error)).rejects.toBe(error);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Admin Users Page', () => {
+    const users = [
+      { id: 'admin123', name: 'Admin User', email: 'admin@umd.edu', role: 'admin', createdAt: '2026-01-01T00:00:00.000Z' },
+      { id: 'u2', name: 'Jane Doe', email: 'jane@umd.edu', role: 'user', createdAt: '2026-02-01T00:00:00.000Z' }
+    ];
+
+    const pagination = { total: 2, page: 1, limit: 20, pages: 1 };
+
+    // Answer the directory, role-change and profile requests by URL
+    const mockDirectory = (overrides = {}) => {
+      axios.get.mockImplementation(async (url, config) => {
+        if (url.endsWith('/auth/users')) {
+          return overrides.list ? overrides.list(config.params) : { data: { users, pagination } };
+        }
+        if (url.endsWith('/auth/users/role-changes')) {
+          return { data: { entries: [] } };
+        }
+        if (url.endsWith('/auth/users/lockouts')) {
+          return { data: { entries: overrides.lockouts || [] } };
+        }
+        return { data: overrides.detail };
+      });
+    };
+
+    beforeEach(() => {
+      window.confirm = jest.fn(() => true);
+    });
+
+    test('changes a role and records it in the recent changes', async () => {
+      mockDirectory();
+      axios.patch.mockResolvedValueOnce({
+        data: {
+          user: { ...users[1], role: 'staff' },
+          audit: { _id: 'a1', actorName: 'Admin User', targetEmail: 'jane@umd.edu', details: { from: 'user', to: 'staff' }, createdAt: '2026-10-19T10:00:00.000Z' }
+        }
+      });
+
+      renderWithRouter(<AdminUsers user={mockAdmin} />);
+
+      expect(await screen.findByText('jane@umd.edu')).toBeInTheDocument();
+      expect(screen.getByLabelText('Role for admin@umd.edu')).toBeDisabled();
+
+      fireEvent.change(screen.getByLabelText('Role for jane@umd.edu'), { target: { value: 'staff' } });
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Jane Doe is now staff'));
+      expect(axios.patch).toHaveBeenCalledWith(expect.stringContaining('/auth/users/u2/role'), { role: 'staff' }, expect.any(Object));
+      expect(screen.getByLabelText('Role for jane@umd.edu')).toHaveValue('staff');
+      expect(screen.getByText(/from user to staff/)).toBeInTheDocument();
+    });
+
+    test('keeps the old role when the change is rejected', async () => {
+      mockDirectory();
+      axios.patch.mockRejectedValueOnce({ response: { data: { error: 'Cannot demote the last admin' } } });
+
+      renderWithRouter(<AdminUsers user={{ ...mockAdmin, id: 'someone-else' }} />);
+      fireEvent.change(await screen.findByLabelText('Role for admin@umd.edu'), { target: { value: 'user' } });
+
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith('Cannot demote the last admin'));
+      expect(screen.getByLabelText('Role for admin@umd.edu')).toHaveValue('admin');
+    });
+
+    test('searches, filters and pages through the directory', async () => {
+      const list = jest.fn(() => ({ data: { users, pagination: { total: 45, page: 1, limit: 20, pages: 3 } } }));
+      mockDirectory({ list });
+
+      renderWithRouter(<AdminUsers user={mockAdmin} />);
+      expect(await screen.findByText('Page 1 of 3 (45 users)')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+      await waitFor(() => expect(list).toHaveBeenLastCalledWith({ page: 2, limit: 20 }));
+
+      fireEvent.change(screen.getByLabelText('Search users'), { target: { value: ' jane ' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => expect(list).toHaveBeenLastCalledWith({ page: 1, limit: 20, q: 'jane' }));
+
+      fireEvent.change(screen.getByLabelText('Filter by role'), { target: { value: 'staff' } });
+      fireEvent.change(screen.getByLabelText('Filter by status'), { target: { value: 'disabled' } });
+      await waitFor(() => expect(list).toHaveBeenLastCalledWith({ page: 1, limit: 20, q: 'jane', role: 'staff', status: 'disabled' }));
+    });
+
+    test('disables an account with a reason', async () => {
+      mockDirectory();
+      window.prompt = jest.fn(() => 'Spam bookings');
+      axios.patch.mockResolvedValueOnce({ data: { user: { ...users[1], disabled: true } } });
+
+      renderWithRouter(<AdminUsers user={mockAdmin} />);
+      expect(screen.queryByRole('button', { name: 'Disable admin@umd.edu' })).not.toBeInTheDocument();
+      fireEvent.click(await screen.findByRole('button', { name: 'Disable jane@umd.edu' }));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Jane Doe has been disabled'));
+      expect(axios.patch).toHaveBeenCalledWith(
+        expect.stringContaining('/auth/users/u2/status'),
+        { disabled: true, reason: 'Spam bookings' },
+        expect.any(Object)
+      );
+      expect(screen.getByRole('button', { name: 'Enable jane@umd.edu' })).toBeInTheDocument();
+    });
+
+    test('unlocks a locked account and lists it with recent lockouts', async () => {
+      const lockedUsers = [users[0], { ...users[1], locked: true, lockedUntil: '2026-10-19T12:15:00.000Z' }];
+      mockDirectory({
+        list: () => ({ data: { users: lockedUsers, pagination } }),
+        lockouts: [{ _id: 'l1', action: 'account_locked', targetEmail: 'jane@umd.edu', details: { failedAttempts: 10 }, ipAddress: '10.0.0.5', createdAt: '2026-10-19T12:00:00.000Z' }]
+      });
+      axios.post.mockResolvedValueOnce({
+        data: {
+          user: { ...users[1], locked: false, lockedUntil: null },
+          audit: { _id: 'l2', action: 'account_unlocked', actorName: 'Admin User', targetEmail: 'jane@umd.edu', details: {}, createdAt: '2026-10-19T12:05:00.000Z' }
+        }
+      });
+
+      renderWithRouter(<AdminUsers user={mockAdmin} />);
+
+      expect(await screen.findByText(/was locked after 10 failed logins from 10.0.0.5/)).toBeInTheDocument();
+      expect(screen.getByText('Locked', { selector: '.status-badge' })).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: 'Unlock jane@umd.edu' }));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Jane Doe has been unlocked'));
+      expect(axios.post).toHaveBeenCalledWith(expect.stringContaining('/auth/users/u2/unlock'), {}, expect.any(Object));
+      expect(screen.queryByRole('button', { name: 'Unlock jane@umd.edu' })).not.toBeInTheDocument();
+      expect(screen.getByText(/unlocked/)).toBeInTheDocument();
+    });
+
+    test('shows a user\'s bookings and feedback, noting what could not load', async () => {
+      mockDirectory({
+        detail: {
+          user: users[1],
+          bookings: [{ _id: 'b1', eventTitle: 'Terp Hackathon', numberOfTickets: 2, bookingStatus: 'confirmed', eventDate: '2026-11-01T00:00:00.000Z' }],
+          feedback: [],
+          errors: { feedback: 'Feedback is unavailable right now' }
+        }
+      });
+
+      renderWithRouter(<AdminUsers user={mockAdmin} />);
+      fireEvent.click((await screen.findAllByRole('button', { name: 'View' }))[1]);
+
+      expect(await screen.findByText('Terp Hackathon')).toBeInTheDocument();
+      expect(screen.getByText('Feedback is unavailable right now')).toBeInTheDocument();
+      expect(toast.warning).toHaveBeenCalledWith('Feedback is unavailable right now');
+      expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('/auth/users/u2'), expect.any(Object));
+    });
+  });
+
+  describe('Security Page', () => {
+    test('admins are told 2FA is required and can turn it on', async () => {
+      axios.get.mockResolvedValueOnce({ data: { enabled: false, required: true, recoveryCodesRemaining: 0, sessionVerified: false } });
+      axios.post
+        .mockResolvedValueOnce({ data: { secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/Eventrix:admin@umd.edu?secret=JBSWY3DPEHPK3PXP' } })
+        .mockResolvedValueOnce({ data: { message: 'Two-factor authentication is on', recoveryCodes: ['aaaaa-11111', 'bbbbb-22222'], token: 'mfa-token' } });
+
+      renderWithRouter(<Security />);
+
+      expect(await screen.findByText(/Administrators must turn on two-factor authentication/)).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: 'Set Up Two-Factor Authentication' }));
+
+      expect(await screen.findByAltText('Two-factor QR code')).toHaveAttribute('src', 'data:image/png;base64,mockQRCode');
+      expect(qrcode.toDataURL).toHaveBeenCalledWith('otpauth://totp/Eventrix:admin@umd.edu?secret=JBSWY3DPEHPK3PXP');
+      expect(screen.getByText('JBSWY3DPEHPK3PXP')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('Authentication code'), { target: { value: '123456' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Turn On' }));
+
+      expect(await screen.findByText('aaaaa-11111')).toBeInTheDocument();
+      expect(axios.post).toHaveBeenLastCalledWith(expect.stringContaining('/auth/mfa/enable'), { code: '123456' }, expect.any(Object));
+      expect(localStorage.getItem('token')).toBe('mfa-token');
+      expect(screen.queryByText(/Administrators must turn on/)).not.toBeInTheDocument();
+      // Admins can't switch it off again
+      expect(screen.queryByRole('button', { name: 'Turn Off' })).not.toBeInTheDocument();
+    });
+
+    test('users can turn 2FA off with a current code', async () => {
+      axios.get.mockResolvedValueOnce({ data: { enabled: true, required: false, recoveryCodesRemaining: 8, sessionVerified: true } });
+      axios.post.mockResolvedValueOnce({ data: { message: 'Two-factor authentication is off' } });
+
+      renderWithRouter(<Security />);
+
+      expect(await screen.findByText('8 recovery codes left.')).toBeInTheDocument();
+      fireEvent.change(screen.getByLabelText('Authentication code'), { target: { value: '654321' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Turn Off' }));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Two-factor authentication is off'));
+      expect(axios.post).toHaveBeenCalledWith(expect.stringContaining('/auth/mfa/disable'), { code: '654321' }, expect.any(Object));
+      expect(screen.getByRole('button', { name: 'Set Up Two-Factor Authentication' })).toBeInTheDocument();
+    });
+  });
+
+  describe('Admin Venues Page', () => {
+    test('builds a layout from sections and rows', async () => {
+      axios.get.mockResolvedValueOnce({ data: { venues: [] } });
+      axios.post.mockResolvedValueOnce({
+        data: {
+          venue: {
+            _id: 'v1',
+            name: 'Campus Theatre',
+            capacity: 24,
+            sections: [
+              { name: 'Orchestra', rows: [{ label: 'A', seats: 10 }, { label: 'B', seats: 10 }] },
+              { name: 'Balcony', rows: [{ label: 'A', seats: 4 }] }
+            ]
+          }
+        }
+      });
+      renderWithRouter(<AdminVenues />);
+      await screen.findByText('No venues yet.');
+
+      fireEvent.change(screen.getByLabelText('Venue name'), { target: { value: 'Campus Theatre' } });
+      fireEvent.change(screen.getByLabelText('Section 1 name'), { target: { value: 'Orchestra' } });
+      fireEvent.change(screen.getByLabelText('Section 1 rows'), { target: { value: '2' } });
+      fireEvent.change(screen.getByLabelText('Section 1 seats per row'), { target: { value: '10' } });
+      fireEvent.click(screen.getByText('+ Add Section'));
+      fireEvent.change(screen.getByLabelText('Section 2 name'), { target: { value: 'Balcony' } });
+      fireEvent.change(screen.getByLabelText('Section 2 rows'), { target: { value: '1' } });
+      fireEvent.change(screen.getByLabelText('Section 2 seats per row'), { target: { value: '4' } });
+      expect(screen.getByText(/24 seats in total/)).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Create Venue'));
+
+      expect(await screen.findByText('Orchestra: 2 rows, 20 seats')).toBeInTheDocument();
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/venues'),
+        {
+          name: 'Campus Theatre',
+          address: '',
+          sections: [
+            { name: 'Orchestra', rows: [{ label: 'A', seats: 10 }, { label: 'B', seats: 10 }] },
+            { name: 'Balcony', rows: [{ label: 'A', seats: 4 }] }
+          ]
+        },
+        expect.any(Object)
+      );
+      expect(toast.success).toHaveBeenCalledWith('Campus Theatre created');
+    });
+  });
+
+  describe('Admin Promo Codes Page', () => {
+    const promo = {
+      _id: 'p1',
+      code: 'SPRING25',
+      discountType: 'percentage',
+      discountValue: 25,
+      eventId: null,
+      usesCount: 3,
+      maxUses: 10,
+      perUserLimit: 1,
+      expiresAt: null,
+      active: true
+    };
+
+    const renderPromoCodes = async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { promoCodes: [promo] } })
+        .mockResolvedValueOnce({ data: { events: [mockEvent] } });
+      renderWithRouter(<AdminPromoCodes />);
+      await screen.findByText('All Promo Codes');
+    };
+
+    test('lists codes and creates a new one', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { promoCode: { ...promo, _id: 'p2', code: 'TENOFF', discountType: 'fixed', discountValue: 10, eventId: 'evt1', usesCount: 0, maxUses: null } }
+      });
+      await renderPromoCodes();
+
+      expect(screen.getByText('SPRING25')).toBeInTheDocument();
+      expect(screen.getByText('3 / 10')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('Code'), { target: { value: 'tenoff' } });
+      fireEvent.change(screen.getByLabelText('Discount type'), { target: { value: 'fixed' } });
+      fireEvent.change(screen.getByLabelText('Discount'), { target: { value: '10' } });
+      fireEvent.change(screen.getByLabelText('Event'), { target: { value: 'evt1' } });
+      fireEvent.click(screen.getByText('Create Promo Code'));
+
+      expect(await screen.findByText('TENOFF')).toBeInTheDocument();
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/bookings/promo-codes'),
+        expect.objectContaining({ code: 'TENOFF', discountType: 'fixed', discountValue: '10', eventId: 'evt1', expiresAt: null }),
+        expect.any(Object)
+      );
+      expect(toast.success).toHaveBeenCalledWith('Promo code TENOFF created');
+    });
+
+    test('switches a code off', async () => {
+      axios.patch.mockResolvedValueOnce({ data: { promoCode: { ...promo, active: false } } });
+      await renderPromoCodes();
+
+      fireEvent.click(screen.getByLabelText('Deactivate SPRING25'));
+
+      expect(await screen.findByText('Inactive')).toBeInTheDocument();
+      expect(axios.patch).toHaveBeenCalledWith(
+        expect.stringContaining('/bookings/promo-codes/p1'),
+        { active: false },
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('Admin Messages Page', () => {
+    const templates = [
+      { key: 'venue_change', name: 'Venue change', subject: 'New venue for {{event}}', body: 'Hi {{name}}, we have moved to {{venue}}.' },
+      { key: 'custom', name: 'Custom message', subject: '', body: '' }
+    ];
+    const sentBroadcast = {
+      _id: 'bc1',
+      subject: 'Doors open early',
+      audience: ['confirmed', 'checked_in'],
+      status: 'sent',
+      scheduledFor: '2026-10-01T10:00:00.000Z',
+      sentAt: '2026-10-01T10:01:00.000Z',
+      recipientCount: 2,
+      sentCount: 1,
+      failedCount: 1
+    };
+
+    const renderMessages = async (broadcasts = []) => {
+      axios.get
+        .mockResolvedValueOnce({ data: { templates, placeholders: ['name', 'event', 'venue'], audiences: ['confirmed', 'waitlisted', 'checked_in'] } })
+        .mockResolvedValueOnce({ data: { events: [mockEvent] } })
+        .mockResolvedValueOnce({ data: { broadcasts } });
+      renderWithRouter(<AdminMessages />);
+      await screen.findByText('New Message');
+      fireEvent.change(screen.getByLabelText('Event'), { target: { value: 'evt1' } });
+    };
+
+    test('fills in a template, previews it and queues it', async () => {
+      await renderMessages();
+      axios.post
+        .mockResolvedValueOnce({ data: { recipientCount: 2, preview: { to: 'ada@example.com', subject: 'New venue for Test Event', body: 'Hi Ada, we have moved to Hall B.' } } })
+        .mockResolvedValueOnce({ data: { message: 'Message queued for sending', broadcast: { _id: 'bc2' } } });
+      axios.get.mockResolvedValueOnce({ data: { broadcasts: [] } });
+
+      fireEvent.change(screen.getByLabelText('Template'), { target: { value: 'venue_change' } });
+      expect(screen.getByLabelText('Subject')).toHaveValue('New venue for {{event}}');
+      fireEvent.click(screen.getByLabelText('Waitlisted'));
+      fireEvent.click(screen.getByText('Preview'));
+
+      expect(await screen.findByText('Hi Ada, we have moved to Hall B.')).toBeInTheDocument();
+      expect(screen.getByText(/Reaches 2 attendees/)).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Send Message'));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Message queued for sending'));
+      expect(axios.post).toHaveBeenLastCalledWith(
+        expect.stringContaining('/bookings/broadcasts'),
+        expect.objectContaining({ eventId: 'evt1', template: 'venue_change', audience: ['confirmed', 'waitlisted'], scheduledFor: null }),
+        expect.any(Object)
+      );
+    });
+
+    test('shows how delivery went for each recipient', async () => {
+      await renderMessages([sentBroadcast]);
+      axios.get.mockResolvedValueOnce({
+        data: {
+          broadcast: sentBroadcast,
+          recipients: [
+            { _id: 'r1', userName: 'Ada', email: 'ada@example.com', status: 'sent' },
+            { _id: 'r2', userName: 'Lin', email: 'lin@example.com', status: 'failed', lastError: 'Mailbox unavailable' }
+          ],
+          counts: { queued: 0, sent: 1, failed: 1 }
+        }
+      });
+
+      expect(await screen.findByText('1 / 2 (1 failed)')).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Recipients'));
+
+      expect(await screen.findByText('Mailbox unavailable')).toBeInTheDocument();
+      expect(screen.getByText('Doors open early: 1 sent, 0 queued, 1 failed')).toBeInTheDocument();
+      expect(axios.get).toHaveBeenLastCalledWith(expect.stringContaining('/bookings/broadcasts/bc1'), expect.any(Object));
+    });
+
+    test('cancels a scheduled message', async () => {
+      await renderMessages([{ ...sentBroadcast, status: 'scheduled', sentAt: null, scheduledFor: '2099-01-01T10:00:00.000Z' }]);
+      axios.patch.mockResolvedValueOnce({ data: { message: 'Message cancelled' } });
+      axios.get.mockResolvedValueOnce({ data: { broadcasts: [] } });
+
+      fireEvent.click(await screen.findByLabelText('Cancel Doors open early'));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Scheduled message cancelled'));
+      expect(axios.patch).toHaveBeenCalledWith(expect.stringContaining('/bookings/broadcasts/bc1/cancel'), {}, expect.any(Object));
+    });
+  });
+
+  describe('Admin Settings Page', () => {
+    const policy = {
+      mode: 'allowlist',
+      allowedDomains: ['umd.edu', '*.umd.edu'],
+      deniedDomains: [],
+      updatedByName: 'Admin User',
+      updatedAt: '2026-10-01T10:00:00.000Z'
+    };
+    const invite = {
+      _id: 'inv1',
+      email: 'guest@partner.org',
+      invitedByName: 'Admin User',
+      expiresAt: '2099-01-01T00:00:00.000Z',
+      acceptedAt: null
+    };
+
+    const renderSettings = async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { policy } })
+        .mockResolvedValueOnce({ data: { invites: [invite] } });
+      renderWithRouter(<AdminSettings />);
+      await screen.findByText('Registration Policy');
+    };
+
+    test('saves the mode and domain lists', async () => {
+      axios.put.mockResolvedValueOnce({ data: { policy: { ...policy, mode: 'open', deniedDomains: ['spam.com'] } } });
+      await renderSettings();
+
+      expect(screen.getByText('guest@partner.org')).toBeInTheDocument();
+      expect(screen.getByText('Pending')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText(/^Open/));
+      fireEvent.change(screen.getByPlaceholderText('spam.example.com'), { target: { value: 'spam.com\n' } });
+      fireEvent.click(screen.getByRole('button', { name: /Save Policy/i }));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Registration policy saved'));
+      expect(axios.put).toHaveBeenCalledWith(
+        expect.stringContaining('/auth/registration/admin/policy'),
+        { mode: 'open', allowedDomains: ['umd.edu', '*.umd.edu'], deniedDomains: ['spam.com'] },
+        expect.any(Object)
+      );
+    });
+
+    test('shows invalid domains returned by the server', async () => {
+      axios.put.mockRejectedValueOnce({ response: { data: { error: 'Invalid domain patterns', invalid: ['not a domain'] } } });
+      await renderSettings();
+
+      fireEvent.click(screen.getByRole('button', { name: /Save Policy/i }));
+
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith('Invalid domain patterns: not a domain'));
+    });
+
+    test('sends and withdraws invites', async () => {
+      axios.post.mockResolvedValueOnce({ data: { invite: { ...invite, _id: 'inv2', email: 'new@partner.org' } } });
+      axios.delete.mockResolvedValueOnce({ data: { message: 'Invite withdrawn' } });
+      await renderSettings();
+
+      fireEvent.change(screen.getByPlaceholderText('Email to invite'), { target: { value: 'new@partner.org' } });
+      fireEvent.click(screen.getByRole('button', { name: /Send Invite/i }));
+      expect(await screen.findByText('new@partner.org')).toBeInTheDocument();
+
+      fireEvent.click(screen.getAllByRole('button', { name: /Withdraw/i })[1]);
+      await waitFor(() => expect(screen.queryByText('guest@partner.org')).not.toBeInTheDocument());
+      expect(axios.delete).toHaveBeenCalledWith(expect.stringContaining('/admin/invites/inv1'), expect.any(Object));
+    });
+  });
+
+  describe('Sessions Page', () => {
+    const sessions = [
+      { id: 's1', userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 Chrome/120.0 Safari/537.36', ipAddress: '10.0.0.1', createdAt: '2026-10-01T10:00:00.000Z', lastUsedAt: '2026-10-19T10:00:00.000Z', current: true },
+      { id: 's2', userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1', ipAddress: '10.0.0.2', createdAt: '2026-10-05T10:00:00.000Z', lastUsedAt: '2026-10-18T10:00:00.000Z', current: false }
+    ];
+
+    test('lists devices and revokes another session', async () => {
+      axios.get.mockResolvedValueOnce({ data: { sessions } });
+      axios.delete.mockResolvedValueOnce({ data: { message: 'Session revoked', current: false } });
+
+      renderWithRouter(<Sessions onLogout={jest.fn()} />);
+
+      expect(await screen.findByText('Chrome on macOS')).toBeInTheDocument();
+      expect(screen.getByText('Safari on iOS')).toBeInTheDocument();
+      expect(screen.getByText('This device')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Revoke'));
+
+      await waitFor(() => expect(screen.queryByText('Safari on iOS')).not.toBeInTheDocument());
+      expect(axios.delete).toHaveBeenCalledWith(expect.stringContaining('/auth/sessions/s2'), expect.any(Object));
+    });
+
+    test('revoking the current session logs the user out', async () => {
+      const onLogout = jest.fn();
+      axios.get.mockResolvedValueOnce({ data: { sessions } });
+      axios.delete.mockResolvedValueOnce({ data: { message: 'Session revoked', current: true } });
+
+      renderWithRouter(<Sessions onLogout={onLogout} />);
+      fireEvent.click(await screen.findByText('Log Out'));
+
+      await waitFor(() => expect(onLogout).toHaveBeenCalled());
     });
   });
 
@@ -241,6 +893,25 @@ describe('Eventrix Application Unit Tests', () => {
       });
     });
 
+    test('shows a recurring event once with its number of dates', async () => {
+      axios.get.mockResolvedValueOnce({ data: { events: [{ ...mockEvent, seriesId: 's1', seriesOccurrences: 6 }] } });
+      renderWithRouter(<Events />);
+
+      expect(await screen.findByText(/6 dates/)).toBeInTheDocument();
+      expect(screen.getAllByText('Test Event 1')).toHaveLength(1);
+      expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('groupSeries=true'));
+    });
+
+    test('shows the date and time in the event\'s own timezone', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: { events: [{ ...mockEvent, startsAt: '2030-03-11T02:30:00.000Z', timezone: 'America/New_York', date: '2030-03-10T00:00:00.000Z', time: '22:30' }] }
+      });
+      renderWithRouter(<Events />);
+
+      expect(await screen.findByText('10:30 PM EDT')).toBeInTheDocument();
+      expect(screen.getByText('Mar 10, 2030')).toBeInTheDocument();
+    });
+
     test('clears search', async () => {
       axios.get.mockResolvedValue({ data: { events: [] } });
       renderWithRouter(<Events />);
@@ -263,13 +934,236 @@ describe('Eventrix Application Unit Tests', () => {
         if(url.includes('bookings')) return Promise.resolve({ data: { hasBooking: false } });
         return Promise.resolve({ data: mockEvent });
       });
-      axios.post.mockResolvedValueOnce({ data: { booking: { bookingStatus: 'confirmed' } } });
+      const expiresAt = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      axios.post
+        .mockResolvedValueOnce({ data: { hold: { _id: 'h1', numberOfTickets: 1, status: 'active', expiresAt } } })
+        .mockResolvedValueOnce({ data: { booking: { bookingStatus: 'confirmed' } } });
 
       renderWithRouter(<EventDetail user={mockUser} />, { route: `/events/${mockEvent._id}` });
       await waitFor(() => screen.getByText('Test Event 1'));
 
       fireEvent.click(screen.getByText('Book Now'));
+      expect(await screen.findByText('Confirm & Pay')).toBeInTheDocument();
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/bookings/holds'),
+        { eventId: mockEvent._id, numberOfTickets: 1 },
+        expect.any(Object)
+      );
+      expect(await screen.findByText(/^(10:00|9:5\d)$/)).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('Card number:'), { target: { value: '4242 4242 4242 4242' } });
+      fireEvent.click(screen.getByText('Confirm & Pay'));
       await waitFor(() => expect(screen.getByText('Booking Confirmed!')).toBeInTheDocument());
+      expect(axios.post).toHaveBeenLastCalledWith(
+        expect.stringContaining('/bookings/holds/h1/checkout'),
+        { paymentMethod: 'credit_card', cardNumber: '4242 4242 4242 4242' },
+        expect.any(Object)
+      );
+    });
+
+    test('closes booking once the event has started', async () => {
+      axios.get.mockImplementation((url) => {
+        if(url.includes('feedback')) return Promise.resolve({ data: { feedback: [], stats: { averageRating: 0, total: 0, breakdown: {} } } });
+        if(url.includes('bookings')) return Promise.resolve({ data: { hasBooking: false } });
+        return Promise.resolve({ data: { ...mockEvent, status: 'ongoing' } });
+      });
+
+      renderWithRouter(<EventDetail user={mockUser} />, { route: `/events/${mockEvent._id}` });
+
+      expect(await screen.findByText('This event has already started. Booking is closed.')).toBeInTheDocument();
+      expect(screen.queryByText('Book Now')).not.toBeInTheDocument();
+    });
+
+    test('explains why a cancelled event cannot be booked', async () => {
+      axios.get.mockImplementation((url) => {
+        if(url.includes('feedback')) return Promise.resolve({ data: { feedback: [], stats: { averageRating: 0, total: 0, breakdown: {} } } });
+        if(url.includes('bookings')) return Promise.resolve({ data: { hasBooking: false } });
+        return Promise.resolve({ data: { ...mockEvent, status: 'cancelled', cancellationReason: 'The venue flooded.' } });
+      });
+
+      renderWithRouter(<EventDetail user={mockUser} />, { route: `/events/${mockEvent._id}` });
+
+      expect(await screen.findByText('This event has been cancelled. The venue flooded.')).toBeInTheDocument();
+      expect(screen.queryByText('Book Now')).not.toBeInTheDocument();
+    });
+
+    test('books the chosen ticket tier at its price', async () => {
+      const tieredEvent = {
+        ...mockEvent,
+        ticketTypes: [
+          { _id: 'early', name: 'Early-Bird', price: 5, quantity: 10, available: 10, salesEnd: '2020-01-01T00:00:00.000Z' },
+          { _id: 'general', name: 'General', price: 10, quantity: 40, available: 40 },
+          { _id: 'vip', name: 'VIP', price: 50, quantity: 10, available: 0 }
+        ]
+      };
+      axios.get.mockImplementation((url) => {
+        if(url.includes('feedback')) return Promise.resolve({ data: { feedback: [], stats: { averageRating: 0, total: 0, breakdown: {} } } });
+        if(url.includes('bookings')) return Promise.resolve({ data: { hasBooking: false } });
+        return Promise.resolve({ data: tieredEvent });
+      });
+      axios.post.mockResolvedValueOnce({ data: { booking: { bookingStatus: 'waitlisted' } } });
+
+      renderWithRouter(<EventDetail user={mockUser} />, { route: `/events/${mockEvent._id}` });
+
+      expect(await screen.findByLabelText(/General/)).toBeChecked();
+      expect(screen.getByLabelText(/Early-Bird/)).toBeDisabled();
+      expect(screen.getByText('Sales ended')).toBeInTheDocument();
+      expect(screen.getByText('Total: $10')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText(/VIP/));
+      expect(screen.getByText('VIP tickets are sold out.')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Join Waitlist'));
+      await waitFor(() => expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/bookings'),
+        expect.objectContaining({ numberOfTickets: 1, ticketTypeId: 'vip', joinWaitlist: true }),
+        expect.any(Object)
+      ));
+    });
+
+    test('keeps the hold after a declined payment', async () => {
+      axios.get.mockImplementation((url) => {
+        if(url.includes('feedback')) return Promise.resolve({ data: { feedback: [], stats: { averageRating: 0, total: 0, breakdown: {} } } });
+        if(url.includes('bookings')) return Promise.resolve({ data: { hasBooking: false } });
+        return Promise.resolve({ data: mockEvent });
+      });
+      const expiresAt = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      axios.post
+        .mockResolvedValueOnce({ data: { hold: { _id: 'h1', numberOfTickets: 1, status: 'active', expiresAt } } })
+        .mockRejectedValueOnce({ response: { status: 400, data: { error: 'Payment failed. Please try again.' } } });
+
+      renderWithRouter(<EventDetail user={mockUser} />, { route: `/events/${mockEvent._id}` });
+      await screen.findByText('Book Now');
+
+      fireEvent.click(screen.getByText('Book Now'));
+      await screen.findByText('Confirm & Pay');
+      fireEvent.click(screen.getByText('Confirm & Pay'));
+
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith('Payment failed. Please try again.'));
+      expect(screen.getByText('Confirm & Pay')).toBeInTheDocument();
+    });
+
+    test('applies a promo code before paying for a hold', async () => {
+      axios.get.mockImplementation((url) => {
+        if(url.includes('feedback')) return Promise.resolve({ data: { feedback: [], stats: { averageRating: 0, total: 0, breakdown: {} } } });
+        if(url.includes('bookings')) return Promise.resolve({ data: { hasBooking: false } });
+        return Promise.resolve({ data: mockEvent });
+      });
+      const expiresAt = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      axios.post
+        .mockResolvedValueOnce({ data: { hold: { _id: 'h1', numberOfTickets: 1, status: 'active', expiresAt } } })
+        .mockResolvedValueOnce({ data: { code: 'SAVE25', subtotal: 10, discountAmount: 2.5, total: 7.5 } })
+        .mockResolvedValueOnce({ data: { booking: { bookingStatus: 'confirmed' } } });
+
+      renderWithRouter(<EventDetail user={mockUser} />, { route: `/events/${mockEvent._id}` });
+      fireEvent.click(await screen.findByText('Book Now'));
+      fireEvent.change(await screen.findByLabelText('Promo code:'), { target: { value: 'save25' } });
+      fireEvent.click(screen.getByText('Apply'));
+
+      expect(await screen.findByText('SAVE25: -$2.50')).toBeInTheDocument();
+      expect(screen.getByText('Total: $7.5')).toBeInTheDocument();
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/bookings/promo-codes/validate'),
+        { code: 'SAVE25', eventId: mockEvent._id, numberOfTickets: 1 },
+        expect.any(Object)
+      );
+
+      fireEvent.click(screen.getByText('Confirm & Pay'));
+      expect(await screen.findByText('Booking Confirmed!')).toBeInTheDocument();
+      expect(axios.post).toHaveBeenLastCalledWith(
+        expect.stringContaining('/bookings/holds/h1/checkout'),
+        expect.objectContaining({ promoCode: 'SAVE25' }),
+        expect.any(Object)
+      );
+    });
+
+    test('holds the seats picked on a seat map', async () => {
+      const seatedEvent = {
+        ...mockEvent,
+        capacity: 4,
+        availableSeats: 3,
+        seats: [
+          { label: 'Floor A-1', section: 'Floor', row: 'A', number: 1, status: 'available' },
+          { label: 'Floor A-2', section: 'Floor', row: 'A', number: 2, status: 'booked' },
+          { label: 'Floor B-1', section: 'Floor', row: 'B', number: 1, status: 'available' },
+          { label: 'Floor B-2', section: 'Floor', row: 'B', number: 2, status: 'available' }
+        ]
+      };
+      axios.get.mockImplementation((url) => {
+        if(url.includes('feedback')) return Promise.resolve({ data: { feedback: [], stats: { averageRating: 0, total: 0, breakdown: {} } } });
+        if(url.includes('bookings')) return Promise.resolve({ data: { hasBooking: false } });
+        return Promise.resolve({ data: seatedEvent });
+      });
+      const expiresAt = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      axios.post.mockResolvedValueOnce({
+        data: { hold: { _id: 'h1', numberOfTickets: 2, seatLabels: ['Floor A-1', 'Floor B-2'], status: 'active', expiresAt } }
+      });
+
+      renderWithRouter(<EventDetail user={mockUser} />, { route: `/events/${mockEvent._id}` });
+      expect(await screen.findByText('Choose your seats:')).toBeInTheDocument();
+      expect(screen.getByLabelText('Seat Floor A-2')).toBeDisabled();
+      expect(screen.getByText('Book Now')).toBeDisabled();
+
+      fireEvent.click(screen.getByLabelText('Seat Floor A-1'));
+      fireEvent.click(screen.getByLabelText('Seat Floor B-2'));
+      expect(screen.getByLabelText('Seat Floor B-2')).toHaveAttribute('aria-pressed', 'true');
+      expect(screen.getByText('Selected: Floor A-1, Floor B-2')).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Book Now'));
+
+      expect(await screen.findByText('Seats: Floor A-1, Floor B-2')).toBeInTheDocument();
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/bookings/holds'),
+        { eventId: mockEvent._id, numberOfTickets: 2, seatLabels: ['Floor A-1', 'Floor B-2'] },
+        expect.any(Object)
+      );
+    });
+
+    test('links to the other dates of a recurring event', async () => {
+      const occurrence = { ...mockEvent, date: '2030-01-07T00:00:00.000Z', seriesId: 's1' };
+      axios.get.mockImplementation((url) => {
+        if(url.includes('feedback')) return Promise.resolve({ data: { feedback: [], stats: { averageRating: 0, total: 0, breakdown: {} } } });
+        if(url.includes('bookings')) return Promise.resolve({ data: { hasBooking: false } });
+        if(url.includes('/series/s1')) {
+          return Promise.resolve({
+            data: {
+              series: { _id: 's1' },
+              events: [
+                occurrence,
+                { ...occurrence, _id: 'evt2', date: '2030-01-14T00:00:00.000Z', availableSeats: 0 },
+                { ...occurrence, _id: 'evt3', date: '2030-01-21T00:00:00.000Z', availableSeats: 12 }
+              ]
+            }
+          });
+        }
+        return Promise.resolve({ data: occurrence });
+      });
+
+      renderWithRouter(<EventDetail user={mockUser} />, { route: `/events/${mockEvent._id}` });
+
+      expect(await screen.findByText('More dates')).toBeInTheDocument();
+      expect(screen.getByRole('link', { name: 'Mon, Jan 14, 2030' })).toHaveAttribute('href', '/events/evt2');
+      expect(screen.getByText('Sold out')).toBeInTheDocument();
+      expect(screen.getByText('12 seats left')).toBeInTheDocument();
+      expect(screen.queryByText('Mon, Jan 7, 2030')).not.toBeInTheDocument();
+    });
+
+    test('releases the booking form when a seat hold expires', async () => {
+      axios.get.mockImplementation((url) => {
+        if(url.includes('feedback')) return Promise.resolve({ data: { feedback: [], stats: { averageRating: 0, total: 0, breakdown: {} } } });
+        if(url.includes('bookings')) return Promise.resolve({ data: { hasBooking: false } });
+        return Promise.resolve({ data: mockEvent });
+      });
+      const expiresAt = new Date(Date.now() + 1500).toISOString();
+      axios.post.mockResolvedValueOnce({ data: { hold: { _id: 'h1', numberOfTickets: 1, status: 'active', expiresAt } } });
+
+      renderWithRouter(<EventDetail user={mockUser} />, { route: `/events/${mockEvent._id}` });
+      await screen.findByText('Book Now');
+
+      fireEvent.click(screen.getByText('Book Now'));
+      await screen.findByText('Confirm & Pay');
+
+      await waitFor(() => expect(toast.warning).toHaveBeenCalledWith(expect.stringContaining('hold expired')), { timeout: 4000 });
+      expect(screen.getByText('Book Now')).toBeInTheDocument();
     });
 
     test('redirects to login if booking without user', async () => {
@@ -391,6 +1285,55 @@ describe('Eventrix Application Unit Tests', () => {
         });
     });
 
+    test('shows the booked event in its own timezone', async () => {
+        const booking = { ...mockBooking, eventStartsAt: '2030-07-01T14:00:00.000Z', eventTimezone: 'Asia/Kolkata', eventTime: '19:30' };
+        axios.get.mockResolvedValueOnce({ data: { bookings: [booking] } });
+
+        renderWithRouter(<MyBookings user={mockUser} />);
+
+        expect(await screen.findByText('7:30 PM GMT+5:30')).toBeInTheDocument();
+        expect(screen.getByText('Mon, Jul 1, 2030')).toBeInTheDocument();
+    });
+
+    test('shows why the organizer cancelled a booked event', async () => {
+        const booking = { ...mockBooking, bookingStatus: 'cancelled', paymentStatus: 'refunded', cancellationReason: 'Venue flooded' };
+        axios.get.mockResolvedValueOnce({ data: { bookings: [booking] } });
+
+        renderWithRouter(<MyBookings user={mockUser} />);
+
+        expect(await screen.findByText('The organizer cancelled this event: Venue flooded')).toBeInTheDocument();
+    });
+
+    test('explains a waitlist place that expired when the event started', async () => {
+        axios.get.mockResolvedValueOnce({ data: { bookings: [{ ...mockBooking, bookingStatus: 'expired' }] } });
+
+        renderWithRouter(<MyBookings user={mockUser} />);
+
+        expect(await screen.findByText(/started before seats became available/)).toBeInTheDocument();
+        expect(screen.getByText('EXPIRED')).toBeInTheDocument();
+    });
+
+    test('shows the refund timeline for a partially refunded booking', async () => {
+      const booking = { ...mockBooking, _id: 'r1', bookingStatus: 'cancelled', paymentStatus: 'partially_refunded', refundedAmount: 10 };
+      axios.get
+        .mockResolvedValueOnce({ data: { bookings: [booking] } })
+        .mockResolvedValueOnce({ data: { refunds: [
+          { _id: 'rf1', amount: 10, status: 'succeeded', reason: 'Cancelled within 48 hours of the event (50% refund)', createdAt: '2026-10-01T10:00:00.000Z' }
+        ] } });
+
+      renderWithRouter(<MyBookings user={mockUser} />);
+      expect(await screen.findByText('↺ $10 refunded')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Refund History'));
+
+      expect(await screen.findByText(/50% refund/)).toBeInTheDocument();
+      expect(screen.getByText('succeeded')).toBeInTheDocument();
+      expect(axios.get).toHaveBeenLastCalledWith(expect.stringContaining('/bookings/r1/refunds'), expect.any(Object));
+
+      fireEvent.click(screen.getByText('Hide Refunds'));
+      expect(screen.queryByText(/50% refund/)).not.toBeInTheDocument();
+    });
+
     test('opens cancel modal and confirms', async () => {
       axios.get.mockResolvedValueOnce({ data: { bookings: [mockBooking] } });
       axios.patch.mockResolvedValueOnce({ data: {} });
@@ -405,8 +1348,23 @@ describe('Eventrix Application Unit Tests', () => {
       await waitFor(() => expect(axios.patch).toHaveBeenCalled());
     });
 
+    test('renders the signed ticket token from the server as a QR code', async () => {
+        axios.get
+          .mockResolvedValueOnce({ data: { bookings: [mockBooking] } })
+          .mockResolvedValueOnce({ data: { bookingReference: 'REF123', token: 'signed.ticket.token' } });
+
+        renderWithRouter(<MyBookings user={mockUser} />);
+        fireEvent.click(await screen.findByText('Show QR Code'));
+
+        expect(await screen.findByText('Your Ticket QR Code')).toBeInTheDocument();
+        expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('/bookings/bk1/ticket'), expect.any(Object));
+        expect(qrcode.toDataURL).toHaveBeenCalledWith('signed.ticket.token');
+    });
+
     test('handles QR code generation error', async () => {
-        axios.get.mockResolvedValueOnce({ data: { bookings: [mockBooking] } });
+        axios.get
+          .mockResolvedValueOnce({ data: { bookings: [mockBooking] } })
+          .mockResolvedValueOnce({ data: { bookingReference: 'REF123', token: 'signed.ticket.token' } });
         qrcode.toDataURL.mockRejectedValue(new Error('QR Fail'));
 
         renderWithRouter(<MyBookings user={mockUser} />);
@@ -505,18 +1463,265 @@ describe('Eventrix Application Unit Tests', () => {
         await waitFor(() => expect(axios.put).toHaveBeenCalled());
     });
 
-    test('deletes an event successfully', async () => {
+    test('edits an event in its own timezone', async () => {
+        const zoned = {
+          ...mockEvent,
+          date: '2030-03-10T00:00:00.000Z',
+          time: '18:00',
+          startsAt: '2030-03-10T22:00:00.000Z',
+          timezone: 'America/New_York'
+        };
+        axios.get.mockResolvedValue({ data: { events: [zoned] } });
+        axios.put.mockResolvedValue({ data: {} });
+
+        renderWithRouter(<AdminEvents />);
+        expect(await screen.findByText('6:00 PM EDT')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByTitle('Edit event'));
+        expect(await screen.findByDisplayValue('Test Event 1')).toBeInTheDocument();
+        expect(screen.getByLabelText('Date')).toHaveValue('2030-03-10');
+        expect(screen.getByLabelText('Time')).toHaveValue('18:00');
+        expect(screen.getByLabelText('Timezone')).toHaveValue('America/New_York');
+
+        fireEvent.change(screen.getByLabelText('Timezone'), { target: { value: 'Europe/London' } });
+        fireEvent.click(screen.getByText('Update Event'));
+
+        await waitFor(() => expect(axios.put).toHaveBeenCalled());
+        const [, body] = axios.put.mock.calls[0];
+        expect(body).toMatchObject({ date: '2030-03-10', time: '18:00', timezone: 'Europe/London' });
+    });
+
+    test('sets an end time and shows where the event is in its run', async () => {
+        const running = {
+          ...mockEvent,
+          date: '2030-03-10T00:00:00.000Z',
+          time: '18:00',
+          startsAt: '2030-03-10T22:00:00.000Z',
+          endsAt: '2030-03-11T01:00:00.000Z',
+          timezone: 'America/New_York',
+          status: 'ongoing'
+        };
+        axios.get.mockResolvedValue({ data: { events: [running] } });
+        axios.put.mockResolvedValue({ data: {} });
+
+        renderWithRouter(<AdminEvents />);
+        expect(await screen.findByText('6:00 PM – 9:00 PM EDT')).toBeInTheDocument();
+        expect(screen.getByText('ongoing')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByTitle('Edit event'));
+        expect(await screen.findByLabelText('End time')).toHaveValue('21:00');
+
+        fireEvent.change(screen.getByLabelText('End time'), { target: { value: '23:30' } });
+        fireEvent.click(screen.getByText('Update Event'));
+
+        await waitFor(() => expect(axios.put).toHaveBeenCalled());
+        const [, body] = axios.put.mock.calls[0];
+        expect(body).toMatchObject({ time: '18:00', endTime: '23:30' });
+    });
+
+    test('edits ticket tiers and derives capacity and price from them', async () => {
+        const tieredEvent = {
+          ...mockEvent,
+          date: '2030-12-25T10:00:00.000Z',
+          ticketTypes: [{ _id: 'general', name: 'General', price: 20, quantity: 80, available: 75 }]
+        };
+        axios.get.mockResolvedValue({ data: { events: [tieredEvent] } });
+        axios.put.mockResolvedValue({ data: {} });
+
+        renderWithRouter(<AdminEvents />);
+        expect(await screen.findByText('from $10')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByTitle('Edit event'));
+        expect(await screen.findByDisplayValue('General')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('+ Add Ticket Type'));
+        fireEvent.change(screen.getByLabelText('Ticket type 2 name'), { target: { value: 'VIP' } });
+        fireEvent.change(screen.getByLabelText('Ticket type 2 price'), { target: { value: '60' } });
+        fireEvent.click(screen.getByText('Update Event'));
+        expect(toast.error).toHaveBeenCalledWith('Quantity for VIP must be at least 1');
+
+        fireEvent.change(screen.getByLabelText('Ticket type 2 quantity'), { target: { value: '20' } });
+        expect(screen.getByPlaceholderText('Number of seats')).toHaveValue(100);
+        fireEvent.click(screen.getByText('Update Event'));
+
+        await waitFor(() => expect(axios.put).toHaveBeenCalled());
+        const [, body] = axios.put.mock.calls[0];
+        expect(body.capacity).toBe(100);
+        expect(body.price).toBe(20);
+        expect(body.ticketTypes).toEqual([
+          { _id: 'general', name: 'General', price: 20, quantity: 80, salesStart: null, salesEnd: null },
+          { name: 'VIP', price: 60, quantity: 20, salesStart: null, salesEnd: null }
+        ]);
+    });
+
+    test('creates a weekly series with a skipped date', async () => {
+        axios.get.mockResolvedValue({ data: { events: [] } });
+        axios.post.mockResolvedValue({ data: { events: [{}, {}, {}] } });
+
+        renderWithRouter(<AdminEvents />);
+        fireEvent.click(await screen.findByText('+ Create Event'));
+
+        fireEvent.change(screen.getByPlaceholderText('Enter event title'), { target: { value: 'Weekly Workshop' } });
+        fireEvent.change(screen.getByPlaceholderText('Enter event description'), { target: { value: 'Hands-on practice every week' } });
+        fireEvent.change(screen.getByPlaceholderText('Enter venue location'), { target: { value: 'Lab 3' } });
+        fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2030-01-07' } });
+        fireEvent.change(screen.getByLabelText('Time'), { target: { value: '18:00' } });
+        fireEvent.change(screen.getByPlaceholderText('Number of seats'), { target: { value: '20' } });
+        fireEvent.change(screen.getByPlaceholderText('Ticket price'), { target: { value: '5' } });
+        fireEvent.change(screen.getByPlaceholderText('Organizer name'), { target: { value: 'Coding Club' } });
+
+        fireEvent.change(screen.getByLabelText('Repeats'), { target: { value: 'weekly' } });
+        fireEvent.click(screen.getByText('Create Event', { selector: 'button' }));
+        expect(toast.error).toHaveBeenCalledWith('Enter how many times the event repeats');
+
+        fireEvent.change(screen.getByLabelText('Number of occurrences'), { target: { value: '4' } });
+        fireEvent.click(screen.getByLabelText('Mon'));
+        fireEvent.click(screen.getByLabelText('Wed'));
+        fireEvent.change(screen.getByLabelText('Date to skip'), { target: { value: '2030-01-09' } });
+        fireEvent.click(screen.getByText('Skip date'));
+        expect(screen.getByLabelText('Stop skipping 2030-01-09')).toBeInTheDocument();
+        fireEvent.click(screen.getByText('Create Event', { selector: 'button' }));
+
+        await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Created 3 occurrences!'));
+        expect(axios.post).toHaveBeenCalledWith(
+          expect.stringContaining('/series'),
+          expect.objectContaining({
+            title: 'Weekly Workshop',
+            date: '2030-01-07',
+            recurrence: { frequency: 'weekly', interval: 1, weekdays: [1, 3], count: 4 },
+            exceptions: ['2030-01-09']
+          }),
+          expect.any(Object)
+        );
+    });
+
+    test('groups occurrences and edits this and following dates', async () => {
+        const occurrences = [
+          { ...mockEvent, _id: 'evt1', date: '2030-01-07T00:00:00.000Z', seriesId: 's1' },
+          { ...mockEvent, _id: 'evt2', date: '2030-01-14T00:00:00.000Z', seriesId: 's1' }
+        ];
+        axios.get.mockImplementation((url) => {
+          if(url.includes('/series/s1')) {
+            return Promise.resolve({
+              data: { series: { _id: 's1', recurrence: { frequency: 'weekly', interval: 1, weekdays: [1], count: 2, until: null }, exceptions: [] } }
+            });
+          }
+          if(url.includes('/venues')) return Promise.resolve({ data: { venues: [] } });
+          return Promise.resolve({ data: { events: occurrences } });
+        });
+        axios.put.mockResolvedValue({ data: {} });
+
+        renderWithRouter(<AdminEvents />);
+        expect(await screen.findByText(/Test Event 1 · 2 dates/)).toBeInTheDocument();
+
+        fireEvent.click(screen.getAllByTitle('Edit event')[1]);
+        fireEvent.click(await screen.findByLabelText('This and following events'));
+        expect(await screen.findByLabelText('Repeats')).toHaveValue('weekly');
+        expect(screen.queryByText('Ticket Types')).not.toBeInTheDocument();
+
+        fireEvent.change(screen.getByPlaceholderText('Enter venue location'), { target: { value: 'Main Hall' } });
+        fireEvent.click(screen.getByText('Update Event'));
+
+        await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Series updated successfully!'));
+        const [url, body] = axios.put.mock.calls[0];
+        expect(url).toContain('/series/s1');
+        expect(body).toMatchObject({ fromEventId: 'evt2', venue: 'Main Hall' });
+        expect(body.recurrence).toBeUndefined();
+        expect(body.exceptions).toBeUndefined();
+        expect(body.date).toBeUndefined();
+    });
+
+    test('cancels an event with a reason instead of deleting it', async () => {
         axios.get.mockResolvedValue({ data: { events: [mockEvent] } });
+        axios.patch.mockResolvedValue({ data: {} });
+
+        renderWithRouter(<AdminEvents />);
+        fireEvent.click(await screen.findByTitle('Cancel event'));
+        expect(await screen.findByText(/will be cancelled and refunded in full/i)).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('Cancel Event', { selector: 'button' }));
+        expect(toast.error).toHaveBeenCalledWith('Tell ticket holders why the event is cancelled');
+        expect(axios.patch).not.toHaveBeenCalled();
+
+        fireEvent.change(screen.getByLabelText('Cancellation reason'), { target: { value: 'Venue flooded' } });
+        fireEvent.click(screen.getByText('Cancel Event', { selector: 'button' }));
+
+        await waitFor(() => expect(axios.patch).toHaveBeenCalledWith(
+          expect.stringContaining(`/events/${mockEvent._id}/cancel`),
+          { reason: 'Venue flooded' },
+          expect.any(Object)
+        ));
+        expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('includeCancelled=true'));
+        expect(axios.delete).not.toHaveBeenCalled();
+    });
+
+    test('restores a cancelled event or deletes it once the title is typed', async () => {
+        const cancelled = { ...mockEvent, status: 'cancelled', cancellationReason: 'Venue flooded' };
+        axios.get.mockResolvedValue({ data: { events: [cancelled] } });
+        axios.patch.mockResolvedValue({ data: {} });
         axios.delete.mockResolvedValue({ data: {} });
 
         renderWithRouter(<AdminEvents />);
-        await waitFor(() => screen.getByTitle('Delete event'));
-        
-        fireEvent.click(screen.getByTitle('Delete event'));
-        expect(await screen.findByText(/Are you sure you want to delete this event/i)).toBeInTheDocument();
-        
-        fireEvent.click(screen.getByText('Delete Event'));
-        await waitFor(() => expect(axios.delete).toHaveBeenCalled());
+        expect(await screen.findByTitle('Venue flooded')).toHaveTextContent('cancelled');
+        expect(screen.queryByTitle('Cancel event')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByTitle('Restore event'));
+        await waitFor(() => expect(axios.patch).toHaveBeenCalledWith(
+          expect.stringContaining(`/events/${mockEvent._id}/restore`),
+          {},
+          expect.any(Object)
+        ));
+
+        fireEvent.click(screen.getByTitle('Delete permanently'));
+        const purge = screen.getByText('Delete Permanently', { selector: 'button' });
+        expect(purge).toBeDisabled();
+        fireEvent.change(screen.getByLabelText('Event title'), { target: { value: mockEvent.title } });
+        expect(purge).toBeEnabled();
+        fireEvent.click(purge);
+
+        await waitFor(() => expect(axios.delete).toHaveBeenCalledWith(
+          expect.stringContaining(`/events/${mockEvent._id}`),
+          expect.objectContaining({ data: { confirm: mockEvent.title } })
+        ));
+    });
+  });
+
+  describe('Check-In Page', () => {
+    test('shows a pass result for a valid ticket', async () => {
+      axios.get.mockResolvedValueOnce({ data: { events: [mockEvent] } });
+      axios.post.mockResolvedValueOnce({
+        data: {
+          message: 'Check-in successful',
+          booking: { bookingReference: 'REF123', userName: 'Test User', numberOfTickets: 2, checkedInAt: new Date().toISOString() }
+        }
+      });
+
+      renderWithRouter(<CheckIn />);
+      await screen.findByText(/Test Event 1/);
+
+      fireEvent.change(screen.getByPlaceholderText(/Paste the scanned ticket code/i), { target: { value: 'REF123' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Check In' }));
+
+      expect(await screen.findByText('ADMIT')).toBeInTheDocument();
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/bookings/check-in'),
+        { payload: 'REF123', eventId: 'evt1' },
+        expect.any(Object)
+      );
+    });
+
+    test('shows a fail result for a repeated scan', async () => {
+      axios.get.mockResolvedValueOnce({ data: { events: [mockEvent] } });
+      axios.post.mockRejectedValueOnce({ response: { data: { error: 'Ticket already checked in' } } });
+
+      renderWithRouter(<CheckIn />);
+      await screen.findByText(/Test Event 1/);
+
+      fireEvent.change(screen.getByPlaceholderText(/Paste the scanned ticket code/i), { target: { value: 'REF123' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Check In' }));
+
+      expect(await screen.findByText('DENIED')).toBeInTheDocument();
+      expect(screen.getByText('Ticket already checked in')).toBeInTheDocument();
     });
   });
 
@@ -4,7 +4,12 @@ const axios = {
   put: jest.fn(),
   patch: jest.fn(),
   delete: jest.fn(),
+  request: jest.fn(),
   create: jest.fn(() => axios),
+  interceptors: {
+    request: { use: jest.fn(), eject: jest.fn() },
+    response: { use: jest.fn(), eject: jest.fn() },
+  },
 };
 
 module.exports = axios;
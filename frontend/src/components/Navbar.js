@@ -16,8 +16,18 @@ function Navbar({ user, onLogout }) {
                 <>
                   <Link to="/admin/events" className="navbar-link">Manage Events</Link>
                   <Link to="/admin/analytics" className="navbar-link">Analytics</Link>
+                  <Link to="/admin/users" className="navbar-link">Users</Link>
+                  <Link to="/admin/promo-codes" className="navbar-link">Promo Codes</Link>
+                  <Link to="/admin/messages" className="navbar-link">Messages</Link>
+                  <Link to="/admin/venues" className="navbar-link">Venues</Link>
+                  <Link to="/admin/settings" className="navbar-link">Settings</Link>
                 </>
               )}
+              {['admin', 'staff'].includes(user.role) && (
+                <Link to="/admin/check-in" className="navbar-link">Check-In</Link>
+              )}
+              <Link to="/sessions" className="navbar-link">Sessions</Link>
+              <Link to="/security" className="navbar-link">Security</Link>
               <span className="navbar-user">Hi, {user.name}</span>
               <button onClick={onLogout} className="btn btn-secondary">Logout</button>
             </>
@@ -0,0 +1,64 @@
+import axios from 'axios';
+import API_CONFIG from './api';
+
+// Endpoints whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/register', '/auth/refresh'];
+
+let refreshRequest = null;
+
+export const saveSession = (token, refreshToken) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// Access tokens are short-lived. When a request fails with 401, trade the refresh token
+// for a new pair once (shared by concurrent requests) and replay the request.
+export const installTokenRefresh = (onSessionExpired) => {
+  const interceptor = axios.interceptors.response.use(
+    response => response,
+    async error => {
+      const original = error.config;
+      const refreshToken = localStorage.getItem('refreshToken');
+
+      if (
+        error.response?.status !== 401 ||
+        !original ||
+        original._retried ||
+        !refreshToken ||
+        NO_REFRESH_PATHS.some(path => original.url?.includes(path))
+      ) {
+        return Promise.reject(error);
+      }
+
+      original._retried = true;
+
+      try {
+        if (!refreshRequest) {
+          refreshRequest = axios
+            .post(`${API_CONFIG.auth}/auth/refresh`, { refreshToken })
+            .finally(() => {
+              refreshRequest = null;
+            });
+        }
+        const { data } = await refreshRequest;
+        saveSession(data.token, data.refreshToken);
+        original.headers.Authorization = `Bearer ${data.token}`;
+        return axios.request(original);
+      } catch (refreshError) {
+        clearSession();
+        onSessionExpired();
+        return Promise.reject(error);
+      }
+    }
+  );
+
+  return () => axios.interceptors.response.eject(interceptor);
+};
@@ -339,6 +339,34 @@ function AdminAnalytics() {
           </div>
         </section>
       )}
+
+      {/* Promo Code Table */}
+      {bookingAnalytics.promoCodes?.length > 0 && (
+        <section className="table-section">
+          <h2>Promo Codes</h2>
+          <p>${bookingAnalytics.stats.totalDiscounts.toFixed(2)} in discounts on confirmed bookings</p>
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Code</th>
+                  <th>Bookings</th>
+                  <th>Discount Given</th>
+                </tr>
+              </thead>
+              <tbody>
+                {bookingAnalytics.promoCodes.map((entry) => (
+                  <tr key={entry.code}>
+                    <td>{entry.code}</td>
+                    <td><span className="badge">{entry.bookings}</span></td>
+                    <td>${entry.discountTotal.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
     </div>
   );
 }
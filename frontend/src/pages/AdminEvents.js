@@ -2,28 +2,59 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { toast } from 'react-toastify';
 import API_CONFIG from '../config/api';
+import {
+  formatEventDate,
+  formatEventTime,
+  localDateAndTime,
+  browserTimezone,
+  timezoneOptions
+} from '../utils/eventTime';
 import './AdminEvents.css';
 
-// Utility function to convert 24-hour to 12-hour format
-const formatTime = (timeStr) => {
-  if (!timeStr) return '';
-  if (/AM|PM/i.test(timeStr)) return timeStr;
-  
-  const [hours, minutes] = timeStr.split(':');
-  let hour = parseInt(hours);
-  const period = hour >= 12 ? 'PM' : 'AM';
-  
-  if (hour === 0) hour = 12;
-  else if (hour > 12) hour -= 12;
-  
-  return `${hour}:${minutes} ${period}`;
+const TIMEZONES = timezoneOptions();
+
+// ISO timestamp -> value for a datetime-local input (local time, no seconds)
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
 };
 
+const emptyTicketType = () => ({ name: '', price: '', quantity: '', salesStart: '', salesEnd: '' });
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const PERIODS = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' };
+
+const emptyRepeat = () => ({ frequency: '', interval: 1, weekdays: [], ends: 'count', count: '', until: '', exceptions: [] });
+
+// A saved series rule -> the form's repeat settings
+const repeatFromSeries = (series) => ({
+  frequency: series.recurrence.frequency,
+  interval: series.recurrence.interval || 1,
+  weekdays: series.recurrence.weekdays || [],
+  ends: series.recurrence.until ? 'until' : 'count',
+  count: series.recurrence.count || '',
+  until: series.recurrence.until ? series.recurrence.until.split('T')[0] : '',
+  exceptions: series.exceptions || []
+});
+
+// The form's repeat settings -> the recurrence rule the API expects
+const toRecurrence = (repeat) => ({
+  frequency: repeat.frequency,
+  interval: Number(repeat.interval) || 1,
+  ...(repeat.frequency === 'weekly' && repeat.weekdays.length > 0 ? { weekdays: repeat.weekdays } : {}),
+  ...(repeat.ends === 'until' ? { until: repeat.until } : { count: Number(repeat.count) })
+});
+
 function AdminEvents() {
   const [events, setEvents] = useState([]);
   const [showForm, setShowForm] = useState(false);
-  const [showDeleteModal, setShowDeleteModal] = useState(false);
-  const [deleteEventId, setDeleteEventId] = useState(null);
+  // The event being cancelled, and the one being deleted for good
+  const [cancelTarget, setCancelTarget] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [purgeTarget, setPurgeTarget] = useState(null);
+  const [purgeConfirm, setPurgeConfirm] = useState('');
   const [editingEventId, setEditingEventId] = useState(null);
   const [formData, setFormData] = useState({
     title: '',
@@ -32,25 +63,143 @@ function AdminEvents() {
     venue: '',
     date: '',
     time: '',
+    endTime: '',
+    timezone: browserTimezone(),
     capacity: '',
     price: '',
     organizer: '',
-    imageUrl: ''
+    imageUrl: '',
+    ticketTypes: [],
+    venueId: ''
   });
+  const [venues, setVenues] = useState([]);
+  const [repeat, setRepeat] = useState(emptyRepeat);
+  const [skipDate, setSkipDate] = useState('');
+  // When editing an occurrence of a series: 'this' event only, or 'following'
+  const [editScope, setEditScope] = useState('this');
+  const [editingSeriesId, setEditingSeriesId] = useState(null);
+  const [savedRepeat, setSavedRepeat] = useState(null);
 
   useEffect(() => {
     fetchEvents();
   }, []);
 
+  // Seat map layouts an event can be attached to
+  useEffect(() => {
+    const fetchVenues = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get(`${API_CONFIG.event}/venues`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        setVenues(response.data.venues || []);
+      } catch (err) {
+        console.error('Error fetching venues:', err);
+      }
+    };
+
+    fetchVenues();
+  }, []);
+
   const fetchEvents = async () => {
     try {
-      const response = await axios.get(`${API_CONFIG.event}/events`);
+      const response = await axios.get(`${API_CONFIG.event}/events?limit=100&includeCancelled=true`);
       setEvents(response.data.events);
     } catch (err) {
       console.error('Error fetching events:', err);
     }
   };
 
+  const hasTicketTypes = formData.ticketTypes.length > 0;
+  const editingFollowing = Boolean(editingSeriesId) && editScope === 'following';
+  // The repeat settings show when creating, or when changing a series from one occurrence on
+  const showRepeat = !editingEventId || editingFollowing;
+  const selectedVenue = venues.find(venue => venue._id === formData.venueId);
+  const seated = Boolean(formData.venueId);
+
+  const updateTicketType = (index, field, value) => {
+    setFormData({
+      ...formData,
+      ticketTypes: formData.ticketTypes.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    });
+  };
+
+  const addTicketType = () => {
+    setFormData({ ...formData, ticketTypes: [...formData.ticketTypes, emptyTicketType()] });
+  };
+
+  const removeTicketType = (index) => {
+    setFormData({ ...formData, ticketTypes: formData.ticketTypes.filter((_, i) => i !== index) });
+  };
+
+  const toggleWeekday = (day) => {
+    setRepeat({
+      ...repeat,
+      weekdays: repeat.weekdays.includes(day)
+        ? repeat.weekdays.filter(d => d !== day)
+        : [...repeat.weekdays, day].sort((a, b) => a - b)
+    });
+  };
+
+  const addSkipDate = () => {
+    if (!skipDate || repeat.exceptions.includes(skipDate)) return;
+    setRepeat({ ...repeat, exceptions: [...repeat.exceptions, skipDate].sort() });
+    setSkipDate('');
+  };
+
+  const resetForm = () => {
+    setEditingEventId(null);
+    setEditingSeriesId(null);
+    setEditScope('this');
+    setSavedRepeat(null);
+    setRepeat(emptyRepeat());
+    setSkipDate('');
+    setFormData({
+      title: '',
+      description: '',
+      category: 'conference',
+      venue: '',
+      date: '',
+      time: '',
+      endTime: '',
+      timezone: browserTimezone(),
+      capacity: '',
+      price: '',
+      organizer: '',
+      imageUrl: '',
+      ticketTypes: [],
+      venueId: ''
+    });
+  };
+
+  const validateRepeat = () => {
+    if (!repeat.frequency) return null;
+    if (!Number.isInteger(Number(repeat.interval)) || Number(repeat.interval) < 1) {
+      return 'Repeat interval must be at least 1';
+    }
+    if (repeat.ends === 'count' && (!Number.isInteger(Number(repeat.count)) || Number(repeat.count) < 1)) {
+      return 'Enter how many times the event repeats';
+    }
+    if (repeat.ends === 'until' && !repeat.until) {
+      return 'Choose when the series ends';
+    }
+    return null;
+  };
+
+  const validateTicketTypes = () => {
+    for (const tier of formData.ticketTypes) {
+      if (!tier.name.trim()) return 'Every ticket type needs a name';
+      if (tier.price === '' || Number(tier.price) < 0) return `Price for ${tier.name} cannot be negative`;
+      if (!Number.isInteger(Number(tier.quantity)) || Number(tier.quantity) < 1) {
+        return `Quantity for ${tier.name} must be at least 1`;
+      }
+      if (tier.salesStart && tier.salesEnd && new Date(tier.salesEnd) <= new Date(tier.salesStart)) {
+        return `Sales for ${tier.name} must end after they start`;
+      }
+    }
+    return null;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -86,12 +235,25 @@ function AdminEvents() {
       return;
     }
 
-    if (!formData.capacity || formData.capacity < 1) {
-      toast.error('Capacity must be at least 1');
-      return;
+    if (hasTicketTypes) {
+      const tierError = validateTicketTypes();
+      if (tierError) {
+        toast.error(tierError);
+        return;
+      }
+    } else if (!seated) {
+      if (!formData.capacity || formData.capacity < 1) {
+        toast.error('Capacity must be at least 1');
+        return;
+      }
+
+      if (!formData.price || formData.price < 0) {
+        toast.error('Price cannot be negative');
+        return;
+      }
     }
 
-    if (!formData.price || formData.price < 0) {
+    if (seated && (formData.price === '' || formData.price < 0)) {
       toast.error('Price cannot be negative');
       return;
     }
@@ -101,6 +263,14 @@ function AdminEvents() {
       return;
     }
 
+    if (showRepeat) {
+      const repeatError = validateRepeat();
+      if (repeatError) {
+        toast.error(repeatError);
+        return;
+      }
+    }
+
     try {
       const token = localStorage.getItem('token');
       
@@ -118,10 +288,47 @@ function AdminEvents() {
       // Add default image based on category if none provided
       const eventData = {
         ...formData,
-        imageUrl: formData.imageUrl || categoryImages[formData.category] || categoryImages.other
+        imageUrl: formData.imageUrl || categoryImages[formData.category] || categoryImages.other,
+        venueId: formData.venueId || null
       };
+
+      // With a seat map, capacity is the number of seats in the layout
+      if (seated) {
+        delete eventData.capacity;
+      }
+
+      // With ticket types, capacity and the headline price are worked out from the tiers
+      if (hasTicketTypes) {
+        eventData.ticketTypes = formData.ticketTypes.map(tier => ({
+          ...(tier._id ? { _id: tier._id } : {}),
+          name: tier.name.trim(),
+          price: Number(tier.price),
+          quantity: Number(tier.quantity),
+          salesStart: tier.salesStart ? new Date(tier.salesStart).toISOString() : null,
+          salesEnd: tier.salesEnd ? new Date(tier.salesEnd).toISOString() : null
+        }));
+        eventData.capacity = eventData.ticketTypes.reduce((sum, tier) => sum + tier.quantity, 0);
+        eventData.price = Math.min(...eventData.ticketTypes.map(tier => tier.price));
+      }
       
-      if (editingEventId) {
+      if (editingFollowing) {
+        // Update this occurrence and the rest of its series. Ticket types and
+        // seat maps stay per occurrence; the schedule is sent only if it changed.
+        const { ticketTypes, venueId, date, ...shared } = eventData;
+        const body = { ...shared, fromEventId: editingEventId };
+        if (savedRepeat && repeat.frequency && JSON.stringify(toRecurrence(repeat)) !== JSON.stringify(toRecurrence(savedRepeat))) {
+          body.recurrence = toRecurrence(repeat);
+        }
+        if (savedRepeat && JSON.stringify(repeat.exceptions) !== JSON.stringify(savedRepeat.exceptions)) {
+          body.exceptions = repeat.exceptions;
+        }
+        await axios.put(
+          `${API_CONFIG.event}/series/${editingSeriesId}`,
+          body,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        toast.success('Series updated successfully!');
+      } else if (editingEventId) {
         // Update existing event
         await axios.put(
           `${API_CONFIG.event}/events/${editingEventId}`,
@@ -129,6 +336,14 @@ function AdminEvents() {
           { headers: { Authorization: `Bearer ${token}` } }
         );
         toast.success('Event updated successfully!');
+      } else if (repeat.frequency) {
+        // Create one event per occurrence
+        const response = await axios.post(
+          `${API_CONFIG.event}/series`,
+          { ...eventData, recurrence: toRecurrence(repeat), exceptions: repeat.exceptions },
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        toast.success(`Created ${response.data.events.length} occurrences!`);
       } else {
         // Create new event
         await axios.post(
@@ -140,107 +355,213 @@ function AdminEvents() {
       }
       
       setShowForm(false);
-      setEditingEventId(null);
       fetchEvents();
-      setFormData({
-        title: '',
-        description: '',
-        category: 'conference',
-        venue: '',
-        date: '',
-        time: '',
-        capacity: '',
-        price: '',
-        organizer: '',
-        imageUrl: ''
-      });
+      resetForm();
     } catch (err) {
       toast.error(err.response?.data?.error || `Failed to ${editingEventId ? 'update' : 'create'} event`);
     }
   };
 
-  const convertTo24Hour = (timeStr) => {
-    // If already in 24-hour format (HH:MM), return as is
-    if (/^\d{2}:\d{2}$/.test(timeStr)) {
-      return timeStr;
-    }
-    
-    // Convert 12-hour format to 24-hour format
-    const match = timeStr.match(/(\d+):(\d+)\s*(AM|PM)/i);
-    if (match) {
-      let [, hours, minutes, period] = match;
-      hours = parseInt(hours);
-      
-      if (period.toUpperCase() === 'PM' && hours !== 12) {
-        hours += 12;
-      } else if (period.toUpperCase() === 'AM' && hours === 12) {
-        hours = 0;
-      }
-      
-      return `${hours.toString().padStart(2, '0')}:${minutes}`;
-    }
-    
-    return timeStr;
-  };
-
-  const handleEdit = (event) => {
+  const handleEdit = async (event) => {
     setEditingEventId(event._id);
+    setEditingSeriesId(event.seriesId || null);
+    setEditScope('this');
+    setRepeat(emptyRepeat());
+    setSavedRepeat(null);
     setFormData({
       title: event.title,
       description: event.description,
       category: event.category,
       venue: event.venue,
-      date: event.date.split('T')[0], // Format date for input
-      time: convertTo24Hour(event.time), // Convert time to 24-hour format
+      // Shown as the event's own local date and time
+      ...localDateAndTime(event),
+      timezone: event.timezone || 'UTC',
       capacity: event.capacity,
       price: event.price,
       organizer: event.organizer,
-      imageUrl: event.imageUrl
+      imageUrl: event.imageUrl,
+      venueId: event.venueId || '',
+      ticketTypes: (event.ticketTypes || []).map(tier => ({
+        _id: tier._id,
+        name: tier.name,
+        price: tier.price,
+        quantity: tier.quantity,
+        salesStart: toDateTimeInput(tier.salesStart),
+        salesEnd: toDateTimeInput(tier.salesEnd)
+      }))
     });
     setShowForm(true);
     window.scrollTo({ top: 0, behavior: 'smooth' });
+
+    // Load the series schedule so "this and following" edits start from it
+    if (event.seriesId) {
+      try {
+        const response = await axios.get(`${API_CONFIG.event}/series/${event.seriesId}`);
+        const loaded = repeatFromSeries(response.data.series);
+        setRepeat(loaded);
+        setSavedRepeat(loaded);
+      } catch (err) {
+        console.error('Error fetching series:', err);
+      }
+    }
   };
 
   const handleCancelEdit = () => {
-    setEditingEventId(null);
     setShowForm(false);
-    setFormData({
-      title: '',
-      description: '',
-      category: 'conference',
-      venue: '',
-      date: '',
-      time: '',
-      capacity: '',
-      price: '',
-      organizer: '',
-      imageUrl: ''
-    });
+    resetForm();
   };
 
-  const showDeleteConfirmation = (id) => {
-    setDeleteEventId(id);
-    setShowDeleteModal(true);
+  const showCancelConfirmation = (event) => {
+    setCancelTarget(event);
+    setCancelReason('');
   };
 
-  const handleDelete = async () => {
-    if (!deleteEventId) return;
+  // Cancelling keeps the event; ticket holders are emailed the reason and refunded
+  const handleCancelEvent = async () => {
+    if (!cancelTarget) return;
+    if (!cancelReason.trim()) {
+      toast.error('Tell ticket holders why the event is cancelled');
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.patch(`${API_CONFIG.event}/events/${cancelTarget._id}/cancel`, { reason: cancelReason.trim() }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      toast.success('Event cancelled. Ticket holders will be emailed and refunded.');
+      setCancelTarget(null);
+      fetchEvents();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to cancel event');
+      setCancelTarget(null);
+    }
+  };
 
+  const handleRestore = async (event) => {
     try {
       const token = localStorage.getItem('token');
-      await axios.delete(`${API_CONFIG.event}/events/${deleteEventId}`, {
+      await axios.patch(`${API_CONFIG.event}/events/${event._id}/restore`, {}, {
         headers: { Authorization: `Bearer ${token}` }
       });
-      toast.success('Event deleted successfully!');
-      setShowDeleteModal(false);
-      setDeleteEventId(null);
+      toast.success('Event restored successfully!');
       fetchEvents();
     } catch (err) {
-      toast.error('Failed to delete event');
-      setShowDeleteModal(false);
+      toast.error(err.response?.data?.error || 'Failed to restore event');
     }
   };
 
+  const showPurgeConfirmation = (event) => {
+    setPurgeTarget(event);
+    setPurgeConfirm('');
+  };
+
+  const handlePurge = async () => {
+    if (!purgeTarget || purgeConfirm !== purgeTarget.title) return;
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete(`${API_CONFIG.event}/events/${purgeTarget._id}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        data: { confirm: purgeConfirm }
+      });
+      toast.success('Event deleted permanently');
+      setPurgeTarget(null);
+      fetchEvents();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete event');
+      setPurgeTarget(null);
+    }
+  };
+
+  // Occurrences of a series are listed together under the series title
+  const groupedEvents = () => {
+    const groups = [];
+    const bySeries = new Map();
+    events.forEach(event => {
+      if (!event.seriesId) {
+        groups.push({ key: event._id, events: [event] });
+        return;
+      }
+      if (!bySeries.has(event.seriesId)) {
+        const group = { key: event.seriesId, seriesId: event.seriesId, events: [] };
+        bySeries.set(event.seriesId, group);
+        groups.push(group);
+      }
+      bySeries.get(event.seriesId).events.push(event);
+    });
+    return groups;
+  };
+
+  const renderEventRow = (event) => (
+    <tr key={event._id}>
+      <td>{event.title}</td>
+      <td>{formatEventDate(event)}</td>
+      <td>{formatEventTime(event)}</td>
+      <td>{event.venue}</td>
+      <td>{event.capacity}</td>
+      <td>{event.availableSeats}</td>
+      <td>{event.ticketTypes?.length ? `from $${event.price}` : `$${event.price}`}</td>
+      <td>
+        <span
+          className={`event-status ${event.status || 'upcoming'}`}
+          title={event.status === 'cancelled' ? event.cancellationReason || undefined : undefined}
+        >
+          {event.status || 'upcoming'}
+        </span>
+      </td>
+      <td>
+        <div className="action-buttons">
+          <button 
+            onClick={() => handleEdit(event)}
+            className="btn btn-secondary btn-sm"
+            title="Edit event"
+          >
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+              <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+            </svg>
+          </button>
+          {event.status === 'cancelled' ? (
+            <>
+              <button
+                onClick={() => handleRestore(event)}
+                className="btn btn-secondary btn-sm"
+                title="Restore event"
+              >
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <polyline points="1 4 1 10 7 10"></polyline>
+                  <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                </svg>
+              </button>
+              <button
+                onClick={() => showPurgeConfirmation(event)}
+                className="btn btn-danger btn-sm"
+                title="Delete permanently"
+              >
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <polyline points="3 6 5 6 21 6"></polyline>
+                  <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                </svg>
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={() => showCancelConfirmation(event)}
+              className="btn btn-danger btn-sm"
+              title="Cancel event"
+            >
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <circle cx="12" cy="12" r="10"></circle>
+                <line x1="4.93" y1="4.93" x2="19.07" y2="19.07"></line>
+              </svg>
+            </button>
+          )}
+        </div>
+      </td>
+    </tr>
+  );
+
   return (
     <div className="admin-events">
       <div className="admin-header">
@@ -260,6 +581,30 @@ function AdminEvents() {
               <button className="close-modal" onClick={handleCancelEdit}>&times;</button>
             </div>
             <form onSubmit={handleSubmit} className="event-form">
+              {editingSeriesId && (
+                <fieldset className="form-group edit-scope">
+                  <legend>This event is part of a series. Apply changes to:</legend>
+                  <label>
+                    <input
+                      type="radio"
+                      name="edit-scope"
+                      checked={editScope === 'this'}
+                      onChange={() => setEditScope('this')}
+                    />
+                    This event only
+                  </label>
+                  <label>
+                    <input
+                      type="radio"
+                      name="edit-scope"
+                      checked={editScope === 'following'}
+                      onChange={() => setEditScope('following')}
+                    />
+                    This and following events
+                  </label>
+                </fieldset>
+              )}
+
               <div className="form-group">
                 <label className="required">Event Title</label>
                 <input
@@ -311,36 +656,180 @@ function AdminEvents() {
 
               <div className="form-row">
                 <div className="form-group">
-                  <label className="required">Date</label>
+                  <label className="required" htmlFor="event-date">Date</label>
                   <input
+                    id="event-date"
                     type="date"
                     value={formData.date}
                     onChange={(e) => setFormData({...formData, date: e.target.value})}
                     required
+                    disabled={editingFollowing}
                   />
                 </div>
 
                 <div className="form-group">
-                  <label className="required">Time</label>
+                  <label className="required" htmlFor="event-time">Time</label>
                   <input
+                    id="event-time"
                     type="time"
                     value={formData.time}
                     onChange={(e) => setFormData({...formData, time: e.target.value})}
                     required
                   />
                 </div>
+
+                <div className="form-group">
+                  <label htmlFor="event-end-time">End time</label>
+                  <input
+                    id="event-end-time"
+                    type="time"
+                    value={formData.endTime}
+                    onChange={(e) => setFormData({...formData, endTime: e.target.value})}
+                  />
+                  <small>Optional. An earlier time means the next day.</small>
+                </div>
+
+                <div className="form-group">
+                  <label className="required" htmlFor="event-timezone">Timezone</label>
+                  <select
+                    id="event-timezone"
+                    value={formData.timezone}
+                    onChange={(e) => setFormData({...formData, timezone: e.target.value})}
+                    required
+                  >
+                    {(TIMEZONES.includes(formData.timezone) ? TIMEZONES : [formData.timezone, ...TIMEZONES]).map(zone => (
+                      <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
 
+              {showRepeat && (
+                <div className="form-group repeat-settings">
+                  <label htmlFor="event-repeat">Repeats</label>
+                  <select
+                    id="event-repeat"
+                    value={repeat.frequency}
+                    onChange={(e) => setRepeat({ ...repeat, frequency: e.target.value })}
+                    disabled={editingFollowing}
+                  >
+                    {!editingFollowing && <option value="">Does not repeat</option>}
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                  </select>
+
+                  {repeat.frequency && (
+                    <>
+                      <div className="form-row">
+                        <label>
+                          Every
+                          <input
+                            type="number"
+                            aria-label="Repeat every"
+                            min="1"
+                            max="99"
+                            value={repeat.interval}
+                            onChange={(e) => setRepeat({ ...repeat, interval: e.target.value })}
+                          />
+                          {PERIODS[repeat.frequency]}
+                        </label>
+                        <label>
+                          Ends
+                          <select
+                            aria-label="Series ends"
+                            value={repeat.ends}
+                            onChange={(e) => setRepeat({ ...repeat, ends: e.target.value })}
+                          >
+                            <option value="count">After a number of dates</option>
+                            <option value="until">On a date</option>
+                          </select>
+                        </label>
+                        {repeat.ends === 'count' ? (
+                          <input
+                            type="number"
+                            aria-label="Number of occurrences"
+                            placeholder="Occurrences"
+                            min="1"
+                            max="100"
+                            value={repeat.count}
+                            onChange={(e) => setRepeat({ ...repeat, count: e.target.value })}
+                          />
+                        ) : (
+                          <input
+                            type="date"
+                            aria-label="Last date"
+                            value={repeat.until}
+                            onChange={(e) => setRepeat({ ...repeat, until: e.target.value })}
+                          />
+                        )}
+                      </div>
+
+                      {repeat.frequency === 'weekly' && (
+                        <div className="weekday-picker">
+                          {WEEKDAYS.map((name, day) => (
+                            <label key={name}>
+                              <input
+                                type="checkbox"
+                                checked={repeat.weekdays.includes(day)}
+                                onChange={() => toggleWeekday(day)}
+                              />
+                              {name}
+                            </label>
+                          ))}
+                        </div>
+                      )}
+
+                      <div className="form-row skip-dates">
+                        <input
+                          type="date"
+                          aria-label="Date to skip"
+                          value={skipDate}
+                          onChange={(e) => setSkipDate(e.target.value)}
+                        />
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={addSkipDate}>
+                          Skip date
+                        </button>
+                      </div>
+                      {repeat.exceptions.length > 0 && (
+                        <ul className="skipped-dates">
+                          {repeat.exceptions.map(day => (
+                            <li key={day}>
+                              {day}
+                              <button
+                                type="button"
+                                aria-label={`Stop skipping ${day}`}
+                                onClick={() => setRepeat({ ...repeat, exceptions: repeat.exceptions.filter(d => d !== day) })}
+                              >
+                                &times;
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      <small>
+                        {editingFollowing
+                          ? 'A new schedule starts from this event. Dates that already have bookings cannot be dropped.'
+                          : 'Each date becomes its own event with its own bookings.'}
+                      </small>
+                    </>
+                  )}
+                </div>
+              )}
+
               <div className="form-row">
                 <div className="form-group">
                   <label className="required">Capacity</label>
                   <input
                     type="number"
                     placeholder="Number of seats"
-                    value={formData.capacity}
+                    value={hasTicketTypes
+                      ? formData.ticketTypes.reduce((sum, tier) => sum + (Number(tier.quantity) || 0), 0)
+                      : seated ? (selectedVenue?.capacity ?? formData.capacity) : formData.capacity}
                     onChange={(e) => setFormData({...formData, capacity: e.target.value})}
                     required
                     min="1"
+                    disabled={hasTicketTypes || seated}
                   />
                 </div>
 
@@ -349,15 +838,113 @@ function AdminEvents() {
                   <input
                     type="number"
                     placeholder="Ticket price"
-                    value={formData.price}
+                    value={hasTicketTypes
+                      ? Math.min(...formData.ticketTypes.map(tier => Number(tier.price) || 0))
+                      : formData.price}
                     onChange={(e) => setFormData({...formData, price: e.target.value})}
                     required
                     min="0"
                     step="0.01"
+                    disabled={hasTicketTypes}
                   />
                 </div>
               </div>
 
+              {!editingFollowing && (
+                <div className="form-group">
+                  <label htmlFor="event-seat-map">Seat map</label>
+                  <select
+                    id="event-seat-map"
+                    value={formData.venueId}
+                    onChange={(e) => setFormData({...formData, venueId: e.target.value})}
+                    disabled={hasTicketTypes}
+                  >
+                    <option value="">General admission</option>
+                    {venues.map(venue => (
+                      <option key={venue._id} value={venue._id}>
+                        {venue.name} ({venue.capacity} seats)
+                      </option>
+                    ))}
+                  </select>
+                  <small>
+                    {hasTicketTypes
+                      ? 'Events with ticket types are general admission.'
+                      : 'With a seat map, buyers pick their own seats and capacity follows the layout.'}
+                  </small>
+                </div>
+              )}
+
+              {!seated && !editingFollowing && (
+                <div className="form-group ticket-types">
+                  <label>Ticket Types</label>
+                  <small>
+                    {hasTicketTypes
+                      ? 'Capacity is the total of all tiers and the listed price is the cheapest tier.'
+                      : 'Add tiers such as General, VIP or Student to sell at different prices.'}
+                  </small>
+                  {formData.ticketTypes.map((tier, index) => (
+                    <div className="ticket-type-row" key={tier._id || index}>
+                      <div className="form-row">
+                        <input
+                          type="text"
+                          aria-label={`Ticket type ${index + 1} name`}
+                          placeholder="Name, e.g. VIP"
+                          value={tier.name}
+                          onChange={(e) => updateTicketType(index, 'name', e.target.value)}
+                        />
+                        <div className="form-row">
+                          <input
+                            type="number"
+                            aria-label={`Ticket type ${index + 1} price`}
+                            placeholder="Price"
+                            value={tier.price}
+                            onChange={(e) => updateTicketType(index, 'price', e.target.value)}
+                            min="0"
+                            step="0.01"
+                          />
+                          <input
+                            type="number"
+                            aria-label={`Ticket type ${index + 1} quantity`}
+                            placeholder="Quantity"
+                            value={tier.quantity}
+                            onChange={(e) => updateTicketType(index, 'quantity', e.target.value)}
+                            min="1"
+                          />
+                        </div>
+                      </div>
+                      <div className="form-row">
+                        <label>
+                          Sales start
+                          <input
+                            type="datetime-local"
+                            value={tier.salesStart}
+                            onChange={(e) => updateTicketType(index, 'salesStart', e.target.value)}
+                          />
+                        </label>
+                        <label>
+                          Sales end
+                          <input
+                            type="datetime-local"
+                            value={tier.salesEnd}
+                            onChange={(e) => updateTicketType(index, 'salesEnd', e.target.value)}
+                          />
+                        </label>
+                      </div>
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => removeTicketType(index)}
+                      >
+                        Remove {tier.name || 'ticket type'}
+                      </button>
+                    </div>
+                  ))}
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={addTicketType}>
+                    + Add Ticket Type
+                  </button>
+                </div>
+              )}
+
               <div className="form-group">
                 <label className="required">Organizer</label>
                 <input
@@ -399,62 +986,86 @@ function AdminEvents() {
               <th>Capacity</th>
               <th>Available</th>
               <th>Price</th>
+              <th>Status</th>
               <th>Actions</th>
             </tr>
           </thead>
           <tbody>
-            {events.map(event => (
-              <tr key={event._id}>
-                <td>{event.title}</td>
-                <td>{new Date(event.date).toLocaleDateString()}</td>
-                <td>{formatTime(event.time)}</td>
-                <td>{event.venue}</td>
-                <td>{event.capacity}</td>
-                <td>{event.availableSeats}</td>
-                <td>${event.price}</td>
-                <td>
-                  <div className="action-buttons">
-                    <button 
-                      onClick={() => handleEdit(event)}
-                      className="btn btn-secondary btn-sm"
-                      title="Edit event"
-                    >
-                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                        <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-                        <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-                      </svg>
-                    </button>
-                    <button 
-                      onClick={() => showDeleteConfirmation(event._id)}
-                      className="btn btn-danger btn-sm"
-                      title="Delete event"
-                    >
-                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                        <polyline points="3 6 5 6 21 6"></polyline>
-                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                      </svg>
-                    </button>
-                  </div>
-                </td>
-              </tr>
+            {groupedEvents().map(group => (
+              <React.Fragment key={group.key}>
+                {group.seriesId && (
+                  <tr className="series-header">
+                    <td colSpan="9">
+                      &#8635; {group.events[0].title} &middot; {group.events.length} {group.events.length === 1 ? 'date' : 'dates'}
+                    </td>
+                  </tr>
+                )}
+                {group.events.map(renderEventRow)}
+              </React.Fragment>
             ))}
           </tbody>
         </table>
       </div>
 
-      {/* Delete Confirmation Modal */}
-      {showDeleteModal && (
-        <div className="modal-backdrop" onClick={() => setShowDeleteModal(false)}>
+      {/* Cancel Event Modal */}
+      {cancelTarget && (
+        <div className="modal-backdrop" onClick={() => setCancelTarget(null)}>
+          <div className="delete-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="delete-modal-icon">⚠️</div>
+            <h2>Cancel Event?</h2>
+            <p>
+              Every booking for <strong>{cancelTarget.title}</strong> will be cancelled and refunded in full, and each
+              ticket holder will be emailed the reason below. The event stays listed here and can be restored.
+            </p>
+            <textarea
+              className="cancel-reason"
+              aria-label="Cancellation reason"
+              placeholder="Why is the event cancelled?"
+              value={cancelReason}
+              onChange={(e) => setCancelReason(e.target.value)}
+              maxLength={500}
+              rows={3}
+            />
+            <div className="delete-modal-actions">
+              <button className="btn btn-secondary" onClick={() => setCancelTarget(null)}>
+                Keep Event
+              </button>
+              <button className="btn btn-danger" onClick={handleCancelEvent}>
+                Cancel Event
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Permanent Delete Modal */}
+      {purgeTarget && (
+        <div className="modal-backdrop" onClick={() => setPurgeTarget(null)}>
           <div className="delete-modal" onClick={(e) => e.stopPropagation()}>
             <div className="delete-modal-icon">⚠️</div>
-            <h2>Delete Event?</h2>
-            <p>Are you sure you want to delete this event? This action cannot be undone and will cancel all bookings for this event.</p>
+            <h2>Delete Permanently?</h2>
+            <p>
+              This removes <strong>{purgeTarget.title}</strong> and its feedback for good. Bookings keep their own
+              copy of the event details. This action cannot be undone. Type the event title to confirm.
+            </p>
+            <input
+              type="text"
+              className="cancel-reason"
+              aria-label="Event title"
+              placeholder={purgeTarget.title}
+              value={purgeConfirm}
+              onChange={(e) => setPurgeConfirm(e.target.value)}
+            />
             <div className="delete-modal-actions">
-              <button className="btn btn-secondary" onClick={() => setShowDeleteModal(false)}>
+              <button className="btn btn-secondary" onClick={() => setPurgeTarget(null)}>
                 Cancel
               </button>
-              <button className="btn btn-danger" onClick={handleDelete}>
-                Delete Event
+              <button
+                className="btn btn-danger"
+                onClick={handlePurge}
+                disabled={purgeConfirm !== purgeTarget.title}
+              >
+                Delete Permanently
               </button>
             </div>
           </div>
@@ -0,0 +1,335 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import API_CONFIG from '../config/api';
+import './AdminMessages.css';
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const AUDIENCE_LABELS = {
+  confirmed: 'Confirmed',
+  waitlisted: 'Waitlisted',
+  checked_in: 'Checked in'
+};
+
+const emptyForm = {
+  template: 'custom',
+  subject: '',
+  body: '',
+  audience: ['confirmed'],
+  scheduledFor: ''
+};
+
+const formatWhen = (broadcast) => {
+  if (broadcast.sentAt) return `Sent ${new Date(broadcast.sentAt).toLocaleString()}`;
+  return new Date(broadcast.scheduledFor).toLocaleString();
+};
+
+function AdminMessages() {
+  const [events, setEvents] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [eventId, setEventId] = useState('');
+  const [form, setForm] = useState(emptyForm);
+  const [preview, setPreview] = useState(null);
+  const [broadcasts, setBroadcasts] = useState([]);
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [templatesResponse, eventsResponse] = await Promise.all([
+          axios.get(`${API_CONFIG.booking}/bookings/broadcasts/templates`, { headers: authHeaders() }),
+          axios.get(`${API_CONFIG.event}/events?limit=100`)
+        ]);
+        setTemplates(templatesResponse.data.templates);
+        setPlaceholders(templatesResponse.data.placeholders);
+        setEvents(eventsResponse.data.events);
+      } catch (err) {
+        console.error('Error loading messages:', err);
+        toast.error('Failed to load messages');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, []);
+
+  const fetchBroadcasts = async (id) => {
+    try {
+      const response = await axios.get(`${API_CONFIG.booking}/bookings/broadcasts?eventId=${id}`, { headers: authHeaders() });
+      setBroadcasts(response.data.broadcasts);
+    } catch (err) {
+      console.error('Error fetching messages:', err);
+      setBroadcasts([]);
+    }
+  };
+
+  const handleEventChange = (id) => {
+    setEventId(id);
+    setPreview(null);
+    setDetails(null);
+    if (id) {
+      fetchBroadcasts(id);
+    } else {
+      setBroadcasts([]);
+    }
+  };
+
+  // Picking a template replaces the subject and message with its text
+  const handleTemplateChange = (key) => {
+    const template = templates.find(t => t.key === key);
+    setForm({ ...form, template: key, subject: template?.subject || '', body: template?.body || '' });
+    setPreview(null);
+  };
+
+  const toggleAudience = (group) => {
+    const audience = form.audience.includes(group)
+      ? form.audience.filter(g => g !== group)
+      : [...form.audience, group];
+    setForm({ ...form, audience });
+    setPreview(null);
+  };
+
+  const payload = () => ({
+    eventId,
+    template: form.template,
+    subject: form.subject,
+    body: form.body,
+    audience: form.audience,
+    scheduledFor: form.scheduledFor ? new Date(form.scheduledFor).toISOString() : null
+  });
+
+  const handlePreview = async () => {
+    try {
+      const response = await axios.post(`${API_CONFIG.booking}/bookings/broadcasts/preview`, payload(), { headers: authHeaders() });
+      setPreview(response.data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to preview message');
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    try {
+      const response = await axios.post(`${API_CONFIG.booking}/bookings/broadcasts`, payload(), { headers: authHeaders() });
+      toast.success(response.data.message);
+      setForm(emptyForm);
+      setPreview(null);
+      fetchBroadcasts(eventId);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const toggleDetails = async (broadcast) => {
+    if (details?.broadcast._id === broadcast._id) {
+      setDetails(null);
+      return;
+    }
+    try {
+      const response = await axios.get(`${API_CONFIG.booking}/bookings/broadcasts/${broadcast._id}`, { headers: authHeaders() });
+      setDetails(response.data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load recipients');
+    }
+  };
+
+  const handleCancel = async (broadcast) => {
+    try {
+      await axios.patch(`${API_CONFIG.booking}/bookings/broadcasts/${broadcast._id}/cancel`, {}, { headers: authHeaders() });
+      toast.success('Scheduled message cancelled');
+      fetchBroadcasts(eventId);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to cancel message');
+    }
+  };
+
+  if (loading) return <div className="loading">Loading messages...</div>;
+
+  return (
+    <div className="admin-messages">
+      <div className="messages-header">
+        <h1>Messages</h1>
+        <p className="subtitle">Email the people booked on an event</p>
+      </div>
+
+      <form className="messages-card" onSubmit={handleSend}>
+        <h2>New Message</h2>
+        <div className="messages-form-grid">
+          <label>
+            Event
+            <select value={eventId} onChange={(e) => handleEventChange(e.target.value)} required>
+              <option value="">Choose an event</option>
+              {events.map(event => (
+                <option key={event._id} value={event._id}>{event.title}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Template
+            <select value={form.template} onChange={(e) => handleTemplateChange(e.target.value)}>
+              {templates.map(template => (
+                <option key={template.key} value={template.key}>{template.name}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Send at
+            <input
+              type="datetime-local"
+              value={form.scheduledFor}
+              onChange={(e) => setForm({ ...form, scheduledFor: e.target.value })}
+            />
+          </label>
+        </div>
+
+        <fieldset className="messages-audience">
+          <legend>Send to</legend>
+          {Object.entries(AUDIENCE_LABELS).map(([group, label]) => (
+            <label key={group}>
+              <input
+                type="checkbox"
+                checked={form.audience.includes(group)}
+                onChange={() => toggleAudience(group)}
+              />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+
+        <label className="messages-field">
+          Subject
+          <input
+            type="text"
+            value={form.subject}
+            onChange={(e) => setForm({ ...form, subject: e.target.value })}
+            maxLength={200}
+            required
+          />
+        </label>
+        <label className="messages-field">
+          Message
+          <textarea
+            value={form.body}
+            onChange={(e) => setForm({ ...form, body: e.target.value })}
+            rows={8}
+            maxLength={5000}
+            required
+          />
+        </label>
+        <p className="messages-hint">
+          Filled in for each recipient: {placeholders.map(key => `{{${key}}}`).join(' ')}
+        </p>
+
+        {preview && (
+          <div className="messages-preview">
+            <p className="messages-hint">
+              Reaches {preview.recipientCount} {preview.recipientCount === 1 ? 'attendee' : 'attendees'}. As {preview.preview.to} will read it:
+            </p>
+            <h3>{preview.preview.subject}</h3>
+            <p className="messages-preview-body">{preview.preview.body}</p>
+          </div>
+        )}
+
+        <div className="messages-actions">
+          <button type="button" className="btn btn-secondary" onClick={handlePreview} disabled={!eventId}>
+            Preview
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={sending || !eventId}>
+            {sending ? 'Sending...' : form.scheduledFor ? 'Schedule Message' : 'Send Message'}
+          </button>
+        </div>
+      </form>
+
+      {eventId && (
+        <div className="messages-card">
+          <h2>Sent and Scheduled</h2>
+          {broadcasts.length === 0 ? (
+            <p className="messages-hint">No messages for this event yet.</p>
+          ) : (
+            <table className="messages-table">
+              <thead>
+                <tr>
+                  <th>Subject</th>
+                  <th>Sent to</th>
+                  <th>When</th>
+                  <th>Status</th>
+                  <th>Delivered</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {broadcasts.map(broadcast => (
+                  <tr key={broadcast._id}>
+                    <td><strong>{broadcast.subject}</strong></td>
+                    <td>{broadcast.audience.map(group => AUDIENCE_LABELS[group]).join(', ')}</td>
+                    <td>{formatWhen(broadcast)}</td>
+                    <td><span className={`messages-status ${broadcast.status}`}>{broadcast.status}</span></td>
+                    <td>
+                      {broadcast.status === 'sent'
+                        ? `${broadcast.sentCount} / ${broadcast.recipientCount}${broadcast.failedCount ? ` (${broadcast.failedCount} failed)` : ''}`
+                        : '–'}
+                    </td>
+                    <td className="messages-row-actions">
+                      {['sending', 'sent'].includes(broadcast.status) && (
+                        <button type="button" className="btn btn-secondary" onClick={() => toggleDetails(broadcast)}>
+                          {details?.broadcast._id === broadcast._id ? 'Hide Recipients' : 'Recipients'}
+                        </button>
+                      )}
+                      {broadcast.status === 'scheduled' && (
+                        <button
+                          type="button"
+                          className="btn btn-secondary"
+                          aria-label={`Cancel ${broadcast.subject}`}
+                          onClick={() => handleCancel(broadcast)}
+                        >
+                          Cancel
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {details && (
+            <div className="messages-recipients">
+              <h3>
+                {details.broadcast.subject}: {details.counts.sent} sent, {details.counts.queued} queued, {details.counts.failed} failed
+              </h3>
+              <table className="messages-table">
+                <thead>
+                  <tr>
+                    <th>Recipient</th>
+                    <th>Email</th>
+                    <th>Status</th>
+                    <th>Last error</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {details.recipients.map(recipient => (
+                    <tr key={recipient._id || recipient.email}>
+                      <td>{recipient.userName}</td>
+                      <td>{recipient.email}</td>
+                      <td><span className={`messages-status ${recipient.status}`}>{recipient.status}</span></td>
+                      <td>{recipient.lastError || ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminMessages;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import API_CONFIG from '../config/api';
+import './AdminPromoCodes.css';
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const emptyForm = {
+  code: '',
+  description: '',
+  discountType: 'percentage',
+  discountValue: '',
+  eventId: '',
+  maxUses: '',
+  perUserLimit: '',
+  expiresAt: ''
+};
+
+const formatDiscount = (promo) => (promo.discountType === 'percentage'
+  ? `${promo.discountValue}% off`
+  : `$${promo.discountValue} off`);
+
+const promoStatus = (promo) => {
+  if (!promo.active) return 'Inactive';
+  if (promo.expiresAt && new Date(promo.expiresAt) <= new Date()) return 'Expired';
+  if (promo.maxUses && promo.usesCount >= promo.maxUses) return 'Used up';
+  return 'Active';
+};
+
+function AdminPromoCodes() {
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [promoResponse, eventsResponse] = await Promise.all([
+          axios.get(`${API_CONFIG.booking}/bookings/promo-codes`, { headers: authHeaders() }),
+          axios.get(`${API_CONFIG.event}/events?limit=100`)
+        ]);
+        setPromoCodes(promoResponse.data.promoCodes);
+        setEvents(eventsResponse.data.events);
+      } catch (err) {
+        console.error('Error fetching promo codes:', err);
+        toast.error('Failed to load promo codes');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, []);
+
+  const eventTitle = (eventId) => events.find(event => event._id === eventId)?.title || 'Unknown event';
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await axios.post(
+        `${API_CONFIG.booking}/bookings/promo-codes`,
+        {
+          ...form,
+          eventId: form.eventId || null,
+          expiresAt: form.expiresAt ? new Date(form.expiresAt).toISOString() : null
+        },
+        { headers: authHeaders() }
+      );
+      setPromoCodes(prev => [response.data.promoCode, ...prev]);
+      setForm(emptyForm);
+      toast.success(`Promo code ${response.data.promoCode.code} created`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to create promo code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (promo) => {
+    try {
+      const response = await axios.patch(
+        `${API_CONFIG.booking}/bookings/promo-codes/${promo._id}`,
+        { active: !promo.active },
+        { headers: authHeaders() }
+      );
+      setPromoCodes(prev => prev.map(p => (p._id === promo._id ? response.data.promoCode : p)));
+      toast.success(`${promo.code} ${promo.active ? 'deactivated' : 'activated'}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update promo code');
+    }
+  };
+
+  if (loading) return <div className="loading">Loading promo codes...</div>;
+
+  return (
+    <div className="admin-promo-codes">
+      <div className="promo-header">
+        <h1>Promo Codes</h1>
+        <p className="subtitle">Discounts buyers can enter at checkout</p>
+      </div>
+
+      <form className="promo-card promo-form" onSubmit={handleCreate}>
+        <h2>New Promo Code</h2>
+        <div className="promo-form-grid">
+          <label>
+            Code
+            <input
+              type="text"
+              value={form.code}
+              onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+              placeholder="SPRING25"
+              required
+            />
+          </label>
+          <label>
+            Description
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="Spring campus promotion"
+            />
+          </label>
+          <label>
+            Discount type
+            <select value={form.discountType} onChange={(e) => setForm({ ...form, discountType: e.target.value })}>
+              <option value="percentage">Percentage</option>
+              <option value="fixed">Fixed amount ($)</option>
+            </select>
+          </label>
+          <label>
+            Discount
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              value={form.discountValue}
+              onChange={(e) => setForm({ ...form, discountValue: e.target.value })}
+              required
+            />
+          </label>
+          <label>
+            Event
+            <select value={form.eventId} onChange={(e) => setForm({ ...form, eventId: e.target.value })}>
+              <option value="">All events</option>
+              {events.map(event => (
+                <option key={event._id} value={event._id}>{event.title}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Expires
+            <input
+              type="datetime-local"
+              value={form.expiresAt}
+              onChange={(e) => setForm({ ...form, expiresAt: e.target.value })}
+            />
+          </label>
+          <label>
+            Total uses
+            <input
+              type="number"
+              min="1"
+              value={form.maxUses}
+              onChange={(e) => setForm({ ...form, maxUses: e.target.value })}
+              placeholder="Unlimited"
+            />
+          </label>
+          <label>
+            Uses per person
+            <input
+              type="number"
+              min="1"
+              value={form.perUserLimit}
+              onChange={(e) => setForm({ ...form, perUserLimit: e.target.value })}
+              placeholder="Unlimited"
+            />
+          </label>
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Creating...' : 'Create Promo Code'}
+        </button>
+      </form>
+
+      <div className="promo-card">
+        <h2>All Promo Codes</h2>
+        {promoCodes.length === 0 ? (
+          <p className="promo-hint">No promo codes yet.</p>
+        ) : (
+          <table className="promo-table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Discount</th>
+                <th>Event</th>
+                <th>Uses</th>
+                <th>Per Person</th>
+                <th>Expires</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {promoCodes.map(promo => {
+                const status = promoStatus(promo);
+                return (
+                  <tr key={promo._id}>
+                    <td>
+                      <strong>{promo.code}</strong>
+                      {promo.description && <div className="promo-hint">{promo.description}</div>}
+                    </td>
+                    <td>{formatDiscount(promo)}</td>
+                    <td>{promo.eventId ? eventTitle(promo.eventId) : 'All events'}</td>
+                    <td>{promo.usesCount}{promo.maxUses ? ` / ${promo.maxUses}` : ''}</td>
+                    <td>{promo.perUserLimit || 'Unlimited'}</td>
+                    <td>{promo.expiresAt ? new Date(promo.expiresAt).toLocaleString() : 'Never'}</td>
+                    <td>
+                      <span className={`promo-status ${status.toLowerCase().replace(' ', '-')}`}>{status}</span>
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="btn btn-secondary"
+                        aria-label={`${promo.active ? 'Deactivate' : 'Activate'} ${promo.code}`}
+                        onClick={() => handleToggle(promo)}
+                      >
+                        {promo.active ? 'Deactivate' : 'Activate'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminPromoCodes;
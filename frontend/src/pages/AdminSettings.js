@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import API_CONFIG from '../config/api';
+import './AdminSettings.css';
+
+const MODES = [
+  { value: 'allowlist', label: 'Allowlist', description: 'Only the allowed domains can register' },
+  { value: 'open', label: 'Open', description: 'Any domain except the denied ones can register' },
+  { value: 'invite_only', label: 'Invite only', description: 'Only invited email addresses can register' }
+];
+
+const toLines = (domains) => domains.join('\n');
+const fromLines = (text) => text.split(/[\n,]/).map(line => line.trim()).filter(Boolean);
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const inviteStatus = (invite) => {
+  if (invite.acceptedAt) return 'Accepted';
+  if (new Date(invite.expiresAt) <= new Date()) return 'Expired';
+  return 'Pending';
+};
+
+function AdminSettings() {
+  const [mode, setMode] = useState('allowlist');
+  const [allowedText, setAllowedText] = useState('');
+  const [deniedText, setDeniedText] = useState('');
+  const [updatedInfo, setUpdatedInfo] = useState(null);
+  const [invites, setInvites] = useState([]);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const applyPolicy = useCallback((policy) => {
+    setMode(policy.mode);
+    setAllowedText(toLines(policy.allowedDomains));
+    setDeniedText(toLines(policy.deniedDomains));
+    setUpdatedInfo(policy.updatedAt ? { name: policy.updatedByName, at: policy.updatedAt } : null);
+  }, []);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const [policyResponse, invitesResponse] = await Promise.all([
+          axios.get(`${API_CONFIG.auth}/auth/registration/admin/policy`, { headers: authHeaders() }),
+          axios.get(`${API_CONFIG.auth}/auth/registration/admin/invites`, { headers: authHeaders() })
+        ]);
+        applyPolicy(policyResponse.data.policy);
+        setInvites(invitesResponse.data.invites);
+      } catch (err) {
+        console.error('Error fetching settings:', err);
+        toast.error('Failed to load registration settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSettings();
+  }, [applyPolicy]);
+
+  const handleSavePolicy = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await axios.put(
+        `${API_CONFIG.auth}/auth/registration/admin/policy`,
+        { mode, allowedDomains: fromLines(allowedText), deniedDomains: fromLines(deniedText) },
+        { headers: authHeaders() }
+      );
+      applyPolicy(response.data.policy);
+      toast.success('Registration policy saved');
+    } catch (err) {
+      const { error, invalid } = err.response?.data || {};
+      toast.error(invalid ? `${error}: ${invalid.join(', ')}` : error || 'Failed to save policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(
+        `${API_CONFIG.auth}/auth/registration/admin/invites`,
+        { email: inviteEmail },
+        { headers: authHeaders() }
+      );
+      setInvites(prev => [response.data.invite, ...prev]);
+      setInviteEmail('');
+      toast.success(`Invite sent to ${response.data.invite.email}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to send invite');
+    }
+  };
+
+  const handleWithdraw = async (invite) => {
+    try {
+      await axios.delete(`${API_CONFIG.auth}/auth/registration/admin/invites/${invite._id}`, {
+        headers: authHeaders()
+      });
+      setInvites(prev => prev.filter(i => i._id !== invite._id));
+      toast.success('Invite withdrawn');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to withdraw invite');
+    }
+  };
+
+  if (loading) return <div className="loading">Loading settings...</div>;
+
+  return (
+    <div className="admin-settings">
+      <div className="settings-header">
+        <h1>Registration Settings</h1>
+        <p className="subtitle">Control who can create an Eventrix account</p>
+      </div>
+
+      <form className="settings-card" onSubmit={handleSavePolicy}>
+        <h2>Registration Policy</h2>
+        <div className="mode-options">
+          {MODES.map(option => (
+            <label key={option.value} className={`mode-option ${mode === option.value ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="mode"
+                value={option.value}
+                checked={mode === option.value}
+                onChange={() => setMode(option.value)}
+              />
+              <span className="mode-label">{option.label}</span>
+              <span className="mode-description">{option.description}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="domain-lists">
+          <label>
+            Allowed domains
+            <textarea
+              value={allowedText}
+              onChange={(e) => setAllowedText(e.target.value)}
+              placeholder={'umd.edu\n*.umd.edu'}
+              rows="5"
+            />
+          </label>
+          <label>
+            Denied domains
+            <textarea
+              value={deniedText}
+              onChange={(e) => setDeniedText(e.target.value)}
+              placeholder="spam.example.com"
+              rows="5"
+            />
+          </label>
+        </div>
+        <p className="settings-hint">
+          One domain per line. <code>umd.edu</code> matches only that domain; <code>*.umd.edu</code> matches any subdomain of it.
+          Denied domains win over allowed ones. Invited addresses can register in any mode.
+        </p>
+
+        {updatedInfo && (
+          <p className="settings-hint">
+            Last updated by {updatedInfo.name} on {new Date(updatedInfo.at).toLocaleString()}
+          </p>
+        )}
+
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Policy'}
+        </button>
+      </form>
+
+      <div className="settings-card">
+        <h2>Invitations</h2>
+        <form className="invite-form" onSubmit={handleInvite}>
+          <input
+            type="email"
+            placeholder="Email to invite"
+            value={inviteEmail}
+            onChange={(e) => setInviteEmail(e.target.value)}
+            required
+          />
+          <button type="submit" className="btn btn-primary">Send Invite</button>
+        </form>
+
+        {invites.length === 0 ? (
+          <p className="settings-hint">No invitations sent yet.</p>
+        ) : (
+          <table className="invite-table">
+            <thead>
+              <tr>
+                <th>Email</th>
+                <th>Status</th>
+                <th>Invited By</th>
+                <th>Expires</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {invites.map(invite => {
+                const status = inviteStatus(invite);
+                return (
+                  <tr key={invite._id}>
+                    <td>{invite.email}</td>
+                    <td><span className={`invite-status ${status.toLowerCase()}`}>{status}</span></td>
+                    <td>{invite.invitedByName}</td>
+                    <td>{new Date(invite.expiresAt).toLocaleDateString()}</td>
+                    <td>
+                      {status !== 'Accepted' && (
+                        <button type="button" className="btn btn-secondary" onClick={() => handleWithdraw(invite)}>
+                          Withdraw
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminSettings;
@@ -0,0 +1,390 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import API_CONFIG from '../config/api';
+import { bookingTiming, formatEventDate } from '../utils/eventTime';
+import './AdminUsers.css';
+
+const ROLES = ['user', 'staff', 'admin'];
+const PAGE_SIZE = 20;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+function AdminUsers({ user }) {
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, pages: 1 });
+  const [filters, setFilters] = useState({ q: '', role: '', status: '', page: 1 });
+  const [search, setSearch] = useState('');
+  const [roleChanges, setRoleChanges] = useState([]);
+  const [lockouts, setLockouts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [detailLoading, setDetailLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        const params = { page: filters.page, limit: PAGE_SIZE };
+        if (filters.q) params.q = filters.q;
+        if (filters.role) params.role = filters.role;
+        if (filters.status) params.status = filters.status;
+
+        const response = await axios.get(`${API_CONFIG.auth}/auth/users`, { params, headers: authHeaders() });
+        setUsers(response.data.users);
+        setPagination(response.data.pagination);
+      } catch (err) {
+        console.error('Error fetching users:', err);
+        toast.error('Failed to load users');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchUsers();
+  }, [filters]);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const [changesResponse, lockoutsResponse] = await Promise.all([
+          axios.get(`${API_CONFIG.auth}/auth/users/role-changes`, { headers: authHeaders() }),
+          axios.get(`${API_CONFIG.auth}/auth/users/lockouts`, { headers: authHeaders() })
+        ]);
+        setRoleChanges(changesResponse.data.entries);
+        setLockouts(lockoutsResponse.data.entries);
+      } catch (err) {
+        console.error('Error fetching account history:', err);
+      }
+    };
+
+    fetchHistory();
+  }, []);
+
+  const updateFilters = (changes) => {
+    // Any new search or filter starts again from the first page
+    setFilters(prev => ({ ...prev, page: 1, ...changes }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilters({ q: search.trim() });
+  };
+
+  const replaceUser = (updated) => {
+    setUsers(prev => prev.map(u => (u.id === updated.id ? updated : u)));
+    setSelected(prev => (prev && prev.user.id === updated.id ? { ...prev, user: updated } : prev));
+  };
+
+  const handleRoleChange = async (target, role) => {
+    if (!window.confirm(`Change ${target.name}'s role from ${target.role} to ${role}? They will be signed out of every device.`)) {
+      return;
+    }
+
+    setUpdatingId(target.id);
+    try {
+      const response = await axios.patch(
+        `${API_CONFIG.auth}/auth/users/${target.id}/role`,
+        { role },
+        { headers: authHeaders() }
+      );
+      replaceUser(response.data.user);
+      setRoleChanges(prev => [response.data.audit, ...prev]);
+      toast.success(`${target.name} is now ${role}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to change role');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleStatusChange = async (target) => {
+    const disabled = !target.disabled;
+    let reason = '';
+
+    if (disabled) {
+      reason = window.prompt(`Disable ${target.name}? They will be signed out of every device. Reason (optional):`, '');
+      if (reason === null) return;
+    } else if (!window.confirm(`Re-enable ${target.name}'s account?`)) {
+      return;
+    }
+
+    setUpdatingId(target.id);
+    try {
+      const response = await axios.patch(
+        `${API_CONFIG.auth}/auth/users/${target.id}/status`,
+        { disabled, reason },
+        { headers: authHeaders() }
+      );
+      replaceUser(response.data.user);
+      toast.success(`${target.name} has been ${disabled ? 'disabled' : 'enabled'}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to change account status');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleUnlock = async (target) => {
+    setUpdatingId(target.id);
+    try {
+      const response = await axios.post(
+        `${API_CONFIG.auth}/auth/users/${target.id}/unlock`,
+        {},
+        { headers: authHeaders() }
+      );
+      replaceUser(response.data.user);
+      setLockouts(prev => [response.data.audit, ...prev]);
+      toast.success(`${target.name} has been unlocked`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to unlock account');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleView = async (target) => {
+    setDetailLoading(true);
+    try {
+      const response = await axios.get(`${API_CONFIG.auth}/auth/users/${target.id}`, { headers: authHeaders() });
+      setSelected(response.data);
+      Object.values(response.data.errors || {}).forEach(message => toast.warning(message));
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load user');
+    } finally {
+      setDetailLoading(false);
+    }
+  };
+
+  if (loading) return <div className="loading">Loading users...</div>;
+
+  return (
+    <div className="admin-users">
+      <div className="admin-users-header">
+        <h1>Manage Users</h1>
+        <p className="subtitle">Find accounts, change roles and disable access. Every change is recorded.</p>
+      </div>
+
+      <div className="users-card">
+        <div className="users-toolbar">
+          <form className="users-search" onSubmit={handleSearch}>
+            <input
+              type="search"
+              aria-label="Search users"
+              placeholder="Search by name or email"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            <button type="submit" className="btn btn-secondary">Search</button>
+          </form>
+          <select
+            aria-label="Filter by role"
+            value={filters.role}
+            onChange={(e) => updateFilters({ role: e.target.value })}
+          >
+            <option value="">All roles</option>
+            {ROLES.map(role => (
+              <option key={role} value={role}>{role}</option>
+            ))}
+          </select>
+          <select
+            aria-label="Filter by status"
+            value={filters.status}
+            onChange={(e) => updateFilters({ status: e.target.value })}
+          >
+            <option value="">Any status</option>
+            <option value="active">Active</option>
+            <option value="disabled">Disabled</option>
+            <option value="locked">Locked</option>
+          </select>
+        </div>
+
+        {users.length === 0 ? (
+          <p className="users-empty">No users match your search.</p>
+        ) : (
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Joined</th>
+                <th>Role</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(u => {
+                const isSelf = String(u.id) === String(user?.id);
+                return (
+                  <tr key={u.id} className={u.disabled ? 'user-disabled' : ''}>
+                    <td>{u.name}{isSelf && <span className="self-badge">You</span>}</td>
+                    <td>{u.email}</td>
+                    <td>{new Date(u.createdAt).toLocaleDateString()}</td>
+                    <td>
+                      <select
+                        aria-label={`Role for ${u.email}`}
+                        value={u.role}
+                        disabled={isSelf || updatingId === u.id}
+                        onChange={(e) => handleRoleChange(u, e.target.value)}
+                      >
+                        {ROLES.map(role => (
+                          <option key={role} value={role}>{role}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <span className={`status-badge ${u.disabled ? 'status-disabled' : 'status-active'}`}>
+                        {u.disabled ? 'Disabled' : 'Active'}
+                      </span>
+                      {u.locked && <span className="status-badge status-locked">Locked</span>}
+                    </td>
+                    <td className="user-actions">
+                      <button type="button" className="btn btn-secondary" onClick={() => handleView(u)}>
+                        View
+                      </button>
+                      {u.locked && (
+                        <button
+                          type="button"
+                          className="btn btn-primary"
+                          aria-label={`Unlock ${u.email}`}
+                          disabled={updatingId === u.id}
+                          onClick={() => handleUnlock(u)}
+                        >
+                          Unlock
+                        </button>
+                      )}
+                      {!isSelf && (
+                        <button
+                          type="button"
+                          className={`btn ${u.disabled ? 'btn-primary' : 'btn-danger'}`}
+                          aria-label={`${u.disabled ? 'Enable' : 'Disable'} ${u.email}`}
+                          disabled={updatingId === u.id}
+                          onClick={() => handleStatusChange(u)}
+                        >
+                          {u.disabled ? 'Enable' : 'Disable'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        <div className="users-pagination">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            disabled={pagination.page <= 1}
+            onClick={() => setFilters(prev => ({ ...prev, page: prev.page - 1 }))}
+          >
+            Previous
+          </button>
+          <span>Page {pagination.page} of {pagination.pages} ({pagination.total} users)</span>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            disabled={pagination.page >= pagination.pages}
+            onClick={() => setFilters(prev => ({ ...prev, page: prev.page + 1 }))}
+          >
+            Next
+          </button>
+        </div>
+      </div>
+
+      {detailLoading && <div className="loading">Loading user...</div>}
+
+      {selected && !detailLoading && (
+        <div className="users-card user-detail">
+          <div className="user-detail-header">
+            <h2>{selected.user.name}</h2>
+            <button type="button" className="btn btn-secondary" onClick={() => setSelected(null)}>Close</button>
+          </div>
+          <p>
+            {selected.user.email} · <span className="user-detail-role">{selected.user.role}</span> · joined{' '}
+            {new Date(selected.user.createdAt).toLocaleDateString()}
+          </p>
+          {selected.user.disabled && (
+            <p className="user-detail-disabled">
+              Disabled {selected.user.disabledAt && `on ${new Date(selected.user.disabledAt).toLocaleDateString()}`}
+              {selected.user.disabledReason && ` – ${selected.user.disabledReason}`}
+            </p>
+          )}
+
+          <h3>Bookings</h3>
+          {selected.errors?.bookings ? (
+            <p className="users-empty">{selected.errors.bookings}</p>
+          ) : selected.bookings.length === 0 ? (
+            <p className="users-empty">No bookings.</p>
+          ) : (
+            <ul className="user-detail-list">
+              {selected.bookings.map(booking => (
+                <li key={booking._id}>
+                  <strong>{booking.eventTitle}</strong> – {booking.numberOfTickets} ticket(s), {booking.bookingStatus}
+                  <span className="role-change-date">{formatEventDate(bookingTiming(booking))}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <h3>Feedback</h3>
+          {selected.errors?.feedback ? (
+            <p className="users-empty">{selected.errors.feedback}</p>
+          ) : selected.feedback.length === 0 ? (
+            <p className="users-empty">No feedback.</p>
+          ) : (
+            <ul className="user-detail-list">
+              {selected.feedback.map(entry => (
+                <li key={entry._id}>
+                  <strong>{entry.eventTitle}</strong> – {entry.rating}/5
+                  {entry.comment && <span className="user-detail-comment">{entry.comment}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="users-card">
+        <h2>Recent Lockouts</h2>
+        {lockouts.length === 0 ? (
+          <p className="users-empty">No lockouts yet.</p>
+        ) : (
+          <ul className="role-change-list">
+            {lockouts.map((entry, index) => (
+              <li key={entry._id || index}>
+                {entry.action === 'account_locked' ? (
+                  <><strong>{entry.targetEmail}</strong> was locked after {entry.details.failedAttempts} failed logins{entry.ipAddress && ` from ${entry.ipAddress}`}</>
+                ) : (
+                  <><strong>{entry.actorName || entry.actorId}</strong> unlocked <strong>{entry.targetEmail}</strong></>
+                )}
+                <span className="role-change-date">{new Date(entry.createdAt).toLocaleString()}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="users-card">
+        <h2>Recent Role Changes</h2>
+        {roleChanges.length === 0 ? (
+          <p className="users-empty">No role changes yet.</p>
+        ) : (
+          <ul className="role-change-list">
+            {roleChanges.map((entry, index) => (
+              <li key={entry._id || index}>
+                <strong>{entry.actorName || entry.actorId}</strong> changed <strong>{entry.targetEmail}</strong> from{' '}
+                {entry.details.from} to {entry.details.to}
+                <span className="role-change-date">{new Date(entry.createdAt).toLocaleString()}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminUsers;
@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import API_CONFIG from '../config/api';
+import './AdminVenues.css';
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const emptySection = () => ({ name: '', rows: '', seatsPerRow: '' });
+
+const emptyForm = () => ({ name: '', address: '', sections: [emptySection()] });
+
+// Rows are lettered A, B, C ... Z, AA, AB ...
+const rowLabel = (index) => {
+  let label = '';
+  let n = index;
+  do {
+    label = String.fromCharCode(65 + (n % 26)) + label;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return label;
+};
+
+const sectionSummary = (section) => {
+  const seats = section.rows.reduce((sum, row) => sum + row.seats, 0);
+  return `${section.name}: ${section.rows.length} ${section.rows.length === 1 ? 'row' : 'rows'}, ${seats} seats`;
+};
+
+function AdminVenues() {
+  const [venues, setVenues] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchVenues = async () => {
+      try {
+        const response = await axios.get(`${API_CONFIG.event}/venues`, { headers: authHeaders() });
+        setVenues(response.data.venues);
+      } catch (err) {
+        console.error('Error fetching venues:', err);
+        toast.error('Failed to load venues');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchVenues();
+  }, []);
+
+  const updateSection = (index, field, value) => {
+    setForm({
+      ...form,
+      sections: form.sections.map((section, i) => (i === index ? { ...section, [field]: value } : section))
+    });
+  };
+
+  const totalSeats = form.sections.reduce(
+    (sum, section) => sum + (Number(section.rows) || 0) * (Number(section.seatsPerRow) || 0),
+    0
+  );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await axios.post(
+        `${API_CONFIG.event}/venues`,
+        {
+          name: form.name,
+          address: form.address,
+          sections: form.sections.map(section => ({
+            name: section.name,
+            rows: Array.from({ length: Number(section.rows) || 0 }, (_, i) => ({
+              label: rowLabel(i),
+              seats: Number(section.seatsPerRow)
+            }))
+          }))
+        },
+        { headers: authHeaders() }
+      );
+      setVenues(prev => [...prev, response.data.venue].sort((a, b) => a.name.localeCompare(b.name)));
+      setForm(emptyForm());
+      toast.success(`${response.data.venue.name} created`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to create venue');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (venue) => {
+    try {
+      await axios.delete(`${API_CONFIG.event}/venues/${venue._id}`, { headers: authHeaders() });
+      setVenues(prev => prev.filter(v => v._id !== venue._id));
+      toast.success(`${venue.name} deleted`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete venue');
+    }
+  };
+
+  if (loading) return <div className="loading">Loading venues...</div>;
+
+  return (
+    <div className="admin-venues">
+      <div className="venues-header">
+        <h1>Venues</h1>
+        <p className="subtitle">Seat maps for events with reserved seating</p>
+      </div>
+
+      <form className="venue-card venue-form" onSubmit={handleCreate}>
+        <h2>New Venue</h2>
+        <div className="venue-form-grid">
+          <label>
+            Venue name
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Campus Theatre"
+              required
+            />
+          </label>
+          <label>
+            Address
+            <input
+              type="text"
+              value={form.address}
+              onChange={(e) => setForm({ ...form, address: e.target.value })}
+              placeholder="1 College Ave"
+            />
+          </label>
+        </div>
+
+        <h3>Sections</h3>
+        {form.sections.map((section, index) => (
+          <div className="venue-section-row" key={index}>
+            <input
+              type="text"
+              aria-label={`Section ${index + 1} name`}
+              placeholder="Name, e.g. Orchestra"
+              value={section.name}
+              onChange={(e) => updateSection(index, 'name', e.target.value)}
+              required
+            />
+            <input
+              type="number"
+              aria-label={`Section ${index + 1} rows`}
+              placeholder="Rows"
+              min="1"
+              value={section.rows}
+              onChange={(e) => updateSection(index, 'rows', e.target.value)}
+              required
+            />
+            <input
+              type="number"
+              aria-label={`Section ${index + 1} seats per row`}
+              placeholder="Seats per row"
+              min="1"
+              max="200"
+              value={section.seatsPerRow}
+              onChange={(e) => updateSection(index, 'seatsPerRow', e.target.value)}
+              required
+            />
+            {form.sections.length > 1 && (
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setForm({ ...form, sections: form.sections.filter((_, i) => i !== index) })}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+        <p className="venue-hint">Rows are lettered from A. {totalSeats} seats in total.</p>
+        <div className="venue-form-actions">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setForm({ ...form, sections: [...form.sections, emptySection()] })}
+          >
+            + Add Section
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? 'Creating...' : 'Create Venue'}
+          </button>
+        </div>
+      </form>
+
+      <div className="venue-card">
+        <h2>All Venues</h2>
+        {venues.length === 0 ? (
+          <p className="venue-hint">No venues yet.</p>
+        ) : (
+          <table className="venue-table">
+            <thead>
+              <tr>
+                <th>Venue</th>
+                <th>Sections</th>
+                <th>Seats</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {venues.map(venue => (
+                <tr key={venue._id}>
+                  <td>
+                    <strong>{venue.name}</strong>
+                    {venue.address && <div className="venue-hint">{venue.address}</div>}
+                  </td>
+                  <td>
+                    {venue.sections.map(section => (
+                      <div key={section.name}>{sectionSummary(section)}</div>
+                    ))}
+                  </td>
+                  <td>{venue.capacity}</td>
+                  <td>
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      aria-label={`Delete ${venue.name}`}
+                      onClick={() => handleDelete(venue)}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminVenues;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import API_CONFIG from '../config/api';
+import { formatEventDate } from '../utils/eventTime';
+import './CheckIn.css';
+
+const SCAN_INTERVAL_MS = 500;
+
+function CheckIn() {
+  const [events, setEvents] = useState([]);
+  const [eventId, setEventId] = useState('');
+  const [payload, setPayload] = useState('');
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const [cameraError, setCameraError] = useState('');
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const scanTimerRef = useRef(null);
+
+  const cameraSupported = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  useEffect(() => {
+    fetchEvents();
+    return () => stopCamera();
+  }, []);
+
+  const fetchEvents = async () => {
+    try {
+      const response = await axios.get(`${API_CONFIG.event}/events?limit=100`);
+      setEvents(response.data.events);
+      if (response.data.events.length > 0) {
+        setEventId(response.data.events[0]._id);
+      }
+    } catch (err) {
+      console.error('Error fetching events:', err);
+    }
+  };
+
+  const submitCheckIn = async (scanned) => {
+    if (!eventId) {
+      setResult({ pass: false, message: 'Select an event first' });
+      return;
+    }
+    if (!scanned || !scanned.trim()) {
+      setResult({ pass: false, message: 'Scan or paste a ticket code' });
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${API_CONFIG.booking}/bookings/check-in`,
+        { payload: scanned.trim(), eventId },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setResult({ pass: true, message: response.data.message, booking: response.data.booking });
+      setPayload('');
+    } catch (err) {
+      setResult({
+        pass: false,
+        message: err.response?.data?.error || 'Check-in failed',
+        booking: err.response?.data?.booking
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const stopCamera = () => {
+    if (scanTimerRef.current) {
+      clearInterval(scanTimerRef.current);
+      scanTimerRef.current = null;
+    }
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+    setScanning(false);
+  };
+
+  const startCamera = async () => {
+    setCameraError('');
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setScanning(true);
+
+      const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      scanTimerRef.current = setInterval(async () => {
+        try {
+          const codes = await detector.detect(videoRef.current);
+          if (codes.length > 0) {
+            stopCamera();
+            await submitCheckIn(codes[0].rawValue);
+          }
+        } catch (err) {
+          console.error('QR detection failed:', err);
+        }
+      }, SCAN_INTERVAL_MS);
+    } catch (err) {
+      setCameraError('Unable to access the camera. Paste the ticket code instead.');
+      stopCamera();
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitCheckIn(payload);
+  };
+
+  return (
+    <div className="check-in">
+      <div className="check-in-header">
+        <h1>Door Check-In</h1>
+        <p className="subtitle">Scan attendee tickets to admit them</p>
+      </div>
+
+      <div className="check-in-panel">
+        <div className="form-group">
+          <label htmlFor="check-in-event">Event</label>
+          <select
+            id="check-in-event"
+            value={eventId}
+            onChange={(e) => { setEventId(e.target.value); setResult(null); }}
+          >
+            {events.map(event => (
+              <option key={event._id} value={event._id}>
+                {event.title} ({formatEventDate(event)})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {cameraSupported && (
+          <div className="camera-section">
+            <video ref={videoRef} className={scanning ? 'camera-preview active' : 'camera-preview'} muted playsInline />
+            {scanning ? (
+              <button className="btn btn-secondary" onClick={stopCamera}>Stop Camera</button>
+            ) : (
+              <button className="btn btn-primary" onClick={startCamera}>Scan with Camera</button>
+            )}
+            {cameraError && <p className="camera-error">{cameraError}</p>}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="paste-form">
+          <label htmlFor="check-in-payload">Ticket code</label>
+          <textarea
+            id="check-in-payload"
+            placeholder="Paste the scanned ticket code or booking reference"
+            value={payload}
+            onChange={(e) => setPayload(e.target.value)}
+            rows={3}
+          />
+          <button type="submit" className="btn btn-primary" disabled={submitting}>
+            {submitting ? 'Checking...' : 'Check In'}
+          </button>
+        </form>
+      </div>
+
+      {result && (
+        <div className={result.pass ? 'check-in-result pass' : 'check-in-result fail'} role="status">
+          <div className="result-icon">{result.pass ? '✓' : '✕'}</div>
+          <h2>{result.pass ? 'ADMIT' : 'DENIED'}</h2>
+          <p className="result-message">{result.message}</p>
+          {result.booking && (
+            <div className="result-details">
+              <p><strong>{result.booking.userName}</strong> — {result.booking.numberOfTickets} ticket(s)</p>
+              {result.booking.seatLabels?.length > 0 && (
+                <p>Seats: {result.booking.seatLabels.join(', ')}</p>
+              )}
+              <p>Ref: {result.booking.bookingReference}</p>
+              {result.booking.checkedInAt && (
+                <p>
+                  Checked in {new Date(result.booking.checkedInAt).toLocaleTimeString()}
+                  {result.booking.checkedInByName && ` by ${result.booking.checkedInByName}`}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CheckIn;
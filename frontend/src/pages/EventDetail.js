@@ -1,26 +1,56 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { toast } from 'react-toastify';
 import API_CONFIG from '../config/api';
+import { formatEventDate, formatEventTime, hasStarted } from '../utils/eventTime';
 import './EventDetail.css';
 
-// Utility function to convert 24-hour to 12-hour format
-const formatTime = (timeStr) => {
-  if (!timeStr) return '';
-  
-  // If already in 12-hour format, return as is
-  if (/AM|PM/i.test(timeStr)) return timeStr;
-  
-  // Convert 24-hour format to 12-hour
-  const [hours, minutes] = timeStr.split(':');
-  let hour = parseInt(hours);
-  const period = hour >= 12 ? 'PM' : 'AM';
-  
-  if (hour === 0) hour = 12;
-  else if (hour > 12) hour -= 12;
-  
-  return `${hour}:${minutes} ${period}`;
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+// Why a ticket tier can't be bought right now, or null when it is on sale
+const tierSaleStatus = (tier, now = new Date()) => {
+  if (tier.salesStart && new Date(tier.salesStart) > now) {
+    return `On sale ${new Date(tier.salesStart).toLocaleDateString()}`;
+  }
+  if (tier.salesEnd && new Date(tier.salesEnd) <= now) {
+    return 'Sales ended';
+  }
+  return null;
+};
+
+// Start on the first tier that can be bought, preferring one with seats left
+const defaultTierId = (event) => {
+  const onSale = (event.ticketTypes || []).filter(tier => !tierSaleStatus(tier));
+  const tier = onSale.find(t => t.available > 0) || onSale[0];
+  return tier ? tier._id : '';
+};
+
+// How often the seat map refreshes while someone is picking seats
+const SEAT_MAP_REFRESH_MS = 5000;
+
+// Group an event's flat seat list into sections and rows, keeping layout order
+const groupSeats = (seats) => {
+  const sections = [];
+  seats.forEach(seat => {
+    let section = sections.find(s => s.name === seat.section);
+    if (!section) {
+      section = { name: seat.section, rows: [] };
+      sections.push(section);
+    }
+    let row = section.rows.find(r => r.label === seat.row);
+    if (!row) {
+      row = { label: seat.row, seats: [] };
+      section.rows.push(row);
+    }
+    row.seats.push(seat);
+  });
+  return sections;
 };
 
 function EventDetail({ user }) {
@@ -44,8 +74,40 @@ function EventDetail({ user }) {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
   const [hasActiveBooking, setHasActiveBooking] = useState(false);
   const [checkingBooking, setCheckingBooking] = useState(true);
+  const [hold, setHold] = useState(null);
+  const [holdRemaining, setHoldRemaining] = useState(0);
+  const [cardNumber, setCardNumber] = useState('');
+  const [ticketTypeId, setTicketTypeId] = useState('');
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [selectedSeats, setSelectedSeats] = useState([]);
+  const [seriesDates, setSeriesDates] = useState([]);
+
+  // Tiered events price and count seats per ticket type
+  const tiers = event?.ticketTypes || [];
+  const selectedTier = tiers.find(tier => tier._id === ticketTypeId);
+  const unitPrice = selectedTier ? selectedTier.price : event?.price;
+  const seatsLeft = selectedTier ? Math.min(selectedTier.available, event.availableSeats) : event?.availableSeats;
+
+  // Events with a seat map sell specific seats instead of a ticket count
+  const seatMap = event?.seats || [];
+  const seated = seatMap.length > 0;
+  const ticketCount = seated ? selectedSeats.length : tickets;
+
+  const fetchEvent = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_CONFIG.event}/events/${id}`);
+      setEvent(response.data);
+      setTicketTypeId(prev => prev || defaultTierId(response.data));
+    } catch (err) {
+      console.error('Error fetching event:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
 
   useEffect(() => {
+    setSelectedSeats([]);
     fetchEvent();
     fetchFeedback();
     if (user) {
@@ -55,16 +117,71 @@ function EventDetail({ user }) {
     }
   }, [id, user]);
 
-  const fetchEvent = async () => {
-    try {
-      const response = await axios.get(`${API_CONFIG.event}/events/${id}`);
-      setEvent(response.data);
-    } catch (err) {
-      console.error('Error fetching event:', err);
-    } finally {
-      setLoading(false);
+  // Other dates of a recurring event
+  const seriesId = event?.seriesId;
+  useEffect(() => {
+    if (!seriesId) {
+      setSeriesDates([]);
+      return;
     }
-  };
+
+    const fetchSeries = async () => {
+      try {
+        const response = await axios.get(`${API_CONFIG.event}/series/${seriesId}`);
+        setSeriesDates(response.data.events || []);
+      } catch (err) {
+        console.error('Error fetching series:', err);
+      }
+    };
+
+    fetchSeries();
+  }, [seriesId]);
+
+  // Keep the seat map current while seats are being picked, and drop any
+  // picked seat that someone else has taken in the meantime
+  useEffect(() => {
+    if (!seated || hold) return undefined;
+
+    const refreshSeats = async () => {
+      try {
+        const response = await axios.get(`${API_CONFIG.event}/events/${id}`);
+        const freeSeats = new Set((response.data.seats || [])
+          .filter(seat => seat.status === 'available')
+          .map(seat => seat.label));
+        setEvent(response.data);
+        setSelectedSeats(prev => prev.filter(label => freeSeats.has(label)));
+      } catch (err) {
+        console.error('Error refreshing seats:', err);
+      }
+    };
+
+    const timer = setInterval(refreshSeats, SEAT_MAP_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [id, seated, hold]);
+
+  // A discount preview only holds for the order it was checked against
+  useEffect(() => {
+    setAppliedPromo(null);
+  }, [hold?._id]);
+
+  useEffect(() => {
+    if (!hold) return undefined;
+
+    const tick = () => {
+      const remaining = new Date(hold.expiresAt).getTime() - Date.now();
+      if (remaining <= 0) {
+        setHold(null);
+        toast.warning('Your seat hold expired. The seats have been released.');
+        fetchEvent();
+        return;
+      }
+      setHoldRemaining(remaining);
+    };
+
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [hold, fetchEvent]);
 
   const fetchFeedback = async () => {
     try {
@@ -99,23 +216,65 @@ function EventDetail({ user }) {
       return;
     }
 
-    if (tickets < 1 || tickets > 10) {
+    if (seated && selectedSeats.length === 0) {
+      toast.error('Please choose your seats');
+      return;
+    }
+
+    if (ticketCount < 1 || ticketCount > 10) {
       toast.error('Please select between 1 and 10 tickets');
       return;
     }
 
+    if (tiers.length > 0 && !selectedTier) {
+      toast.error('Please choose a ticket type');
+      return;
+    }
+
     setBooking(true);
     setMessage('');
 
+    const token = localStorage.getItem('token');
+    const tierChoice = selectedTier ? { ticketTypeId: selectedTier._id } : {};
+    const seatChoice = seated ? { seatLabels: selectedSeats } : {};
+
+    // Available seats are held for a few minutes while the user pays; full events go to the waitlist
+    if (seatsLeft >= ticketCount) {
+      try {
+        const response = await axios.post(
+          `${API_CONFIG.booking}/bookings/holds`,
+          { eventId: event._id, numberOfTickets: ticketCount, ...tierChoice, ...seatChoice },
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        setHold(response.data.hold);
+        setSelectedSeats([]);
+      } catch (err) {
+        if (err.response?.status === 409 && err.response.data?.hold) {
+          setHold(err.response.data.hold);
+        } else if (err.response?.data?.unavailableSeats) {
+          const taken = err.response.data.unavailableSeats;
+          toast.error(`Just taken: ${taken.join(', ')}. Please pick other seats.`);
+          setSelectedSeats(prev => prev.filter(label => !taken.includes(label)));
+          fetchEvent();
+        } else {
+          toast.error(err.response?.data?.error || 'Booking failed');
+          fetchEvent();
+        }
+      } finally {
+        setBooking(false);
+      }
+      return;
+    }
+
     try {
-      const token = localStorage.getItem('token');
       const response = await axios.post(
         `${API_CONFIG.booking}/bookings`,
         {
           eventId: event._id,
           numberOfTickets: tickets,
+          ...tierChoice,
           paymentMethod: 'credit_card',
-          joinWaitlist: event.availableSeats < tickets
+          joinWaitlist: true
         },
         {
           headers: { Authorization: `Bearer ${token}` }
@@ -126,12 +285,7 @@ function EventDetail({ user }) {
         toast.warning('Event is full. You have been added to the waitlist.');
         setTimeout(() => navigate('/my-bookings'), 2000);
       } else {
-        setShowSuccessModal(true);
-        setTimeout(() => {
-          setShowSuccessModal(false);
-          navigate('/my-bookings');
-          window.scrollTo(0, 0);
-        }, 2500);
+        showBookingConfirmed();
       }
     } catch (err) {
       toast.error(err.response?.data?.error || 'Booking failed');
@@ -140,6 +294,76 @@ function EventDetail({ user }) {
     }
   };
 
+  const showBookingConfirmed = () => {
+    setShowSuccessModal(true);
+    setTimeout(() => {
+      setShowSuccessModal(false);
+      navigate('/my-bookings');
+      window.scrollTo(0, 0);
+    }, 2500);
+  };
+
+  const handleCheckout = async () => {
+    setBooking(true);
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(
+        `${API_CONFIG.booking}/bookings/holds/${hold._id}/checkout`,
+        { paymentMethod: 'credit_card', cardNumber, ...(appliedPromo ? { promoCode: appliedPromo.code } : {}) },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setHold(null);
+      setPromoInput('');
+      showBookingConfirmed();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Payment failed');
+      if (err.response?.status === 410) {
+        setHold(null);
+        fetchEvent();
+      }
+    } finally {
+      setBooking(false);
+    }
+  };
+
+  const handleApplyPromo = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${API_CONFIG.booking}/bookings/promo-codes/validate`,
+        {
+          code: promoInput,
+          eventId: event._id,
+          numberOfTickets: hold.numberOfTickets,
+          ...(hold.ticketTypeId ? { ticketTypeId: hold.ticketTypeId } : {})
+        },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setAppliedPromo(response.data);
+      toast.success(`Promo code ${response.data.code} applied`);
+    } catch (err) {
+      setAppliedPromo(null);
+      toast.error(err.response?.data?.error || 'Promo code could not be applied');
+    }
+  };
+
+  const handleReleaseHold = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete(
+        `${API_CONFIG.booking}/bookings/holds/${hold._id}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      toast.info('Your held seats have been released');
+    } catch (err) {
+      console.error('Error releasing hold:', err);
+    } finally {
+      setHold(null);
+      fetchEvent();
+    }
+  };
+
   const handleFeedbackSubmit = async (e) => {
     e.preventDefault();
     if (!user) {
@@ -211,19 +435,209 @@ function EventDetail({ user }) {
     }
   };
 
+  const renderTierPicker = () => {
+    if (tiers.length === 0) return null;
+
+    return (
+      <fieldset className="ticket-type-picker">
+        <legend>Ticket type:</legend>
+        {tiers.map(tier => {
+          const saleStatus = tierSaleStatus(tier);
+          return (
+            <label key={tier._id} className={`ticket-type-option${saleStatus ? ' unavailable' : ''}`}>
+              <input
+                type="radio"
+                name="ticket-type"
+                value={tier._id}
+                checked={ticketTypeId === tier._id}
+                onChange={() => setTicketTypeId(tier._id)}
+                disabled={Boolean(saleStatus)}
+              />
+              <span className="ticket-type-name">{tier.name}</span>
+              <span className="ticket-type-price">${tier.price}</span>
+              <span className="ticket-type-status">
+                {saleStatus || (tier.available > 0 ? `${tier.available} left` : 'Sold out')}
+              </span>
+            </label>
+          );
+        })}
+      </fieldset>
+    );
+  };
+
+  const toggleSeat = (label) => {
+    if (selectedSeats.includes(label)) {
+      setSelectedSeats(selectedSeats.filter(l => l !== label));
+    } else if (selectedSeats.length >= 10) {
+      toast.error('You can choose up to 10 seats');
+    } else {
+      setSelectedSeats([...selectedSeats, label]);
+    }
+  };
+
+  const renderSeatPicker = () => (
+    <fieldset className="seat-picker">
+      <legend>Choose your seats:</legend>
+      <div className="seat-legend">
+        <span><span className="seat available" /> Available</span>
+        <span><span className="seat selected" /> Your pick</span>
+        <span><span className="seat held" /> On hold</span>
+        <span><span className="seat booked" /> Taken</span>
+      </div>
+      {groupSeats(seatMap).map(section => (
+        <div className="seat-section" key={section.name}>
+          <h4>{section.name}</h4>
+          {section.rows.map(row => (
+            <div className="seat-row" key={row.label}>
+              <span className="seat-row-label">{row.label}</span>
+              {row.seats.map(seat => {
+                const picked = selectedSeats.includes(seat.label);
+                return (
+                  <button
+                    key={seat.label}
+                    type="button"
+                    className={`seat ${picked ? 'selected' : seat.status}`}
+                    aria-label={`Seat ${seat.label}`}
+                    aria-pressed={picked}
+                    title={seat.status === 'available' ? seat.label : `${seat.label} (${seat.status === 'held' ? 'on hold' : 'taken'})`}
+                    disabled={seat.status !== 'available'}
+                    onClick={() => toggleSeat(seat.label)}
+                  >
+                    {seat.number}
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      ))}
+      <p className="seat-selection">
+        {selectedSeats.length > 0 ? `Selected: ${selectedSeats.join(', ')}` : 'No seats selected'}
+      </p>
+    </fieldset>
+  );
+
   const renderBookingSection = () => {
-    if (event.availableSeats > 0) {
+    if (hold) {
+      const heldTier = tiers.find(tier => tier._id === hold.ticketTypeId);
+      const heldPrice = heldTier ? heldTier.price : event.price;
+      return (
+        <div className="booking-section hold-section">
+          <p className="hold-summary">
+            {hold.numberOfTickets} {hold.ticketTypeName ? `${hold.ticketTypeName} ` : ''}
+            {hold.numberOfTickets === 1 ? 'seat is' : 'seats are'} held for you
+          </p>
+          {hold.seatLabels?.length > 0 && (
+            <p className="hold-seats">Seats: {hold.seatLabels.join(', ')}</p>
+          )}
+          <p className="hold-countdown">
+            Complete payment within <span className="hold-timer">{formatCountdown(holdRemaining)}</span>
+          </p>
+          <div className="promo-code-entry">
+            <label htmlFor="promo-code">Promo code:</label>
+            <input
+              id="promo-code"
+              type="text"
+              value={promoInput}
+              onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+            />
+            <button type="button" className="btn btn-secondary" onClick={handleApplyPromo} disabled={!promoInput}>
+              Apply
+            </button>
+          </div>
+          {appliedPromo && (
+            <p className="promo-discount">
+              {appliedPromo.code}: -${appliedPromo.discountAmount.toFixed(2)}
+            </p>
+          )}
+          <p className="total">Total: ${appliedPromo ? appliedPromo.total : heldPrice * hold.numberOfTickets}</p>
+          <label htmlFor="card-number">Card number:</label>
+          <input
+            id="card-number"
+            type="text"
+            inputMode="numeric"
+            autoComplete="cc-number"
+            placeholder="4242 4242 4242 4242"
+            value={cardNumber}
+            onChange={(e) => setCardNumber(e.target.value)}
+          />
+          <div className="hold-actions">
+            <button
+              onClick={handleCheckout}
+              className="btn btn-primary"
+              disabled={booking}
+            >
+              {booking ? 'Processing...' : 'Confirm & Pay'}
+            </button>
+            <button
+              onClick={handleReleaseHold}
+              className="btn btn-secondary"
+              disabled={booking}
+            >
+              Release Seats
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    if (event.status === 'cancelled') {
+      return (
+        <div className="booking-section">
+          <p className="booking-closed">
+            This event has been cancelled.{event.cancellationReason ? ` ${event.cancellationReason}` : ''}
+          </p>
+        </div>
+      );
+    }
+
+    if (event.status === 'ongoing' || event.status === 'completed') {
+      return (
+        <div className="booking-section">
+          <p className="booking-closed">
+            {event.status === 'completed' ? 'This event has ended.' : 'This event has already started. Booking is closed.'}
+          </p>
+        </div>
+      );
+    }
+
+    if (seated) {
+      if (seatsLeft <= 0) {
+        return (
+          <div className="booking-section">
+            <p className="sold-out">This event is sold out.</p>
+          </div>
+        );
+      }
+
       return (
         <div className="booking-section">
+          {renderSeatPicker()}
+          <p className="total">Total: ${unitPrice * selectedSeats.length}</p>
+          <button
+            onClick={handleBooking}
+            className="btn btn-primary"
+            disabled={booking || selectedSeats.length === 0}
+          >
+            {booking ? 'Booking...' : 'Book Now'}
+          </button>
+        </div>
+      );
+    }
+
+    if (seatsLeft > 0) {
+      return (
+        <div className="booking-section">
+          {renderTierPicker()}
           <label>Number of tickets:</label>
           <input
             type="number"
             min="1"
-            max={Math.min(event.availableSeats, 10)}
+            max={Math.min(seatsLeft, 10)}
             value={tickets}
             onChange={(e) => setTickets(parseInt(e.target.value) || 1)}
           />
-          <p className="total">Total: ${event.price * tickets}</p>
+          <p className="total">Total: ${unitPrice * tickets}</p>
           <button
             onClick={handleBooking}
             className="btn btn-primary"
@@ -237,7 +651,10 @@ function EventDetail({ user }) {
 
     return (
       <div className="booking-section waitlist-section">
-        <p className="sold-out">This event is currently full.</p>
+        {renderTierPicker()}
+        <p className="sold-out">
+          {selectedTier ? `${selectedTier.name} tickets are sold out.` : 'This event is currently full.'}
+        </p>
         <div className="waitlist-form">
           <label>Number of tickets:</label>
           <input
@@ -262,6 +679,8 @@ function EventDetail({ user }) {
   if (loading) return <div className="loading">Loading event...</div>;
   if (!event) return <div>Event not found</div>;
 
+  const otherDates = seriesDates.filter(occurrence => occurrence._id !== event._id && !hasStarted(occurrence));
+
   return (
     <div className="event-detail">
       <img src={event.imageUrl} alt={event.title} className="event-detail-image" />
@@ -272,10 +691,10 @@ function EventDetail({ user }) {
 
         <div className="event-details">
           <div className="detail-item">
-            <strong>Date:</strong> {new Date(event.date).toLocaleDateString()}
+            <strong>Date:</strong> {formatEventDate(event)}
           </div>
           <div className="detail-item">
-            <strong>Time:</strong> {formatTime(event.time)}
+            <strong>Time:</strong> {formatEventTime(event)}
           </div>
           <div className="detail-item">
             <strong>Venue:</strong> {event.venue}
@@ -284,7 +703,7 @@ function EventDetail({ user }) {
             <strong>Organizer:</strong> {event.organizer}
           </div>
           <div className="detail-item">
-            <strong>Price:</strong> ${event.price} per ticket
+            <strong>Price:</strong> {tiers.length > 0 ? `from $${event.price}` : `$${event.price}`} per ticket
           </div>
           <div className="detail-item">
             <strong>Available Seats:</strong> {event.availableSeats} / {event.capacity}
@@ -294,6 +713,24 @@ function EventDetail({ user }) {
           </div>
         </div>
 
+        {otherDates.length > 0 && (
+          <div className="series-dates">
+            <h3>More dates</h3>
+            <ul>
+              {otherDates.map(occurrence => (
+                <li key={occurrence._id}>
+                  <Link to={`/events/${occurrence._id}`}>
+                    {formatEventDate(occurrence, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}
+                  </Link>
+                  <span className="series-date-seats">
+                    {occurrence.availableSeats > 0 ? `${occurrence.availableSeats} seats left` : 'Sold out'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {renderBookingSection()}
 
         {message && (
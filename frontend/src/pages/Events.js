@@ -2,23 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
 import API_CONFIG from '../config/api';
+import { formatEventDate, formatEventTime } from '../utils/eventTime';
 import './Events.css';
 
-// Utility function to convert 24-hour to 12-hour format
-const formatTime = (timeStr) => {
-  if (!timeStr) return '';
-  if (/AM|PM/i.test(timeStr)) return timeStr;
-  
-  const [hours, minutes] = timeStr.split(':');
-  let hour = parseInt(hours);
-  const period = hour >= 12 ? 'PM' : 'AM';
-  
-  if (hour === 0) hour = 12;
-  else if (hour > 12) hour -= 12;
-  
-  return `${hour}:${minutes} ${period}`;
-};
-
 function Events() {
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -39,10 +25,11 @@ function Events() {
     setLoading(true);
     try {
       let url = `${API_CONFIG.event}/events`;
-      const params = [];
+      // Recurring events show once, as their next date
+      const params = ['groupSeries=true'];
       if (debouncedSearch) params.push(`search=${encodeURIComponent(debouncedSearch)}`);
       if (category) params.push(`category=${category}`);
-      if (params.length) url += `?${params.join('&')}`;
+      url += `?${params.join('&')}`;
 
       const response = await axios.get(url);
       setEvents(response.data.events || []);
@@ -124,6 +111,9 @@ function Events() {
                   }}
                 />
                 <span className="event-category">{event.category}</span>
+                {event.seriesOccurrences > 1 && (
+                  <span className="event-series">&#8635; {event.seriesOccurrences} dates</span>
+                )}
               </div>
               <div className="event-content">
                 <h3>{event.title}</h3>
@@ -135,7 +125,7 @@ function Events() {
                       <line x1="8" y1="2" x2="8" y2="6"></line>
                       <line x1="3" y1="10" x2="21" y2="10"></line>
                     </svg>
-                    <span>{new Date(event.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</span>
+                    <span>{formatEventDate(event, { month: 'short', day: 'numeric', year: 'numeric' })}</span>
                   </div>
                   {event.time && (
                     <div className="detail-item">
@@ -143,7 +133,7 @@ function Events() {
                         <circle cx="12" cy="12" r="10"></circle>
                         <polyline points="12 6 12 12 16 14"></polyline>
                       </svg>
-                      <span>{formatTime(event.time)}</span>
+                      <span>{formatEventTime(event)}</span>
                     </div>
                   )}
                   <div className="detail-item">
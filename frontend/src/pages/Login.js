@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import API_CONFIG from '../config/api';
 import './Auth.css';
@@ -8,10 +9,30 @@ function Login({ onLogin }) {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [mfaToken, setMfaToken] = useState('');
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const navigate = useNavigate();
+
+  const finishLogin = (data) => {
+    // Show loader for 1 second before redirecting
+    setTimeout(() => {
+      onLogin(data.token, data.user, data.refreshToken);
+      setLoading(false);
+      // Admins have to turn on two-factor authentication before admin pages work
+      if (data.mfaSetupRequired) {
+        navigate('/security');
+      }
+    }, 1000);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setNotice('');
+    setNeedsVerification(false);
     setLoading(true);
 
     try {
@@ -20,17 +41,54 @@ function Login({ onLogin }) {
         password
       });
 
-      // Show loader for 1 second before redirecting
-      setTimeout(() => {
-        onLogin(response.data.token, response.data.user);
+      if (response.data.mfaRequired) {
+        setMfaToken(response.data.mfaToken);
         setLoading(false);
-      }, 1000);
+        return;
+      }
+
+      finishLogin(response.data);
     } catch (err) {
       setError(err.response?.data?.error || 'Login failed');
+      setNeedsVerification(err.response?.data?.code === 'EMAIL_NOT_VERIFIED');
       setLoading(false);
     }
   };
 
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await axios.post(`${API_CONFIG.auth}/auth/login/mfa`, {
+        mfaToken,
+        ...(useRecoveryCode ? { recoveryCode: mfaCode } : { code: mfaCode })
+      });
+      finishLogin(response.data);
+    } catch (err) {
+      const code = err.response?.data?.code;
+      setError(err.response?.data?.error || 'Login failed');
+      setMfaCode('');
+      // An expired challenge or a locked account means starting again from the password
+      if (!['INVALID_MFA_CODE', 'RATE_LIMITED'].includes(code)) {
+        setMfaToken('');
+      }
+      setLoading(false);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await axios.post(`${API_CONFIG.auth}/auth/resend-verification`, { email });
+      setError('');
+      setNeedsVerification(false);
+      setNotice(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to resend verification email');
+    }
+  };
+
   return (
     <>
       {loading && (
@@ -46,6 +104,41 @@ function Login({ onLogin }) {
         <div className="auth-card">
           <h2>Login</h2>
           {error && <div className="error">{error}</div>}
+          {notice && <div className="success">{notice}</div>}
+          {needsVerification && (
+            <button type="button" className="btn btn-secondary" onClick={handleResendVerification}>
+              Resend Verification Email
+            </button>
+          )}
+          {mfaToken ? (
+            <form onSubmit={handleMfaSubmit}>
+              <p className="auth-note">
+                {useRecoveryCode
+                  ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+                  : 'Enter the 6-digit code from your authenticator app.'}
+              </p>
+              <input
+                type="text"
+                placeholder={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                value={mfaCode}
+                onChange={(e) => setMfaCode(e.target.value)}
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoFocus
+                required
+              />
+              <button type="submit" className="btn btn-primary" disabled={loading}>
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+              <button
+                type="button"
+                className="btn btn-link"
+                onClick={() => { setUseRecoveryCode(!useRecoveryCode); setMfaCode(''); }}
+              >
+                {useRecoveryCode ? 'Use your authenticator app instead' : 'Use a recovery code instead'}
+              </button>
+            </form>
+          ) : (
           <form onSubmit={handleSubmit}>
           <input
             type="email"
@@ -65,6 +158,10 @@ function Login({ onLogin }) {
             {loading ? 'Logging in...' : 'Login'}
           </button>
         </form>
+          )}
+        <p className="auth-link">
+          <Link to="/forgot-password">Forgot your password?</Link>
+        </p>
       </div>
     </div>
     </>
@@ -3,23 +3,9 @@ import axios from 'axios';
 import QRCode from 'qrcode';
 import { toast } from 'react-toastify';
 import API_CONFIG from '../config/api';
+import { bookingTiming, formatEventDate, formatEventTime } from '../utils/eventTime';
 import './MyBookings.css';
 
-// Utility function to convert 24-hour to 12-hour format
-const formatTime = (timeStr) => {
-  if (!timeStr) return '';
-  if (/AM|PM/i.test(timeStr)) return timeStr;
-  
-  const [hours, minutes] = timeStr.split(':');
-  let hour = parseInt(hours);
-  const period = hour >= 12 ? 'PM' : 'AM';
-  
-  if (hour === 0) hour = 12;
-  else if (hour > 12) hour -= 12;
-  
-  return `${hour}:${minutes} ${period}`;
-};
-
 function MyBookings() {
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -29,6 +15,7 @@ function MyBookings() {
   const [showQRModal, setShowQRModal] = useState(false);
   const [selectedBooking, setSelectedBooking] = useState(null);
   const [qrCodeUrl, setQrCodeUrl] = useState('');
+  const [refundTimelines, setRefundTimelines] = useState({});
 
   useEffect(() => {
     window.scrollTo(0, 0);
@@ -57,14 +44,11 @@ function MyBookings() {
 
   const showQRCode = async (booking) => {
     try {
-      const qrPayload = {
-        bookingReference: booking.bookingReference,
-        eventId: booking.eventId,
-        eventTitle: booking.eventTitle,
-        eventDate: booking.eventDate,
-        userEmail: booking.userEmail
-      };
-      const qrUrl = await QRCode.toDataURL(JSON.stringify(qrPayload));
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_CONFIG.booking}/bookings/${booking._id}/ticket`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const qrUrl = await QRCode.toDataURL(response.data.token);
       setQrCodeUrl(qrUrl);
       setSelectedBooking(booking);
       setShowQRModal(true);
@@ -73,11 +57,32 @@ function MyBookings() {
     }
   };
 
+  const toggleRefundTimeline = async (booking) => {
+    if (refundTimelines[booking._id]) {
+      setRefundTimelines(prev => {
+        const next = { ...prev };
+        delete next[booking._id];
+        return next;
+      });
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_CONFIG.booking}/bookings/${booking._id}/refunds`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setRefundTimelines(prev => ({ ...prev, [booking._id]: response.data.refunds }));
+    } catch (err) {
+      toast.error('Failed to load refund history');
+    }
+  };
+
   const showCancelConfirmation = (bookingId) => {
     setCancelBookingId(bookingId);
     setModalContent({
       title: 'Cancel Booking',
-      message: 'Are you sure you want to cancel this booking? This action cannot be undone.',
+      message: 'Are you sure you want to cancel this booking? This action cannot be undone. Refunds: 100% more than 7 days before the event, 75% within 7 days, 50% within 48 hours.',
       type: 'confirm'
     });
     setShowModal(true);
@@ -112,6 +117,7 @@ function MyBookings() {
     switch (status) {
       case 'confirmed': return '#28a745';
       case 'waitlisted': return '#ffc107';
+      case 'expired': return '#6c757d';
       case 'cancelled': return '#dc3545';
       case 'pending': return '#6c757d';
       default: return '#6c757d';
@@ -167,7 +173,7 @@ function MyBookings() {
                     </div>
                     <div>
                       <span className="label">Date</span>
-                      <span className="value">{new Date(booking.eventDate).toLocaleDateString('en-US', { 
+                      <span className="value">{formatEventDate(bookingTiming(booking), { 
                         weekday: 'short', 
                         month: 'short', 
                         day: 'numeric', 
@@ -175,7 +181,7 @@ function MyBookings() {
                       })}</span>
                     </div>
                   </div>
-                  {booking.eventTime && (
+                  {(booking.eventStartsAt || booking.eventTime) && (
                     <div className="info-item">
                       <div className="icon-circle">
                         <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -185,7 +191,7 @@ function MyBookings() {
                       </div>
                       <div>
                         <span className="label">Time</span>
-                        <span className="value">{formatTime(booking.eventTime)}</span>
+                        <span className="value">{formatEventTime(bookingTiming(booking))}</span>
                       </div>
                     </div>
                   )}
@@ -217,7 +223,12 @@ function MyBookings() {
                     </div>
                     <div>
                       <span className="label">Tickets</span>
-                      <span className="value">{booking.numberOfTickets}</span>
+                      <span className="value">
+                        {booking.numberOfTickets}{booking.ticketTypeName ? ` × ${booking.ticketTypeName}` : ''}
+                      </span>
+                      {booking.seatLabels?.length > 0 && (
+                        <span className="value seat-labels">Seats {booking.seatLabels.join(', ')}</span>
+                      )}
                     </div>
                   </div>
                   <div className="info-item">
@@ -238,10 +249,38 @@ function MyBookings() {
                   <span className={`payment-badge ${booking.paymentStatus}`}>
                     {booking.paymentStatus === 'completed' ? '✓ Paid' : 
                      booking.paymentStatus === 'refunded' ? '↺ Refunded' : 
+                     booking.paymentStatus === 'partially_refunded' ? `↺ $${booking.refundedAmount} refunded` :
                      booking.paymentStatus}
                   </span>
+                  {(booking.bookingStatus === 'cancelled' || booking.refundedAmount > 0) && (
+                    <button
+                      onClick={() => toggleRefundTimeline(booking)}
+                      className="btn-refunds"
+                    >
+                      {refundTimelines[booking._id] ? 'Hide Refunds' : 'Refund History'}
+                    </button>
+                  )}
                 </div>
 
+                {refundTimelines[booking._id] && (
+                  <ul className="refund-timeline">
+                    {refundTimelines[booking._id].length === 0 ? (
+                      <li className="refund-entry empty">No refunds for this booking.</li>
+                    ) : (
+                      refundTimelines[booking._id].map(refund => (
+                        <li key={refund._id} className={`refund-entry ${refund.status}`}>
+                          <span className="refund-date">
+                            {new Date(refund.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                          </span>
+                          <span className="refund-amount">${refund.amount}</span>
+                          <span className="refund-status">{refund.status}</span>
+                          <span className="refund-reason">{refund.reason}</span>
+                        </li>
+                      ))
+                    )}
+                  </ul>
+                )}
+
                 {booking.bookingStatus === 'waitlisted' && (
                   <div className="waitlist-alert">
                     <svg className="alert-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -252,6 +291,18 @@ function MyBookings() {
                   </div>
                 )}
 
+                {booking.bookingStatus === 'expired' && (
+                  <div className="waitlist-alert">
+                    <p>The event started before seats became available. You were not charged.</p>
+                  </div>
+                )}
+
+                {booking.cancellationReason && (
+                  <div className="waitlist-alert">
+                    <p>The organizer cancelled this event: {booking.cancellationReason}</p>
+                  </div>
+                )}
+
                 {booking.bookingStatus === 'confirmed' && (
                   <div className="booking-actions">
                     <button
@@ -1,22 +1,56 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 import API_CONFIG from '../config/api';
 import './Auth.css';
 
-function Register({ onLogin }) {
+// Mirrors auth-service: "umd.edu" is exact, "*.umd.edu" matches any subdomain
+const domainMatches = (domain, pattern) => (
+  pattern.startsWith('*.') ? domain.endsWith(pattern.slice(1)) : domain === pattern
+);
+
+const describeDomains = (domains) => domains.map(domain => `@${domain}`).join(' or ');
+
+function Register() {
+  const [searchParams] = useSearchParams();
   const [name, setName] = useState('');
-  const [email, setEmail] = useState('');
+  // Invite links carry the invited address, which may be outside the allowed domains
+  const invitedEmail = (searchParams.get('email') || '').toLowerCase();
+  const [email, setEmail] = useState(invitedEmail);
+  const [policy, setPolicy] = useState(null);
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [registered, setRegistered] = useState(false);
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const response = await axios.get(`${API_CONFIG.auth}/auth/registration/policy`);
+        setPolicy(response.data);
+      } catch (err) {
+        // The server still enforces the policy; the form just can't pre-check it
+        console.error('Error fetching registration policy:', err);
+      }
+    };
+    fetchPolicy();
+  }, []);
+
+  const allowlist = policy?.mode === 'allowlist' ? policy.allowedDomains : null;
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
 
-    // Validate UMD email
-    if (!email.endsWith('@umd.edu')) {
-      setError('Only @umd.edu email addresses are allowed');
+    // Validate the email domain against the registration policy
+    const normalizedEmail = email.trim().toLowerCase();
+    const domain = normalizedEmail.split('@').pop();
+    if (
+      allowlist &&
+      normalizedEmail !== invitedEmail &&
+      !allowlist.some(pattern => domainMatches(domain, pattern))
+    ) {
+      setError(`Only ${describeDomains(allowlist)} email addresses are allowed`);
       return;
     }
 
@@ -29,23 +63,37 @@ function Register({ onLogin }) {
     setLoading(true);
 
     try {
-      const response = await axios.post(`${API_CONFIG.auth}/auth/register`, {
+      await axios.post(`${API_CONFIG.auth}/auth/register`, {
         name,
         email,
         password
       });
 
-      // Show loader for 1 second before redirecting
-      setTimeout(() => {
-        onLogin(response.data.token, response.data.user);
-        setLoading(false);
-      }, 1000);
+      // The account can't log in until the emailed link is opened
+      setRegistered(true);
+      setLoading(false);
     } catch (err) {
       setError(err.response?.data?.error || 'Registration failed');
       setLoading(false);
     }
   };
 
+  if (registered) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Check Your Email</h2>
+          <div className="success">
+            We sent a verification link to <strong>{email}</strong>. Open it to activate your account, then log in.
+          </div>
+          <p className="auth-link">
+            Already verified?<Link to="/login">Login</Link>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <>
       {loading && (
@@ -60,6 +108,9 @@ function Register({ onLogin }) {
       <div className="auth-container">
         <div className="auth-card">
           <h2>Register</h2>
+          {policy?.mode === 'invite_only' && (
+            <p className="auth-note">Registration is by invitation only. Use the email address your invite was sent to.</p>
+          )}
           {error && <div className="error">{error}</div>}
           <form onSubmit={handleSubmit}>
           <input
@@ -71,7 +122,7 @@ function Register({ onLogin }) {
           />
           <input
             type="email"
-            placeholder="UMD Email (@umd.edu)"
+            placeholder={allowlist ? `Email (${describeDomains(allowlist)})` : 'Email'}
             value={email}
             onChange={(e) => setEmail(e.target.value)}
             required
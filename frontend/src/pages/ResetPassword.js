@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import API_CONFIG from '../config/api';
+import './Auth.css';
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(token ? '' : 'This reset link is missing its token.');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters long');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await axios.post(`${API_CONFIG.auth}/auth/reset-password`, { token, password });
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Password reset failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Reset Password</h2>
+        {error && <div className="error">{error}</div>}
+        {message ? (
+          <>
+            <div className="success">{message}</div>
+            <p className="auth-link">
+              <Link to="/login">Go to Login</Link>
+            </p>
+          </>
+        ) : token && (
+          <form onSubmit={handleSubmit}>
+            <input
+              type="password"
+              placeholder="New Password (min 6 characters)"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              minLength="6"
+            />
+            <input
+              type="password"
+              placeholder="Confirm New Password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+            />
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+        {!token && (
+          <p className="auth-link">
+            <Link to="/forgot-password">Request a new link</Link>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import QRCode from 'qrcode';
+import { toast } from 'react-toastify';
+import API_CONFIG from '../config/api';
+import { saveSession } from '../config/session';
+import './Security.css';
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+function Security() {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await axios.get(`${API_CONFIG.auth}/auth/mfa`, { headers: authHeaders() });
+        setStatus(response.data);
+      } catch (err) {
+        console.error('Error fetching two-factor status:', err);
+        toast.error('Failed to load security settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStatus();
+  }, []);
+
+  const startSetup = async () => {
+    setSubmitting(true);
+    try {
+      const response = await axios.post(`${API_CONFIG.auth}/auth/mfa/setup`, {}, { headers: authHeaders() });
+      const qrCodeUrl = await QRCode.toDataURL(response.data.otpauthUrl);
+      setSetup({ secret: response.data.secret, qrCodeUrl });
+      setCode('');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to start two-factor setup');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const confirmSetup = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await axios.post(`${API_CONFIG.auth}/auth/mfa/enable`, { code }, { headers: authHeaders() });
+      // The new access token records that this sign-in passed 2FA
+      saveSession(response.data.token);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setStatus(prev => ({
+        ...prev,
+        enabled: true,
+        sessionVerified: true,
+        recoveryCodesRemaining: response.data.recoveryCodes.length
+      }));
+      setSetup(null);
+      setCode('');
+      toast.success('Two-factor authentication is on');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to turn on two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Disabling and new recovery codes both take a current authenticator code
+  const submitWithCode = async (e, action) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await axios.post(`${API_CONFIG.auth}/auth/mfa/${action}`, { code }, { headers: authHeaders() });
+      if (action === 'disable') {
+        setStatus(prev => ({ ...prev, enabled: false, recoveryCodesRemaining: 0 }));
+        setRecoveryCodes([]);
+      } else {
+        setRecoveryCodes(response.data.recoveryCodes);
+        setStatus(prev => ({ ...prev, recoveryCodesRemaining: response.data.recoveryCodes.length }));
+      }
+      setCode('');
+      toast.success(response.data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'That code did not work');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) return <div className="loading">Loading security settings...</div>;
+  if (!status) return <div className="security"><p className="security-empty">Security settings are unavailable.</p></div>;
+
+  return (
+    <div className="security">
+      <div className="security-header">
+        <h1>Security</h1>
+        <p className="subtitle">Protect your account with a code from an authenticator app.</p>
+      </div>
+
+      <div className="security-card">
+        <h2>Two-factor authentication</h2>
+
+        {status.required && !status.enabled && (
+          <div className="security-warning">
+            Administrators must turn on two-factor authentication. Admin pages stay locked until you do.
+          </div>
+        )}
+
+        {status.enabled ? (
+          <>
+            <p className="security-status security-on">On</p>
+            <p>{status.recoveryCodesRemaining} recovery codes left.</p>
+            {status.required && !status.sessionVerified && (
+              <div className="security-warning">
+                Log out and back in with your authenticator code to use admin pages on this device.
+              </div>
+            )}
+          </>
+        ) : (
+          <p className="security-status security-off">Off</p>
+        )}
+
+        {recoveryCodes.length > 0 && (
+          <div className="recovery-codes">
+            <h3>Save your recovery codes</h3>
+            <p>Each code signs you in once if you lose your phone. They won't be shown again.</p>
+            <ul>
+              {recoveryCodes.map(recoveryCode => <li key={recoveryCode}><code>{recoveryCode}</code></li>)}
+            </ul>
+          </div>
+        )}
+
+        {!status.enabled && !setup && (
+          <button type="button" className="btn btn-primary" onClick={startSetup} disabled={submitting}>
+            Set Up Two-Factor Authentication
+          </button>
+        )}
+
+        {setup && (
+          <form className="security-form" onSubmit={confirmSetup}>
+            <p>Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+            <img src={setup.qrCodeUrl} alt="Two-factor QR code" className="security-qr" />
+            <p className="security-secret">
+              Can't scan it? Enter this key instead: <code>{setup.secret}</code>
+            </p>
+            <input
+              type="text"
+              aria-label="Authentication code"
+              placeholder="123456"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              required
+            />
+            <button type="submit" className="btn btn-primary" disabled={submitting}>Turn On</button>
+          </form>
+        )}
+
+        {status.enabled && (
+          <form className="security-form" onSubmit={(e) => e.preventDefault()}>
+            <p>Enter a current code from your authenticator app to manage two-factor authentication.</p>
+            <input
+              type="text"
+              aria-label="Authentication code"
+              placeholder="123456"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+            />
+            <div className="security-actions">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                disabled={submitting || !code}
+                onClick={(e) => submitWithCode(e, 'recovery-codes')}
+              >
+                New Recovery Codes
+              </button>
+              {!status.required && (
+                <button
+                  type="button"
+                  className="btn btn-danger"
+                  disabled={submitting || !code}
+                  onClick={(e) => submitWithCode(e, 'disable')}
+                >
+                  Turn Off
+                </button>
+              )}
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Security;
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import API_CONFIG from '../config/api';
+import './Sessions.css';
+
+// Rough "Browser on OS" label from a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : null;
+  const os = /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || userAgent;
+};
+
+function Sessions({ onLogout }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_CONFIG.auth}/auth/sessions`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSessions(response.data.sessions);
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+      toast.error('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revokeSession = async (session) => {
+    setRevokingId(session.id);
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete(`${API_CONFIG.auth}/auth/sessions/${session.id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      if (session.current) {
+        toast.info('You have been logged out of this device');
+        onLogout();
+        return;
+      }
+
+      toast.success('Device signed out');
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to revoke session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  if (loading) return <div className="loading">Loading sessions...</div>;
+
+  return (
+    <div className="sessions">
+      <div className="sessions-header">
+        <h1>Active Sessions</h1>
+        <p className="subtitle">Devices currently signed in to your account</p>
+      </div>
+
+      {sessions.length === 0 ? (
+        <p className="sessions-empty">No active sessions.</p>
+      ) : (
+        <ul className="session-list">
+          {sessions.map(session => (
+            <li key={session.id} className={session.current ? 'session-item current' : 'session-item'}>
+              <div className="session-info">
+                <strong>{describeDevice(session.userAgent)}</strong>
+                {session.current && <span className="current-badge">This device</span>}
+                <span className="session-meta">
+                  {session.ipAddress && `${session.ipAddress} · `}
+                  Signed in {new Date(session.createdAt).toLocaleDateString()} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                </span>
+              </div>
+              <button
+                className="btn btn-secondary"
+                onClick={() => revokeSession(session)}
+                disabled={revokingId === session.id}
+              >
+                {session.current ? 'Log Out' : 'Revoke'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default Sessions;
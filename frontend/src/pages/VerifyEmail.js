@@ -0,0 +1,47 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import API_CONFIG from '../config/api';
+import './Auth.css';
+
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.');
+  // Tokens are single-use, so guard against the effect running twice in development
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+
+    axios.post(`${API_CONFIG.auth}/auth/verify-email`, { token })
+      .then(response => {
+        setStatus('verified');
+        setMessage(response.data.message);
+      })
+      .catch(err => {
+        setStatus('error');
+        setMessage(err.response?.data?.error || 'Email verification failed');
+      });
+  }, [token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Email Verification</h2>
+        {status === 'verifying' && <p className="auth-link">Verifying your email...</p>}
+        {status === 'verified' && <div className="success">{message}</div>}
+        {status === 'error' && <div className="error">{message}</div>}
+        {status !== 'verifying' && (
+          <p className="auth-link">
+            <Link to="/login">Go to Login</Link>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
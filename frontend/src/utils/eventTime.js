@@ -0,0 +1,107 @@
+// Events start at an instant (startsAt) and are shown in their own timezone,
+// so everyone sees the time printed on the poster. Events saved before that
+// was stored only have a date and a local time, which are shown as they are.
+
+const DEFAULT_DATE_FORMAT = { year: 'numeric', month: 'numeric', day: 'numeric' };
+
+// "18:30" -> "6:30 PM"
+export const formatClockTime = (timeStr) => {
+  if (!timeStr) return '';
+  if (/AM|PM/i.test(timeStr)) return timeStr;
+
+  const [hours, minutes] = timeStr.split(':');
+  let hour = parseInt(hours);
+  const period = hour >= 12 ? 'PM' : 'AM';
+
+  if (hour === 0) hour = 12;
+  else if (hour > 12) hour -= 12;
+
+  return `${hour}:${minutes} ${period}`;
+};
+
+// "6:30 PM" -> "18:30"; 24-hour times are returned as they are
+const to24Hour = (timeStr) => {
+  const match = (timeStr || '').match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+  if (!match) return timeStr || '';
+
+  let hours = parseInt(match[1], 10);
+  const period = match[3].toUpperCase();
+  if (period === 'PM' && hours !== 12) hours += 12;
+  if (period === 'AM' && hours === 12) hours = 0;
+
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+};
+
+// The same timing fields, read off a booking's copy of the event
+export const bookingTiming = (booking) => ({
+  startsAt: booking.eventStartsAt,
+  timezone: booking.eventTimezone,
+  date: booking.eventDate,
+  time: booking.eventTime
+});
+
+export const formatEventDate = (event, options = DEFAULT_DATE_FORMAT) => {
+  if (event.startsAt) {
+    return new Date(event.startsAt).toLocaleDateString('en-US', { ...options, timeZone: event.timezone || 'UTC' });
+  }
+  // Old dates are the local day stored at midnight UTC
+  return new Date(event.date).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+};
+
+// "6:30 PM EDT", or "6:30 PM – 9:00 PM EDT" when the event has an end time
+export const formatEventTime = (event) => {
+  if (event.startsAt) {
+    const clock = (instant, timeZoneName) => new Date(instant).toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: event.timezone || 'UTC',
+      timeZoneName
+    });
+    return event.endsAt
+      ? `${clock(event.startsAt)} – ${clock(event.endsAt, 'short')}`
+      : clock(event.startsAt, 'short');
+  }
+  return formatClockTime(event.time);
+};
+
+export const hasStarted = (event) => new Date(event.startsAt || event.date) <= new Date();
+
+// Local date and 24-hour time of when an event starts
+const localStart = (event) => {
+  if (!event.startsAt) {
+    return { date: String(event.date).split('T')[0], time: to24Hour(event.time) };
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: event.timezone || 'UTC',
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(new Date(event.startsAt));
+  const get = (type) => parts.find(part => part.type === type).value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}`
+  };
+};
+
+// The event's local date ("2030-03-10"), 24-hour start time ("18:30") and end
+// time ("" when it has none) for form inputs
+export const localDateAndTime = (event) => ({
+  ...localStart(event),
+  endTime: event.endsAt ? localStart({ startsAt: event.endsAt, timezone: event.timezone }).time : ''
+});
+
+export const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Every IANA timezone the browser knows, falling back to a short list
+export const timezoneOptions = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [browserTimezone()];
+  return [...new Set(['UTC', ...zones])];
+};
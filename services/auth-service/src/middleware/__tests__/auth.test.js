@@ -0,0 +1,31 @@
+const request = require('supertest');
+const express = require('express');
+const { isAdmin } = require('../auth');
+
+describe('isAdmin', () => {
+  const createTestApp = (user, authSession) => {
+    const app = express();
+    app.get('/admin', (req, res, next) => {
+      req.user = user;
+      req.authSession = authSession;
+      next();
+    }, isAdmin, (req, res) => res.json({ ok: true }));
+    return app;
+  };
+
+  test('only lets admins through', async () => {
+    const res = await request(createTestApp({ role: 'staff' }, { mfaVerified: true })).get('/admin');
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Access denied. Admin only.');
+  });
+
+  test('requires the session to have passed two-factor authentication', async () => {
+    const withoutMfa = await request(createTestApp({ role: 'admin' }, { mfaVerified: false })).get('/admin');
+    const withMfa = await request(createTestApp({ role: 'admin' }, { mfaVerified: true })).get('/admin');
+
+    expect(withoutMfa.status).toBe(403);
+    expect(withoutMfa.body.code).toBe('MFA_REQUIRED');
+    expect(withMfa.status).toBe(200);
+  });
+});
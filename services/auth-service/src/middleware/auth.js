@@ -0,0 +1,59 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyAccessToken, isSessionActive } = require('../utils/tokens');
+
+// Authenticate an access token and make sure its session has not been revoked
+const verifyToken = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid token', details: err.message });
+  }
+
+  try {
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!isSessionActive(session)) {
+      return res.status(401).json({ error: 'Session has expired or was revoked' });
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.disabled) {
+      return res.status(401).json({ error: 'This account has been disabled' });
+    }
+
+    req.user = user;
+    req.authSession = session;
+    next();
+  } catch (err) {
+    res.status(401).json({ error: 'Invalid token', details: err.message });
+  }
+};
+
+// Middleware to check if user is admin. Admin actions also need a session that passed 2FA.
+const isAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Access denied. Admin only.' });
+  }
+
+  if (!req.authSession?.mfaVerified) {
+    return res.status(403).json({
+      error: 'Two-factor authentication is required for admin actions',
+      code: 'MFA_REQUIRED'
+    });
+  }
+
+  next();
+};
+
+module.exports = { verifyToken, isAdmin };
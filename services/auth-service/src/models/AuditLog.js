@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Append-only record of security-relevant account changes
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['role_changed', 'account_disabled', 'account_enabled', 'account_locked', 'account_unlocked'],
+    required: [true, 'Action is required']
+  },
+  // "system" for changes made by scripts such as the admin bootstrap
+  actorId: {
+    type: String,
+    required: [true, 'Actor is required']
+  },
+  actorName: {
+    type: String,
+    default: ''
+  },
+  targetUserId: {
+    type: String,
+    required: [true, 'Target user is required']
+  },
+  targetEmail: {
+    type: String,
+    default: ''
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens: mailed links (email verification, password reset) and the short-lived
+// challenge between a correct password and the second factor. Only the hash is stored.
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    enum: ['email_verification', 'password_reset', 'mfa_challenge'],
+    required: [true, 'Token type is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+authTokenSchema.index({ tokenHash: 1 }, { unique: true });
+authTokenSchema.index({ userId: 1, type: 1, usedAt: 1 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// An address an admin has invited to register while the policy is invite-only
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  invitedBy: {
+    type: String,
+    required: [true, 'Inviting admin is required']
+  },
+  invitedByName: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+inviteSchema.index({ email: 1, acceptedAt: 1 });
+
+module.exports = mongoose.model('Invite', inviteSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Who may register. There is a single document, keyed "default".
+const registrationPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // open: any domain not denied; allowlist: only allowed domains; invite_only: only invited addresses
+  mode: {
+    type: String,
+    enum: ['open', 'allowlist', 'invite_only'],
+    default: 'allowlist'
+  },
+  // Exact domains ("umd.edu") or wildcard subdomains ("*.umd.edu")
+  allowedDomains: {
+    type: [String],
+    default: []
+  },
+  deniedDomains: {
+    type: [String],
+    default: []
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  },
+  updatedByName: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('RegistrationPolicy', registrationPolicySchema);
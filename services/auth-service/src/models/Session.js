@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One row per signed-in device. The refresh token itself is never stored, only its hash.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: [true, 'User ID is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required']
+  },
+  // Hash of the token this one replaced; presenting it again means the token was stolen
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  // Whether this sign-in passed a second factor; carried into every access token as "mfa"
+  mfaVerified: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
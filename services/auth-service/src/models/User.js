@@ -22,9 +22,72 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'staff', 'admin'],
     default: 'user'
   },
+  // No default on purpose: accounts created before verification existed have no value
+  // and are treated as verified. New registrations start at false.
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Disabled accounts cannot log in; set by admins from the user directory
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  disabledAt: {
+    type: Date,
+    default: null
+  },
+  disabledReason: {
+    type: String,
+    default: ''
+  },
+  // TOTP two-factor authentication. mfaPendingSecret holds a secret during enrollment
+  // until the user proves their app has it.
+  mfaEnabled: {
+    type: Boolean,
+    default: false
+  },
+  mfaSecret: {
+    type: String,
+    default: null
+  },
+  mfaPendingSecret: {
+    type: String,
+    default: null
+  },
+  // Last 30-second step accepted, so a code can't be used twice
+  mfaLastUsedStep: {
+    type: Number,
+    default: -1
+  },
+  // SHA-256 hashes of the unused recovery codes
+  mfaRecoveryCodes: {
+    type: [String],
+    default: []
+  },
+  mfaEnabledAt: {
+    type: Date,
+    default: null
+  },
+  // Consecutive wrong passwords; reset on a successful login or by an admin
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
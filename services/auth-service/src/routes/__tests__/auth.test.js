@@ -1,5 +1,9 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const express = require('express');
+const mongoose = require('mongoose');
 
 
 jest.mock('../../models/User', () => {
@@ -16,36 +20,193 @@ jest.mock('../../models/User', () => {
   mockUserConstructor.findOne = jest.fn();
   mockUserConstructor.findById = jest.fn();
   mockUserConstructor.find = jest.fn();
+  mockUserConstructor.findOneAndUpdate = jest.fn();
+  mockUserConstructor.updateOne = jest.fn();
 
   return mockUserConstructor;
 });
 
 
+jest.mock('../../models/Session', () => {
+  const sessions = [];
+  let nextId = 1;
+
+  const Session = function (data) {
+    Object.assign(this, {
+      revokedAt: null,
+      previousTokenHash: null,
+      createdAt: new Date(),
+      lastUsedAt: new Date()
+    }, data);
+    this._id = `session-${nextId++}`;
+  };
+
+  Session.__sessions = sessions;
+
+  Session.prototype.save = jest.fn(async function () {
+    if (!sessions.includes(this)) {
+      sessions.push(this);
+    }
+    return this;
+  });
+
+  Session.findById = jest.fn(async id => sessions.find(s => s._id === id) || null);
+  Session.updateMany = jest.fn(async (query, update) => {
+    sessions
+      .filter(s => s.userId === query.userId && !s.revokedAt)
+      .forEach(s => Object.assign(s, update.$set));
+  });
+  Session.findOne = jest.fn(async query => sessions.find(s => s._id === query._id && s.userId === query.userId) || null);
+  const matches = (query, session) => Object.keys(query).every(key => (query[key] === null
+    ? !session[key]
+    : session[key] === query[key]));
+  Session.findOneAndUpdate = jest.fn(async (query, update) => {
+    const session = sessions.find(s => matches(query, s));
+    return session ? Object.assign(session, update.$set) : null;
+  });
+  Session.updateOne = jest.fn(async (query, update) => {
+    const session = sessions.find(s => matches(query, s));
+    if (session) Object.assign(session, update.$set);
+    return { modifiedCount: session ? 1 : 0 };
+  });
+  Session.find = jest.fn(query => ({
+    sort: jest.fn().mockResolvedValue(sessions.filter(s => s.userId === query.userId && !s.revokedAt && s.expiresAt > new Date())),
+    select: jest.fn(async () => sessions.filter(s => s.revokedAt && s.revokedAt >= query.revokedAt.$gte))
+  }));
+
+  return Session;
+});
+
+jest.mock('../../models/AuthToken', () => {
+  const tokens = [];
+
+  const AuthToken = function (data) {
+    Object.assign(this, { usedAt: null, createdAt: new Date() }, data);
+  };
+
+  AuthToken.__tokens = tokens;
+
+  AuthToken.prototype.save = jest.fn(async function () {
+    tokens.push(this);
+    return this;
+  });
+
+  const matches = (query, token) => Object.keys(query).every(key => {
+    const value = query[key];
+    if (value && value.$gt) return token[key] > value.$gt;
+    return token[key] === value;
+  });
+
+  AuthToken.updateMany = jest.fn(async (query, update) => {
+    tokens.filter(t => matches(query, t)).forEach(t => Object.assign(t, update.$set));
+  });
+  AuthToken.findOne = jest.fn(async query => tokens.find(t => matches(query, t)) || null);
+  AuthToken.findOneAndUpdate = jest.fn(async (query, update) => {
+    const token = tokens.find(t => matches(query, t));
+    if (!token) return null;
+    return Object.assign(token, update.$set);
+  });
+
+  return AuthToken;
+});
+
+jest.mock('../../models/RegistrationPolicy', () => ({
+  findOne: jest.fn()
+}));
+
+jest.mock('../../models/Invite', () => ({
+  findOne: jest.fn()
+}));
+
+jest.mock('../../models/AuditLog', () => {
+  const entries = [];
+  const AuditLog = function (data) {
+    Object.assign(this, { createdAt: new Date() }, data);
+  };
+  AuditLog.__entries = entries;
+  AuditLog.prototype.save = jest.fn(async function () {
+    entries.push(this);
+    return this;
+  });
+  return AuditLog;
+});
+
 jest.mock('jsonwebtoken', () => ({
   sign: jest.fn(() => 'fake-jwt-token'),
   verify: jest.fn(),
 }));
 
 const authRouter = require('../auth');
-const debugRouter = require('../debug');
 const User = require('../../models/User');
+const Session = require('../../models/Session');
 const jwt = require('jsonwebtoken');
+const AuthToken = require('../../models/AuthToken');
+const RegistrationPolicy = require('../../models/RegistrationPolicy');
+const Invite = require('../../models/Invite');
+const AuditLog = require('../../models/AuditLog');
+const { setClock } = require('../../utils/clock');
+const { resetIpFailures, trackedIpCount } = require('../../utils/loginThrottle');
+const { serviceHeaders } = require('../../middleware/serviceAuth');
+const { generateSecret, generateCode } = require('../../utils/totp');
+const { issueRecoveryCodes } = require('../../utils/mfa');
+const { createFileTransport, setMailTransport } = require('../../utils/mailer');
+
+// Emails land in a temp directory instead of going out over SMTP
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-mail-'));
+setMailTransport(createFileTransport(mailDir));
+afterAll(() => fs.rmSync(mailDir, { recursive: true, force: true }));
+
+const readMail = () => fs.readdirSync(mailDir)
+  .sort()
+  .map(file => JSON.parse(fs.readFileSync(path.join(mailDir, file), 'utf8')));
+
+const clearMail = () => fs.readdirSync(mailDir).forEach(file => fs.unlinkSync(path.join(mailDir, file)));
+
+const tokenFromMail = (mail) => new URL(/https?:\/\/\S+token=[0-9a-f]+/.exec(mail.text)[0]).searchParams.get('token');
+
+
+// Atomic User updates land on the one stored user, as they would in MongoDB
+const storeUser = (user) => {
+  const value = (v) => (v instanceof Date ? v.getTime() : v ?? null);
+  const matches = (query) => Object.keys(query).every(key => value(query[key]) === value(user[key]));
+  const apply = (query, update) => {
+    if (!matches(query)) return null;
+    Object.entries(update.$inc || {}).forEach(([key, by]) => {
+      user[key] = (user[key] || 0) + by;
+    });
+    Object.assign(user, update.$set);
+    return user;
+  };
 
+  User.findOneAndUpdate.mockImplementation(async (query, update) => apply(query, update));
+  User.updateOne.mockImplementation(async (query, update) => ({ modifiedCount: apply(query, update) ? 1 : 0 }));
+};
 
 function createTestApp() {
   const app = express();
   app.use(express.json());
   app.use('/api/auth', authRouter);
-  app.use('/api/debug', debugRouter);
   return app;
 }
 
+const addSession = (overrides) => {
+  const session = new Session({
+    userId: 'user-id',
+    refreshTokenHash: 'hash',
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...overrides
+  });
+  Session.__sessions.push(session);
+  return session;
+};
+
 describe('Auth Service Routes', () => {
   let app;
 
   beforeEach(() => {
     app = createTestApp();
     jest.clearAllMocks();
+    Session.__sessions.length = 0;
   });
 
 
@@ -104,9 +265,10 @@ describe('Auth Service Routes', () => {
     expect(res.body.error).toMatch(/Email already registered/i);
   });
 
-  test('POST /api/auth/register creates a new user and returns token', async () => {
+  test('POST /api/auth/register creates an unverified user and emails a verification link', async () => {
     // No existing user
     User.findOne.mockResolvedValue(null);
+    clearMail();
 
     const res = await request(app)
       .post('/api/auth/register')
@@ -120,17 +282,39 @@ describe('Auth Service Routes', () => {
     expect(User.findOne).toHaveBeenCalledWith({ email: 'newuser@umd.edu' });
    
     expect(res.status).toBe(201);
-    expect(jwt.sign).toHaveBeenCalled(); 
-    expect(res.body).toHaveProperty('token', 'fake-jwt-token');
+    expect(res.body.requiresVerification).toBe(true);
+    expect(res.body).not.toHaveProperty('token');
+    expect(jwt.sign).not.toHaveBeenCalled();
     expect(res.body.user).toMatchObject({
       name: 'New User',
       email: 'newuser@umd.edu',
       role: 'user',
     });
+
+    const [mail] = readMail();
+    expect(mail.to).toBe('newuser@umd.edu');
+    expect(mail.text).toContain('/verify-email?token=');
+    expect(AuthToken.__tokens[0].tokenHash).not.toBe(tokenFromMail(mail));
   });
 
 
 
+  test('POST /api/auth/register ignores a role in the request body', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Sneaky User',
+        email: 'sneaky@umd.edu',
+        password: 'password123',
+        role: 'admin',
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.role).toBe('user');
+  });
+
   test('POST /api/auth/login returns 400 when email or password is missing', async () => {
     const res = await request(app)
       .post('/api/auth/login')
@@ -164,6 +348,7 @@ describe('Auth Service Routes', () => {
       email: 'test@umd.edu',
       role: 'user',
       comparePassword: mockCompare,
+      save: jest.fn().mockResolvedValue(undefined),
     });
 
     const res = await request(app)
@@ -233,7 +418,8 @@ describe('Auth Service Routes', () => {
   });
 
   test('GET /api/auth/verify returns user when token is valid', async () => {
-    jwt.verify.mockReturnValue({ id: 'user-id', role: 'user' });
+    const session = addSession();
+    jwt.verify.mockReturnValue({ id: 'user-id', role: 'user', sid: session._id });
 
     const mockSelect = jest.fn().mockResolvedValue({
       _id: 'user-id',
@@ -250,7 +436,7 @@ describe('Auth Service Routes', () => {
       .get('/api/auth/verify')
       .set('Authorization', 'Bearer validtoken');
 
-    expect(jwt.verify).toHaveBeenCalledWith('validtoken', expect.any(String));
+    expect(jwt.verify).toHaveBeenCalledWith('validtoken', expect.anything(), { algorithms: ['RS256'] });
     expect(User.findById).toHaveBeenCalledWith('user-id');
     expect(mockSelect).toHaveBeenCalledWith('-password');
 
@@ -267,42 +453,718 @@ describe('Auth Service Routes', () => {
   });
 });
 
-describe('Debug Routes', () => {
+describe('Sessions and refresh tokens', () => {
   let app;
 
+  const verifiedUser = { _id: 'user-id', name: 'Test User', email: 'test@umd.edu', role: 'user' };
+
+  const login = async () => {
+    User.findOne.mockResolvedValue({ ...verifiedUser, comparePassword: jest.fn().mockResolvedValue(true) });
+    return request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'Test Browser')
+      .send({ email: 'test@umd.edu', password: 'password123' });
+  };
+
+  // Make the mocked jwt.verify accept an access token for the given session
+  const authenticateAs = (session) => {
+    jwt.verify.mockReturnValue({ id: 'user-id', role: 'user', sid: session._id });
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(verifiedUser) });
+  };
+
   beforeEach(() => {
     app = createTestApp();
     jest.clearAllMocks();
+    Session.__sessions.length = 0;
   });
 
-  test('GET /api/debug/users returns user list', async () => {
-    const mockSelect = jest.fn().mockResolvedValue([
-      { _id: 'u1', email: 'one@umd.edu' },
-      { _id: 'u2', email: 'two@umd.edu' },
-    ]);
+  test('login starts a session and stores only a hash of the refresh token', async () => {
+    const res = await login();
 
-    User.find.mockReturnValue({
-      select: mockSelect,
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).toEqual(expect.any(String));
+    const [session] = Session.__sessions;
+    expect(jwt.sign).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'user-id', name: 'Test User', role: 'user', sid: session._id }),
+      expect.anything(),
+      expect.objectContaining({ algorithm: 'RS256', keyid: expect.any(String), expiresIn: 900 })
+    );
+
+    expect(session.userAgent).toBe('Test Browser');
+    expect(session.refreshTokenHash).not.toBe(res.body.refreshToken);
+    expect(res.body.refreshToken.startsWith(`${session._id}.`)).toBe(true);
+  });
+
+  test('refresh rotates the refresh token and rejects the old one', async () => {
+    const { body } = await login();
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(verifiedUser) });
+
+    const first = await request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+
+    expect(first.status).toBe(200);
+    expect(first.body.token).toBe('fake-jwt-token');
+    expect(first.body.refreshToken).not.toBe(body.refreshToken);
+
+    const second = await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken });
+    expect(second.status).toBe(200);
+  });
+
+  test('two refreshes racing with the same token do not both get a new one', async () => {
+    const { body } = await login();
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(verifiedUser) });
+
+    // Both requests load their own copy of the session before either rotates it
+    let release;
+    const bothLoaded = new Promise(resolve => { release = resolve; });
+    let loads = 0;
+    const findById = Session.findById.getMockImplementation();
+    Session.findById.mockImplementation(async id => {
+      const session = await findById(id);
+      if (++loads === 2) release();
+      if (loads <= 2) await bothLoaded;
+      return { ...session };
     });
 
-    const res = await request(app).get('/api/debug/users');
+    const refresh = () => request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+    const results = await Promise.all([refresh(), refresh()]);
+    Session.findById.mockImplementation(findById);
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 401]);
+    expect(Session.__sessions[0].revokedAt).toBeInstanceOf(Date);
+  });
+
+  test('reusing a rotated refresh token revokes the session', async () => {
+    const { body } = await login();
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(verifiedUser) });
+    const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+
+    const replay = await request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+
+    expect(replay.status).toBe(401);
+    expect(Session.__sessions[0].revokedAt).toBeInstanceOf(Date);
+
+    const legit = await request(app).post('/api/auth/refresh').send({ refreshToken: rotated.body.refreshToken });
+    expect(legit.status).toBe(401);
+  });
+
+  test('disabled accounts cannot log in, refresh or use existing tokens', async () => {
+    const { body } = await login();
+    const disabledUser = { ...verifiedUser, disabled: true };
+
+    User.findOne.mockResolvedValue({ ...disabledUser, comparePassword: jest.fn().mockResolvedValue(true) });
+    const loginRes = await request(app).post('/api/auth/login').send({ email: 'test@umd.edu', password: 'password123' });
+    expect(loginRes.status).toBe(403);
+    expect(loginRes.body.code).toBe('ACCOUNT_DISABLED');
+
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(disabledUser) });
+    const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+    expect(refresh.status).toBe(401);
+    expect(Session.__sessions[0].revokedAt).toBeInstanceOf(Date);
+
+    const session = addSession();
+    jwt.verify.mockReturnValue({ id: 'user-id', role: 'user', sid: session._id });
+    const verify = await request(app).get('/api/auth/verify').set('Authorization', 'Bearer access-token');
+    expect(verify.status).toBe(401);
+  });
+
+  test('refresh rejects missing, unknown and expired tokens', async () => {
+    const missing = await request(app).post('/api/auth/refresh').send({});
+    expect(missing.status).toBe(400);
+
+    const unknown = await request(app).post('/api/auth/refresh').send({ refreshToken: 'session-99.abc' });
+    expect(unknown.status).toBe(401);
+
+    const { body } = await login();
+    Session.__sessions[0].expiresAt = new Date(Date.now() - 1000);
+    const expired = await request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+    expect(expired.status).toBe(401);
+  });
+
+  test('logout revokes the session so its access token stops verifying', async () => {
+    const session = addSession();
+    authenticateAs(session);
+
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', 'Bearer access-token');
 
-    expect(User.find).toHaveBeenCalledWith({});
-    expect(mockSelect).toHaveBeenCalledWith('-password');
     expect(res.status).toBe(200);
-    expect(res.body).toHaveLength(2);
+    expect(session.revokedAt).toBeInstanceOf(Date);
+
+    const verify = await request(app)
+      .get('/api/auth/verify')
+      .set('Authorization', 'Bearer access-token');
+    expect(verify.status).toBe(401);
+    expect(verify.body.error).toMatch(/revoked/);
   });
 
-  test('GET /api/debug/users returns 500 on error', async () => {
-    const mockSelect = jest.fn().mockRejectedValue(new Error('DB error'));
+  test('verify rejects tokens that are not tied to a session', async () => {
+    jwt.verify.mockReturnValue({ id: 'user-id', role: 'user' });
 
-    User.find.mockReturnValue({
-      select: mockSelect,
+    const res = await request(app)
+      .get('/api/auth/verify')
+      .set('Authorization', 'Bearer legacy-token');
+
+    expect(res.status).toBe(401);
+  });
+
+  test('lists recently revoked sessions for other services to reject', async () => {
+    const revoked = addSession({ revokedAt: new Date() });
+    addSession({ revokedAt: new Date(Date.now() - 60 * 60 * 1000) });
+    addSession();
+
+    const url = '/api/auth/revocations';
+    const res = await request(app).get(url).set(serviceHeaders('GET', url));
+    const unsigned = await request(app).get(url);
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessionIds).toEqual([revoked._id]);
+    expect(unsigned.status).toBe(401);
+  });
+
+  test('lists active sessions and marks the current device', async () => {
+    const current = addSession({ userAgent: 'Laptop' });
+    addSession({ userAgent: 'Phone' });
+    addSession({ userAgent: 'Old tablet', revokedAt: new Date() });
+    addSession({ userId: 'someone-else', userAgent: 'Not mine' });
+    authenticateAs(current);
+
+    const res = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', 'Bearer access-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessions.map(s => s.userAgent)).toEqual(['Laptop', 'Phone']);
+    expect(res.body.sessions.find(s => s.current).userAgent).toBe('Laptop');
+    expect(res.body.sessions[0]).not.toHaveProperty('refreshTokenHash');
+  });
+
+  test('revokes another device but not sessions owned by other users', async () => {
+    const current = addSession();
+    const phone = addSession({ userAgent: 'Phone' });
+    const foreign = addSession({ userId: 'someone-else' });
+    authenticateAs(current);
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${phone._id}`)
+      .set('Authorization', 'Bearer access-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body.current).toBe(false);
+    expect(phone.revokedAt).toBeInstanceOf(Date);
+
+    const denied = await request(app)
+      .delete(`/api/auth/sessions/${foreign._id}`)
+      .set('Authorization', 'Bearer access-token');
+
+    expect(denied.status).toBe(404);
+    expect(foreign.revokedAt).toBeNull();
+  });
+});
+
+describe('Registration domain policy', () => {
+  let app;
+
+  const register = (email) => request(app)
+    .post('/api/auth/register')
+    .send({ name: 'New User', email, password: 'password123' });
+
+  const usePolicy = (policy) => RegistrationPolicy.findOne.mockResolvedValue({
+    mode: 'allowlist',
+    allowedDomains: [],
+    deniedDomains: [],
+    ...policy
+  });
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    User.findOne.mockResolvedValue(null);
+    Invite.findOne.mockResolvedValue(null);
+  });
+
+  test('wildcards match subdomains but not the parent domain', async () => {
+    usePolicy({ allowedDomains: ['*.umd.edu', 'partner.org'] });
+
+    expect((await register('student@cs.umd.edu')).status).toBe(201);
+    expect((await register('guest@partner.org')).status).toBe(201);
+
+    const parent = await register('student@umd.edu');
+    expect(parent.status).toBe(400);
+    expect(parent.body.error).toBe('Only @*.umd.edu or @partner.org email addresses are allowed');
+
+    expect((await register('someone@notumd.edu')).status).toBe(400);
+  });
+
+  test('the denylist wins over the allowlist and applies in open mode', async () => {
+    usePolicy({ allowedDomains: ['*.partner.org'], deniedDomains: ['spam.partner.org'] });
+    expect((await register('a@spam.partner.org')).body.error).toMatch(/not allowed/);
+
+    usePolicy({ mode: 'open', deniedDomains: ['*.mailinator.com', 'mailinator.com'] });
+    expect((await register('a@gmail.com')).status).toBe(201);
+    expect((await register('a@mailinator.com')).status).toBe(400);
+  });
+
+  test('invite-only mode requires a pending invite and marks it accepted', async () => {
+    usePolicy({ mode: 'invite_only', allowedDomains: ['umd.edu'] });
+
+    const uninvited = await register('student@umd.edu');
+    expect(uninvited.status).toBe(400);
+    expect(uninvited.body.error).toBe('Registration is by invitation only');
+
+    const invite = { email: 'guest@partner.org', acceptedAt: null, save: jest.fn().mockResolvedValue(undefined) };
+    Invite.findOne.mockResolvedValue(invite);
+
+    const invited = await register('Guest@Partner.org');
+    expect(invited.status).toBe(201);
+    expect(Invite.findOne).toHaveBeenLastCalledWith(expect.objectContaining({ email: 'guest@partner.org', acceptedAt: null }));
+    expect(invite.acceptedAt).toBeInstanceOf(Date);
+    expect(invite.save).toHaveBeenCalled();
+  });
+
+  test('an invite admits an address outside the allowlist', async () => {
+    usePolicy({ allowedDomains: ['umd.edu'] });
+    Invite.findOne.mockResolvedValue({ email: 'guest@partner.org', acceptedAt: null, save: jest.fn() });
+
+    expect((await register('guest@partner.org')).status).toBe(201);
+  });
+});
+
+describe('Email verification and password reset', () => {
+  let app;
+  let user;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    Session.__sessions.length = 0;
+    AuthToken.__tokens.length = 0;
+    clearMail();
+
+    user = {
+      _id: 'user-id',
+      name: 'Test User',
+      email: 'test@umd.edu',
+      role: 'user',
+      emailVerified: false,
+      save: jest.fn().mockResolvedValue(undefined),
+      comparePassword: jest.fn().mockResolvedValue(true)
+    };
+    User.findOne.mockResolvedValue(user);
+    User.findById.mockResolvedValue(user);
+  });
+
+  const requestReset = async () => {
+    await request(app).post('/api/auth/forgot-password').send({ email: 'test@umd.edu' });
+    return tokenFromMail(readMail().at(-1));
+  };
+
+  test('login is refused until the email is verified', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@umd.edu', password: 'password123' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+    expect(Session.__sessions).toHaveLength(0);
+  });
+
+  test('the emailed token verifies the account once', async () => {
+    await request(app).post('/api/auth/resend-verification').send({ email: 'test@umd.edu' });
+    const token = tokenFromMail(readMail()[0]);
+
+    const res = await request(app).post('/api/auth/verify-email').send({ token });
+
+    expect(res.status).toBe(200);
+    expect(user.emailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+
+    const again = await request(app).post('/api/auth/verify-email').send({ token });
+    expect(again.status).toBe(400);
+  });
+
+  test('resending a verification email invalidates the previous link', async () => {
+    await request(app).post('/api/auth/resend-verification').send({ email: 'test@umd.edu' });
+    await request(app).post('/api/auth/resend-verification').send({ email: 'test@umd.edu' });
+    const [first, second] = readMail().map(tokenFromMail);
+
+    expect((await request(app).post('/api/auth/verify-email').send({ token: first })).status).toBe(400);
+    expect((await request(app).post('/api/auth/verify-email').send({ token: second })).status).toBe(200);
+  });
+
+  test('forgot-password gives the same answer for unknown emails and sends nothing', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@umd.edu' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toMatch(/If an account exists/);
+    expect(readMail()).toHaveLength(0);
+  });
+
+  test('reset-password sets the new password, verifies the email and signs out every device', async () => {
+    const session = addSession();
+    const token = await requestReset();
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'new-password' });
+
+    expect(res.status).toBe(200);
+    expect(user.password).toBe('new-password');
+    expect(user.emailVerified).toBe(true);
+    expect(user.save).toHaveBeenCalled();
+    expect(session.revokedAt).toBeInstanceOf(Date);
+  });
+
+  test('reset tokens are single-use', async () => {
+    const token = await requestReset();
+
+    await request(app).post('/api/auth/reset-password').send({ token, password: 'new-password' });
+    const res = await request(app).post('/api/auth/reset-password').send({ token, password: 'other-password' });
+
+    expect(res.status).toBe(400);
+    expect(user.password).toBe('new-password');
+  });
+
+  test('expired reset tokens are rejected', async () => {
+    const token = await requestReset();
+    AuthToken.__tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    const res = await request(app).post('/api/auth/reset-password').send({ token, password: 'new-password' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/invalid or has expired/);
+  });
+
+  test('reset-password validates the new password', async () => {
+    const token = await requestReset();
+
+    const res = await request(app).post('/api/auth/reset-password').send({ token, password: '123' });
+
+    expect(res.status).toBe(400);
+    expect(AuthToken.__tokens[0].usedAt).toBeNull();
+  });
+
+  test('verification tokens cannot be used to reset a password', async () => {
+    await request(app).post('/api/auth/resend-verification').send({ email: 'test@umd.edu' });
+    const token = tokenFromMail(readMail()[0]);
+
+    const res = await request(app).post('/api/auth/reset-password').send({ token, password: 'new-password' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Login throttling and lockout', () => {
+  let app;
+  let clock;
+  let user;
+
+  const advance = (ms) => {
+    clock += ms;
+  };
+
+  const attempt = (password, email = 'test@umd.edu') => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    Session.__sessions.length = 0;
+    AuditLog.__entries.length = 0;
+    resetIpFailures();
+    clock = Date.parse('2026-10-19T12:00:00.000Z');
+    setClock(() => clock);
+
+    user = {
+      _id: 'user-id',
+      name: 'Test User',
+      email: 'test@umd.edu',
+      role: 'user',
+      failedLoginAttempts: 0,
+      comparePassword: jest.fn(async candidate => candidate === 'password123'),
+      save: jest.fn().mockResolvedValue(undefined)
+    };
+    User.findOne.mockResolvedValue(user);
+    storeUser(user);
+  });
+
+  afterEach(() => {
+    setClock();
+    resetIpFailures();
+  });
+
+  test('an account backs off after a few failures and locks after repeated ones', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await attempt('wrong')).status).toBe(401);
+    }
+
+    // The fourth guess has to wait a second and is not checked at all
+    const throttled = await attempt('wrong');
+    expect(throttled.status).toBe(429);
+    expect(throttled.body).toMatchObject({ code: 'RATE_LIMITED', retryAfter: 1 });
+    expect(throttled.headers['retry-after']).toBe('1');
+    expect(user.comparePassword).toHaveBeenCalledTimes(3);
+
+    // Waiting long enough between guesses doesn't avoid the lock
+    for (let i = 4; i < 10; i++) {
+      advance(10 * 60 * 1000);
+      expect((await attempt('wrong')).status).toBe(401);
+    }
+    advance(10 * 60 * 1000);
+    const locked = await attempt('wrong');
+
+    expect(locked.status).toBe(423);
+    expect(locked.body).toMatchObject({ code: 'ACCOUNT_LOCKED', retryAfter: 15 * 60 });
+    expect(user.lockedUntil).toEqual(new Date(clock + 15 * 60 * 1000));
+    expect(AuditLog.__entries).toHaveLength(1);
+    expect(AuditLog.__entries[0]).toMatchObject({
+      action: 'account_locked',
+      actorId: 'system',
+      targetUserId: 'user-id',
+      details: { failedAttempts: 10 }
     });
 
-    const res = await request(app).get('/api/debug/users');
+    // Even the right password is refused while locked
+    advance(14 * 60 * 1000);
+    expect((await attempt('password123')).status).toBe(423);
+  });
+
+  test('the lock clears once it expires and a good login resets the count', async () => {
+    user.failedLoginAttempts = 10;
+    user.lastFailedLoginAt = new Date(clock);
+    user.lockedUntil = new Date(clock + 15 * 60 * 1000);
+
+    expect((await attempt('password123')).status).toBe(423);
 
-    expect(res.status).toBe(500);
-    expect(res.body.error).toMatch(/DB error/i);
+    advance(15 * 60 * 1000 + 1);
+    const res = await attempt('password123');
+
+    expect(res.status).toBe(200);
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(user.lockedUntil).toBeNull();
+  });
+
+  test('a wrong password after an expired lock starts counting again', async () => {
+    user.failedLoginAttempts = 10;
+    user.lastFailedLoginAt = new Date(clock);
+    user.lockedUntil = new Date(clock + 15 * 60 * 1000);
+    advance(16 * 60 * 1000);
+
+    const res = await attempt('wrong');
+
+    expect(res.status).toBe(401);
+    expect(user.failedLoginAttempts).toBe(1);
+    expect(user.lockedUntil).toBeNull();
+  });
+
+  test('parallel wrong passwords are all counted and lock the account once', async () => {
+    // Every request loads its own copy of the user and checks the password at the same time
+    let release;
+    const allChecking = new Promise(resolve => { release = resolve; });
+    let checking = 0;
+    const comparePassword = jest.fn(async () => {
+      if (++checking === 10) release();
+      await allChecking;
+      return false;
+    });
+    User.findOne.mockImplementation(async () => ({ ...user, comparePassword }));
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => attempt('wrong')));
+
+    expect(user.failedLoginAttempts).toBe(10);
+    expect(results.filter(res => res.status === 423)).toHaveLength(1);
+    expect(AuditLog.__entries).toHaveLength(1);
+    expect(user.lockedUntil).toEqual(new Date(clock + 15 * 60 * 1000));
+  });
+
+  test('one address guessing across accounts is throttled with growing waits', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    for (let i = 0; i < 10; i++) {
+      expect((await attempt('wrong', `user${i}@umd.edu`)).status).toBe(401);
+    }
+
+    const first = await attempt('wrong', 'another@umd.edu');
+    expect(first.status).toBe(429);
+    expect(first.body.retryAfter).toBe(1);
+
+    advance(1000);
+    expect((await attempt('wrong', 'another@umd.edu')).status).toBe(401);
+
+    const second = await attempt('wrong', 'another@umd.edu');
+    expect(second.status).toBe(429);
+    expect(second.body.retryAfter).toBe(2);
+
+    // A quiet address is forgotten after the longest wait
+    advance(16 * 60 * 1000);
+    expect((await attempt('wrong', 'another@umd.edu')).status).toBe(401);
+    expect(trackedIpCount()).toBe(1);
+  });
+
+  test('clients behind the proxy are throttled by their own address', async () => {
+    // The server is used without ever reaching its database
+    const connect = jest.spyOn(mongoose, 'connect').mockReturnValue(new Promise(() => {}));
+    const server = require('../../server');
+    User.findOne.mockResolvedValue(null);
+
+    const from = (ip, email) => request(server)
+      .post('/api/auth/login')
+      .set('X-Forwarded-For', ip)
+      .send({ email, password: 'wrong' });
+
+    for (let i = 0; i < 10; i++) {
+      expect((await from('203.0.113.7', `user${i}@umd.edu`)).status).toBe(401);
+    }
+
+    expect((await from('203.0.113.7', 'another@umd.edu')).status).toBe(429);
+    expect((await from('198.51.100.4', 'another@umd.edu')).status).toBe(401);
+
+    // Through Caddy and nginx, and with an address the client made up itself
+    expect((await from('192.0.2.1, 203.0.113.7, 172.18.0.5', 'another@umd.edu')).status).toBe(429);
+    expect((await from('203.0.113.7, 198.51.100.9, 172.18.0.5', 'another@umd.edu')).status).toBe(401);
+    connect.mockRestore();
+  });
+});
+
+describe('Two-factor login', () => {
+  let app;
+  let clock;
+  let user;
+  let secret;
+  let recoveryCodes;
+
+  const login = () => request(app).post('/api/auth/login').send({ email: 'test@umd.edu', password: 'password123' });
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    Session.__sessions.length = 0;
+    AuthToken.__tokens.length = 0;
+    AuditLog.__entries.length = 0;
+    resetIpFailures();
+    clock = Date.parse('2026-10-19T12:00:00.000Z');
+    setClock(() => clock);
+
+    secret = generateSecret();
+    user = {
+      _id: 'user-id',
+      name: 'Test User',
+      email: 'test@umd.edu',
+      role: 'admin',
+      mfaEnabled: true,
+      mfaSecret: secret,
+      mfaLastUsedStep: -1,
+      comparePassword: jest.fn().mockResolvedValue(true),
+      save: jest.fn().mockResolvedValue(undefined)
+    };
+    recoveryCodes = issueRecoveryCodes(user);
+    User.findOne.mockResolvedValue(user);
+    User.findById.mockResolvedValue(user);
+    storeUser(user);
+  });
+
+  afterEach(() => {
+    setClock();
+    resetIpFailures();
+  });
+
+  test('a correct password only returns a challenge when 2FA is on', async () => {
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ mfaRequired: true, mfaToken: expect.any(String) });
+    expect(res.body.token).toBeUndefined();
+    expect(Session.__sessions).toHaveLength(0);
+  });
+
+  test('the authenticator code completes sign-in with an MFA-verified session', async () => {
+    const { body } = await login();
+
+    const res = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: body.mfaToken, code: generateCode(secret) });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ token: 'fake-jwt-token', refreshToken: expect.any(String) });
+    expect(Session.__sessions[0].mfaVerified).toBe(true);
+    expect(jwt.sign).toHaveBeenCalledWith(expect.objectContaining({ role: 'admin', mfa: true }), expect.anything(), expect.anything());
+
+    // The challenge is single-use
+    clock += 30 * 1000;
+    const again = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: body.mfaToken, code: generateCode(secret) });
+    expect(again.status).toBe(401);
+  });
+
+  test('a code that was already used cannot sign in again', async () => {
+    const code = generateCode(secret);
+    const first = await login();
+    await request(app).post('/api/auth/login/mfa').send({ mfaToken: first.body.mfaToken, code });
+
+    const second = await login();
+    const res = await request(app).post('/api/auth/login/mfa').send({ mfaToken: second.body.mfaToken, code });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid authentication code');
+  });
+
+  test('a recovery code works once', async () => {
+    const first = await login();
+    const res = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: first.body.mfaToken, recoveryCode: recoveryCodes[0].toUpperCase() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.recoveryCodesRemaining).toBe(9);
+
+    const second = await login();
+    const reuse = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: second.body.mfaToken, recoveryCode: recoveryCodes[0] });
+    expect(reuse.status).toBe(401);
+  });
+
+  test('wrong codes count towards the account lockout', async () => {
+    const { body } = await login();
+
+    const res = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: body.mfaToken, code: 'abcdef' });
+
+    expect(res.status).toBe(401);
+    expect(user.failedLoginAttempts).toBe(1);
+    expect(Session.__sessions).toHaveLength(0);
+  });
+
+  test('expired or unknown challenges are rejected', async () => {
+    const { body } = await login();
+    AuthToken.__tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    const expired = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: body.mfaToken, code: generateCode(secret) });
+    const unknown = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: 'not-a-token', code: generateCode(secret) });
+    const missing = await request(app).post('/api/auth/login/mfa').send({ mfaToken: body.mfaToken });
+
+    expect(expired.status).toBe(401);
+    expect(unknown.status).toBe(401);
+    expect(missing.status).toBe(400);
+  });
+
+  test('admins without 2FA can sign in but are told to set it up', async () => {
+    Object.assign(user, { mfaEnabled: false, mfaSecret: null });
+
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body.mfaSetupRequired).toBe(true);
+    expect(Session.__sessions[0].mfaVerified).toBe(false);
+    expect(jwt.sign).toHaveBeenCalledWith(expect.objectContaining({ mfa: false }), expect.anything(), expect.anything());
   });
 });
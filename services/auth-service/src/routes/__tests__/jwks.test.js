@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const jwksRouter = require('../jwks');
+const { generateAccessToken } = require('../../utils/tokens');
+
+function createTestApp() {
+  const app = express();
+  app.use('/.well-known', jwksRouter);
+  return app;
+}
+
+describe('JWKS endpoint', () => {
+  test('publishes an RS256 public key with a key id', async () => {
+    const res = await request(createTestApp()).get('/.well-known/jwks.json');
+
+    expect(res.status).toBe(200);
+    expect(res.body.keys).toHaveLength(1);
+    const [key] = res.body.keys;
+    expect(key).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig', kid: expect.any(String) });
+    expect(key.d).toBeUndefined();
+  });
+
+  test('access tokens verify against the published key', async () => {
+    const res = await request(createTestApp()).get('/.well-known/jwks.json');
+    const [key] = res.body.keys;
+
+    const token = generateAccessToken(
+      { _id: 'user-id', name: 'Test User', email: 'test@umd.edu', role: 'admin' },
+      { _id: 'session-1', mfaVerified: true }
+    );
+
+    const { header } = jwt.decode(token, { complete: true });
+    expect(header).toMatchObject({ alg: 'RS256', kid: key.kid });
+
+    const decoded = jwt.verify(token, crypto.createPublicKey({ key, format: 'jwk' }), { algorithms: ['RS256'] });
+    expect(decoded).toMatchObject({ id: 'user-id', email: 'test@umd.edu', role: 'admin', sid: 'session-1', mfa: true });
+  });
+});
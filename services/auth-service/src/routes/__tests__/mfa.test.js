@@ -0,0 +1,174 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+let mockUser;
+let mockSession;
+
+jest.mock('../../middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = mockUser;
+    req.authSession = mockSession;
+    next();
+  }
+}));
+
+const { setClock } = require('../../utils/clock');
+const { generateCode } = require('../../utils/totp');
+const mfaRouter = require('../mfa');
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth/mfa', mfaRouter);
+  return app;
+}
+
+describe('Two-factor enrollment', () => {
+  let app;
+  let clock;
+
+  const advanceSteps = (steps) => {
+    clock += steps * 30 * 1000;
+  };
+
+  const enroll = async () => {
+    const setup = await request(app).post('/api/auth/mfa/setup');
+    const enable = await request(app)
+      .post('/api/auth/mfa/enable')
+      .send({ code: generateCode(setup.body.secret) });
+    return { secret: setup.body.secret, recoveryCodes: enable.body.recoveryCodes };
+  };
+
+  beforeEach(() => {
+    app = createTestApp();
+    clock = Date.parse('2026-10-19T12:00:00.000Z');
+    setClock(() => clock);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mockUser = {
+      _id: 'user-id',
+      name: 'Test User',
+      email: 'test@umd.edu',
+      role: 'user',
+      mfaEnabled: false,
+      mfaRecoveryCodes: [],
+      save: jest.fn().mockResolvedValue(undefined)
+    };
+    mockSession = {
+      _id: 'session-1',
+      mfaVerified: false,
+      save: jest.fn().mockResolvedValue(undefined)
+    };
+  });
+
+  afterEach(() => {
+    setClock();
+    console.error.mockRestore();
+  });
+
+  test('setup returns a secret and an otpauth link but does not turn 2FA on', async () => {
+    const res = await request(app).post('/api/auth/mfa/setup');
+
+    expect(res.status).toBe(200);
+    expect(res.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(res.body.otpauthUrl).toBe(
+      `otpauth://totp/Eventrix%3Atest%40umd.edu?secret=${res.body.secret}&issuer=Eventrix&algorithm=SHA1&digits=6&period=30`
+    );
+    expect(mockUser.mfaPendingSecret).toBe(res.body.secret);
+    expect(mockUser.mfaEnabled).toBe(false);
+  });
+
+  test('enabling needs a valid code from the new secret', async () => {
+    const setup = await request(app).post('/api/auth/mfa/setup');
+
+    const wrong = await request(app).post('/api/auth/mfa/enable').send({ code: '000000' });
+    expect(wrong.status).toBe(400);
+    expect(mockUser.mfaEnabled).toBe(false);
+
+    const res = await request(app)
+      .post('/api/auth/mfa/enable')
+      .send({ code: generateCode(setup.body.secret) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.recoveryCodes).toHaveLength(10);
+    expect(res.body.recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(mockUser).toMatchObject({ mfaEnabled: true, mfaSecret: setup.body.secret, mfaPendingSecret: null });
+    // Only hashes are stored
+    expect(mockUser.mfaRecoveryCodes).toHaveLength(10);
+    expect(mockUser.mfaRecoveryCodes).not.toContain(res.body.recoveryCodes[0]);
+  });
+
+  test('enabling upgrades the current session and returns a token that says so', async () => {
+    const setup = await request(app).post('/api/auth/mfa/setup');
+    const res = await request(app)
+      .post('/api/auth/mfa/enable')
+      .send({ code: generateCode(setup.body.secret) });
+
+    expect(mockSession.mfaVerified).toBe(true);
+    expect(mockSession.save).toHaveBeenCalled();
+    expect(jwt.decode(res.body.token)).toMatchObject({ id: 'user-id', sid: 'session-1', mfa: true });
+  });
+
+  test('enabling without setup is rejected', async () => {
+    const res = await request(app).post('/api/auth/mfa/enable').send({ code: '123456' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Start two-factor setup first');
+  });
+
+  test('reports status', async () => {
+    await enroll();
+
+    const res = await request(app).get('/api/auth/mfa');
+
+    expect(res.body).toEqual({ enabled: true, required: false, recoveryCodesRemaining: 10, sessionVerified: true });
+  });
+
+  test('users can turn 2FA off with a fresh code, but not by replaying the last one', async () => {
+    const { secret } = await enroll();
+
+    const replay = await request(app).post('/api/auth/mfa/disable').send({ code: generateCode(secret) });
+    expect(replay.status).toBe(400);
+
+    advanceSteps(1);
+    const res = await request(app).post('/api/auth/mfa/disable').send({ code: generateCode(secret) });
+
+    expect(res.status).toBe(200);
+    expect(mockUser).toMatchObject({ mfaEnabled: false, mfaSecret: null, mfaRecoveryCodes: [] });
+  });
+
+  test('admins cannot turn 2FA off', async () => {
+    mockUser.role = 'admin';
+    const { secret } = await enroll();
+    advanceSteps(1);
+
+    const res = await request(app).post('/api/auth/mfa/disable').send({ code: generateCode(secret) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Admins must keep two-factor authentication on');
+    expect(mockUser.mfaEnabled).toBe(true);
+  });
+
+  test('recovery codes can be replaced, and the old ones stop working', async () => {
+    const { recoveryCodes } = await enroll();
+
+    const res = await request(app).post('/api/auth/mfa/recovery-codes').send({ recoveryCode: recoveryCodes[0] });
+    expect(res.status).toBe(200);
+    expect(res.body.recoveryCodes).toHaveLength(10);
+
+    const old = await request(app).post('/api/auth/mfa/recovery-codes').send({ recoveryCode: recoveryCodes[1] });
+    expect(old.status).toBe(400);
+  });
+
+  test('a request without a body is refused rather than failing', async () => {
+    await enroll();
+
+    const disable = await request(app).post('/api/auth/mfa/disable');
+    const recovery = await request(app).post('/api/auth/mfa/recovery-codes');
+
+    expect(disable.status).toBe(400);
+    expect(recovery.status).toBe(400);
+    expect(recovery.body.error).toBe('Invalid authentication code');
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = {
+      _id: req.headers['x-test-user-id'] || 'admin1',
+      name: 'Admin User',
+      role: req.headers['x-test-role'] || 'admin'
+    };
+    next();
+  },
+  isAdmin: (req, res, next) => {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+    next();
+  }
+}));
+
+jest.mock('../../utils/authEmails', () => ({
+  sendInviteEmail: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../models/RegistrationPolicy', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../../models/Invite', () => {
+  const invites = [];
+  let nextId = 1;
+
+  const Invite = function (data) {
+    Object.assign(this, { acceptedAt: null, createdAt: new Date() }, data);
+    this._id = `invite-${nextId++}`;
+  };
+
+  Invite.__invites = invites;
+
+  Invite.prototype.save = jest.fn(async function () {
+    if (!invites.includes(this)) invites.push(this);
+    return this;
+  });
+
+  const matches = (query, invite) => Object.keys(query).every(key => {
+    const value = query[key];
+    if (value && value.$gt) return invite[key] > value.$gt;
+    return invite[key] === value;
+  });
+
+  Invite.find = jest.fn(() => ({ sort: jest.fn().mockResolvedValue([...invites]) }));
+  Invite.findOne = jest.fn(async query => invites.find(i => matches(query, i)) || null);
+  Invite.findOneAndDelete = jest.fn(async query => {
+    const index = invites.findIndex(i => matches(query, i));
+    return index === -1 ? null : invites.splice(index, 1)[0];
+  });
+
+  return Invite;
+});
+
+const RegistrationPolicy = require('../../models/RegistrationPolicy');
+const Invite = require('../../models/Invite');
+const { sendInviteEmail } = require('../../utils/authEmails');
+const registrationRouter = require('../registration');
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth/registration', registrationRouter);
+  return app;
+}
+
+describe('Registration policy routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    Invite.__invites.length = 0;
+    RegistrationPolicy.findOne.mockResolvedValue(null);
+    RegistrationPolicy.findOneAndUpdate.mockImplementation(async (query, update) => update.$set);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('defaults to the @umd.edu allowlist and hides the denylist publicly', async () => {
+    const res = await request(app).get('/api/auth/registration/policy');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ mode: 'allowlist', allowedDomains: ['umd.edu'] });
+  });
+
+  test('admins can update the policy and domains are normalized', async () => {
+    const res = await request(app)
+      .put('/api/auth/registration/admin/policy')
+      .send({
+        mode: 'allowlist',
+        allowedDomains: ['@UMD.edu', '*.umd.edu', 'partner.org', 'umd.edu'],
+        deniedDomains: ['spam.partner.org']
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.policy).toMatchObject({
+      mode: 'allowlist',
+      allowedDomains: ['umd.edu', '*.umd.edu', 'partner.org'],
+      deniedDomains: ['spam.partner.org'],
+      updatedByName: 'Admin User'
+    });
+    expect(RegistrationPolicy.findOneAndUpdate).toHaveBeenCalledWith(
+      { key: 'default' },
+      expect.any(Object),
+      expect.objectContaining({ upsert: true })
+    );
+  });
+
+  test('rejects invalid modes and domain patterns', async () => {
+    const badMode = await request(app)
+      .put('/api/auth/registration/admin/policy')
+      .send({ mode: 'everyone' });
+    expect(badMode.status).toBe(400);
+
+    const badDomain = await request(app)
+      .put('/api/auth/registration/admin/policy')
+      .send({ allowedDomains: ['umd.edu', 'not a domain', 'foo.*.com'] });
+    expect(badDomain.status).toBe(400);
+    expect(badDomain.body.invalid).toEqual(['not a domain', 'foo.*.com']);
+    expect(RegistrationPolicy.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('an allowlist cannot be empty', async () => {
+    const res = await request(app)
+      .put('/api/auth/registration/admin/policy')
+      .send({ mode: 'allowlist', allowedDomains: [] });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('non-admins cannot view or change the policy', async () => {
+    const view = await request(app).get('/api/auth/registration/admin/policy').set('x-test-role', 'user');
+    const update = await request(app)
+      .put('/api/auth/registration/admin/policy')
+      .set('x-test-role', 'user')
+      .send({ mode: 'open' });
+
+    expect(view.status).toBe(403);
+    expect(update.status).toBe(403);
+  });
+
+  test('admins invite an email address once', async () => {
+    const res = await request(app)
+      .post('/api/auth/registration/admin/invites')
+      .send({ email: 'Guest@Partner.org ' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.invite.email).toBe('guest@partner.org');
+    expect(new Date(res.body.invite.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(sendInviteEmail).toHaveBeenCalledWith(Invite.__invites[0]);
+
+    const duplicate = await request(app)
+      .post('/api/auth/registration/admin/invites')
+      .send({ email: 'guest@partner.org' });
+    expect(duplicate.status).toBe(409);
+  });
+
+  test('pending invites can be withdrawn but accepted ones cannot', async () => {
+    await request(app).post('/api/auth/registration/admin/invites').send({ email: 'a@partner.org' });
+    await request(app).post('/api/auth/registration/admin/invites').send({ email: 'b@partner.org' });
+    const [pending, accepted] = Invite.__invites;
+    accepted.acceptedAt = new Date();
+
+    expect((await request(app).delete(`/api/auth/registration/admin/invites/${pending._id}`)).status).toBe(200);
+    expect((await request(app).delete(`/api/auth/registration/admin/invites/${accepted._id}`)).status).toBe(404);
+    expect(Invite.__invites).toEqual([accepted]);
+  });
+});
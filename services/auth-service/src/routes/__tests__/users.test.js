@@ -0,0 +1,482 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = {
+      _id: req.headers['x-test-user-id'] || 'admin1',
+      name: 'Admin User',
+      role: req.headers['x-test-role'] || 'admin'
+    };
+    next();
+  },
+  isAdmin: (req, res, next) => {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+    next();
+  }
+}));
+
+jest.mock('axios');
+
+jest.mock('../../models/User', () => {
+  const users = [];
+  // Just enough of Mongo's query language for the filters the routes build
+  const matches = (user, query) => Object.entries(query).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.some(clause => matches(user, clause));
+    }
+    if (condition instanceof RegExp) {
+      return condition.test(user[field]);
+    }
+    if (condition && typeof condition === 'object' && '$ne' in condition) {
+      return user[field] !== condition.$ne;
+    }
+    if (condition && typeof condition === 'object' && '$gt' in condition) {
+      return user[field] > condition.$gt;
+    }
+    return user[field] === condition;
+  });
+  const withoutSelect = (result) => Object.assign(Promise.resolve(result), { select: async () => result });
+  const User = {
+    __users: users,
+    findById: jest.fn(id => withoutSelect(users.find(u => u._id === id) || null)),
+    countDocuments: jest.fn(async query => users.filter(u => matches(u, query)).length),
+    find: jest.fn(query => {
+      const chain = { skipped: 0 };
+      chain.select = () => chain;
+      chain.sort = () => chain;
+      chain.skip = (n) => { chain.skipped = n; return chain; };
+      chain.limit = async (n) => users.filter(u => matches(u, query)).slice(chain.skipped, chain.skipped + n);
+      return chain;
+    })
+  };
+  return User;
+});
+
+jest.mock('../../models/Session', () => ({
+  updateMany: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../../models/AuditLog', () => {
+  const entries = [];
+  const AuditLog = function (data) {
+    Object.assign(this, { createdAt: new Date() }, data);
+  };
+  AuditLog.__entries = entries;
+  AuditLog.prototype.save = jest.fn(async function () {
+    entries.push(this);
+    return this;
+  });
+  AuditLog.find = jest.fn(() => ({
+    sort: () => ({ limit: jest.fn().mockResolvedValue([...entries].reverse()) })
+  }));
+  return AuditLog;
+});
+
+const axios = require('axios');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const AuditLog = require('../../models/AuditLog');
+const usersRouter = require('../users');
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth/users', usersRouter);
+  return app;
+}
+
+const addUser = (overrides) => {
+  const user = {
+    _id: `u${User.__users.length + 1}`,
+    name: 'Some User',
+    email: `user${User.__users.length + 1}@umd.edu`,
+    role: 'user',
+    save: jest.fn().mockResolvedValue(undefined),
+    ...overrides
+  };
+  User.__users.push(user);
+  return user;
+};
+
+describe('User role management', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    User.__users.length = 0;
+    AuditLog.__entries.length = 0;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    addUser({ _id: 'admin1', name: 'Admin User', role: 'admin' });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('admins promote a user, write an audit entry and end their sessions', async () => {
+    const target = addUser();
+
+    const res = await request(app)
+      .patch(`/api/auth/users/${target._id}/role`)
+      .send({ role: 'staff' });
+
+    expect(res.status).toBe(200);
+    expect(target.role).toBe('staff');
+    expect(target.save).toHaveBeenCalled();
+    expect(AuditLog.__entries).toHaveLength(1);
+    expect(AuditLog.__entries[0]).toMatchObject({
+      action: 'role_changed',
+      actorId: 'admin1',
+      actorName: 'Admin User',
+      targetUserId: target._id,
+      details: { from: 'user', to: 'staff' }
+    });
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { userId: target._id, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date) } }
+    );
+  });
+
+  test('non-admins cannot change roles', async () => {
+    const target = addUser();
+
+    const res = await request(app)
+      .patch(`/api/auth/users/${target._id}/role`)
+      .set('x-test-role', 'user')
+      .set('x-test-user-id', target._id)
+      .send({ role: 'admin' });
+
+    expect(res.status).toBe(403);
+    expect(target.role).toBe('user');
+  });
+
+  test('rejects unknown roles and unknown users', async () => {
+    const target = addUser();
+
+    const badRole = await request(app).patch(`/api/auth/users/${target._id}/role`).send({ role: 'superuser' });
+    const missing = await request(app).patch('/api/auth/users/nobody/role').send({ role: 'staff' });
+
+    expect(badRole.status).toBe(400);
+    expect(missing.status).toBe(404);
+    expect(AuditLog.__entries).toHaveLength(0);
+  });
+
+  test('admins cannot change their own role', async () => {
+    addUser({ role: 'admin' });
+
+    const res = await request(app).patch('/api/auth/users/admin1/role').send({ role: 'user' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('You cannot change your own role');
+  });
+
+  test('the last admin cannot be demoted', async () => {
+    // The caller's own account is not in the collection, so admin1 is the only admin
+    const res = await request(app)
+      .patch('/api/auth/users/admin1/role')
+      .set('x-test-user-id', 'other-admin')
+      .send({ role: 'user' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Cannot demote the last admin');
+  });
+
+  test('another admin can be demoted while one remains', async () => {
+    const second = addUser({ role: 'admin' });
+
+    const res = await request(app).patch(`/api/auth/users/${second._id}/role`).send({ role: 'user' });
+
+    expect(res.status).toBe(200);
+    expect(second.role).toBe('user');
+  });
+
+  test('lists users and recent role changes', async () => {
+    const target = addUser();
+    await request(app).patch(`/api/auth/users/${target._id}/role`).send({ role: 'staff' });
+
+    const users = await request(app).get('/api/auth/users');
+    const changes = await request(app).get('/api/auth/users/role-changes');
+
+    expect(users.status).toBe(200);
+    expect(users.body.users.map(u => u.email)).toEqual(['user1@umd.edu', 'user2@umd.edu']);
+    expect(users.body.users[0]).not.toHaveProperty('save');
+    expect(changes.body.entries).toHaveLength(1);
+  });
+});
+
+describe('User directory', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    User.__users.length = 0;
+    AuditLog.__entries.length = 0;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    addUser({ _id: 'admin1', name: 'Admin User', role: 'admin' });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('searches by name or email and filters by role', async () => {
+    addUser({ name: 'Alice Jones', email: 'alice@umd.edu' });
+    addUser({ name: 'Bob Smith', email: 'bob@umd.edu', role: 'staff' });
+    addUser({ name: 'Carol', email: 'carol.smith@umd.edu' });
+
+    const byName = await request(app).get('/api/auth/users').query({ q: 'smith' });
+    const byRole = await request(app).get('/api/auth/users').query({ q: 'smith', role: 'staff' });
+    const badRole = await request(app).get('/api/auth/users').query({ role: 'owner' });
+
+    expect(byName.body.users.map(u => u.email)).toEqual(['bob@umd.edu', 'carol.smith@umd.edu']);
+    expect(byRole.body.users.map(u => u.email)).toEqual(['bob@umd.edu']);
+    expect(badRole.status).toBe(400);
+  });
+
+  test('treats the search term as text, not a pattern', async () => {
+    addUser({ name: 'Dot', email: 'a.b@umd.edu' });
+    addUser({ name: 'NoDot', email: 'axb@umd.edu' });
+
+    const res = await request(app).get('/api/auth/users').query({ q: 'a.b' });
+
+    expect(res.body.users.map(u => u.email)).toEqual(['a.b@umd.edu']);
+  });
+
+  test('paginates results', async () => {
+    for (let i = 0; i < 4; i++) {
+      addUser();
+    }
+
+    const res = await request(app).get('/api/auth/users').query({ page: 2, limit: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.users).toHaveLength(2);
+    expect(res.body.pagination).toEqual({ total: 5, page: 2, limit: 2, pages: 3 });
+  });
+
+  test('filters by account status', async () => {
+    addUser({ email: 'gone@umd.edu', disabled: true });
+
+    const res = await request(app).get('/api/auth/users').query({ status: 'disabled' });
+
+    expect(res.body.users.map(u => u.email)).toEqual(['gone@umd.edu']);
+    expect(res.body.users[0].disabled).toBe(true);
+  });
+
+  test('non-admins cannot browse the directory', async () => {
+    const res = await request(app).get('/api/auth/users').set('x-test-role', 'staff');
+
+    expect(res.status).toBe(403);
+  });
+
+  test('shows a user with their bookings and feedback', async () => {
+    const target = addUser();
+    axios.get.mockImplementation(async (url) => (url.includes('/api/bookings/user/')
+      ? { data: { count: 1, bookings: [{ _id: 'b1', eventTitle: 'Hackathon' }] } }
+      : { data: { count: 1, feedback: [{ _id: 'f1', rating: 5 }] } }));
+
+    const res = await request(app)
+      .get(`/api/auth/users/${target._id}`)
+      .set('Authorization', 'Bearer admin-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe(target.email);
+    expect(res.body.bookings).toHaveLength(1);
+    expect(res.body.feedback).toHaveLength(1);
+    expect(res.body.errors).toEqual({});
+    expect(axios.get).toHaveBeenCalledWith(
+      expect.stringContaining(`/api/bookings/user/${target._id}`),
+      { headers: { Authorization: 'Bearer admin-token' } }
+    );
+  });
+
+  test('still shows the profile when another service is down', async () => {
+    const target = addUser();
+    axios.get.mockImplementation(async (url) => {
+      if (url.includes('/api/bookings/user/')) {
+        throw new Error('connect ECONNREFUSED');
+      }
+      return { data: { feedback: [] } };
+    });
+
+    const res = await request(app).get(`/api/auth/users/${target._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.bookings).toEqual([]);
+    expect(res.body.errors).toEqual({ bookings: 'Bookings are unavailable right now' });
+  });
+
+  test('returns 404 for an unknown user', async () => {
+    const res = await request(app).get('/api/auth/users/nobody');
+
+    expect(res.status).toBe(404);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
+
+describe('Account status', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    User.__users.length = 0;
+    AuditLog.__entries.length = 0;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    addUser({ _id: 'admin1', name: 'Admin User', role: 'admin' });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('disabling an account signs it out and is audited', async () => {
+    const target = addUser();
+
+    const res = await request(app)
+      .patch(`/api/auth/users/${target._id}/status`)
+      .send({ disabled: true, reason: 'Spam bookings' });
+
+    expect(res.status).toBe(200);
+    expect(target.disabled).toBe(true);
+    expect(target.disabledReason).toBe('Spam bookings');
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { userId: target._id, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date) } }
+    );
+    expect(AuditLog.__entries[0]).toMatchObject({
+      action: 'account_disabled',
+      actorId: 'admin1',
+      targetUserId: target._id,
+      details: { reason: 'Spam bookings' }
+    });
+  });
+
+  test('re-enabling clears the reason', async () => {
+    const target = addUser({ disabled: true, disabledAt: new Date(), disabledReason: 'Spam' });
+
+    const res = await request(app).patch(`/api/auth/users/${target._id}/status`).send({ disabled: false });
+
+    expect(res.status).toBe(200);
+    expect(target.disabled).toBe(false);
+    expect(target.disabledReason).toBe('');
+    expect(Session.updateMany).not.toHaveBeenCalled();
+    expect(AuditLog.__entries[0].action).toBe('account_enabled');
+  });
+
+  test('rejects invalid requests', async () => {
+    const target = addUser();
+
+    const missingFlag = await request(app).patch(`/api/auth/users/${target._id}/status`).send({});
+    const self = await request(app).patch('/api/auth/users/admin1/status').send({ disabled: true });
+    const unchanged = await request(app).patch(`/api/auth/users/${target._id}/status`).send({ disabled: false });
+
+    expect(missingFlag.status).toBe(400);
+    expect(self.status).toBe(400);
+    expect(unchanged.status).toBe(400);
+    expect(AuditLog.__entries).toHaveLength(0);
+  });
+
+  test('the last active admin cannot be disabled', async () => {
+    const res = await request(app)
+      .patch('/api/auth/users/admin1/status')
+      .set('x-test-user-id', 'other-admin')
+      .send({ disabled: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Cannot disable the last admin');
+  });
+
+  test('disabled admins do not count towards the last admin check', async () => {
+    addUser({ role: 'admin', disabled: true });
+
+    const res = await request(app)
+      .patch('/api/auth/users/admin1/role')
+      .set('x-test-user-id', 'other-admin')
+      .send({ role: 'user' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Cannot demote the last admin');
+  });
+});
+
+describe('Account lockouts', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    User.__users.length = 0;
+    AuditLog.__entries.length = 0;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    addUser({ _id: 'admin1', name: 'Admin User', role: 'admin' });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  const addLockedUser = () => addUser({
+    email: 'locked@umd.edu',
+    failedLoginAttempts: 10,
+    lastFailedLoginAt: new Date(),
+    lockedUntil: new Date(Date.now() + 15 * 60 * 1000)
+  });
+
+  test('locked accounts are flagged and can be filtered', async () => {
+    addLockedUser();
+    addUser({ email: 'expired@umd.edu', lockedUntil: new Date(Date.now() - 1000) });
+
+    const res = await request(app).get('/api/auth/users').query({ status: 'locked' });
+
+    expect(res.body.users.map(u => u.email)).toEqual(['locked@umd.edu']);
+    expect(res.body.users[0].locked).toBe(true);
+  });
+
+  test('admins unlock an account and the unlock is audited', async () => {
+    const target = addLockedUser();
+
+    const res = await request(app).post(`/api/auth/users/${target._id}/unlock`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.locked).toBe(false);
+    expect(target.failedLoginAttempts).toBe(0);
+    expect(target.lockedUntil).toBeNull();
+    expect(target.save).toHaveBeenCalled();
+    expect(AuditLog.__entries[0]).toMatchObject({
+      action: 'account_unlocked',
+      actorId: 'admin1',
+      targetUserId: target._id
+    });
+
+    const again = await request(app).post(`/api/auth/users/${target._id}/unlock`);
+    expect(again.status).toBe(400);
+  });
+
+  test('non-admins cannot unlock accounts or see lockouts', async () => {
+    const target = addLockedUser();
+
+    const unlock = await request(app).post(`/api/auth/users/${target._id}/unlock`).set('x-test-role', 'staff');
+    const lockouts = await request(app).get('/api/auth/users/lockouts').set('x-test-role', 'staff');
+
+    expect(unlock.status).toBe(403);
+    expect(lockouts.status).toBe(403);
+    expect(target.lockedUntil).not.toBeNull();
+  });
+
+  test('lists recent lock and unlock events', async () => {
+    const target = addLockedUser();
+    await request(app).post(`/api/auth/users/${target._id}/unlock`);
+
+    const res = await request(app).get('/api/auth/users/lockouts');
+
+    expect(res.status).toBe(200);
+    expect(AuditLog.find).toHaveBeenCalledWith({ action: { $in: ['account_locked', 'account_unlocked'] } });
+    expect(res.body.entries.map(e => e.action)).toEqual(['account_unlocked']);
+  });
+});
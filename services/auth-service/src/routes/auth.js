@@ -1,33 +1,90 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyToken } = require('../middleware/auth');
+const { verifyService } = require('../middleware/serviceAuth');
+const { issueOneTimeToken, findOneTimeToken, consumeOneTimeToken } = require('../utils/oneTimeTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/authEmails');
+const { getRegistrationPolicy, checkRegistration } = require('../utils/registrationPolicy');
+const {
+  isLocked,
+  getIpRetryAfter,
+  recordIpFailure,
+  getAccountRetryAfter,
+  recordAccountFailure,
+  clearAccountFailures
+} = require('../utils/loginThrottle');
+const { isMfaRequired, verifySecondFactor } = require('../utils/mfa');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  generateAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession
+} = require('../utils/tokens');
 
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret';
+const GENERIC_EMAIL_RESPONSE = 'If an account exists for that email, we have sent a message to it.';
 
-// Generate JWT token
-const generateToken = (userId, role) => {
-  return jwt.sign(
-    { id: userId, role },
-    JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+const tooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: `Too many login attempts. Try again in ${retryAfter} seconds.`,
+    code: 'RATE_LIMITED',
+    retryAfter
+  });
+};
+
+const accountLocked = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    error: 'This account is temporarily locked after too many failed login attempts',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter
+  });
+};
+
+const EXPIRED_CHALLENGE = 'Your sign-in attempt has expired. Please log in again.';
+
+// Start a session and send both tokens back
+const completeLogin = async (req, res, user, { mfaVerified = false, extra = {} } = {}) => {
+  const { token, refreshToken } = await createSession(user, req, { mfaVerified });
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role
+    },
+    ...extra
+  });
+};
+
+const sendVerification = async (user) => {
+  const token = await issueOneTimeToken(user, 'email_verification');
+  await sendVerificationEmail(user, token);
 };
 
 // POST /api/auth/register
 router.post('/register', async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     // Validate required fields
     if (!name || !email || !password) {
       return res.status(400).json({ error: 'Name, email, and password are required' });
     }
 
-    // Validate UMD email
-    if (!email.endsWith('@umd.edu')) {
-      return res.status(400).json({ error: 'Only @umd.edu email addresses are allowed' });
+    // Check the email against the admin-managed registration policy
+    const policy = await getRegistrationPolicy();
+    const { allowed, error, invite } = await checkRegistration(email, policy);
+    if (!allowed) {
+      return res.status(400).json({ error });
     }
 
     // Validate password length
@@ -41,16 +98,21 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Email already registered' });
     }
 
-    // Create new user
-    const user = new User({ name, email, password, role });
+    // Create new user; they can log in once the emailed link is opened.
+    // Everyone starts as a plain user - roles are only granted by an admin.
+    const user = new User({ name, email, password, role: 'user', emailVerified: false });
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    if (invite) {
+      invite.acceptedAt = new Date();
+      await invite.save();
+    }
+
+    await sendVerification(user);
 
     res.status(201).json({
-      message: 'User registered successfully',
-      token,
+      message: 'Registration successful. Check your email to verify your account.',
+      requiresVerification: true,
       user: {
         id: user._id,
         name: user.name,
@@ -74,30 +136,65 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
+    // Slow down anyone guessing from this address, whichever accounts they try
+    const ipRetryAfter = getIpRetryAfter(req.ip);
+    if (ipRetryAfter) {
+      return tooManyAttempts(res, ipRetryAfter);
+    }
+
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
+      recordIpFailure(req.ip);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    // Locked or backing-off accounts don't get their password checked at all
+    const accountRetryAfter = getAccountRetryAfter(user);
+    if (accountRetryAfter) {
+      return isLocked(user)
+        ? accountLocked(res, accountRetryAfter)
+        : tooManyAttempts(res, accountRetryAfter);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      recordIpFailure(req.ip);
+      const locked = await recordAccountFailure(user, req.ip);
+      if (locked) {
+        return accountLocked(res, getAccountRetryAfter(user));
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    await clearAccountFailures(user);
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
+    if (user.disabled) {
+      return res.status(403).json({ error: 'This account has been disabled', code: 'ACCOUNT_DISABLED' });
+    }
+
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        error: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Accounts with two-factor authentication finish signing in at /login/mfa
+    if (user.mfaEnabled) {
+      const mfaToken = await issueOneTimeToken(user, 'mfa_challenge');
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        mfaRequired: true,
+        mfaToken
+      });
+    }
+
+    // Start a session for this device. Admins without 2FA can sign in to set it up,
+    // but admin actions stay closed to them until they do.
+    await completeLogin(req, res, user, {
+      extra: isMfaRequired(user) ? { mfaSetupRequired: true } : {}
     });
   } catch (err) {
     console.error('Login error:', err);
@@ -105,25 +202,282 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// GET /api/auth/verify (verify token)
-router.get('/verify', async (req, res) => {
+// POST /api/auth/login/mfa - Second login step: an authenticator or recovery code
+router.post('/login/mfa', async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body || {};
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Sign-in token and an authentication code are required' });
+    }
+
+    const ipRetryAfter = getIpRetryAfter(req.ip);
+    if (ipRetryAfter) {
+      return tooManyAttempts(res, ipRetryAfter);
+    }
+
+    const challenge = await findOneTimeToken(mfaToken, 'mfa_challenge');
+    if (!challenge) {
+      return res.status(401).json({ error: EXPIRED_CHALLENGE });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || user.disabled) {
+      return res.status(401).json({ error: EXPIRED_CHALLENGE });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const accountRetryAfter = getAccountRetryAfter(user);
+    if (accountRetryAfter) {
+      return isLocked(user)
+        ? accountLocked(res, accountRetryAfter)
+        : tooManyAttempts(res, accountRetryAfter);
+    }
+
+    const method = verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      recordIpFailure(req.ip);
+      const locked = await recordAccountFailure(user, req.ip);
+      if (locked) {
+        return accountLocked(res, getAccountRetryAfter(user));
+      }
+      return res.status(401).json({ error: 'Invalid authentication code', code: 'INVALID_MFA_CODE' });
+    }
+
+    // Only one request can turn the challenge into a session
+    if (!(await consumeOneTimeToken(mfaToken, 'mfa_challenge'))) {
+      return res.status(401).json({ error: EXPIRED_CHALLENGE });
+    }
+
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = null;
+    await user.save();
+
+    await completeLogin(req, res, user, {
+      mfaVerified: true,
+      extra: method === 'recovery_code' ? { recoveryCodesRemaining: user.mfaRecoveryCodes.length } : {}
+    });
+  } catch (err) {
+    console.error('MFA login error:', err);
+    res.status(500).json({ error: 'Login failed', details: err.message });
+  }
+});
+
+// POST /api/auth/verify-email - Confirm ownership of the address with the emailed token
+router.post('/verify-email', async (req, res) => {
+  try {
+    const authToken = await consumeOneTimeToken(req.body.token, 'email_verification');
+    if (!authToken) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(authToken.userId);
+    if (!user) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({ message: 'Email verified. You can now log in.' });
+  } catch (err) {
+    console.error('Email verification error:', err);
+    res.status(500).json({ error: 'Email verification failed', details: err.message });
+  }
+});
+
+// POST /api/auth/resend-verification - Email a new verification link
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Same answer whether or not the account exists, so addresses can't be probed
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user && user.emailVerified === false) {
+      await sendVerification(user);
+    }
+
+    res.json({ message: GENERIC_EMAIL_RESPONSE });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    res.status(500).json({ error: 'Failed to resend verification email', details: err.message });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a single-use password reset link
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      const token = await issueOneTimeToken(user, 'password_reset');
+      await sendPasswordResetEmail(user, token);
+    }
+
+    res.json({ message: GENERIC_EMAIL_RESPONSE });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ error: 'Failed to start password reset', details: err.message });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    const authToken = await consumeOneTimeToken(token, 'password_reset');
+    if (!authToken) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
 
+    const user = await User.findById(authToken.userId);
     if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    // Receiving the link proves they own the address
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out every device that used the old password
+    await Session.updateMany(
+      { userId: String(user._id), revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    res.json({ message: 'Password has been reset. You can now log in.' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ error: 'Password reset failed', details: err.message });
+  }
+});
+
+// GET /api/auth/verify (verify token)
+router.get('/verify', verifyToken, (req, res) => {
+  // Only public fields; the user document also holds 2FA secrets
+  const { _id, name, email, role } = req.user;
+  res.json({ valid: true, user: { _id, name, email, role } });
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Refresh token is invalid or has expired' });
+    }
+
+    const user = await User.findById(rotated.session.userId).select('-password');
+    if (!user || user.disabled) {
+      await revokeSession(rotated.session);
+      return res.status(401).json({ error: 'Refresh token is invalid or has expired' });
+    }
+
+    res.json({
+      token: generateAccessToken(user, rotated.session),
+      refreshToken: rotated.refreshToken
+    });
+  } catch (err) {
+    console.error('Token refresh error:', err);
+    res.status(500).json({ error: 'Token refresh failed', details: err.message });
+  }
+});
+
+// POST /api/auth/logout - Revoke the current session
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    await revokeSession(req.authSession);
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Logout failed', details: err.message });
+  }
+});
+
+// GET /api/auth/sessions - List the user's active sessions (devices)
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: String(req.user._id),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: String(session._id) === String(req.authSession._id)
+      }))
+    });
+  } catch (err) {
+    console.error('List sessions error:', err);
+    res.status(500).json({ error: 'Failed to fetch sessions', details: err.message });
+  }
+});
+
+// GET /api/auth/revocations - Sessions revoked recently enough that their access tokens may still be live (services only)
+router.get('/revocations', verifyService, async (req, res) => {
+  try {
+    const since = new Date(Date.now() - ACCESS_TOKEN_TTL_SECONDS * 1000);
+    const sessions = await Session.find({ revokedAt: { $gte: since } }).select('_id');
+
+    res.json({
+      sessionIds: sessions.map(session => String(session._id)),
+      generatedAt: new Date()
+    });
+  } catch (err) {
+    console.error('List revocations error:', err);
+    res.status(500).json({ error: 'Failed to fetch revocations', details: err.message });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke one of the user's sessions
+router.delete('/sessions/:id', verifyToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, userId: String(req.user._id) });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
-    res.json({ valid: true, user });
+    await revokeSession(session);
+    res.json({ message: 'Session revoked', current: String(session._id) === String(req.authSession._id) });
   } catch (err) {
-    res.status(401).json({ error: 'Invalid token', details: err.message });
+    console.error('Revoke session error:', err);
+    res.status(500).json({ error: 'Failed to revoke session', details: err.message });
   }
 });
 
@@ -0,0 +1,12 @@
+const express = require('express');
+const { jwks } = require('../utils/keys');
+
+const router = express.Router();
+
+// GET /.well-known/jwks.json - Public keys other services use to verify access tokens
+router.get('/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=600');
+  res.json(jwks);
+});
+
+module.exports = router;
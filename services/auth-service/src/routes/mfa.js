@@ -0,0 +1,134 @@
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const { isMfaRequired, issueRecoveryCodes, verifySecondFactor } = require('../utils/mfa');
+const { generateAccessToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+// GET /api/auth/mfa - Two-factor status for the signed-in user
+router.get('/', verifyToken, (req, res) => {
+  res.json({
+    enabled: Boolean(req.user.mfaEnabled),
+    required: isMfaRequired(req.user),
+    recoveryCodesRemaining: (req.user.mfaRecoveryCodes || []).length,
+    sessionVerified: Boolean(req.authSession.mfaVerified)
+  });
+});
+
+// POST /api/auth/mfa/setup - Start enrollment with a new secret for the authenticator app
+router.post('/setup', verifyToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.mfaEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already on' });
+    }
+
+    // Not active until /enable confirms the app produces matching codes
+    const secret = generateSecret();
+    user.mfaPendingSecret = secret;
+    await user.save();
+
+    res.json({ secret, otpauthUrl: buildOtpauthUrl(secret, user.email) });
+  } catch (err) {
+    console.error('MFA setup error:', err);
+    res.status(500).json({ error: 'Failed to start two-factor setup', details: err.message });
+  }
+});
+
+// POST /api/auth/mfa/enable - Confirm enrollment with a code and get recovery codes
+router.post('/enable', verifyToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.mfaEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already on' });
+    }
+
+    if (!user.mfaPendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.mfaPendingSecret, req.body?.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    user.mfaEnabled = true;
+    user.mfaSecret = user.mfaPendingSecret;
+    user.mfaPendingSecret = null;
+    user.mfaLastUsedStep = step;
+    user.mfaEnabledAt = new Date();
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    // This session has just proved the second factor, so upgrade it in place
+    req.authSession.mfaVerified = true;
+    await req.authSession.save();
+
+    res.json({
+      message: 'Two-factor authentication is on',
+      recoveryCodes,
+      token: generateAccessToken(user, req.authSession)
+    });
+  } catch (err) {
+    console.error('MFA enable error:', err);
+    res.status(500).json({ error: 'Failed to turn on two-factor authentication', details: err.message });
+  }
+});
+
+// POST /api/auth/mfa/disable - Turn 2FA off (needs a current code; not allowed for admins)
+router.post('/disable', verifyToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    }
+
+    if (isMfaRequired(user)) {
+      return res.status(400).json({ error: 'Admins must keep two-factor authentication on' });
+    }
+
+    if (!verifySecondFactor(user, req.body || {})) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    user.mfaEnabled = false;
+    user.mfaSecret = null;
+    user.mfaRecoveryCodes = [];
+    user.mfaEnabledAt = null;
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication is off' });
+  } catch (err) {
+    console.error('MFA disable error:', err);
+    res.status(500).json({ error: 'Failed to turn off two-factor authentication', details: err.message });
+  }
+});
+
+// POST /api/auth/mfa/recovery-codes - Replace the recovery codes (needs a current code)
+router.post('/recovery-codes', verifyToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    }
+
+    if (!verifySecondFactor(user, req.body || {})) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    res.json({ message: 'New recovery codes generated. The old ones no longer work.', recoveryCodes });
+  } catch (err) {
+    console.error('Regenerate recovery codes error:', err);
+    res.status(500).json({ error: 'Failed to generate recovery codes', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const RegistrationPolicy = require('../models/RegistrationPolicy');
+const Invite = require('../models/Invite');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { sendInviteEmail } = require('../utils/authEmails');
+const {
+  POLICY_MODES,
+  INVITE_DAYS,
+  normalizeDomainPattern,
+  getRegistrationPolicy
+} = require('../utils/registrationPolicy');
+
+const router = express.Router();
+
+const serializePolicy = (policy) => ({
+  mode: policy.mode,
+  allowedDomains: policy.allowedDomains,
+  deniedDomains: policy.deniedDomains,
+  updatedByName: policy.updatedByName,
+  updatedAt: policy.updatedAt
+});
+
+// Validate a list of domain patterns. Returns the normalized list, or null if any entry is invalid.
+const parseDomains = (value, invalid) => {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value)) return null;
+
+  const domains = [];
+  for (const entry of value) {
+    const pattern = normalizeDomainPattern(entry);
+    if (!pattern) {
+      invalid.push(entry);
+    } else if (!domains.includes(pattern)) {
+      domains.push(pattern);
+    }
+  }
+  return domains;
+};
+
+// GET /api/auth/registration/policy - What the registration form should accept
+router.get('/policy', async (req, res) => {
+  try {
+    const policy = await getRegistrationPolicy();
+    // The denylist stays private
+    res.json({ mode: policy.mode, allowedDomains: policy.allowedDomains });
+  } catch (err) {
+    console.error('Fetch registration policy error:', err);
+    res.status(500).json({ error: 'Failed to fetch registration policy', details: err.message });
+  }
+});
+
+// GET /api/auth/registration/admin/policy - Full policy, including the denylist (admin only)
+router.get('/admin/policy', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const policy = await getRegistrationPolicy();
+    res.json({ policy: serializePolicy(policy) });
+  } catch (err) {
+    console.error('Fetch registration policy error:', err);
+    res.status(500).json({ error: 'Failed to fetch registration policy', details: err.message });
+  }
+});
+
+// PUT /api/auth/registration/admin/policy - Update the mode and domain lists (admin only)
+router.put('/admin/policy', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { mode } = req.body;
+
+    if (mode !== undefined && !POLICY_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Mode must be one of: ${POLICY_MODES.join(', ')}` });
+    }
+
+    const invalid = [];
+    const allowedDomains = parseDomains(req.body.allowedDomains, invalid);
+    const deniedDomains = parseDomains(req.body.deniedDomains, invalid);
+
+    if (allowedDomains === null || deniedDomains === null) {
+      return res.status(400).json({ error: 'Domain lists must be arrays' });
+    }
+
+    if (invalid.length) {
+      return res.status(400).json({ error: 'Invalid domain patterns', invalid });
+    }
+
+    const current = await getRegistrationPolicy();
+    const next = {
+      mode: mode ?? current.mode,
+      allowedDomains: allowedDomains ?? current.allowedDomains,
+      deniedDomains: deniedDomains ?? current.deniedDomains
+    };
+
+    if (next.mode === 'allowlist' && next.allowedDomains.length === 0) {
+      return res.status(400).json({ error: 'Allowlist mode needs at least one allowed domain' });
+    }
+
+    const policy = await RegistrationPolicy.findOneAndUpdate(
+      { key: 'default' },
+      {
+        $set: {
+          ...next,
+          updatedBy: String(req.user._id),
+          updatedByName: req.user.name,
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.json({ message: 'Registration policy updated', policy: serializePolicy(policy) });
+  } catch (err) {
+    console.error('Update registration policy error:', err);
+    res.status(500).json({ error: 'Failed to update registration policy', details: err.message });
+  }
+});
+
+// GET /api/auth/registration/admin/invites - Pending and accepted invitations (admin only)
+router.get('/admin/invites', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const invites = await Invite.find({}).sort({ createdAt: -1 });
+    res.json({ invites });
+  } catch (err) {
+    console.error('List invites error:', err);
+    res.status(500).json({ error: 'Failed to fetch invites', details: err.message });
+  }
+});
+
+// POST /api/auth/registration/admin/invites - Invite an email address to register (admin only)
+router.post('/admin/invites', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const existing = await Invite.findOne({ email, acceptedAt: null, expiresAt: { $gt: new Date() } });
+    if (existing) {
+      return res.status(409).json({ error: 'This email already has a pending invite' });
+    }
+
+    const invite = new Invite({
+      email,
+      invitedBy: String(req.user._id),
+      invitedByName: req.user.name,
+      expiresAt: new Date(Date.now() + INVITE_DAYS * 24 * 60 * 60 * 1000)
+    });
+    await invite.save();
+
+    await sendInviteEmail(invite);
+
+    res.status(201).json({ message: 'Invite sent', invite });
+  } catch (err) {
+    console.error('Create invite error:', err);
+    res.status(500).json({ error: 'Failed to create invite', details: err.message });
+  }
+});
+
+// DELETE /api/auth/registration/admin/invites/:id - Withdraw a pending invite (admin only)
+router.delete('/admin/invites/:id', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const invite = await Invite.findOneAndDelete({ _id: req.params.id, acceptedAt: null });
+
+    if (!invite) {
+      return res.status(404).json({ error: 'Pending invite not found' });
+    }
+
+    res.json({ message: 'Invite withdrawn' });
+  } catch (err) {
+    console.error('Delete invite error:', err);
+    res.status(500).json({ error: 'Failed to withdraw invite', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,287 @@
+const express = require('express');
+const axios = require('axios');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { ROLES, changeUserRole, setUserDisabled, countAdmins } = require('../utils/roles');
+const { isLocked, unlockAccount } = require('../utils/loginThrottle');
+const { now } = require('../utils/clock');
+
+const router = express.Router();
+
+const EVENT_SERVICE_URL = process.env.EVENT_SERVICE_URL || 'http://localhost:4002';
+const BOOKING_SERVICE_URL = process.env.BOOKING_SERVICE_URL || 'http://localhost:4003';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const serializeUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  disabled: Boolean(user.disabled),
+  disabledAt: user.disabledAt || null,
+  disabledReason: user.disabledReason || '',
+  mfaEnabled: Boolean(user.mfaEnabled),
+  locked: isLocked(user),
+  lockedUntil: isLocked(user) ? user.lockedUntil : null,
+  createdAt: user.createdAt
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// GET /api/auth/users - Search the user directory (admin only)
+// Query: q (name or email), role, status (active|disabled|locked), page, limit
+router.get('/', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { q, role, status } = req.query;
+    const filter = {};
+
+    if (q && String(q).trim()) {
+      const pattern = new RegExp(escapeRegex(String(q).trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (role) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      filter.role = role;
+    }
+
+    if (status === 'disabled') {
+      filter.disabled = true;
+    } else if (status === 'active') {
+      filter.disabled = { $ne: true };
+    } else if (status === 'locked') {
+      filter.lockedUntil = { $gt: new Date(now()) };
+    }
+
+    const limit = Math.min(parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+    const page = parsePositiveInt(req.query.page, 1);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      users: users.map(serializeUser),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.max(Math.ceil(total / limit), 1)
+      }
+    });
+  } catch (err) {
+    console.error('List users error:', err);
+    res.status(500).json({ error: 'Failed to fetch users', details: err.message });
+  }
+});
+
+// GET /api/auth/users/role-changes - Recent role changes (admin only)
+router.get('/role-changes', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const entries = await AuditLog.find({ action: 'role_changed' })
+      .sort({ createdAt: -1 })
+      .limit(50);
+    res.json({ entries });
+  } catch (err) {
+    console.error('List role changes error:', err);
+    res.status(500).json({ error: 'Failed to fetch role changes', details: err.message });
+  }
+});
+
+// GET /api/auth/users/lockouts - Recent account locks and unlocks (admin only)
+router.get('/lockouts', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const entries = await AuditLog.find({ action: { $in: ['account_locked', 'account_unlocked'] } })
+      .sort({ createdAt: -1 })
+      .limit(50);
+    res.json({ entries });
+  } catch (err) {
+    console.error('List lockouts error:', err);
+    res.status(500).json({ error: 'Failed to fetch lockouts', details: err.message });
+  }
+});
+
+// GET /api/auth/users/:id - A user's profile with their bookings and feedback (admin only)
+router.get('/:id', verifyToken, isAdmin, async (req, res) => {
+  try {
+    let user;
+    try {
+      user = await User.findById(req.params.id).select('-password');
+    } catch (err) {
+      user = null;
+    }
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // The other services check the admin's own token, so pass it along
+    const config = { headers: { Authorization: req.headers.authorization } };
+    const [bookingsResult, feedbackResult] = await Promise.allSettled([
+      axios.get(`${BOOKING_SERVICE_URL}/api/bookings/user/${user._id}`, config),
+      axios.get(`${EVENT_SERVICE_URL}/api/events/feedback/user/${user._id}`, config)
+    ]);
+
+    // One service being down shouldn't hide the rest of the profile
+    const errors = {};
+    let bookings = [];
+    let feedback = [];
+
+    if (bookingsResult.status === 'fulfilled') {
+      bookings = bookingsResult.value.data.bookings || [];
+    } else {
+      console.error('Fetch user bookings error:', bookingsResult.reason.message);
+      errors.bookings = 'Bookings are unavailable right now';
+    }
+
+    if (feedbackResult.status === 'fulfilled') {
+      feedback = feedbackResult.value.data.feedback || [];
+    } else {
+      console.error('Fetch user feedback error:', feedbackResult.reason.message);
+      errors.feedback = 'Feedback is unavailable right now';
+    }
+
+    res.json({ user: serializeUser(user), bookings, feedback, errors });
+  } catch (err) {
+    console.error('Get user error:', err);
+    res.status(500).json({ error: 'Failed to fetch user', details: err.message });
+  }
+});
+
+// PATCH /api/auth/users/:id/status - Disable or re-enable an account (admin only)
+router.patch('/:id/status', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { disabled, reason } = req.body;
+
+    if (typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled must be true or false' });
+    }
+
+    if (String(req.params.id) === String(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot change the status of your own account' });
+    }
+
+    let user;
+    try {
+      user = await User.findById(req.params.id);
+    } catch (err) {
+      user = null;
+    }
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (Boolean(user.disabled) === disabled) {
+      return res.status(400).json({ error: `User is already ${disabled ? 'disabled' : 'active'}` });
+    }
+
+    if (disabled && user.role === 'admin' && (await countAdmins()) <= 1) {
+      return res.status(400).json({ error: 'Cannot disable the last admin' });
+    }
+
+    const entry = await setUserDisabled(user, disabled, String(reason || '').trim(), {
+      id: String(req.user._id),
+      name: req.user.name,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: disabled ? 'Account disabled' : 'Account enabled',
+      user: serializeUser(user),
+      audit: entry
+    });
+  } catch (err) {
+    console.error('Change user status error:', err);
+    res.status(500).json({ error: 'Failed to change account status', details: err.message });
+  }
+});
+
+// POST /api/auth/users/:id/unlock - Lift a login lockout early (admin only)
+router.post('/:id/unlock', verifyToken, isAdmin, async (req, res) => {
+  try {
+    let user;
+    try {
+      user = await User.findById(req.params.id);
+    } catch (err) {
+      user = null;
+    }
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!isLocked(user) && !user.failedLoginAttempts) {
+      return res.status(400).json({ error: 'Account is not locked' });
+    }
+
+    const entry = await unlockAccount(user, {
+      id: String(req.user._id),
+      name: req.user.name,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Account unlocked', user: serializeUser(user), audit: entry });
+  } catch (err) {
+    console.error('Unlock account error:', err);
+    res.status(500).json({ error: 'Failed to unlock account', details: err.message });
+  }
+});
+
+// PATCH /api/auth/users/:id/role - Promote or demote a user (admin only)
+router.patch('/:id/role', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (String(req.params.id) === String(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    let user;
+    try {
+      user = await User.findById(req.params.id);
+    } catch (err) {
+      user = null;
+    }
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.role === role) {
+      return res.status(400).json({ error: `User is already ${role}` });
+    }
+
+    // Never leave the platform without an administrator
+    if (user.role === 'admin' && (await countAdmins()) <= 1) {
+      return res.status(400).json({ error: 'Cannot demote the last admin' });
+    }
+
+    const entry = await changeUserRole(user, role, {
+      id: String(req.user._id),
+      name: req.user.name,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Role updated', user: serializeUser(user), audit: entry });
+  } catch (err) {
+    console.error('Change role error:', err);
+    res.status(500).json({ error: 'Failed to change role', details: err.message });
+  }
+});
+
+module.exports = router;
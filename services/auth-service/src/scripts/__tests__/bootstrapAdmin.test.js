@@ -0,0 +1,79 @@
+jest.mock('../../models/User', () => {
+  const users = [];
+  const User = function (data) {
+    Object.assign(this, data);
+    this._id = `u${users.length + 1}`;
+  };
+  User.__users = users;
+  User.prototype.save = jest.fn(async function () {
+    if (!users.includes(this)) users.push(this);
+    return this;
+  });
+  User.findOne = jest.fn(async query => users.find(u => u.email === query.email) || null);
+  return User;
+});
+
+jest.mock('../../models/Session', () => ({
+  updateMany: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../../models/AuditLog', () => {
+  const entries = [];
+  const AuditLog = function (data) {
+    Object.assign(this, data);
+  };
+  AuditLog.__entries = entries;
+  AuditLog.prototype.save = jest.fn(async function () {
+    entries.push(this);
+    return this;
+  });
+  return AuditLog;
+});
+
+const User = require('../../models/User');
+const AuditLog = require('../../models/AuditLog');
+const { bootstrapAdmin } = require('../bootstrapAdmin');
+
+describe('bootstrapAdmin', () => {
+  beforeEach(() => {
+    User.__users.length = 0;
+    AuditLog.__entries.length = 0;
+  });
+
+  test('creates a verified admin and audits it as a system change', async () => {
+    const result = await bootstrapAdmin({ email: ' Admin@UMD.edu ', password: 'supersecure', name: 'Ops' });
+
+    expect(result).toMatchObject({ created: true, promoted: true });
+    expect(User.__users[0]).toMatchObject({ email: 'admin@umd.edu', role: 'admin', emailVerified: true, name: 'Ops' });
+    expect(AuditLog.__entries[0]).toMatchObject({
+      action: 'role_changed',
+      actorId: 'system',
+      details: { from: 'user', to: 'admin' }
+    });
+  });
+
+  test('promotes an existing account without touching its password', async () => {
+    const existing = new User({ email: 'staff@umd.edu', password: 'hashed', role: 'staff', emailVerified: false });
+    await existing.save();
+
+    const result = await bootstrapAdmin({ email: 'staff@umd.edu' });
+
+    expect(result).toMatchObject({ created: false, promoted: true });
+    expect(existing).toMatchObject({ role: 'admin', password: 'hashed', emailVerified: true });
+  });
+
+  test('is a no-op when the account is already an admin', async () => {
+    await new User({ email: 'admin@umd.edu', role: 'admin' }).save();
+
+    const result = await bootstrapAdmin({ email: 'admin@umd.edu' });
+
+    expect(result).toMatchObject({ created: false, promoted: false });
+    expect(AuditLog.__entries).toHaveLength(0);
+  });
+
+  test('requires an email, and a password for new accounts', async () => {
+    await expect(bootstrapAdmin({})).rejects.toThrow(/BOOTSTRAP_ADMIN_EMAIL/);
+    await expect(bootstrapAdmin({ email: 'new@umd.edu', password: '123' })).rejects.toThrow(/BOOTSTRAP_ADMIN_PASSWORD/);
+    expect(User.__users).toHaveLength(0);
+  });
+});
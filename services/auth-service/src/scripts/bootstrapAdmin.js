@@ -0,0 +1,77 @@
+// Create (or promote) the first administrator from the environment:
+//   BOOTSTRAP_ADMIN_EMAIL=you@umd.edu BOOTSTRAP_ADMIN_PASSWORD=... npm run bootstrap-admin
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { changeUserRole } = require('../utils/roles');
+
+const SYSTEM_ACTOR = { id: 'system', name: 'bootstrap-admin' };
+
+// Resolves { user, created, promoted }. Safe to run repeatedly.
+const bootstrapAdmin = async ({ email, password, name }) => {
+  if (!email) {
+    throw new Error('BOOTSTRAP_ADMIN_EMAIL is required');
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  const existing = await User.findOne({ email: normalizedEmail });
+
+  if (existing) {
+    if (existing.role === 'admin') {
+      return { user: existing, created: false, promoted: false };
+    }
+    // The operator vouches for this address, so skip email verification too
+    if (existing.emailVerified === false) {
+      existing.emailVerified = true;
+      existing.emailVerifiedAt = new Date();
+    }
+    await changeUserRole(existing, 'admin', SYSTEM_ACTOR);
+    return { user: existing, created: false, promoted: true };
+  }
+
+  if (!password || password.length < 6) {
+    throw new Error('BOOTSTRAP_ADMIN_PASSWORD (at least 6 characters) is required to create a new admin');
+  }
+
+  const user = new User({
+    name: name || 'Administrator',
+    email: normalizedEmail,
+    password,
+    role: 'user',
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+  await user.save();
+  await changeUserRole(user, 'admin', SYSTEM_ACTOR);
+
+  return { user, created: true, promoted: true };
+};
+
+if (require.main === module) {
+  const MONGO_URI = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/eventsphere-auth';
+
+  mongoose.connect(MONGO_URI)
+    .then(() => bootstrapAdmin({
+      email: process.env.BOOTSTRAP_ADMIN_EMAIL,
+      password: process.env.BOOTSTRAP_ADMIN_PASSWORD,
+      name: process.env.BOOTSTRAP_ADMIN_NAME
+    }))
+    .then(({ user, created, promoted }) => {
+      if (created) {
+        console.log(`✅ Created admin ${user.email}`);
+      } else if (promoted) {
+        console.log(`✅ Promoted ${user.email} to admin`);
+      } else {
+        console.log(`ℹ️  ${user.email} is already an admin`);
+      }
+      return mongoose.disconnect();
+    })
+    .catch(async err => {
+      console.error('❌ Admin bootstrap failed:', err.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { bootstrapAdmin };
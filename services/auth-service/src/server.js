@@ -4,12 +4,23 @@ const cors = require('cors');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
-const debugRoutes = require('./routes/debug');
+const registrationRoutes = require('./routes/registration');
+const userRoutes = require('./routes/users');
+const mfaRoutes = require('./routes/mfa');
+const jwksRoutes = require('./routes/jwks');
 
 const app = express();
 
 const PORT = process.env.PORT || 4001;
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/eventsphere-auth';
+// Proxies in front of the service (Caddy, then the frontend's nginx); req.ip is
+// then the client's address from X-Forwarded-For instead of a proxy's, which
+// login throttling relies on. By default any proxy on a private network is
+// trusted, so X-Forwarded-For entries a client sends itself are never used.
+// A number instead trusts that many hops.
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
 
 // Middleware
 app.use(cors({
@@ -23,8 +34,11 @@ app.use(cors({
 app.use(express.json());
 
 // Routes
+app.use('/api/auth/registration', registrationRoutes);
+app.use('/api/auth/users', userRoutes);
+app.use('/api/auth/mfa', mfaRoutes);
 app.use('/api/auth', authRoutes);
-app.use('/api/debug', debugRoutes);
+app.use('/.well-known', jwksRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
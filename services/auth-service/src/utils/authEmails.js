@@ -0,0 +1,94 @@
+const { sendMail } = require('./mailer');
+const { TOKEN_TTL_MS } = require('./oneTimeTokens');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const buildLink = (pagePath, token) => `${APP_URL}${pagePath}?token=${encodeURIComponent(token)}`;
+
+const renderEmail = ({ heading, greeting, body, actionLabel, actionUrl, footer }) => `
+  <!DOCTYPE html>
+  <html>
+  <body style="margin: 0; padding: 20px 0; font-family: 'Helvetica Neue', Arial, sans-serif; background-color: #f4f4f4;">
+    <table width="600" align="center" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; overflow: hidden;">
+      <tr>
+        <td style="background-color: #E03A3E; padding: 30px; text-align: center;">
+          <h1 style="margin: 0; color: #ffffff; font-size: 28px;">${heading}</h1>
+        </td>
+      </tr>
+      <tr>
+        <td style="padding: 30px; color: #333333; font-size: 16px; line-height: 1.6;">
+          <p style="margin: 0 0 16px;">${greeting}</p>
+          <p style="margin: 0 0 24px;">${body}</p>
+          <p style="margin: 0 0 24px; text-align: center;">
+            <a href="${actionUrl}" style="display: inline-block; padding: 14px 28px; background-color: #E03A3E; color: #ffffff; text-decoration: none; border-radius: 6px; font-weight: bold;">${actionLabel}</a>
+          </p>
+          <p style="margin: 0; font-size: 13px; color: #777777;">${footer}</p>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>
+`;
+
+const sendVerificationEmail = async (user, token) => {
+  const url = buildLink('/verify-email', token);
+  const hours = Math.round(TOKEN_TTL_MS.email_verification / (60 * 60 * 1000));
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Eventrix email address',
+    text: `Hi ${user.name}, confirm your email address by opening ${url} (valid for ${hours} hours).`,
+    html: renderEmail({
+      heading: 'Verify your email',
+      greeting: `Hi <strong>${user.name}</strong>,`,
+      body: 'Confirm this is your email address to finish setting up your Eventrix account.',
+      actionLabel: 'Verify Email',
+      actionUrl: url,
+      footer: `This link expires in ${hours} hours. If you did not create an account, you can ignore this email.`
+    })
+  });
+};
+
+const sendPasswordResetEmail = async (user, token) => {
+  const url = buildLink('/reset-password', token);
+  const minutes = Math.round(TOKEN_TTL_MS.password_reset / (60 * 1000));
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Eventrix password',
+    text: `Hi ${user.name}, reset your password by opening ${url} (valid for ${minutes} minutes, one use only).`,
+    html: renderEmail({
+      heading: 'Reset your password',
+      greeting: `Hi <strong>${user.name}</strong>,`,
+      body: 'We received a request to reset your password. The link below can be used once.',
+      actionLabel: 'Choose a New Password',
+      actionUrl: url,
+      footer: `This link expires in ${minutes} minutes. If you did not ask for a reset, you can ignore this email and your password stays the same.`
+    })
+  });
+};
+
+const sendInviteEmail = async (invite) => {
+  const url = `${APP_URL}/register?email=${encodeURIComponent(invite.email)}`;
+  const inviter = invite.invitedByName || 'An Eventrix administrator';
+
+  return sendMail({
+    to: invite.email,
+    subject: 'You are invited to join Eventrix',
+    text: `${inviter} invited you to Eventrix. Create your account at ${url} before ${invite.expiresAt.toDateString()}.`,
+    html: renderEmail({
+      heading: 'You are invited',
+      greeting: 'Hello,',
+      body: `${inviter} invited you to create an Eventrix account.`,
+      actionLabel: 'Create Account',
+      actionUrl: url,
+      footer: `This invitation expires on ${invite.expiresAt.toDateString()} and only works for ${invite.email}.`
+    })
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInviteEmail
+};
@@ -0,0 +1,14 @@
+// Current time for code whose behaviour depends on elapsed time. Tests swap in a
+// fake clock with setClock() instead of waiting or mocking timers.
+let currentClock = () => Date.now();
+
+const now = () => currentClock();
+
+const setClock = (clock) => {
+  currentClock = clock || (() => Date.now());
+};
+
+module.exports = {
+  now,
+  setClock
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// RS256 signing key. Other services verify tokens with the public half published as a JWKS.
+const loadPrivateKey = () => {
+  if (process.env.JWT_PRIVATE_KEY) {
+    return crypto.createPrivateKey(process.env.JWT_PRIVATE_KEY.replace(/\\n/g, '\n'));
+  }
+
+  if (process.env.JWT_PRIVATE_KEY_PATH) {
+    return crypto.createPrivateKey(fs.readFileSync(process.env.JWT_PRIVATE_KEY_PATH));
+  }
+
+  // Fallback: every restart generates a new key, which signs everyone out
+  console.warn('⚠️  JWT_PRIVATE_KEY is not set; using a temporary signing key for this process');
+  return crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+};
+
+const privateKey = loadPrivateKey();
+const publicKey = crypto.createPublicKey(privateKey);
+const { kty, n, e } = publicKey.export({ format: 'jwk' });
+
+// RFC 7638 thumbprint, so the key id changes whenever the key does
+const keyId = crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ e, kty, n }))
+  .digest('base64url');
+
+const jwks = {
+  keys: [{ kty, n, e, kid: keyId, alg: 'RS256', use: 'sig' }]
+};
+
+module.exports = {
+  privateKey,
+  publicKey,
+  keyId,
+  jwks
+};
@@ -0,0 +1,175 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { now } = require('./clock');
+
+// Failures allowed before each further attempt has to wait, doubling every time
+const IP_FREE_ATTEMPTS = parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS || '10', 10);
+const ACCOUNT_FREE_ATTEMPTS = parseInt(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS || '3', 10);
+const BACKOFF_BASE_MS = 1000;
+const MAX_BACKOFF_MS = parseInt(process.env.LOGIN_MAX_BACKOFF_SECONDS || '900', 10) * 1000;
+// Consecutive failures that lock an account, and for how long
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10', 10);
+const LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10) * 60 * 1000;
+
+// Per-IP failures live in memory: they only need to outlast a burst of guesses.
+// Account failures are stored on the user so a restart doesn't reset them.
+const ipFailures = new Map();
+
+const backoffMs = (failures, freeAttempts) => {
+  if (failures < freeAttempts) {
+    return 0;
+  }
+  return Math.min(BACKOFF_BASE_MS * 2 ** (failures - freeAttempts), MAX_BACKOFF_MS);
+};
+
+const secondsUntil = (time) => Math.max(Math.ceil((time - now()) / 1000), 1);
+
+// Seconds this IP has to wait before its next attempt, or 0
+const getIpRetryAfter = (ip) => {
+  const entry = ipFailures.get(ip);
+  if (!entry) {
+    return 0;
+  }
+
+  // Forget IPs that have been quiet for longer than the longest wait
+  if (now() - entry.lastFailureAt > MAX_BACKOFF_MS) {
+    ipFailures.delete(ip);
+    return 0;
+  }
+
+  const retryAt = entry.lastFailureAt + backoffMs(entry.failures, IP_FREE_ATTEMPTS);
+  return retryAt > now() ? secondsUntil(retryAt) : 0;
+};
+
+// Entries are kept in order of their last failure, so the quiet ones are at the front
+const pruneIpFailures = () => {
+  for (const [ip, entry] of ipFailures) {
+    if (now() - entry.lastFailureAt <= MAX_BACKOFF_MS) {
+      break;
+    }
+    ipFailures.delete(ip);
+  }
+};
+
+const recordIpFailure = (ip) => {
+  const entry = ipFailures.get(ip) || { failures: 0 };
+  entry.failures += 1;
+  entry.lastFailureAt = now();
+  ipFailures.delete(ip);
+  ipFailures.set(ip, entry);
+  pruneIpFailures();
+};
+
+const isLocked = (user) => Boolean(user.lockedUntil && new Date(user.lockedUntil).getTime() > now());
+
+// Seconds the account has to wait (locked or backing off), or 0
+const getAccountRetryAfter = (user) => {
+  if (isLocked(user)) {
+    return secondsUntil(new Date(user.lockedUntil).getTime());
+  }
+
+  const failures = user.failedLoginAttempts || 0;
+  if (!failures || !user.lastFailedLoginAt) {
+    return 0;
+  }
+
+  const retryAt = new Date(user.lastFailedLoginAt).getTime() + backoffMs(failures, ACCOUNT_FREE_ATTEMPTS);
+  return retryAt > now() ? secondsUntil(retryAt) : 0;
+};
+
+const recordLockEvent = (action, user, actor, details) => {
+  const entry = new AuditLog({
+    action,
+    actorId: actor.id,
+    actorName: actor.name || '',
+    targetUserId: String(user._id),
+    targetEmail: user.email,
+    details,
+    ipAddress: actor.ipAddress || ''
+  });
+  return entry.save();
+};
+
+// Count a wrong password against the account, locking it once the threshold is hit.
+// Returns true when this failure locked the account.
+const recordAccountFailure = async (user, ipAddress) => {
+  // A lock that has run out starts the count again
+  if (user.lockedUntil && !isLocked(user)) {
+    await User.updateOne(
+      { _id: user._id, lockedUntil: user.lockedUntil },
+      { $set: { failedLoginAttempts: 0, lockedUntil: null } }
+    );
+  }
+
+  // Counted in the database so parallel guesses can't lose increments
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date(now()) } },
+    { new: true }
+  );
+  if (!updated) {
+    return false;
+  }
+  user.failedLoginAttempts = updated.failedLoginAttempts;
+  user.lastFailedLoginAt = updated.lastFailedLoginAt;
+  user.lockedUntil = updated.lockedUntil;
+
+  if (updated.failedLoginAttempts < LOCKOUT_THRESHOLD || isLocked(updated)) {
+    return false;
+  }
+
+  // Of several failures crossing the threshold together, only one locks the account
+  const lockedUntil = new Date(now() + LOCKOUT_MS);
+  const result = await User.updateOne(
+    { _id: user._id, lockedUntil: updated.lockedUntil || null },
+    { $set: { lockedUntil } }
+  );
+  if (!result.modifiedCount) {
+    return false;
+  }
+  user.lockedUntil = lockedUntil;
+
+  await recordLockEvent('account_locked', user, { id: 'system', name: 'Login throttle', ipAddress }, {
+    failedAttempts: user.failedLoginAttempts,
+    lockedUntil
+  });
+  return true;
+};
+
+const clearAccountFailures = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil) {
+    return;
+  }
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = null;
+  user.lockedUntil = null;
+  await user.save();
+};
+
+// Admin override: lift a lock (or pending backoff) straight away
+const unlockAccount = async (user, actor) => {
+  const wasLockedUntil = user.lockedUntil;
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = null;
+  user.lockedUntil = null;
+  await user.save();
+
+  return recordLockEvent('account_unlocked', user, actor, { lockedUntil: wasLockedUntil });
+};
+
+// Test helpers
+const resetIpFailures = () => ipFailures.clear();
+const trackedIpCount = () => ipFailures.size;
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  isLocked,
+  getIpRetryAfter,
+  recordIpFailure,
+  getAccountRetryAfter,
+  recordAccountFailure,
+  clearAccountFailures,
+  unlockAccount,
+  resetIpFailures,
+  trackedIpCount
+};
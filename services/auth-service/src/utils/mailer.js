@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Sends through SMTP in normal use. MAIL_TRANSPORT=file writes each message to
+// MAIL_FILE_DIR as JSON instead, so tests and local runs can read the links.
+const createSmtpTransport = () => {
+  const smtpUser = process.env.SMTP_USER || '';
+  const smtpPass = process.env.SMTP_PASS || '';
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'sandbox.smtp.mailtrap.io',
+    port: parseInt(process.env.SMTP_PORT || '2525', 10),
+    auth: smtpUser && smtpPass ? { user: smtpUser, pass: smtpPass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      if (!smtpUser || !smtpPass) {
+        console.warn('SMTP credentials are not configured. Email not sent.');
+        return;
+      }
+      await transporter.sendMail(message);
+    }
+  };
+};
+
+const createFileTransport = (dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'eventrix-mail')) => ({
+  name: 'file',
+  dir,
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  }
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+let activeTransport = null;
+
+const getMailTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'smtp';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+// Swap the transport at runtime (tests use a file sink)
+const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+// Never throws: a failed email should not fail the request that triggered it
+const sendMail = async ({ to, subject, html, text }) => {
+  try {
+    await getMailTransport().send({
+      from: process.env.MAIL_FROM || 'no-reply@eventrix.local',
+      to,
+      subject,
+      html,
+      text
+    });
+    return true;
+  } catch (err) {
+    console.error('Email send failed:', err.message);
+    return false;
+  }
+};
+
+module.exports = {
+  createFileTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that must have two-factor authentication before using their privileges
+const MFA_REQUIRED_ROLES = ['admin'];
+
+const isMfaRequired = (user) => MFA_REQUIRED_ROLES.includes(user.role);
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// Replace the user's recovery codes. Only hashes are kept; the plain codes are shown once.
+const issueRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  user.mfaRecoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+// Check an authenticator code or a recovery code against an enrolled user. Updates the
+// user (last used step, spent recovery code) but leaves saving to the caller.
+// Returns 'totp', 'recovery_code' or null.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (!user.mfaEnabled || !user.mfaSecret) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyCode(user.mfaSecret, code, user.mfaLastUsedStep ?? -1);
+    if (step === null) {
+      return null;
+    }
+    user.mfaLastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const remaining = user.mfaRecoveryCodes || [];
+    if (!remaining.includes(hash)) {
+      return null;
+    }
+    user.mfaRecoveryCodes = remaining.filter(stored => stored !== hash);
+    return 'recovery_code';
+  }
+
+  return null;
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  isMfaRequired,
+  issueRecoveryCodes,
+  verifySecondFactor
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const { hashToken } = require('./tokens');
+
+const TOKEN_TTL_MS = {
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_HOURS || '24', 10) * 60 * 60 * 1000,
+  password_reset: parseInt(process.env.PASSWORD_RESET_MINUTES || '60', 10) * 60 * 1000,
+  mfa_challenge: parseInt(process.env.MFA_CHALLENGE_MINUTES || '5', 10) * 60 * 1000
+};
+
+// Issue a fresh token of the given type. Any earlier unused token of that type stops working.
+const issueOneTimeToken = async (user, type) => {
+  const now = new Date();
+  await AuthToken.updateMany(
+    { userId: String(user._id), type, usedAt: null },
+    { $set: { usedAt: now } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await new AuthToken({
+    userId: String(user._id),
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + TOKEN_TTL_MS[type])
+  }).save();
+
+  return token;
+};
+
+// Mark a token used and return it, or null if it is unknown, expired or already used.
+// The conditional update means two concurrent requests cannot both redeem it.
+const consumeOneTimeToken = async (token, type) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const now = new Date();
+  return AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+// Look up a token without using it up, e.g. while a second factor is still being checked
+const findOneTimeToken = async (token, type) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  return AuthToken.findOne({
+    tokenHash: hashToken(token),
+    type,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = {
+  TOKEN_TTL_MS,
+  issueOneTimeToken,
+  findOneTimeToken,
+  consumeOneTimeToken
+};
@@ -0,0 +1,86 @@
+const RegistrationPolicy = require('../models/RegistrationPolicy');
+const Invite = require('../models/Invite');
+
+const POLICY_MODES = ['open', 'allowlist', 'invite_only'];
+const INVITE_DAYS = parseInt(process.env.INVITE_DAYS || '14', 10);
+
+// "@UMD.edu " -> "umd.edu", "*.umd.edu" stays a wildcard. Returns null for anything malformed.
+const normalizeDomainPattern = (value) => {
+  const pattern = String(value || '').trim().toLowerCase().replace(/^@/, '');
+  return /^(\*\.)?([a-z0-9-]+\.)+[a-z0-9-]+$/.test(pattern) ? pattern : null;
+};
+
+// "umd.edu" matches only umd.edu; "*.umd.edu" matches any subdomain such as cs.umd.edu, but not umd.edu itself
+const domainMatches = (domain, pattern) => {
+  if (pattern.startsWith('*.')) {
+    return domain.endsWith(pattern.slice(1));
+  }
+  return domain === pattern;
+};
+
+const emailDomain = (email) => String(email).trim().toLowerCase().split('@').pop();
+
+const parseDomainList = (value) => String(value || '')
+  .split(',')
+  .map(normalizeDomainPattern)
+  .filter(Boolean);
+
+// Used until an admin saves a policy, so existing deployments keep the @umd.edu rule
+const DEFAULT_POLICY = {
+  mode: 'allowlist',
+  allowedDomains: parseDomainList(process.env.REGISTRATION_ALLOWED_DOMAINS || 'umd.edu'),
+  deniedDomains: [],
+  updatedBy: null,
+  updatedByName: null,
+  updatedAt: null
+};
+
+const getRegistrationPolicy = async () => {
+  const policy = await RegistrationPolicy.findOne({ key: 'default' });
+  return policy || DEFAULT_POLICY;
+};
+
+const describeAllowedDomains = (domains) => domains.map(domain => `@${domain}`).join(' or ');
+
+const findPendingInvite = (email) => Invite.findOne({
+  email: String(email).trim().toLowerCase(),
+  acceptedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Decide whether an email may register under the policy. Resolves { allowed, error, invite }.
+// A pending invite admits the address in every mode, since an admin asked for it explicitly.
+const checkRegistration = async (email, policy) => {
+  const invite = await findPendingInvite(email);
+  if (invite) {
+    return { allowed: true, invite };
+  }
+
+  if (policy.mode === 'invite_only') {
+    return { allowed: false, error: 'Registration is by invitation only' };
+  }
+
+  const domain = emailDomain(email);
+
+  if (policy.deniedDomains.some(pattern => domainMatches(domain, pattern))) {
+    return { allowed: false, error: 'Registrations from this email domain are not allowed' };
+  }
+
+  if (policy.mode === 'allowlist' && !policy.allowedDomains.some(pattern => domainMatches(domain, pattern))) {
+    const error = policy.allowedDomains.length
+      ? `Only ${describeAllowedDomains(policy.allowedDomains)} email addresses are allowed`
+      : 'Registration is currently closed';
+    return { allowed: false, error };
+  }
+
+  return { allowed: true };
+};
+
+module.exports = {
+  POLICY_MODES,
+  INVITE_DAYS,
+  normalizeDomainPattern,
+  domainMatches,
+  getRegistrationPolicy,
+  checkRegistration
+};
@@ -0,0 +1,68 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+
+const ROLES = ['user', 'staff', 'admin'];
+
+const revokeUserSessions = (user) => Session.updateMany(
+  { userId: String(user._id), revokedAt: null },
+  { $set: { revokedAt: new Date() } }
+);
+
+// Change a user's role and record who did it. Their sessions are revoked so the
+// role baked into their access token can't outlive the change.
+const changeUserRole = async (user, role, actor) => {
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+
+  await revokeUserSessions(user);
+
+  const entry = new AuditLog({
+    action: 'role_changed',
+    actorId: actor.id,
+    actorName: actor.name,
+    targetUserId: String(user._id),
+    targetEmail: user.email,
+    details: { from: previousRole, to: role },
+    ipAddress: actor.ipAddress || ''
+  });
+  await entry.save();
+
+  return entry;
+};
+
+// Disable or re-enable an account. Disabling signs the user out everywhere.
+const setUserDisabled = async (user, disabled, reason, actor) => {
+  user.disabled = disabled;
+  user.disabledAt = disabled ? new Date() : null;
+  user.disabledReason = disabled ? reason : '';
+  await user.save();
+
+  if (disabled) {
+    await revokeUserSessions(user);
+  }
+
+  const entry = new AuditLog({
+    action: disabled ? 'account_disabled' : 'account_enabled',
+    actorId: actor.id,
+    actorName: actor.name,
+    targetUserId: String(user._id),
+    targetEmail: user.email,
+    details: disabled ? { reason } : {},
+    ipAddress: actor.ipAddress || ''
+  });
+  await entry.save();
+
+  return entry;
+};
+
+// Admins who can still sign in
+const countAdmins = () => User.countDocuments({ role: 'admin', disabled: { $ne: true } });
+
+module.exports = {
+  ROLES,
+  changeUserRole,
+  setUserDisabled,
+  countAdmins
+};
@@ -0,0 +1,15 @@
+// Secrets fall back to a well-known value for local development only. In production
+// a missing secret stops the service at startup instead of signing with a public key.
+const requireSecret = (name, devDefault) => {
+  const value = process.env[name];
+  if (value) {
+    return value;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+  return devDefault;
+};
+
+module.exports = { requireSecret };
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { privateKey, publicKey, keyId } = require('./keys');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up without scanning hashes
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+// Accepts "900", "900s", "15m", "12h" or "7d"
+const parseDurationSeconds = (value) => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  const multipliers = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return parseInt(match[1], 10) * multipliers[match[2]];
+};
+
+const ACCESS_TOKEN_TTL_SECONDS = parseDurationSeconds(ACCESS_TOKEN_TTL);
+
+// Carries everything the other services need to authorize a request without calling back.
+// "mfa" says whether this session passed two-factor authentication.
+const generateAccessToken = (user, session) => jwt.sign(
+  {
+    id: String(user._id),
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    sid: String(session._id),
+    mfa: Boolean(session.mfaVerified)
+  },
+  privateKey,
+  { algorithm: 'RS256', keyid: keyId, expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+);
+
+const verifyAccessToken = (token) => jwt.verify(token, publicKey, { algorithms: ['RS256'] });
+
+const isSessionActive = (session) => Boolean(session)
+  && !session.revokedAt
+  && new Date(session.expiresAt) > new Date();
+
+// Start a session for a freshly authenticated user and issue both tokens
+const createSession = async (user, req, { mfaVerified = false } = {}) => {
+  const session = new Session({
+    userId: String(user._id),
+    refreshTokenHash: 'pending',
+    mfaVerified,
+    userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+    ipAddress: req.ip || '',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    token: generateAccessToken(user, session),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new pair. The old refresh token stops working immediately.
+// Resolves null when the token is unknown, expired or revoked.
+const rotateRefreshToken = async (refreshToken) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId) {
+    return null;
+  }
+
+  let session;
+  try {
+    session = await Session.findById(sessionId);
+  } catch (err) {
+    return null;
+  }
+
+  if (!isSessionActive(session)) {
+    return null;
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousTokenHash) {
+      // A rotated-out token came back: someone else has a copy, so end the session
+      session.revokedAt = new Date();
+      await session.save();
+    }
+    return null;
+  }
+
+  // The swap only lands if the presented token is still the current one, so of two
+  // requests racing with the same token exactly one wins
+  const nextRefreshToken = buildRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        previousTokenHash: presentedHash,
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastUsedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // The same token was used twice at once, which is reuse like any other
+    await Session.updateOne({ _id: session._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    return null;
+  }
+
+  return { session: rotated, refreshToken: nextRefreshToken };
+};
+
+const revokeSession = async (session) => {
+  if (session && !session.revokedAt) {
+    session.revokedAt = new Date();
+    await session.save();
+  }
+  return session;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  hashToken,
+  generateAccessToken,
+  verifyAccessToken,
+  isSessionActive,
+  createSession,
+  rotateRefreshToken,
+  revokeSession
+};
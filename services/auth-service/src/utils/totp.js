@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { now } = require('./clock');
+
+// RFC 6238 time-based one-time passwords, as used by Google Authenticator, 1Password, etc.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code as well, to allow for clock drift on the phone
+const DRIFT_STEPS = 1;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const ISSUER = process.env.MFA_ISSUER || 'Eventrix';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = () => Math.floor(now() / 1000 / STEP_SECONDS);
+
+// The code for a given 30-second step (RFC 4226 dynamic truncation)
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Returns the step the code belongs to, or null. Steps at or before lastUsedStep are
+// refused so a code that was already used (or overheard) can't be replayed.
+const verifyCode = (secret, code, lastUsedStep = -1) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+    const checkStep = step + offset;
+    if (checkStep <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateCode(secret, checkStep);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return checkStep;
+    }
+  }
+  return null;
+};
+
+// What authenticator apps scan from the QR code
+const buildOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+};
@@ -0,0 +1,46 @@
+const { createMemoryBus } = require('./memoryBus');
+const { createMongoBus } = require('./mongoBus');
+
+const SERVICE_NAME = 'booking-service';
+const EVENT_BUS_MAX_ATTEMPTS = parseInt(process.env.EVENT_BUS_MAX_ATTEMPTS || '10', 10);
+
+// Event buses implement:
+//   publish(type, payload, { id }) -> the event id; publishing the same id again delivers nothing new
+//   subscribe(type, consumer, handler) -> handler(payload, { id, type, payload, publishedAt }),
+//     with one consumer name per subscription; a handler that throws is retried
+//   start() / stop() -> begin and end delivery to this service's consumers
+//   drain() -> retry due deliveries now, resolving how many went through
+//   deadLetters() -> deliveries that ran out of attempts
+// Delivery is at-least-once: handlers must be safe to run twice.
+const drivers = {
+  mongo: () => createMongoBus({
+    uri: process.env.EVENT_BUS_MONGO_URI || 'mongodb://127.0.0.1:27017/eventsphere-bus',
+    service: SERVICE_NAME,
+    pollMs: parseInt(process.env.EVENT_BUS_POLL_MS || '1000', 10),
+    maxAttempts: EVENT_BUS_MAX_ATTEMPTS
+  }),
+  memory: () => createMemoryBus({ maxAttempts: EVENT_BUS_MAX_ATTEMPTS })
+};
+
+let bus = null;
+
+const getEventBus = () => {
+  if (!bus) {
+    const name = process.env.EVENT_BUS_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo');
+    if (!drivers[name]) {
+      throw new Error(`Unknown event bus driver: ${name}`);
+    }
+    bus = drivers[name]();
+  }
+  return bus;
+};
+
+// Swap the active bus, e.g. for a fresh in-memory bus in each test
+const setEventBus = (nextBus) => {
+  bus = nextBus;
+};
+
+module.exports = {
+  getEventBus,
+  setEventBus
+};
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Retries back off from 15 seconds, doubling up to an hour
+const RETRY_BASE_MS = 15000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// How long a delivery is left alone while one attempt is running
+const CLAIM_MS = 60000;
+
+// Every published event, kept for tracing
+const busEventSchema = new mongoose.Schema({
+  _id: String,
+  type: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  source: String,
+  publishedAt: { type: Date, default: Date.now }
+});
+
+// Which consumers want which event types. Consumers register when their
+// service starts, and only receive events published after that.
+const busSubscriptionSchema = new mongoose.Schema({
+  consumer: { type: String, required: true },
+  type: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+busSubscriptionSchema.index({ consumer: 1, type: 1 }, { unique: true });
+busSubscriptionSchema.index({ type: 1 });
+
+// One event on its way to one consumer
+const busDeliverySchema = new mongoose.Schema({
+  eventId: { type: String, required: true },
+  type: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  publishedAt: Date,
+  consumer: { type: String, required: true },
+  status: { type: String, enum: ['pending', 'done', 'dead'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String, default: null },
+  processedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+// An event reaches each consumer once, however often it is published
+busDeliverySchema.index({ eventId: 1, consumer: 1 }, { unique: true });
+busDeliverySchema.index({ consumer: 1, status: 1, nextAttemptAt: 1 });
+
+// Deliveries that ran out of attempts, kept for someone to look at
+const busDeadLetterSchema = new mongoose.Schema({
+  eventId: String,
+  type: String,
+  payload: mongoose.Schema.Types.Mixed,
+  consumer: String,
+  attempts: Number,
+  lastError: String,
+  failedAt: { type: Date, default: Date.now }
+});
+
+const retryDelay = (attempts) => Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+
+// Bus backed by a MongoDB database every service shares. Publishing stores the
+// event and one delivery per subscribed consumer; each service polls for the
+// deliveries addressed to its own consumers. Delivery is at-least-once, so
+// handlers must be safe to run twice.
+const createMongoBus = ({ uri, service, pollMs = 1000, maxAttempts = 10 }) => {
+  const connection = mongoose.createConnection(uri);
+  const BusEvent = connection.model('BusEvent', busEventSchema);
+  const BusSubscription = connection.model('BusSubscription', busSubscriptionSchema);
+  const BusDelivery = connection.model('BusDelivery', busDeliverySchema);
+  const BusDeadLetter = connection.model('BusDeadLetter', busDeadLetterSchema);
+
+  const subscriptions = new Map();
+  let timer = null;
+
+  // Run a claimed delivery's handler once and record how it went
+  const deliver = async (delivery) => {
+    const { handler } = subscriptions.get(delivery.consumer);
+    const event = { id: delivery.eventId, type: delivery.type, payload: delivery.payload, publishedAt: delivery.publishedAt };
+
+    try {
+      await handler(delivery.payload, event);
+      delivery.status = 'done';
+      delivery.processedAt = new Date();
+    } catch (err) {
+      delivery.attempts += 1;
+      delivery.lastError = err.message;
+      if (delivery.attempts >= maxAttempts) {
+        delivery.status = 'dead';
+        await BusDeadLetter.create({
+          eventId: delivery.eventId,
+          type: delivery.type,
+          payload: delivery.payload,
+          consumer: delivery.consumer,
+          attempts: delivery.attempts,
+          lastError: err.message
+        });
+        console.error(`Event ${delivery.eventId} (${delivery.type}) dead-lettered for ${delivery.consumer}:`, err.message);
+      } else {
+        delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+      }
+    }
+
+    await delivery.save();
+    return delivery.status === 'done';
+  };
+
+  // Deliver everything due to this service's consumers. Each delivery is
+  // claimed first so two instances never run it at once.
+  const drain = async (now = new Date()) => {
+    const consumers = [...subscriptions.keys()];
+    if (consumers.length === 0) {
+      return 0;
+    }
+
+    const due = await BusDelivery.find({
+      consumer: { $in: consumers },
+      status: 'pending',
+      nextAttemptAt: { $lte: now }
+    }).sort({ createdAt: 1 }).limit(100);
+    let delivered = 0;
+
+    for (const { _id } of due) {
+      const delivery = await BusDelivery.findOneAndUpdate(
+        { _id, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+        { new: true }
+      );
+      if (delivery && await deliver(delivery)) {
+        delivered += 1;
+      }
+    }
+
+    return delivered;
+  };
+
+  return {
+    name: 'mongo',
+
+    // Publishing again with the same id adds nothing, so a retried publish
+    // never delivers an event twice
+    async publish(type, payload, { id } = {}) {
+      const eventId = id || crypto.randomUUID();
+      const publishedAt = new Date();
+
+      await BusEvent.updateOne(
+        { _id: eventId },
+        { $setOnInsert: { type, payload, source: service, publishedAt } },
+        { upsert: true }
+      );
+
+      const subscribers = await BusSubscription.find({ type });
+      if (subscribers.length > 0) {
+        await BusDelivery.bulkWrite(subscribers.map(({ consumer }) => ({
+          updateOne: {
+            filter: { eventId, consumer },
+            update: { $setOnInsert: { eventId, type, payload, publishedAt, consumer } },
+            upsert: true
+          }
+        })));
+      }
+
+      return eventId;
+    },
+
+    subscribe(type, consumer, handler) {
+      subscriptions.set(consumer, { type, handler });
+    },
+
+    // Register this service's consumers and start polling for their deliveries
+    async start() {
+      for (const [consumer, { type }] of subscriptions) {
+        await BusSubscription.updateOne({ consumer, type }, { $setOnInsert: { consumer, type } }, { upsert: true });
+      }
+
+      timer = setInterval(() => {
+        drain().catch(err => {
+          console.error('Event bus poll failed:', err.message);
+        });
+      }, pollMs);
+      timer.unref();
+    },
+
+    async stop() {
+      clearInterval(timer);
+      await connection.close();
+    },
+
+    drain,
+
+    deadLetters() {
+      return BusDeadLetter.find().sort({ failedAt: -1 }).lean();
+    }
+  };
+};
+
+module.exports = { createMongoBus };
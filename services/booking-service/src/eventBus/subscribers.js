@@ -0,0 +1,29 @@
+const { syncEventDetails, cancelEventBookings, expireWaitlist } = require('../utils/eventBookings');
+const { promoteWaitlistIfPossible } = require('../utils/seats');
+
+// What booking-service does when something happens elsewhere. Every handler
+// is safe to run twice, as the bus may deliver an event more than once.
+const subscribeToEvents = (bus) => {
+  // Keep the event details copied onto bookings up to date
+  bus.subscribe('event.updated', 'booking-service.sync-event-details', async ({ eventId, ...details }) => {
+    await syncEventDetails(eventId, details);
+  });
+
+  bus.subscribe('event.cancelled', 'booking-service.cancel-event-bookings', async ({ eventId, reason, cancelledAt }) => {
+    await cancelEventBookings(eventId, { reason, cancelledAt });
+  });
+
+  bus.subscribe('event.started', 'booking-service.expire-waitlist', async ({ eventId }) => {
+    await expireWaitlist(eventId);
+  });
+
+  // Offer the seats a cancelled booking gave back to the waitlist. Events
+  // published before seatsReleased existed carry the freed count instead.
+  bus.subscribe('booking.cancelled', 'booking-service.promote-waitlist', async ({ eventId, seatsReleased, availableSeats }) => {
+    if (seatsReleased || availableSeats !== undefined) {
+      await promoteWaitlistIfPossible(eventId, availableSeats);
+    }
+  });
+};
+
+module.exports = { subscribeToEvents };
@@ -0,0 +1,256 @@
+// A small in-memory collection with the queries the mailer makes
+const mockStore = () => {
+  const docs = [];
+  let created = 0;
+
+  const matches = (filter, doc) => Object.entries(filter).every(([key, value]) => {
+    if (value && value.$lte !== undefined) return doc[key] <= value.$lte;
+    return String(doc[key]) === String(value);
+  });
+  const wrap = (data) => {
+    const doc = { _id: `${++created}`, ...data };
+    doc.save = jest.fn().mockResolvedValue(doc);
+    return doc;
+  };
+  const query = (result) => {
+    const chain = Promise.resolve(result);
+    chain.sort = () => chain;
+    chain.limit = (n) => query(result.slice(0, n));
+    chain.lean = () => chain;
+    return chain;
+  };
+
+  return {
+    __docs: docs,
+    __add: (data) => {
+      const doc = wrap(data);
+      docs.push(doc);
+      return doc;
+    },
+    __reset: () => {
+      docs.length = 0;
+    },
+    find: jest.fn((filter) => query(docs.filter(doc => matches(filter, doc)))),
+    findById: jest.fn(async (id) => docs.find(doc => doc._id === String(id)) || null),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      const doc = docs.find(d => matches(filter, d));
+      if (doc) Object.assign(doc, update.$set);
+      return doc || null;
+    }),
+    countDocuments: jest.fn(async (filter) => docs.filter(doc => matches(filter, doc)).length),
+    // Like an unordered insert under the unique broadcastId + email index
+    insertMany: jest.fn(async (items) => {
+      const fresh = items.filter(item => !docs.some(d => d.broadcastId === item.broadcastId && d.email === item.email));
+      const inserted = fresh.map(item => {
+        const doc = wrap({ status: 'queued', attempts: 0, lastError: null, ...item });
+        docs.push(doc);
+        return doc;
+      });
+      if (fresh.length < items.length) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      return inserted;
+    }),
+    deleteMany: jest.fn(async (filter) => {
+      const removed = docs.filter(doc => matches(filter, doc));
+      removed.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+      return { deletedCount: removed.length };
+    })
+  };
+};
+
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+jest.mock('../../models/Broadcast', () => mockStore());
+jest.mock('../../models/BroadcastRecipient', () => mockStore());
+
+jest.mock('../../models/Booking', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../../utils/email', () => ({
+  sendBroadcastEmail: jest.fn()
+}));
+
+const axios = require('axios');
+const Broadcast = require('../../models/Broadcast');
+const BroadcastRecipient = require('../../models/BroadcastRecipient');
+const Booking = require('../../models/Booking');
+const { sendBroadcastEmail } = require('../../utils/email');
+const { processBroadcasts } = require('../broadcastMailer');
+
+describe('processBroadcasts', () => {
+  const now = new Date('2030-03-10T20:00:00.000Z');
+  const later = (minutes) => new Date(now.getTime() + minutes * 60000);
+
+  const event = (overrides) => ({
+    data: {
+      _id: 'evt1',
+      title: 'Spring Gala',
+      venue: 'Main Hall',
+      startsAt: '2030-03-12T23:00:00.000Z',
+      timezone: 'America/New_York',
+      ...overrides
+    }
+  });
+
+  const addBroadcast = (overrides) => Broadcast.__add({
+    eventId: 'evt1',
+    subject: 'New venue for {{event}}',
+    body: 'Hi {{name}}, we moved to {{venue}}. Bring {{reference}}.',
+    audience: ['confirmed'],
+    status: 'scheduled',
+    scheduledFor: now,
+    ...overrides
+  });
+
+  const attendees = (bookings) => {
+    Booking.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(bookings) });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Broadcast.__reset();
+    BroadcastRecipient.__reset();
+    sendBroadcastEmail.mockResolvedValue();
+    axios.get.mockResolvedValue(event());
+  });
+
+  test('sends a due broadcast once to each attendee, filled in for them', async () => {
+    const broadcast = addBroadcast();
+    attendees([
+      { _id: 'b1', userId: 'u1', userName: 'Ada', userEmail: 'ada@example.com', bookingReference: 'EVT-1' },
+      { _id: 'b2', userId: 'u1', userName: 'Ada', userEmail: 'ADA@example.com', bookingReference: 'EVT-2' },
+      { _id: 'b3', userId: 'u2', userName: 'Lin', userEmail: 'lin@example.com', bookingReference: 'EVT-3' }
+    ]);
+
+    const result = await processBroadcasts(now);
+
+    expect(result).toEqual({ started: 1, sent: 2, finished: 1 });
+    expect(Booking.find).toHaveBeenCalledWith({ eventId: 'evt1', $or: [{ bookingStatus: 'confirmed' }] });
+    expect(sendBroadcastEmail).toHaveBeenCalledWith('ada@example.com', {
+      subject: 'New venue for Spring Gala',
+      body: 'Hi Ada, we moved to Main Hall. Bring EVT-1.'
+    });
+    expect(sendBroadcastEmail).toHaveBeenCalledWith('lin@example.com', expect.objectContaining({ body: expect.stringContaining('Hi Lin') }));
+    expect(broadcast).toMatchObject({ status: 'sent', recipientCount: 2, sentCount: 2, failedCount: 0 });
+    expect(BroadcastRecipient.__docs.map(r => r.status)).toEqual(['sent', 'sent']);
+  });
+
+  test('leaves scheduled broadcasts alone until their time', async () => {
+    const broadcast = addBroadcast({ scheduledFor: later(30) });
+    attendees([{ _id: 'b1', userName: 'Ada', userEmail: 'ada@example.com' }]);
+
+    expect(await processBroadcasts(now)).toEqual({ started: 0, sent: 0, finished: 0 });
+    expect(broadcast.status).toBe('scheduled');
+
+    expect(await processBroadcasts(later(31))).toEqual({ started: 1, sent: 1, finished: 1 });
+    expect(broadcast.status).toBe('sent');
+  });
+
+  test('retries a copy that failed and records it once attempts run out', async () => {
+    const broadcast = addBroadcast({ audience: ['waitlisted', 'checked_in'] });
+    attendees([{ _id: 'b1', userName: 'Ada', userEmail: 'ada@example.com' }]);
+    sendBroadcastEmail.mockRejectedValue(new Error('Mailbox unavailable'));
+
+    await processBroadcasts(now);
+    const [copy] = BroadcastRecipient.__docs;
+    expect(copy).toMatchObject({ status: 'queued', attempts: 1, lastError: 'Mailbox unavailable' });
+    expect(broadcast.status).toBe('sending');
+
+    // Not retried before its backoff is up
+    await processBroadcasts(now);
+    expect(sendBroadcastEmail).toHaveBeenCalledTimes(1);
+
+    await processBroadcasts(later(2));
+    await processBroadcasts(later(10));
+
+    expect(sendBroadcastEmail).toHaveBeenCalledTimes(3);
+    expect(copy).toMatchObject({ status: 'failed', attempts: 3 });
+    expect(broadcast).toMatchObject({ status: 'sent', sentCount: 0, failedCount: 1 });
+    expect(Booking.find).toHaveBeenCalledWith({
+      eventId: 'evt1',
+      $or: [{ bookingStatus: 'waitlisted' }, { bookingStatus: 'confirmed', checkedInAt: { $ne: null } }]
+    });
+  });
+
+  test('finishes starting a broadcast that stopped halfway without queueing anyone twice', async () => {
+    const broadcast = addBroadcast();
+    attendees([
+      { _id: 'b1', userName: 'Ada', userEmail: 'ada@example.com' },
+      { _id: 'b2', userName: 'Lin', userEmail: 'lin@example.com' }
+    ]);
+    Broadcast.findOneAndUpdate.mockRejectedValueOnce(new Error('connection reset'));
+
+    await expect(processBroadcasts(now)).rejects.toThrow('connection reset');
+    expect(broadcast.status).toBe('scheduled');
+    expect(BroadcastRecipient.__docs).toHaveLength(2);
+
+    expect(await processBroadcasts(now)).toEqual({ started: 1, sent: 2, finished: 1 });
+    expect(broadcast).toMatchObject({ status: 'sent', recipientCount: 2, sentCount: 2 });
+    expect(sendBroadcastEmail).toHaveBeenCalledTimes(2);
+  });
+
+  test('drops the copies of a broadcast cancelled while they were queued', async () => {
+    const broadcast = addBroadcast();
+    Booking.find.mockReturnValue({
+      sort: jest.fn(async () => {
+        broadcast.status = 'cancelled';
+        return [{ _id: 'b1', userName: 'Ada', userEmail: 'ada@example.com' }];
+      })
+    });
+
+    expect(await processBroadcasts(now)).toEqual({ started: 0, sent: 0, finished: 0 });
+    expect(broadcast.status).toBe('cancelled');
+    expect(BroadcastRecipient.__docs).toHaveLength(0);
+    expect(sendBroadcastEmail).not.toHaveBeenCalled();
+  });
+
+  test('finishes a broadcast nobody is left to receive', async () => {
+    const broadcast = addBroadcast();
+    attendees([]);
+
+    expect(await processBroadcasts(now)).toEqual({ started: 1, sent: 0, finished: 1 });
+    expect(broadcast).toMatchObject({ status: 'sent', recipientCount: 0 });
+    expect(BroadcastRecipient.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('fills in the event as it is when the broadcast starts, not when it was written', async () => {
+    const broadcast = addBroadcast({ eventTitle: 'Spring Gala', eventVenue: 'Main Hall', scheduledFor: later(60) });
+    attendees([{ _id: 'b1', userName: 'Ada', userEmail: 'ada@example.com', bookingReference: 'EVT-1' }]);
+    axios.get.mockResolvedValue(event({ venue: 'Riverside Pavilion' }));
+
+    await processBroadcasts(later(60));
+
+    expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('/api/events/evt1'));
+    expect(sendBroadcastEmail).toHaveBeenCalledWith('ada@example.com', expect.objectContaining({
+      body: 'Hi Ada, we moved to Riverside Pavilion. Bring EVT-1.'
+    }));
+    expect(broadcast.eventVenue).toBe('Riverside Pavilion');
+  });
+
+  test('leaves a broadcast scheduled while its event cannot be fetched', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const broadcast = addBroadcast();
+    attendees([{ _id: 'b1', userName: 'Ada', userEmail: 'ada@example.com' }]);
+    axios.get.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    expect(await processBroadcasts(now)).toEqual({ started: 0, sent: 0, finished: 0 });
+    expect(broadcast.status).toBe('scheduled');
+    expect(BroadcastRecipient.__docs).toHaveLength(0);
+
+    expect(await processBroadcasts(now)).toEqual({ started: 1, sent: 1, finished: 1 });
+    console.error.mockRestore();
+  });
+
+  test('calls off a broadcast whose event was deleted', async () => {
+    const broadcast = addBroadcast();
+    axios.get.mockRejectedValueOnce(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+
+    expect(await processBroadcasts(now)).toEqual({ started: 0, sent: 0, finished: 0 });
+    expect(broadcast.status).toBe('cancelled');
+    expect(Booking.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('axios', () => ({
+  patch: jest.fn()
+}));
+
+jest.mock('../../models/OutboxMessage', () => {
+  const OutboxMessage = jest.fn(function (data) {
+    Object.assign(this, { status: 'pending', attempts: 0 }, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  OutboxMessage.find = jest.fn();
+  OutboxMessage.findOneAndUpdate = jest.fn();
+  return OutboxMessage;
+});
+
+jest.mock('../../models/Booking', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../../utils/promoCodes', () => ({
+  releasePromoCode: jest.fn()
+}));
+
+const axios = require('axios');
+const OutboxMessage = require('../../models/OutboxMessage');
+const Booking = require('../../models/Booking');
+const { releasePromoCode } = require('../../utils/promoCodes');
+const { relayOutbox } = require('../outboxRelay');
+
+describe('relayOutbox', () => {
+  const now = new Date('2030-03-10T20:00:00.000Z');
+
+  // A stored message as the relay claims it
+  const message = (overrides) => ({
+    _id: 'm1',
+    type: 'release-seats',
+    payload: { eventId: 'evt1', numberOfTickets: 2, ticketTypeId: null, seatLabels: [] },
+    status: 'pending',
+    attempts: 0,
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  const due = (messages) => {
+    OutboxMessage.find.mockReturnValue({
+      sort: () => ({ limit: jest.fn().mockResolvedValue(messages) })
+    });
+    OutboxMessage.findOneAndUpdate.mockImplementation(async ({ _id }) => messages.find(m => m._id === _id) || null);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Booking.find.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('delivers due messages and marks them done', async () => {
+    const release = message();
+    due([release]);
+    axios.patch.mockResolvedValue({ data: { availableSeats: 10 } });
+
+    const result = await relayOutbox(now);
+
+    expect(result).toEqual({ recovered: 0, delivered: 1 });
+    expect(OutboxMessage.find).toHaveBeenCalledWith({ status: 'pending', nextAttemptAt: { $lte: now } });
+    expect(axios.patch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/events/evt1/seats'),
+      { seatsToBook: -2 },
+      { headers: expect.objectContaining({ 'X-Service-Signature': expect.any(String) }) }
+    );
+    expect(release).toMatchObject({ status: 'done', processedAt: expect.any(Date) });
+    expect(release.save).toHaveBeenCalled();
+  });
+
+  test('backs off after a failure and gives up after the last attempt', async () => {
+    const retried = message({ _id: 'm1', attempts: 2 });
+    const lastTry = message({ _id: 'm2', attempts: 9 });
+    due([retried, lastTry]);
+    axios.patch.mockRejectedValue(new Error('Event service down'));
+
+    const started = Date.now();
+    const result = await relayOutbox(now);
+
+    expect(result.delivered).toBe(0);
+    expect(retried).toMatchObject({ status: 'pending', attempts: 3, lastError: 'Event service down' });
+    // Third failure: 15s doubled twice
+    expect(retried.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(started + 60000);
+    expect(lastTry).toMatchObject({ status: 'failed', attempts: 10 });
+  });
+
+  test('skips messages another relay claimed first', async () => {
+    due([message()]);
+    OutboxMessage.findOneAndUpdate.mockResolvedValue(null);
+
+    const result = await relayOutbox(now);
+
+    expect(result.delivered).toBe(0);
+    expect(axios.patch).not.toHaveBeenCalled();
+  });
+
+  test('undoes bookings that stopped halfway', async () => {
+    due([]);
+    const charging = {
+      _id: 'b1',
+      userId: 'user1',
+      eventId: 'evt1',
+      numberOfTickets: 2,
+      ticketTypeId: 'vip',
+      seatLabels: [],
+      promoCode: 'SAVE5',
+      sagaStep: 'charging'
+    };
+    const reserving = { _id: 'b2', eventId: 'evt1', numberOfTickets: 1, seatLabels: [], sagaStep: 'reserving_seats' };
+    const finished = { _id: 'b3', eventId: 'evt1', numberOfTickets: 1, seatLabels: [], sagaStep: 'charging' };
+    Booking.find.mockResolvedValue([charging, reserving, finished]);
+    Booking.findOneAndUpdate.mockImplementation(async ({ _id }) => (_id === 'b3' ? null : { _id }));
+    axios.patch.mockResolvedValue({ data: {} });
+
+    const result = await relayOutbox(now);
+
+    expect(result.recovered).toBe(2);
+    expect(Booking.find).toHaveBeenCalledWith({
+      sagaStep: { $in: ['reserving_seats', 'charging'] },
+      updatedAt: { $lte: new Date('2030-03-10T19:55:00.000Z') }
+    });
+    expect(Booking.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'b1', sagaStep: 'charging' },
+      { $set: expect.objectContaining({ sagaStep: 'compensated', paymentStatus: 'failed' }) },
+      { new: true }
+    );
+    expect(releasePromoCode).toHaveBeenCalledWith('SAVE5', 'user1');
+    // Only the booking that had certainly claimed seats gives them back
+    expect(axios.patch).toHaveBeenCalledTimes(1);
+    expect(axios.patch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/events/evt1/seats'),
+      { seatsToBook: -2, ticketTypeId: 'vip' },
+      expect.any(Object)
+    );
+  });
+});
@@ -0,0 +1,183 @@
+const Broadcast = require('../models/Broadcast');
+const BroadcastRecipient = require('../models/BroadcastRecipient');
+const { findRecipients, fetchEventDetails, renderBroadcast } = require('../utils/broadcasts');
+const { sendBroadcastEmail } = require('../utils/email');
+
+const BROADCAST_INTERVAL_MS = parseInt(process.env.BROADCAST_INTERVAL_MS || '10000', 10);
+const BROADCAST_BATCH_SIZE = parseInt(process.env.BROADCAST_BATCH_SIZE || '50', 10);
+const BROADCAST_MAX_ATTEMPTS = parseInt(process.env.BROADCAST_MAX_ATTEMPTS || '3', 10);
+// Failed copies are retried a minute later, then two minutes, and so on
+const RETRY_BASE_MS = 60000;
+// How long a copy is left alone while it is being sent
+const CLAIM_MS = 60000;
+
+// Queue one copy of a broadcast per recipient. Copies already queued by an
+// earlier attempt are kept, so this is safe to run again.
+const queueRecipients = async (broadcast, recipients, now) => {
+  if (recipients.length === 0) {
+    return;
+  }
+  try {
+    await BroadcastRecipient.insertMany(
+      recipients.map(recipient => ({ ...recipient, broadcastId: String(broadcast._id), nextAttemptAt: now })),
+      { ordered: false }
+    );
+  } catch (err) {
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+};
+
+// Start every broadcast whose time has come by queueing one copy per recipient.
+// The copies are queued before the broadcast is switched to sending, so a run
+// that stops halfway leaves it scheduled for the next run to finish. The event
+// details are read now, so a message written before an event changed still
+// goes out with its new venue or time.
+const startDueBroadcasts = async (now) => {
+  const due = await Broadcast.find({ status: 'scheduled', scheduledFor: { $lte: now } }).lean();
+  let started = 0;
+
+  for (const broadcast of due) {
+    const broadcastId = String(broadcast._id);
+    let details;
+    try {
+      details = await fetchEventDetails(broadcast.eventId);
+    } catch (err) {
+      // An event deleted since has nobody left to tell; otherwise try again next run
+      if (err.response?.status === 404) {
+        await Broadcast.findOneAndUpdate(
+          { _id: broadcast._id, status: 'scheduled' },
+          { $set: { status: 'cancelled', updatedAt: Date.now() } }
+        );
+      } else {
+        console.error(`Could not fetch the event for broadcast ${broadcastId}:`, err.message);
+      }
+      continue;
+    }
+
+    const recipients = await findRecipients(broadcast.eventId, broadcast.audience);
+    await queueRecipients(broadcast, recipients, now);
+
+    const sending = await Broadcast.findOneAndUpdate(
+      { _id: broadcast._id, status: 'scheduled' },
+      { $set: { status: 'sending', recipientCount: recipients.length, ...details, updatedAt: Date.now() } },
+      { new: true }
+    );
+    if (sending) {
+      started += 1;
+      continue;
+    }
+
+    // Another mailer started it first, or it was cancelled while its copies were queued
+    const current = await Broadcast.findById(broadcastId);
+    if (!current || current.status === 'cancelled') {
+      await BroadcastRecipient.deleteMany({ broadcastId, status: 'queued' });
+    }
+  }
+
+  return started;
+};
+
+// Send the next batch of queued copies, recording how each one went
+const sendQueued = async (now) => {
+  const batch = await BroadcastRecipient.find({ status: 'queued', nextAttemptAt: { $lte: now } }, { _id: 1 })
+    .sort({ createdAt: 1 })
+    .limit(BROADCAST_BATCH_SIZE)
+    .lean();
+  const broadcasts = new Map();
+  let sent = 0;
+
+  for (const { _id } of batch) {
+    const recipient = await BroadcastRecipient.findOneAndUpdate(
+      { _id, status: 'queued', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+      { new: true }
+    );
+    if (!recipient) {
+      continue;
+    }
+
+    if (!broadcasts.has(recipient.broadcastId)) {
+      broadcasts.set(recipient.broadcastId, await Broadcast.findById(recipient.broadcastId));
+    }
+    const broadcast = broadcasts.get(recipient.broadcastId);
+    // Copies queued for a broadcast that has not started yet, or was cancelled
+    // meanwhile, are not sent
+    if (broadcast && ['scheduled', 'cancelled'].includes(broadcast.status)) {
+      continue;
+    }
+
+    try {
+      if (!broadcast) {
+        throw new Error('Broadcast not found');
+      }
+      await sendBroadcastEmail(recipient.email, renderBroadcast(broadcast, recipient));
+      recipient.status = 'sent';
+      recipient.sentAt = new Date();
+      recipient.lastError = null;
+      sent += 1;
+    } catch (err) {
+      recipient.attempts += 1;
+      recipient.lastError = err.message;
+      if (recipient.attempts >= BROADCAST_MAX_ATTEMPTS) {
+        recipient.status = 'failed';
+      } else {
+        recipient.nextAttemptAt = new Date(now.getTime() + RETRY_BASE_MS * recipient.attempts);
+      }
+    }
+    await recipient.save();
+  }
+
+  return sent;
+};
+
+// Close off broadcasts with no copies left to send
+const finishBroadcasts = async () => {
+  const sending = await Broadcast.find({ status: 'sending' });
+  let finished = 0;
+
+  for (const broadcast of sending) {
+    const broadcastId = String(broadcast._id);
+    if (await BroadcastRecipient.countDocuments({ broadcastId, status: 'queued' }) > 0) {
+      continue;
+    }
+
+    const [sentCount, failedCount] = await Promise.all([
+      BroadcastRecipient.countDocuments({ broadcastId, status: 'sent' }),
+      BroadcastRecipient.countDocuments({ broadcastId, status: 'failed' })
+    ]);
+    broadcast.status = 'sent';
+    broadcast.sentCount = sentCount;
+    broadcast.failedCount = failedCount;
+    broadcast.sentAt = new Date();
+    await broadcast.save();
+    finished += 1;
+  }
+
+  return finished;
+};
+
+// One run of the mailer. Requests only queue broadcasts, so a large send
+// never holds one up.
+const processBroadcasts = async (now = new Date()) => {
+  const started = await startDueBroadcasts(now);
+  const sent = await sendQueued(now);
+  const finished = await finishBroadcasts();
+  return { started, sent, finished };
+};
+
+const startBroadcastMailer = (intervalMs = BROADCAST_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    processBroadcasts().catch(err => {
+      console.error('Broadcast mailer failed:', err.message);
+    });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  processBroadcasts,
+  startBroadcastMailer
+};
@@ -0,0 +1,54 @@
+const SeatHold = require('../models/SeatHold');
+const { releaseSeats, promoteWaitlistIfPossible } = require('../utils/seats');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.HOLD_SWEEP_INTERVAL_MS || '30000', 10);
+const HOLD_CHECKOUT_TIMEOUT_MS = parseInt(process.env.HOLD_CHECKOUT_TIMEOUT_MINUTES || '5', 10) * 60 * 1000;
+
+// Return the seats of every expired hold to the event and offer them to the waitlist.
+// A hold stuck mid-checkout for HOLD_CHECKOUT_TIMEOUT_MINUTES, e.g. because the
+// service restarted while paying, is made active again first, so it expires as usual.
+const releaseExpiredHolds = async (now = new Date()) => {
+  await SeatHold.updateMany(
+    { status: 'checking_out', updatedAt: { $lte: new Date(now.getTime() - HOLD_CHECKOUT_TIMEOUT_MS) } },
+    { $set: { status: 'active', updatedAt: Date.now() } }
+  );
+
+  const expiredHolds = await SeatHold.find({ status: 'active', expiresAt: { $lte: now } });
+  let released = 0;
+
+  for (const hold of expiredHolds) {
+    // Checkout may have locked the hold since the query ran
+    const expired = await SeatHold.findOneAndUpdate(
+      { _id: hold._id, status: 'active' },
+      { $set: { status: 'expired', updatedAt: Date.now() } },
+      { new: true }
+    );
+
+    if (!expired) {
+      continue;
+    }
+
+    released += 1;
+    const availableSeats = await releaseSeats(hold.eventId, hold.numberOfTickets, hold.ticketTypeId, hold.seatLabels);
+    if (availableSeats !== undefined) {
+      await promoteWaitlistIfPossible(hold.eventId, availableSeats);
+    }
+  }
+
+  return released;
+};
+
+const startHoldSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    releaseExpiredHolds().catch(err => {
+      console.error('Hold sweep failed:', err.message);
+    });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  releaseExpiredHolds,
+  startHoldSweeper
+};
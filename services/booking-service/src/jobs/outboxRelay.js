@@ -0,0 +1,26 @@
+const { processOutbox } = require('../utils/outbox');
+const { recoverStalledBookings } = require('../utils/bookingSaga');
+
+const OUTBOX_INTERVAL_MS = parseInt(process.env.OUTBOX_INTERVAL_MS || '15000', 10);
+
+// Undo bookings that stopped halfway, then retry every outbox message that is due
+const relayOutbox = async (now = new Date()) => {
+  const recovered = await recoverStalledBookings(now);
+  const delivered = await processOutbox(now);
+  return { recovered, delivered };
+};
+
+const startOutboxRelay = (intervalMs = OUTBOX_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    relayOutbox().catch(err => {
+      console.error('Outbox relay failed:', err.message);
+    });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  relayOutbox,
+  startOutboxRelay
+};
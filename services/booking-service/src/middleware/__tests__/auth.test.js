@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+let axios;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' };
+
+const signToken = (claims, options) => jwt.sign(
+  { id: 'user1', name: 'Test User', email: 'user@umd.edu', role: 'user', sid: 'session-1', ...claims },
+  privateKey,
+  { algorithm: 'RS256', keyid: 'key-1', expiresIn: 900, ...options }
+);
+
+// Answer JWKS and revocation lookups the way auth-service would
+const mockAuthService = ({ keys = [jwk], revoked = [] } = {}) => {
+  axios.get.mockImplementation(async url => {
+    if (url.endsWith('/.well-known/jwks.json')) {
+      return { data: { keys } };
+    }
+    if (url.endsWith('/api/auth/revocations')) {
+      return { data: { sessionIds: revoked } };
+    }
+    throw new Error(`Unexpected URL ${url}`);
+  });
+};
+
+const jwksCalls = () => axios.get.mock.calls.filter(([url]) => url.endsWith('/jwks.json')).length;
+
+describe('verifyToken', () => {
+  let app;
+
+  beforeEach(() => {
+    // Fresh module per test so the key and revocation caches start empty
+    jest.resetModules();
+    axios = require('axios');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { verifyToken, isAdmin, isStaff } = require('../auth');
+
+    app = express();
+    app.get('/me', verifyToken, (req, res) => res.json(req.user));
+    app.get('/admin', verifyToken, isAdmin, (req, res) => res.json({ ok: true }));
+    app.get('/door', verifyToken, isStaff, (req, res) => res.json({ ok: true }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('rejects requests without a token', async () => {
+    const res = await request(app).get('/me');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('No token provided');
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('accepts a valid token without calling /verify', async () => {
+    mockAuthService();
+
+    const res = await request(app).get('/me').set('Authorization', `Bearer ${signToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ _id: 'user1', name: 'Test User', email: 'user@umd.edu', role: 'user', mfa: false });
+    expect(axios.get).not.toHaveBeenCalledWith(expect.stringContaining('/api/auth/verify'), expect.anything());
+  });
+
+  test('caches the key set between requests', async () => {
+    mockAuthService();
+
+    await request(app).get('/me').set('Authorization', `Bearer ${signToken()}`);
+    await request(app).get('/me').set('Authorization', `Bearer ${signToken()}`);
+
+    expect(jwksCalls()).toBe(1);
+  });
+
+  test('rejects tokens signed by a different key', async () => {
+    mockAuthService();
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const forged = jwt.sign({ id: 'user1', role: 'admin', sid: 'session-1' }, otherKey, { algorithm: 'RS256', keyid: 'key-1' });
+
+    const res = await request(app).get('/me').set('Authorization', `Bearer ${forged}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid token');
+  });
+
+  test('rejects expired tokens', async () => {
+    mockAuthService();
+
+    const res = await request(app)
+      .get('/me')
+      .set('Authorization', `Bearer ${signToken({}, { expiresIn: -10 })}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid token');
+  });
+
+  test('rejects tokens whose session was revoked', async () => {
+    mockAuthService({ revoked: ['session-1'] });
+
+    const res = await request(app).get('/me').set('Authorization', `Bearer ${signToken()}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Session has expired or was revoked');
+    expect(axios.get).toHaveBeenCalledWith(
+      expect.stringContaining('/api/auth/revocations'),
+      { headers: expect.objectContaining({ 'X-Service-Signature': expect.any(String) }) }
+    );
+  });
+
+  test('keeps accepting tokens when the revocation list cannot be fetched', async () => {
+    axios.get.mockImplementation(async url => {
+      if (url.endsWith('/.well-known/jwks.json')) {
+        return { data: { keys: [jwk] } };
+      }
+      throw new Error('connect ECONNREFUSED');
+    });
+
+    const res = await request(app).get('/me').set('Authorization', `Bearer ${signToken()}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  test('fails closed when no signing keys could ever be fetched', async () => {
+    axios.get.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const res = await request(app).get('/me').set('Authorization', `Bearer ${signToken()}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Authentication failed');
+  });
+
+  test('isAdmin only lets admins through', async () => {
+    mockAuthService();
+
+    const asUser = await request(app).get('/admin').set('Authorization', `Bearer ${signToken({ mfa: true })}`);
+    const asAdmin = await request(app)
+      .get('/admin')
+      .set('Authorization', `Bearer ${signToken({ role: 'admin', mfa: true })}`);
+
+    expect(asUser.status).toBe(403);
+    expect(asAdmin.status).toBe(200);
+  });
+
+  test('isAdmin requires a token from a sign-in that passed 2FA', async () => {
+    mockAuthService();
+
+    const res = await request(app)
+      .get('/admin')
+      .set('Authorization', `Bearer ${signToken({ role: 'admin', mfa: false })}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('MFA_REQUIRED');
+  });
+
+  test('isStaff lets staff in and holds admins to 2FA', async () => {
+    mockAuthService();
+    const as = (claims) => request(app).get('/door').set('Authorization', `Bearer ${signToken(claims)}`);
+
+    expect((await as({ role: 'staff' })).status).toBe(200);
+    expect((await as({ role: 'admin', mfa: true })).status).toBe(200);
+    expect((await as({ role: 'admin', mfa: false })).body.code).toBe('MFA_REQUIRED');
+    expect((await as({ role: 'user' })).status).toBe(403);
+  });
+});
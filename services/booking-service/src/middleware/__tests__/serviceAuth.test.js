@@ -0,0 +1,74 @@
+const request = require('supertest');
+const express = require('express');
+
+const { serviceHeaders, verifyService } = require('../serviceAuth');
+
+describe('verifyService', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.patch('/internal/:id', verifyService, (req, res) => {
+      res.json({ service: req.service, body: req.body });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lets a signed request through and names the caller', async () => {
+    const body = { seatsToBook: 2 };
+
+    const res = await request(app)
+      .patch('/internal/evt1')
+      .set(serviceHeaders('PATCH', 'http://localhost:4002/internal/evt1', body))
+      .send(body);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ service: 'booking-service', body });
+  });
+
+  test('refuses unsigned callers', async () => {
+    const res = await request(app).patch('/internal/evt1').send({ seatsToBook: 2 });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Service credentials required');
+  });
+
+  test('refuses a signature made for another path or body', async () => {
+    const otherPath = await request(app)
+      .patch('/internal/evt2')
+      .set(serviceHeaders('PATCH', '/internal/evt1', { seatsToBook: 2 }))
+      .send({ seatsToBook: 2 });
+    const otherBody = await request(app)
+      .patch('/internal/evt1')
+      .set(serviceHeaders('PATCH', '/internal/evt1', { seatsToBook: 2 }))
+      .send({ seatsToBook: -200 });
+
+    expect(otherPath.status).toBe(401);
+    expect(otherBody.status).toBe(401);
+    expect(otherBody.body.error).toBe('Invalid service signature');
+  });
+
+  test('refuses replays and requests signed outside the window', async () => {
+    const headers = serviceHeaders('PATCH', '/internal/evt1');
+
+    const first = await request(app).patch('/internal/evt1').set(headers);
+    const replay = await request(app).patch('/internal/evt1').set(headers);
+
+    expect(first.status).toBe(200);
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toBe('Service request was already used');
+
+    const signedAt = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(signedAt - 10 * 60 * 1000);
+    const stale = serviceHeaders('PATCH', '/internal/evt1');
+    Date.now.mockReturnValue(signedAt);
+
+    const late = await request(app).patch('/internal/evt1').set(stale);
+    expect(late.status).toBe(401);
+    expect(late.body.error).toBe('Service request has expired');
+  });
+});
@@ -33,23 +33,63 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // When the event starts and the timezone its date and time are shown in.
+  // Bookings made before these were stored fall back to eventDate.
+  eventStartsAt: {
+    type: Date,
+    default: null
+  },
+  eventTimezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // When the event last changed as of the details copied above, so an older
+  // event.updated delivered late never overwrites newer details
+  eventUpdatedAt: {
+    type: Date,
+    default: null
+  },
   numberOfTickets: {
     type: Number,
     required: [true, 'Number of tickets is required'],
     min: [1, 'Must book at least 1 ticket'],
     max: [10, 'Cannot book more than 10 tickets at once']
   },
+  ticketTypeId: {
+    type: String,
+    default: null
+  },
+  ticketTypeName: {
+    type: String,
+    default: null
+  },
+  seatLabels: {
+    type: [String],
+    default: []
+  },
   pricePerTicket: {
     type: Number,
     required: [true, 'Price per ticket is required'],
     min: [0, 'Price cannot be negative']
   },
+  subtotalAmount: {
+    type: Number
+  },
+  promoCode: {
+    type: String,
+    default: null
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
   totalAmount: {
     type: Number,
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   paymentMethod: {
@@ -61,15 +101,47 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  paymentProvider: {
+    type: String,
+    default: null
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   bookingStatus: {
     type: String,
-    enum: ['confirmed', 'pending', 'cancelled', 'waitlisted'],
+    enum: ['confirmed', 'pending', 'cancelled', 'waitlisted', 'expired'],
     default: 'pending'
   },
+  // Why the organizer cancelled the event, for bookings cancelled with it
+  cancellationReason: {
+    type: String,
+    default: null
+  },
+  // How far the booking got through creation (see utils/bookingSaga.js).
+  // null for waitlist entries and bookings made before this was stored.
+  sagaStep: {
+    type: String,
+    enum: ['reserving_seats', 'charging', 'done', 'compensated'],
+    default: null
+  },
   bookingReference: {
     type: String,
     unique: true,
   },
+  checkedInAt: {
+    type: Date,
+    default: null
+  },
+  checkedInBy: {
+    type: String,
+    default: null
+  },
+  checkedInByName: {
+    type: String,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -84,10 +156,14 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.pre('save', function(next) {
   if (this.isNew) {
     this.bookingReference = `BKG${Date.now()}${Math.floor(Math.random() * 1000)}`;
-    this.totalAmount = this.numberOfTickets * this.pricePerTicket;
+    this.subtotalAmount = this.numberOfTickets * this.pricePerTicket;
+    this.totalAmount = Math.max(0, Math.round((this.subtotalAmount - (this.discountAmount || 0)) * 100) / 100);
   }
   this.updatedAt = Date.now();
   next();
 });
 
+// Saga recovery scans unfinished bookings by when they last moved
+bookingSchema.index({ sagaStep: 1, updatedAt: 1 });
+
 module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
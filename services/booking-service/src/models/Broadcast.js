@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// A message from the organizers to the attendees of one event. The broadcast
+// mailer (jobs/broadcastMailer.js) sends it once scheduledFor has passed.
+const broadcastSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+  // Event details as they were when the message started sending, for its placeholders
+  eventTitle: String,
+  eventDate: Date,
+  eventVenue: String,
+  eventTime: String,
+  eventStartsAt: Date,
+  eventTimezone: String,
+  template: {
+    type: String,
+    default: 'custom'
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  // Which attendees get it: confirmed bookings, the waitlist, or those checked in
+  audience: {
+    type: [{ type: String, enum: ['confirmed', 'waitlisted', 'checked_in'] }],
+    default: ['confirmed']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'sending', 'sent', 'cancelled'],
+    default: 'scheduled'
+  },
+  scheduledFor: {
+    type: Date,
+    default: Date.now
+  },
+  recipientCount: {
+    type: Number,
+    default: 0
+  },
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  createdByName: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+broadcastSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+broadcastSchema.index({ status: 1, scheduledFor: 1 }); // Due broadcasts
+broadcastSchema.index({ eventId: 1, createdAt: -1 }); // An event's messages
+
+module.exports = mongoose.model('Broadcast', broadcastSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One attendee's copy of a broadcast, and whether it was delivered
+const broadcastRecipientSchema = new mongoose.Schema({
+  broadcastId: {
+    type: String,
+    required: true
+  },
+  bookingId: {
+    type: String,
+    default: null
+  },
+  userId: {
+    type: String,
+    default: null
+  },
+  userName: {
+    type: String,
+    default: ''
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  bookingReference: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Each attendee gets one copy, however many bookings they hold
+broadcastRecipientSchema.index({ broadcastId: 1, email: 1 }, { unique: true });
+broadcastRecipientSchema.index({ status: 1, nextAttemptAt: 1 }); // The send queue
+
+module.exports = mongoose.model('BroadcastRecipient', broadcastRecipientSchema);
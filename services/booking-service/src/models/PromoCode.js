@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Codes are 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount must be greater than zero']
+  },
+  // null means the code works for every event
+  eventId: {
+    type: String,
+    default: null
+  },
+  // null means no limit
+  maxUses: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage cap must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  usesCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+promoCodeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
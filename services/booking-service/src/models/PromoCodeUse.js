@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// How many times one user has redeemed a promo code. A redemption counts up
+// here in the same update that checks the per-user limit.
+const promoCodeUseSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One counter per user and code; an upsert that finds the counter at its
+// limit collides with it here instead of starting a second one
+promoCodeUseSchema.index({ code: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoCodeUse', promoCodeUseSchema);
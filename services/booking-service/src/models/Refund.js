@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  bookingId: {
+    type: String,
+    required: [true, 'Booking ID is required']
+  },
+  bookingReference: {
+    type: String,
+    default: null
+  },
+  userId: {
+    type: String,
+    required: [true, 'User ID is required']
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0, 'Refund amount cannot be negative']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required']
+  },
+  type: {
+    type: String,
+    enum: ['cancellation', 'event_cancelled', 'manual', 'provider'],
+    default: 'cancellation'
+  },
+  policyPercent: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  gatewayRefundId: {
+    type: String,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  issuedBy: {
+    type: String,
+    default: null
+  },
+  issuedByName: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+refundSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+refundSchema.index({ bookingId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const seatHoldSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: [true, 'User ID is required']
+  },
+  userName: {
+    type: String,
+    required: [true, 'User name is required']
+  },
+  userEmail: {
+    type: String,
+    required: [true, 'User email is required']
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+  ticketTypeId: {
+    type: String,
+    default: null
+  },
+  ticketTypeName: {
+    type: String,
+    default: null
+  },
+  seatLabels: {
+    type: [String],
+    default: []
+  },
+  numberOfTickets: {
+    type: Number,
+    required: [true, 'Number of tickets is required'],
+    min: [1, 'Must hold at least 1 ticket'],
+    max: [10, 'Cannot hold more than 10 tickets at once']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'checking_out', 'converted', 'expired', 'released'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+  bookingId: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+seatHoldSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// The sweeper scans active holds by expiry
+seatHoldSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('SeatHold', seatHoldSchema);
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// Test card numbers with a fixed outcome; any other number (or none) is approved
+const TEST_CARDS = {
+  DECLINE: '4000000000000002',
+  TIMEOUT: '4000000000000119'
+};
+
+const normalizeCard = (cardNumber) => String(cardNumber || '').replace(/[\s-]/g, '');
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const timeoutError = () => {
+  const err = new Error('Payment gateway timed out');
+  err.code = 'PAYMENT_TIMEOUT';
+  return err;
+};
+
+// Local stand-in for a card processor. Outcomes depend only on the card number,
+// so every payment path can be exercised in tests and during development.
+const createFakeGateway = ({ webhookSecret, timeoutMs = 0 } = {}) => {
+  const sign = (rawBody) => crypto
+    .createHmac('sha256', webhookSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  return {
+    name: 'fake',
+
+    async authorize({ amount, cardNumber }) {
+      const card = normalizeCard(cardNumber);
+
+      if (card === TEST_CARDS.TIMEOUT) {
+        await new Promise(resolve => setTimeout(resolve, timeoutMs));
+        throw timeoutError();
+      }
+
+      if (card === TEST_CARDS.DECLINE) {
+        return { status: 'declined', reason: 'Card declined' };
+      }
+
+      return { status: 'authorized', authorizationId: newId('fake_auth'), amount };
+    },
+
+    async capture(authorizationId, amount) {
+      return { status: 'captured', transactionId: newId('fake_txn'), authorizationId, amount };
+    },
+
+    async refund(transactionId, amount) {
+      return { status: 'refunded', refundId: newId('fake_rfnd'), transactionId, amount };
+    },
+
+    verifyWebhook(rawBody, signature) {
+      if (!rawBody || typeof signature !== 'string') {
+        return null;
+      }
+
+      const expected = Buffer.from(sign(rawBody));
+      const actual = Buffer.from(signature);
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+      }
+
+      try {
+        return JSON.parse(rawBody.toString());
+      } catch (err) {
+        return null;
+      }
+    },
+
+    signWebhook: sign
+  };
+};
+
+module.exports = {
+  TEST_CARDS,
+  createFakeGateway
+};
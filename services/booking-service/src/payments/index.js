@@ -0,0 +1,77 @@
+const { createFakeGateway } = require('./fakeGateway');
+const { requireSecret } = require('../utils/secrets');
+
+// Read up front so a production deploy without it fails at startup, not at checkout
+const PAYMENT_WEBHOOK_SECRET = requireSecret('PAYMENT_WEBHOOK_SECRET', 'dev-payment-webhook-secret');
+
+// Payment providers implement:
+//   authorize({ amount, currency, paymentMethod, cardNumber }) -> { status: 'authorized' | 'declined', authorizationId, reason }
+//   capture(authorizationId, amount) -> { status: 'captured', transactionId }
+//   refund(transactionId, amount) -> { status: 'refunded', refundId }
+//   verifyWebhook(rawBody, signature) -> parsed event, or null when the signature is invalid
+// Timeouts are thrown as errors with code 'PAYMENT_TIMEOUT'.
+const providers = {
+  fake: () => createFakeGateway({
+    webhookSecret: PAYMENT_WEBHOOK_SECRET,
+    timeoutMs: parseInt(process.env.FAKE_GATEWAY_TIMEOUT_MS || '0', 10)
+  })
+};
+
+let provider = null;
+
+const getPaymentProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || 'fake';
+    if (!providers[name]) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+// Swap the active provider, e.g. to plug in a real processor or a test double
+const setPaymentProvider = (nextProvider) => {
+  provider = nextProvider;
+};
+
+// Authorize and capture the full booking amount.
+// Resolves { status: 'captured' | 'declined' | 'timeout' | 'failed' } and never throws.
+const chargeBooking = async (booking, { cardNumber } = {}) => {
+  const gateway = getPaymentProvider();
+  const subtotal = booking.numberOfTickets * booking.pricePerTicket;
+  const amount = Math.max(0, Math.round((subtotal - (booking.discountAmount || 0)) * 100) / 100);
+
+  // A promo code can cover the whole order; there is nothing to send to the gateway
+  if (amount === 0 && booking.discountAmount > 0) {
+    return { status: 'captured', transactionId: null, provider: null };
+  }
+
+  try {
+    const authorization = await gateway.authorize({
+      amount,
+      currency: 'USD',
+      paymentMethod: booking.paymentMethod,
+      cardNumber
+    });
+
+    if (authorization.status !== 'authorized') {
+      return { status: 'declined', reason: authorization.reason || 'Payment declined' };
+    }
+
+    const capture = await gateway.capture(authorization.authorizationId, amount);
+    return { status: 'captured', transactionId: capture.transactionId, provider: gateway.name };
+  } catch (err) {
+    if (err.code === 'PAYMENT_TIMEOUT') {
+      return { status: 'timeout', reason: err.message };
+    }
+    console.error('Payment error:', err.message);
+    return { status: 'failed', reason: err.message };
+  }
+};
+
+module.exports = {
+  getPaymentProvider,
+  setPaymentProvider,
+  chargeBooking
+};
@@ -7,13 +7,15 @@ jest.mock('axios', () => ({
 }));
 
 jest.mock('../../middleware/auth', () => ({
+  ...jest.requireActual('../../middleware/auth'),
   verifyToken: (req, res, next) => {
     const role = req.headers['x-test-role'] || 'user';
     req.user = {
       _id: 'user1',
       name: 'Test User',
       email: 'user@example.com',
-      role
+      role,
+      mfa: req.headers['x-test-mfa'] !== 'off'
     };
     next();
   }
@@ -21,7 +23,8 @@ jest.mock('../../middleware/auth', () => ({
 
 jest.mock('../../utils/email', () => ({
   sendBookingEmail: jest.fn().mockResolvedValue(),
-  sendWaitlistEmail: jest.fn().mockResolvedValue()
+  sendWaitlistEmail: jest.fn().mockResolvedValue(),
+  sendEventCancelledEmail: jest.fn().mockResolvedValue()
 }));
 
 jest.mock('../../models/Booking', () => {
@@ -31,8 +34,16 @@ jest.mock('../../models/Booking', () => {
     if (!query) return true;
     for (const key of Object.keys(query)) {
       const value = query[key];
-      if (key === 'bookingStatus' && value && typeof value === 'object' && '$ne' in value) {
+      if (key === '$or') {
+        if (!value.some(option => matches(option, doc))) return false;
+      } else if (value && typeof value === 'object' && '$in' in value) {
+        if (!value.$in.includes(doc[key] ?? null)) return false;
+      } else if (value && typeof value === 'object' && '$lte' in value) {
+        if (!(doc[key] <= value.$lte)) return false;
+      } else if (key === 'bookingStatus' && value && typeof value === 'object' && '$ne' in value) {
         if (doc.bookingStatus === value.$ne) return false;
+      } else if (value === null) {
+        if (doc[key] != null) return false;
       } else if (doc[key] !== value) {
         return false;
       }
@@ -79,6 +90,19 @@ jest.mock('../../models/Booking', () => {
 
   Booking.findById = jest.fn(async id => bookings.find(b => b._id === id) || null);
 
+  Booking.findOneAndUpdate = jest.fn(async (query, update) => {
+    const doc = bookings.find(b => matches(query, b));
+    if (!doc) return null;
+    Object.assign(doc, update.$set);
+    return doc;
+  });
+
+  Booking.deleteOne = jest.fn(async query => {
+    const idx = bookings.findIndex(b => b._id === query._id);
+    if (idx !== -1) bookings.splice(idx, 1);
+    return { deletedCount: idx === -1 ? 0 : 1 };
+  });
+
   Booking.aggregate = jest.fn(async () => [{ _id: 'event1', count: 2 }]);
 
   Booking.updateMany = jest.fn(async () => ({ modifiedCount: 3 }));
@@ -86,10 +110,158 @@ jest.mock('../../models/Booking', () => {
   return Booking;
 });
 
+jest.mock('../../models/Refund', () => {
+  const refunds = [];
+
+  const Refund = function (data) {
+    Object.assign(this, { status: 'pending', createdAt: new Date() }, data);
+    this._id = this._id || `r${refunds.length + 1}`;
+  };
+
+  Refund.__reset = () => {
+    refunds.length = 0;
+  };
+
+  Refund.__getAll = () => refunds;
+
+  Refund.prototype.save = jest.fn(async function () {
+    if (!refunds.includes(this)) {
+      refunds.push(this);
+    }
+    return this;
+  });
+
+  Refund.find = jest.fn(query => {
+    const found = refunds.filter(r => Object.entries(query).every(([key, value]) => r[key] === value));
+    return Object.assign(Promise.resolve(found), { sort: jest.fn().mockResolvedValue(found) });
+  });
+
+  Refund.findOne = jest.fn(async query => refunds.find(r => Object.entries(query).every(([key, value]) => r[key] === value)) || null);
+
+  return Refund;
+});
+
+jest.mock('../../models/OutboxMessage', () => {
+  const messages = [];
+
+  const OutboxMessage = function (data) {
+    Object.assign(this, { status: 'pending', attempts: 0, lastError: null }, data);
+    this._id = this._id || `m${messages.length + 1}`;
+  };
+
+  OutboxMessage.__reset = () => {
+    messages.length = 0;
+  };
+
+  OutboxMessage.__getAll = () => messages;
+
+  OutboxMessage.prototype.save = jest.fn(async function () {
+    if (!messages.includes(this)) {
+      messages.push(this);
+    }
+    return this;
+  });
+
+  OutboxMessage.find = jest.fn(query => {
+    const due = messages.filter(m => m.status === query.status && m.nextAttemptAt <= query.nextAttemptAt.$lte);
+    return { sort: () => ({ limit: jest.fn().mockResolvedValue(due) }) };
+  });
+
+  OutboxMessage.findOneAndUpdate = jest.fn(async (query, update) => {
+    const message = messages.find(m => m._id === query._id && m.status === query.status);
+    return message ? Object.assign(message, update.$set) : null;
+  });
+
+  return OutboxMessage;
+});
+
+jest.mock('../../models/SeatHold', () => ({
+  find: jest.fn(async () => []),
+  findOneAndUpdate: jest.fn(async () => null)
+}));
+
+jest.mock('../../models/PromoCode', () => {
+  const promos = [];
+
+  const PromoCode = {
+    __reset: () => {
+      promos.length = 0;
+    },
+    __add: data => {
+      const promo = { _id: `p${promos.length + 1}`, active: true, usesCount: 0, maxUses: null, perUserLimit: null, ...data };
+      promos.push(promo);
+      return promo;
+    },
+    findOne: jest.fn(async query => promos.find(p => p.code === query.code) || null),
+    findOneAndUpdate: jest.fn(async (query, update) => {
+      const promo = promos.find(p => (query._id ? p._id === query._id : p.code === query.code));
+      if (!promo) return null;
+      if (query.usesCount && '$lt' in query.usesCount && !(promo.usesCount < query.usesCount.$lt)) return null;
+      promo.usesCount += update.$inc.usesCount;
+      return promo;
+    })
+  };
+
+  return PromoCode;
+});
+
+jest.mock('../../models/PromoCodeUse', () => {
+  const uses = [];
+
+  return {
+    __reset: () => {
+      uses.length = 0;
+    },
+    __get: (code, userId) => uses.find(u => u.code === code && u.userId === userId),
+    findOne: jest.fn(async query => uses.find(u => u.code === query.code && u.userId === query.userId) || null),
+    findOneAndUpdate: jest.fn(async (query, update, options = {}) => {
+      let use = uses.find(u => u.code === query.code && u.userId === query.userId);
+      if (use && query.count) {
+        if ('$lt' in query.count && !(use.count < query.count.$lt)) use = null;
+        else if ('$gt' in query.count && !(use.count > query.count.$gt)) use = null;
+      }
+      if (!use) {
+        if (!options.upsert) return null;
+        // The unique index on code and userId
+        if (uses.some(u => u.code === query.code && u.userId === query.userId)) {
+          throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        use = { code: query.code, userId: query.userId, count: 0 };
+        uses.push(use);
+      }
+      use.count += update.$inc.count;
+      return use;
+    })
+  };
+});
+
 const axios = require('axios');
 const Booking = require('../../models/Booking');
+const PromoCode = require('../../models/PromoCode');
+const PromoCodeUse = require('../../models/PromoCodeUse');
+const Refund = require('../../models/Refund');
+const OutboxMessage = require('../../models/OutboxMessage');
+const SeatHold = require('../../models/SeatHold');
+const { sendEventCancelledEmail } = require('../../utils/email');
+const { getPaymentProvider, setPaymentProvider } = require('../../payments');
+const { signTicket, verifyTicket } = require('../../utils/ticketToken');
+const { TEST_CARDS } = require('../../payments/fakeGateway');
+const { serviceHeaders } = require('../../middleware/serviceAuth');
+const { setEventBus } = require('../../eventBus');
+const { createMemoryBus } = require('../../eventBus/memoryBus');
+const { subscribeToEvents } = require('../../eventBus/subscribers');
+const { processOutbox } = require('../../utils/outbox');
 const bookingsRouter = require('../bookings');
 
+// Calls to another service's internal routes carry a signature
+const signedByService = { headers: expect.objectContaining({ 'X-Service-Signature': expect.any(String) }) };
+
+// Internal routes only answer requests signed by another service
+const internalPatch = (app, url, body) => {
+  const req = request(app).patch(url).set(serviceHeaders('PATCH', url, body));
+  return body === undefined ? req : req.send(body);
+};
+
 const buildApp = () => {
   const app = express();
   app.use(express.json());
@@ -115,10 +287,16 @@ const buildFutureEvent = overrides => {
 
 describe('Booking routes', () => {
   let app;
+  let bus;
 
   beforeEach(() => {
     app = buildApp();
     Booking.__reset();
+    Refund.__reset();
+    OutboxMessage.__reset();
+    bus = createMemoryBus();
+    subscribeToEvents(bus);
+    setEventBus(bus);
     jest.clearAllMocks();
     jest.spyOn(console, 'error').mockImplementation(() => {});
   });
@@ -130,10 +308,7 @@ describe('Booking routes', () => {
   });
 
   test('creates confirmed booking when seats available and payment succeeds', async () => {
-    const realRandom = Math.random;
-    Math.random = () => 0.9;
-
-    axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 10 }) });
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 10, updatedAt: '2030-03-01T10:00:00.000Z' }) });
     axios.patch.mockResolvedValueOnce({ data: { availableSeats: 8 } });
 
     const res = await request(app)
@@ -143,9 +318,42 @@ describe('Booking routes', () => {
 
     expect(res.status).toBe(201);
     expect(res.body.booking.bookingStatus).toBe('confirmed');
+    expect(res.body.booking.transactionId).toMatch(/^fake_txn_/);
+    // Remembers which version of the event its details were copied from
+    expect(Booking.__getAll()[0].eventUpdatedAt).toBe('2030-03-01T10:00:00.000Z');
     expect(axios.patch).toHaveBeenCalled();
+  });
+
+  test('rejects booking when another buyer takes the last seats first', async () => {
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 2 }) });
+    const error = new Error('Conflict');
+    error.response = { status: 400, data: { error: 'Not enough seats available', availableSeats: 0 } };
+    axios.patch.mockRejectedValueOnce(error);
+
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', 'Bearer token')
+      .send({ eventId: 'event1', numberOfTickets: 2 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Not enough seats available');
+    expect(res.body.availableSeats).toBe(0);
+    expect(Booking.__getAll()).toHaveLength(0);
+  });
+
+  test('waitlists the booking when the seat reservation loses the race', async () => {
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 2 }) });
+    const error = new Error('Conflict');
+    error.response = { status: 400, data: { error: 'Not enough seats available', availableSeats: 1 } };
+    axios.patch.mockRejectedValueOnce(error);
+
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', 'Bearer token')
+      .send({ eventId: 'event1', numberOfTickets: 2, joinWaitlist: true });
 
-    Math.random = realRandom;
+    expect(res.status).toBe(202);
+    expect(res.body.booking.bookingStatus).toBe('waitlisted');
   });
 
   test('adds booking to waitlist when event is full and joinWaitlist is true', async () => {
@@ -202,6 +410,38 @@ describe('Booking routes', () => {
     expect(res.body.error).toBe('Cannot book tickets for past events');
   });
 
+  test('judges past events by their start time, not their day', async () => {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const inThreeHours = new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString();
+
+    axios.get.mockResolvedValueOnce({
+      data: buildFutureEvent({ date: today.toISOString(), startsAt: inThreeHours, timezone: 'Asia/Tokyo' })
+    });
+    axios.patch.mockResolvedValueOnce({ data: { availableSeats: 9 } });
+
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', 'Bearer token')
+      .send({ eventId: 'event1', numberOfTickets: 1 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.booking).toMatchObject({ eventStartsAt: inThreeHours, eventTimezone: 'Asia/Tokyo' });
+
+    const anHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    axios.get.mockResolvedValueOnce({
+      data: buildFutureEvent({ date: today.toISOString(), startsAt: anHourAgo })
+    });
+
+    const started = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', 'Bearer token')
+      .send({ eventId: 'event1', numberOfTickets: 1 });
+
+    expect(started.status).toBe(400);
+    expect(started.body.error).toBe('Cannot book tickets for past events');
+  });
+
   test('returns 404 when event service reports event not found', async () => {
     const error = new Error('Not found');
     error.response = { status: 404 };
@@ -308,6 +548,33 @@ describe('Booking routes', () => {
     expect(res.body.stats.totalBookings).toBe(1);
   });
 
+  test('admin routes refuse an admin whose sign-in skipped 2FA', async () => {
+    const booking = new Booking({
+      userId: 'user2',
+      userName: 'Other User',
+      userEmail: 'other@example.com',
+      eventId: 'event1',
+      eventTitle: 'Event',
+      eventDate: new Date(),
+      eventVenue: 'Hall A',
+      numberOfTickets: 1,
+      pricePerTicket: 10,
+      bookingStatus: 'confirmed',
+      paymentStatus: 'completed'
+    });
+    await booking.save();
+
+    const asAdmin = (req) => req.set('Authorization', 'Bearer token').set('x-test-role', 'admin').set('x-test-mfa', 'off');
+    const analytics = await asAdmin(request(app).get('/api/bookings/analytics'));
+    const refund = await asAdmin(request(app).post(`/api/bookings/${booking._id}/refunds`).send({ amount: 5 }));
+    const other = await asAdmin(request(app).get(`/api/bookings/${booking._id}`));
+
+    expect(analytics.status).toBe(403);
+    expect(analytics.body.code).toBe('MFA_REQUIRED');
+    expect(refund.status).toBe(403);
+    expect(other.status).toBe(403);
+  });
+
   test('cancels a confirmed future booking and triggers seat restore call', async () => {
     const futureDate = new Date();
     futureDate.setDate(futureDate.getDate() + 1);
@@ -379,12 +646,101 @@ describe('Booking routes', () => {
     });
     await booking.save();
 
-    const res = await request(app)
+    const res = await internalPatch(app, '/api/bookings/event/event1/cancel-all');
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+  });
+
+  test('event-wide routes refuse callers that are not one of our services', async () => {
+    const booking = new Booking({
+      userId: 'user1',
+      userName: 'Test User',
+      userEmail: 'user@example.com',
+      eventId: 'event1',
+      eventTitle: 'Event',
+      eventDate: new Date(),
+      eventVenue: 'Hall A',
+      numberOfTickets: 1,
+      pricePerTicket: 10,
+      bookingStatus: 'confirmed',
+      paymentStatus: 'completed'
+    });
+    await booking.save();
+
+    const cancelAll = await request(app)
       .patch('/api/bookings/event/event1/cancel-all')
-      .set('Authorization', 'Bearer token');
+      .set('Authorization', 'Bearer token')
+      .set('x-test-role', 'admin');
+    const sync = await request(app)
+      .patch('/api/bookings/event/event1/sync')
+      .send({ eventTitle: 'Hijacked' });
+
+    expect(cancelAll.status).toBe(401);
+    expect(sync.status).toBe(401);
+    expect(booking.bookingStatus).toBe('confirmed');
+    expect(Booking.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('seat-usage counts confirmed and in-flight bookings and live holds', async () => {
+    const base = {
+      userId: 'user1',
+      userName: 'Test User',
+      userEmail: 'user@example.com',
+      eventId: 'event1',
+      eventTitle: 'Event',
+      eventDate: new Date(),
+      eventVenue: 'Hall A',
+      pricePerTicket: 10
+    };
+    for (const extra of [
+      { numberOfTickets: 2, bookingStatus: 'confirmed', ticketTypeId: 'vip', seatLabels: ['A-1', 'A-2'] },
+      { numberOfTickets: 1, bookingStatus: 'pending', sagaStep: 'charging', ticketTypeId: 'vip' },
+      { numberOfTickets: 4, bookingStatus: 'pending', sagaStep: 'compensated' },
+      { numberOfTickets: 3, bookingStatus: 'cancelled' }
+    ]) {
+      await new Booking({ ...base, ...extra }).save();
+    }
+    SeatHold.find.mockResolvedValueOnce([{ numberOfTickets: 2, ticketTypeId: null, seatLabels: ['B-1', 'B-2'] }]);
+
+    const url = '/api/bookings/event/event1/seat-usage';
+    const usage = await request(app).get(url).set(serviceHeaders('GET', url));
+
+    expect(usage.status).toBe(200);
+    expect(usage.body).toEqual({
+      tickets: 5,
+      ticketTypes: { vip: 3 },
+      bookedSeats: ['A-1', 'A-2'],
+      heldSeats: ['B-1', 'B-2']
+    });
+    expect(SeatHold.find).toHaveBeenCalledWith({ eventId: 'event1', status: { $in: ['active', 'checking_out'] } });
+  });
+
+  test('expire-waitlist closes the waitlist and hands back its promo code uses', async () => {
+    const promo = PromoCode.__add({ code: 'SPRING', usesCount: 1 });
+    const base = {
+      userId: 'user1',
+      userName: 'Test User',
+      userEmail: 'user@example.com',
+      eventId: 'event1',
+      eventTitle: 'Event',
+      eventDate: new Date(),
+      eventVenue: 'Hall A',
+      numberOfTickets: 1,
+      pricePerTicket: 10
+    };
+    const waiting = new Booking({ ...base, bookingStatus: 'waitlisted', paymentStatus: 'pending', promoCode: 'SPRING' });
+    await waiting.save();
+    const confirmed = new Booking({ ...base, bookingStatus: 'confirmed', paymentStatus: 'completed' });
+    await confirmed.save();
+
+    const res = await internalPatch(app, '/api/bookings/event/event1/expire-waitlist');
 
     expect(res.status).toBe(200);
     expect(res.body.count).toBe(1);
+    expect(waiting.bookingStatus).toBe('expired');
+    expect(confirmed.bookingStatus).toBe('confirmed');
+    expect(promo.usesCount).toBe(0);
   });
 
   test('sync endpoint updates bookings metadata', async () => {
@@ -404,18 +760,171 @@ describe('Booking routes', () => {
     });
     await booking.save();
 
+    const res = await internalPatch(app, '/api/bookings/event/event1/sync', {
+      eventTitle: 'New Title',
+      eventDate: new Date(),
+      eventVenue: 'New Venue',
+      eventTime: '11:00'
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.modifiedCount).toBe(3);
+  });
+
+  test('syncs the event start time and timezone only when they are sent', async () => {
+    await internalPatch(app, '/api/bookings/event/event1/sync', { eventTitle: 'Gig', eventTime: '19:30', eventStartsAt: '2030-07-01T14:00:00.000Z', eventTimezone: 'Asia/Kolkata' });
+    await internalPatch(app, '/api/bookings/event/event1/sync', { eventTitle: 'Gig', eventTime: '19:30' });
+
+    const [withTime, without] = Booking.updateMany.mock.calls.map(([, update]) => update.$set);
+    expect(withTime).toMatchObject({ eventStartsAt: '2030-07-01T14:00:00.000Z', eventTimezone: 'Asia/Kolkata' });
+    expect(without).not.toHaveProperty('eventStartsAt');
+    expect(without).not.toHaveProperty('eventTimezone');
+  });
+
+  test('only copies event details onto bookings holding older ones', async () => {
+    await bus.publish('event.updated', {
+      eventId: 'event1',
+      eventTitle: 'Renamed Again',
+      eventUpdatedAt: '2030-03-01T10:00:05.000Z'
+    });
+
+    const changedAt = new Date('2030-03-01T10:00:05.000Z');
+    expect(Booking.updateMany).toHaveBeenCalledWith(
+      { eventId: 'event1', $or: [{ eventUpdatedAt: null }, { eventUpdatedAt: { $lt: changedAt } }] },
+      { $set: expect.objectContaining({ eventTitle: 'Renamed Again', eventUpdatedAt: changedAt }) }
+    );
+  });
+
+  test('updates bookings from event-service events on the bus, once per event', async () => {
+    const booking = new Booking({
+      userId: 'user1',
+      userName: 'Test User',
+      userEmail: 'user@example.com',
+      eventId: 'event1',
+      eventTitle: 'Old Title',
+      eventDate: new Date(),
+      eventVenue: 'Hall A',
+      numberOfTickets: 1,
+      pricePerTicket: 10,
+      bookingStatus: 'confirmed',
+      paymentStatus: 'pending'
+    });
+    await booking.save();
+
+    const renamed = { eventId: 'event1', eventTitle: 'New Title', eventVenue: 'Hall B', eventTime: '11:00' };
+    await bus.publish('event.updated', renamed, { id: 'evt-msg-1' });
+    // Redelivered by a retried publish
+    await bus.publish('event.updated', renamed, { id: 'evt-msg-1' });
+
+    expect(Booking.updateMany).toHaveBeenCalledTimes(1);
+    expect(Booking.updateMany).toHaveBeenCalledWith(
+      { eventId: 'event1' },
+      { $set: expect.objectContaining({ eventTitle: 'New Title', eventVenue: 'Hall B' }) }
+    );
+
+    await bus.publish('event.cancelled', { eventId: 'event1' });
+    expect(booking.bookingStatus).toBe('cancelled');
+    expect(bus.deadLetters()).toEqual([]);
+  });
+
+  test('publishes booking.confirmed once the booking is paid', async () => {
+    const confirmed = jest.fn();
+    bus.subscribe('booking.confirmed', 'test.confirmed', confirmed);
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+    axios.patch.mockResolvedValueOnce({ data: { availableSeats: 8 } });
+
     const res = await request(app)
-      .patch('/api/bookings/event/event1/sync')
+      .post('/api/bookings')
       .set('Authorization', 'Bearer token')
-      .send({
-        eventTitle: 'New Title',
-        eventDate: new Date(),
-        eventVenue: 'New Venue',
-        eventTime: '11:00'
-      });
+      .send({ eventId: 'event1', numberOfTickets: 2 });
+
+    expect(res.status).toBe(201);
+    expect(confirmed).toHaveBeenCalledWith(
+      expect.objectContaining({ eventId: 'event1', userId: 'user1', numberOfTickets: 2, bookingReference: res.body.booking.bookingReference }),
+      expect.objectContaining({ type: 'booking.confirmed', id: expect.any(String) })
+    );
+    expect(OutboxMessage.__getAll()).toEqual([
+      expect.objectContaining({ type: 'publish', status: 'done' })
+    ]);
+  });
+
+  test('publishes booking.cancelled saying the seats were given back', async () => {
+    const cancelled = jest.fn();
+    bus.subscribe('booking.cancelled', 'test.cancelled', cancelled);
+    const booking = new Booking({
+      userId: 'user1',
+      userName: 'Test User',
+      userEmail: 'user@example.com',
+      eventId: 'event1',
+      eventTitle: 'Event',
+      eventDate: buildFutureEvent().date,
+      eventVenue: 'Hall A',
+      numberOfTickets: 2,
+      pricePerTicket: 10,
+      bookingStatus: 'confirmed',
+      paymentStatus: 'completed'
+    });
+    await booking.save();
+    axios.patch.mockResolvedValueOnce({ data: { availableSeats: 10 } });
+
+    await request(app)
+      .patch(`/api/bookings/${booking._id}/cancel`)
+      .set('Authorization', 'Bearer token');
+
+    expect(cancelled).toHaveBeenCalledWith(
+      expect.objectContaining({ bookingId: String(booking._id), eventId: 'event1', seatsReleased: true }),
+      expect.objectContaining({ type: 'booking.cancelled' })
+    );
+  });
+
+  test('keeps retrying the seat release of a cancelled booking', async () => {
+    const booking = new Booking({
+      userId: 'user1',
+      eventId: 'event1',
+      eventDate: buildFutureEvent().date,
+      numberOfTickets: 2,
+      pricePerTicket: 10,
+      bookingStatus: 'confirmed',
+      paymentStatus: 'completed'
+    });
+    await booking.save();
+    axios.patch.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    const res = await request(app)
+      .patch(`/api/bookings/${booking._id}/cancel`)
+      .set('Authorization', 'Bearer token');
 
     expect(res.status).toBe(200);
-    expect(res.body.modifiedCount).toBe(3);
+    expect(booking.bookingStatus).toBe('cancelled');
+    const release = OutboxMessage.__getAll().find(m => m.type === 'release-seats');
+    expect(release).toMatchObject({
+      status: 'pending',
+      lastError: 'connect ECONNREFUSED',
+      payload: { eventId: 'event1', numberOfTickets: 2 }
+    });
+  });
+
+  test('hands back the promo code use of a cancelled waitlisted booking', async () => {
+    const promo = PromoCode.__add({ code: 'EARLYBIRD', usesCount: 1 });
+    const booking = new Booking({
+      userId: 'user1',
+      eventId: 'event1',
+      eventDate: buildFutureEvent().date,
+      numberOfTickets: 2,
+      pricePerTicket: 10,
+      bookingStatus: 'waitlisted',
+      paymentStatus: 'pending',
+      promoCode: 'EARLYBIRD'
+    });
+    await booking.save();
+
+    const res = await request(app)
+      .patch(`/api/bookings/${booking._id}/cancel`)
+      .set('Authorization', 'Bearer token');
+
+    expect(res.status).toBe(200);
+    expect(promo.usesCount).toBe(0);
+    expect(axios.patch).not.toHaveBeenCalled();
   });
 
   test('returns 400 when eventId or numberOfTickets is missing', async () => {
@@ -429,26 +938,104 @@ describe('Booking routes', () => {
   });
 
   test('handles payment failure and stores pending booking', async () => {
-    const realRandom = Math.random;
-    Math.random = () => 0.01;
-
     axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 10 }) });
 
     const res = await request(app)
       .post('/api/bookings')
       .set('Authorization', 'Bearer token')
-      .send({ eventId: 'event1', numberOfTickets: 2, paymentMethod: 'credit_card' });
+      .send({ eventId: 'event1', numberOfTickets: 2, paymentMethod: 'credit_card', cardNumber: TEST_CARDS.DECLINE });
 
     expect(res.status).toBe(400);
     expect(res.body.error).toBe('Payment failed. Please try again.');
+    expect(res.body.reason).toBe('Card declined');
+    expect(axios.patch).toHaveBeenNthCalledWith(1, expect.stringContaining('/seats'), { seatsToBook: 2 }, signedByService);
+    expect(axios.patch).toHaveBeenNthCalledWith(2, expect.stringContaining('/seats'), { seatsToBook: -2 }, signedByService);
 
-    Math.random = realRandom;
+    const [stored] = Booking.__getAll();
+    expect(stored.paymentStatus).toBe('failed');
+    expect(stored.transactionId).toBeUndefined();
   });
 
-  test('returns 500 when updating event seats fails', async () => {
-    const realRandom = Math.random;
-    Math.random = () => 0.9;
+  test('records the booking before claiming seats and marks it done once paid', async () => {
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 10 }) });
+    let recordedFirst = null;
+    axios.patch.mockImplementationOnce(async () => {
+      recordedFirst = Booking.__getAll().map(b => b.sagaStep);
+      return { data: { availableSeats: 8 } };
+    });
+
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', 'Bearer token')
+      .send({ eventId: 'event1', numberOfTickets: 2 });
+
+    expect(res.status).toBe(201);
+    expect(recordedFirst).toEqual(['reserving_seats']);
+    expect(Booking.__getAll()[0]).toMatchObject({ bookingStatus: 'confirmed', sagaStep: 'done' });
+  });
+
+  test('keeps retrying the seat release when event-service is down', async () => {
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 10 }) });
+    axios.patch
+      .mockResolvedValueOnce({ data: { availableSeats: 8 } })
+      .mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', 'Bearer token')
+      .send({ eventId: 'event1', numberOfTickets: 2, cardNumber: TEST_CARDS.DECLINE });
+
+    expect(res.status).toBe(400);
+    expect(Booking.__getAll()[0]).toMatchObject({ paymentStatus: 'failed', sagaStep: 'compensated' });
+    const [release] = OutboxMessage.__getAll();
+    expect(release).toMatchObject({
+      type: 'release-seats',
+      status: 'pending',
+      attempts: 1,
+      lastError: 'connect ECONNREFUSED',
+      payload: { eventId: 'event1', numberOfTickets: 2 }
+    });
+    expect(release.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('gives the seats back and refunds when the paid booking cannot be saved', async () => {
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 10 }) });
+    axios.patch.mockResolvedValue({ data: { availableSeats: 8 } });
+    const save = Booking.prototype.save.getMockImplementation();
+    Booking.prototype.save
+      .mockImplementationOnce(save)
+      .mockImplementationOnce(save)
+      .mockRejectedValueOnce(new Error('Write conflict'));
 
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', 'Bearer token')
+      .send({ eventId: 'event1', numberOfTickets: 2 });
+
+    expect(res.status).toBe(500);
+    expect(OutboxMessage.__getAll().map(m => [m.type, m.status])).toEqual([
+      ['release-seats', 'done'],
+      ['refund-payment', 'done']
+    ]);
+    expect(axios.patch).toHaveBeenLastCalledWith(expect.stringContaining('/seats'), { seatsToBook: -2 }, signedByService);
+    expect(Booking.__getAll()[0]).toMatchObject({ paymentStatus: 'failed', sagaStep: 'compensated' });
+  });
+
+  test('returns 504 and releases seats when the payment gateway times out', async () => {
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 10 }) });
+
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', 'Bearer token')
+      .send({ eventId: 'event1', numberOfTickets: 1, cardNumber: '4000 0000 0000 0119' });
+
+    expect(res.status).toBe(504);
+    expect(res.body.error).toBe('Payment gateway timed out. Please try again.');
+    expect(axios.patch).toHaveBeenNthCalledWith(2, expect.stringContaining('/seats'), { seatsToBook: -1 }, signedByService);
+    expect(Booking.__getAll()[0].paymentStatus).toBe('failed');
+  });
+
+  test('returns 500 when updating event seats fails', async () => {
     axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 10 }) });
     const error = new Error('Seat update failed');
     error.response = { data: { message: 'Seat update failed' } };
@@ -461,8 +1048,6 @@ describe('Booking routes', () => {
 
     expect(res.status).toBe(500);
     expect(res.body.error).toBe('Failed to update event seats');
-
-    Math.random = realRandom;
   });
 
   test('returns 404 when booking by id is not found', async () => {
@@ -562,4 +1147,800 @@ describe('Booking routes', () => {
     expect(res.status).toBe(400);
     expect(res.body.error).toBe('Cannot cancel booking for past events');
   });
+
+  describe('ticket types', () => {
+    const tieredEvent = (tierOverrides = {}) => buildFutureEvent({
+      availableSeats: 30,
+      price: 15,
+      ticketTypes: [
+        { _id: 'general', name: 'General', price: 15, quantity: 20, available: 20 },
+        { _id: 'vip', name: 'VIP', price: 80, quantity: 10, available: 10, ...tierOverrides }
+      ]
+    });
+
+    const addWaitlisted = async (ticketTypeId, numberOfTickets) => {
+      const booking = new Booking({
+        userId: `waiting-${Booking.__getAll().length}`,
+        userName: 'Waiting',
+        userEmail: 'wait@example.com',
+        eventId: 'event1',
+        eventTitle: 'Sample Event',
+        eventDate: new Date(Date.now() + 86400000),
+        eventVenue: 'Hall A',
+        numberOfTickets,
+        ticketTypeId,
+        pricePerTicket: 15,
+        bookingStatus: 'waitlisted',
+        paymentStatus: 'pending'
+      });
+      await booking.save();
+      return booking;
+    };
+
+    test('books the chosen tier at its own price', async () => {
+      axios.get.mockResolvedValueOnce({ data: tieredEvent() });
+      axios.patch.mockResolvedValueOnce({ data: { availableSeats: 28, ticketTypeAvailable: 8 } });
+
+      const res = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', 'Bearer token')
+        .send({ eventId: 'event1', numberOfTickets: 2, ticketTypeId: 'vip' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.booking).toMatchObject({ ticketTypeName: 'VIP', pricePerTicket: 80 });
+      expect(axios.patch).toHaveBeenCalledWith(
+        expect.stringContaining('/api/events/event1/seats'),
+        { seatsToBook: 2, ticketTypeId: 'vip' },
+        signedByService
+      );
+      expect(Booking.__getAll()[0]).toMatchObject({ ticketTypeId: 'vip', ticketTypeName: 'VIP' });
+    });
+
+    test('requires a tier when the event has them', async () => {
+      axios.get.mockResolvedValueOnce({ data: tieredEvent() });
+
+      const res = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', 'Bearer token')
+        .send({ eventId: 'event1', numberOfTickets: 1 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Choose a ticket type');
+      expect(axios.patch).not.toHaveBeenCalled();
+    });
+
+    test('refuses a tier outside its sale window', async () => {
+      axios.get.mockResolvedValueOnce({ data: tieredEvent({ salesEnd: new Date(Date.now() - 1000).toISOString() }) });
+
+      const res = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', 'Bearer token')
+        .send({ eventId: 'event1', numberOfTickets: 1, ticketTypeId: 'vip' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('VIP ticket sales have ended');
+    });
+
+    test('waitlists a sold-out tier even when other tiers have seats', async () => {
+      axios.get.mockResolvedValueOnce({ data: tieredEvent({ available: 1 }) });
+
+      const res = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', 'Bearer token')
+        .send({ eventId: 'event1', numberOfTickets: 2, ticketTypeId: 'vip', joinWaitlist: true });
+
+      expect(res.status).toBe(202);
+      expect(res.body.booking.ticketTypeName).toBe('VIP');
+      expect(axios.patch).not.toHaveBeenCalled();
+    });
+
+    test('a blocked tier on the waitlist does not hold up other tiers', async () => {
+      const booking = await addWaitlisted('general', 1);
+      booking.userId = 'user1';
+      booking.bookingStatus = 'confirmed';
+      const bigVip = await addWaitlisted('vip', 5);
+      const general = await addWaitlisted('general', 1);
+      const laterVip = await addWaitlisted('vip', 1);
+
+      axios.patch.mockResolvedValue({ data: { availableSeats: 5, ticketTypeAvailable: 1 } });
+      axios.get.mockResolvedValueOnce({ data: tieredEvent({ available: 2 }) });
+
+      const res = await request(app)
+        .patch(`/api/bookings/${booking._id}/cancel`)
+        .set('Authorization', 'Bearer token');
+
+      expect(res.status).toBe(200);
+      expect(axios.patch).toHaveBeenCalledWith(
+        expect.stringContaining('/seats'),
+        { seatsToBook: -1, ticketTypeId: 'general' },
+        signedByService
+      );
+      expect(general.bookingStatus).toBe('confirmed');
+      // VIP stays first-come-first-served: the later single ticket waits behind the party of five
+      expect(bigVip.bookingStatus).toBe('waitlisted');
+      expect(laterVip.bookingStatus).toBe('waitlisted');
+    });
+  });
+
+  describe('reserved seating', () => {
+    const seatedEvent = (statuses = {}) => buildFutureEvent({
+      availableSeats: 4,
+      price: 30,
+      seats: ['A-1', 'A-2', 'A-3', 'A-4'].map(label => ({
+        label: `Floor ${label}`,
+        status: statuses[`Floor ${label}`] || 'available'
+      }))
+    });
+
+    test('books the chosen seats by label', async () => {
+      axios.get.mockResolvedValueOnce({ data: seatedEvent() });
+      axios.patch.mockResolvedValueOnce({ data: { availableSeats: 2 } });
+
+      const res = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', 'Bearer token')
+        .send({ eventId: 'event1', numberOfTickets: 2, seatLabels: ['Floor A-1', 'Floor A-2'] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.booking.seatLabels).toEqual(['Floor A-1', 'Floor A-2']);
+      expect(axios.patch).toHaveBeenCalledWith(
+        expect.stringContaining('/api/events/event1/seats'),
+        { seatsToBook: 2, seatLabels: ['Floor A-1', 'Floor A-2'], hold: false },
+        signedByService
+      );
+    });
+
+    test('checks the picked seats against the seat map', async () => {
+      axios.get.mockResolvedValue({ data: seatedEvent({ 'Floor A-3': 'booked' }) });
+
+      const send = body => request(app)
+        .post('/api/bookings')
+        .set('Authorization', 'Bearer token')
+        .send({ eventId: 'event1', ...body });
+
+      const none = await send({ numberOfTickets: 1 });
+      const mismatch = await send({ numberOfTickets: 2, seatLabels: ['Floor A-1'] });
+      const unknown = await send({ numberOfTickets: 1, seatLabels: ['Balcony Z-9'] });
+      const taken = await send({ numberOfTickets: 2, seatLabels: ['Floor A-2', 'Floor A-3'] });
+
+      expect(none.body.error).toBe('Choose your seats');
+      expect(mismatch.body.error).toBe('Choose one seat for each ticket');
+      expect(unknown.body.error).toBe('Unknown seat Balcony Z-9');
+      expect(taken.status).toBe(409);
+      expect(taken.body.unavailableSeats).toEqual(['Floor A-3']);
+      expect(axios.patch).not.toHaveBeenCalled();
+    });
+
+    test('does not waitlist seats someone else claimed first', async () => {
+      axios.get.mockResolvedValueOnce({ data: seatedEvent() });
+      axios.patch.mockRejectedValueOnce({
+        response: { status: 400, data: { error: 'Some of those seats are already taken', unavailableSeats: ['Floor A-4'], availableSeats: 3 } }
+      });
+
+      const res = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', 'Bearer token')
+        .send({ eventId: 'event1', numberOfTickets: 1, seatLabels: ['Floor A-4'], joinWaitlist: true });
+
+      expect(res.status).toBe(409);
+      expect(res.body).toEqual({ error: 'Some of those seats are already taken', unavailableSeats: ['Floor A-4'] });
+      expect(Booking.__getAll()).toHaveLength(0);
+    });
+
+    test('rejects seats for an event without a seat map', async () => {
+      axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+
+      const res = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', 'Bearer token')
+        .send({ eventId: 'event1', numberOfTickets: 1, seatLabels: ['Floor A-1'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('This event does not have reserved seating');
+    });
+
+    test('cancelling frees the exact seats', async () => {
+      const booking = new Booking({
+        userId: 'user1',
+        eventId: 'event1',
+        eventDate: new Date(Date.now() + 30 * 86400000),
+        numberOfTickets: 2,
+        seatLabels: ['Floor A-1', 'Floor A-2'],
+        pricePerTicket: 30,
+        totalAmount: 60,
+        bookingStatus: 'confirmed',
+        paymentStatus: 'completed',
+        transactionId: 'txn_1'
+      });
+      await booking.save();
+      axios.patch.mockResolvedValueOnce({ data: { availableSeats: 4 } });
+      axios.get.mockResolvedValueOnce({ data: seatedEvent() });
+
+      const res = await request(app)
+        .patch(`/api/bookings/${booking._id}/cancel`)
+        .set('Authorization', 'Bearer token');
+
+      expect(res.status).toBe(200);
+      expect(axios.patch).toHaveBeenCalledWith(
+        expect.stringContaining('/api/events/event1/seats'),
+        { seatsToBook: -2, seatLabels: ['Floor A-1', 'Floor A-2'] },
+        signedByService
+      );
+    });
+
+    test('ticket QR payload lists the seats', () => {
+      const token = signTicket({
+        bookingReference: 'BKG-SEATS',
+        eventId: 'event1',
+        numberOfTickets: 2,
+        seatLabels: ['Floor A-1', 'Floor A-2']
+      });
+
+      expect(verifyTicket(token).seatLabels).toEqual(['Floor A-1', 'Floor A-2']);
+    });
+  });
+
+  describe('promo codes', () => {
+    beforeEach(() => {
+      PromoCode.__reset();
+      PromoCodeUse.__reset();
+    });
+
+    const book = body => request(app)
+      .post('/api/bookings')
+      .set('Authorization', 'Bearer token')
+      .send({ eventId: 'event1', numberOfTickets: 2, ...body });
+
+    test('applies the discount and counts a use', async () => {
+      const promo = PromoCode.__add({ code: 'SAVE25', discountType: 'percentage', discountValue: 25 });
+      axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+      axios.patch.mockResolvedValueOnce({ data: { availableSeats: 8 } });
+
+      const res = await book({ promoCode: 'save25' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.booking).toMatchObject({ promoCode: 'SAVE25', discountAmount: 10 });
+      expect(Booking.__getAll()[0]).toMatchObject({ promoCode: 'SAVE25', discountAmount: 10 });
+      expect(promo.usesCount).toBe(1);
+    });
+
+    test('rejects an invalid code before reserving seats', async () => {
+      axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+
+      const res = await book({ promoCode: 'NOPE' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Promo code is not valid');
+      expect(axios.patch).not.toHaveBeenCalled();
+    });
+
+    test('claims no seats when the last use is taken first', async () => {
+      const promo = PromoCode.__add({ code: 'LAST', discountType: 'fixed', discountValue: 5, maxUses: 1 });
+      axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+      PromoCode.findOne.mockImplementationOnce(async () => {
+        const checked = { ...promo };
+        // Another buyer redeems the final use right after our code was checked
+        promo.usesCount = 1;
+        return checked;
+      });
+
+      const res = await book({ promoCode: 'LAST' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Promo code has reached its usage limit');
+      expect(axios.patch).not.toHaveBeenCalled();
+      expect(Booking.__getAll()).toHaveLength(0);
+    });
+
+    test('holds each user to the per-user limit when two checkouts race', async () => {
+      const promo = PromoCode.__add({ code: 'ONCE', discountType: 'fixed', discountValue: 5, perUserLimit: 1 });
+      axios.get.mockResolvedValue({ data: buildFutureEvent() });
+      axios.patch.mockResolvedValue({ data: { availableSeats: 8 } });
+
+      // Both checks run before either checkout counts its use
+      let checked = 0;
+      let release;
+      const bothChecked = new Promise(resolve => { release = resolve; });
+      PromoCodeUse.findOne.mockImplementation(async () => {
+        checked += 1;
+        if (checked === 2) release();
+        await bothChecked;
+        return null;
+      });
+
+      const results = await Promise.all([book({ promoCode: 'ONCE' }), book({ promoCode: 'ONCE' })]);
+
+      expect(results.map(res => res.status).sort()).toEqual([201, 400]);
+      expect(results.find(res => res.status === 400).body.error).toBe('You have already used this promo code');
+      expect(promo.usesCount).toBe(1);
+      expect(PromoCodeUse.__get('ONCE', 'user1').count).toBe(1);
+    });
+
+    test('hands the use back when payment fails', async () => {
+      const promo = PromoCode.__add({ code: 'SAVE5', discountType: 'fixed', discountValue: 5, maxUses: 10 });
+      axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+      axios.patch.mockResolvedValue({ data: { availableSeats: 8 } });
+
+      const res = await book({ promoCode: 'SAVE5', cardNumber: TEST_CARDS.DECLINE });
+
+      expect(res.status).toBe(400);
+      expect(promo.usesCount).toBe(0);
+      expect(PromoCodeUse.__get('SAVE5', 'user1').count).toBe(0);
+    });
+
+    test('charges nothing when the code covers the whole order', async () => {
+      PromoCode.__add({ code: 'COMP', discountType: 'percentage', discountValue: 100 });
+      axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+      axios.patch.mockResolvedValueOnce({ data: { availableSeats: 8 } });
+
+      const res = await book({ promoCode: 'COMP' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.booking).toMatchObject({ bookingStatus: 'confirmed', discountAmount: 40, transactionId: null });
+    });
+
+    test('analytics report discounts per code', async () => {
+      for (const [promoCode, discountAmount, bookingStatus] of [
+        ['SAVE25', 10, 'confirmed'],
+        ['SAVE25', 5.5, 'confirmed'],
+        ['STAFF', 20, 'confirmed'],
+        ['STAFF', 20, 'cancelled']
+      ]) {
+        await new Booking({ eventId: 'event1', numberOfTickets: 1, promoCode, discountAmount, bookingStatus }).save();
+      }
+
+      const res = await request(app)
+        .get('/api/bookings/analytics')
+        .set('x-test-role', 'admin');
+
+      expect(res.status).toBe(200);
+      expect(res.body.stats.totalDiscounts).toBe(35.5);
+      expect(res.body.promoCodes).toEqual([
+        { code: 'STAFF', bookings: 1, discountTotal: 20 },
+        { code: 'SAVE25', bookings: 2, discountTotal: 15.5 }
+      ]);
+    });
+  });
+
+  describe('GET /api/bookings/user/:userId', () => {
+    test('returns every booking for the user to admins', async () => {
+      await new Booking({ userId: 'user2', eventId: 'event1', bookingStatus: 'confirmed' }).save();
+      await new Booking({ userId: 'user2', eventId: 'event2', bookingStatus: 'cancelled' }).save();
+      await new Booking({ userId: 'user3', eventId: 'event1', bookingStatus: 'confirmed' }).save();
+
+      const res = await request(app)
+        .get('/api/bookings/user/user2')
+        .set('x-test-role', 'admin');
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(2);
+      expect(res.body.bookings.every(b => b.userId === 'user2')).toBe(true);
+    });
+
+    test('rejects non-admins', async () => {
+      const res = await request(app).get('/api/bookings/user/user2');
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/bookings/check-in', () => {
+    const saveTicket = async overrides => {
+      const booking = new Booking({
+        userId: 'user1',
+        userName: 'Test User',
+        userEmail: 'user@example.com',
+        eventId: 'event1',
+        eventTitle: 'Event',
+        eventDate: new Date(),
+        eventVenue: 'Hall A',
+        numberOfTickets: 2,
+        pricePerTicket: 10,
+        bookingStatus: 'confirmed',
+        paymentStatus: 'completed',
+        bookingReference: 'BKG-DOOR-1',
+        ...overrides
+      });
+      await booking.save();
+      return booking;
+    };
+
+    const scan = (payload, eventId = 'event1', role = 'staff') => request(app)
+      .post('/api/bookings/check-in')
+      .set('Authorization', 'Bearer token')
+      .set('x-test-role', role)
+      .send({ payload, eventId });
+
+    test('checks in a confirmed ticket and records the scanner', async () => {
+      const booking = await saveTicket();
+
+      const res = await scan(signTicket(booking));
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Check-in successful');
+      expect(res.body.booking.checkedInByName).toBe('Test User');
+      expect(Booking.__getAll()[0].checkedInBy).toBe('user1');
+      expect(Booking.__getAll()[0].checkedInAt).toBeInstanceOf(Date);
+    });
+
+    test('refuses a second scan of the same ticket', async () => {
+      const booking = await saveTicket();
+      const token = signTicket(booking);
+
+      await scan(token);
+      const res = await scan(token);
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('Ticket already checked in');
+    });
+
+    test('rejects a ticket for a different event', async () => {
+      const booking = await saveTicket();
+
+      const res = await scan(signTicket(booking), 'event2');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Ticket is for a different event');
+    });
+
+    test('rejects a booking that is not confirmed', async () => {
+      const booking = await saveTicket({ bookingStatus: 'cancelled' });
+
+      const res = await scan(signTicket(booking));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Booking is cancelled, not confirmed');
+    });
+
+    test('returns 404 for an unknown ticket', async () => {
+      const res = await scan(signTicket({ bookingReference: 'BKG-NOPE', eventId: 'event1' }));
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Ticket not found');
+    });
+
+    test('rejects an unsigned JSON ticket', async () => {
+      await saveTicket();
+
+      const res = await scan(JSON.stringify({ bookingReference: 'BKG-DOOR-1', eventId: 'event1' }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Ticket signature is invalid');
+    });
+
+    test('rejects a ticket whose payload was altered after signing', async () => {
+      const booking = await saveTicket();
+      const [header, payload, signature] = signTicket(booking).split('.');
+      const tampered = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      tampered.numberOfTickets = 10;
+      const forged = [header, Buffer.from(JSON.stringify(tampered)).toString('base64url'), signature].join('.');
+
+      const res = await scan(forged);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Ticket signature is invalid');
+    });
+
+    test('denies check-in to regular users', async () => {
+      const res = await scan('BKG-DOOR-1', 'event1', 'user');
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/bookings/:id/ticket', () => {
+    test('issues a signed ticket that verifies offline', async () => {
+      const booking = new Booking({
+        userId: 'user1',
+        userName: 'Test User',
+        userEmail: 'user@example.com',
+        eventId: 'event1',
+        eventTitle: 'Event',
+        eventDate: new Date(),
+        eventVenue: 'Hall A',
+        numberOfTickets: 2,
+        pricePerTicket: 10,
+        bookingStatus: 'confirmed',
+        paymentStatus: 'completed',
+        bookingReference: 'BKG-TICKET-1'
+      });
+      await booking.save();
+
+      const res = await request(app)
+        .get(`/api/bookings/${booking._id}/ticket`)
+        .set('Authorization', 'Bearer token');
+
+      expect(res.status).toBe(200);
+      expect(verifyTicket(res.body.token)).toMatchObject({
+        bookingReference: 'BKG-TICKET-1',
+        eventId: 'event1',
+        numberOfTickets: 2
+      });
+    });
+
+    test('refuses tickets for waitlisted bookings', async () => {
+      const booking = new Booking({
+        userId: 'user1',
+        eventId: 'event1',
+        numberOfTickets: 1,
+        bookingStatus: 'waitlisted'
+      });
+      await booking.save();
+
+      const res = await request(app)
+        .get(`/api/bookings/${booking._id}/ticket`)
+        .set('Authorization', 'Bearer token');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('refunds', () => {
+    const addPaidBooking = async (daysUntilEvent, overrides) => {
+      const eventDate = new Date(Date.now() + daysUntilEvent * 24 * 60 * 60 * 1000);
+      const booking = new Booking({
+        userId: 'user1',
+        userName: 'Test User',
+        userEmail: 'user@example.com',
+        eventId: 'event1',
+        eventTitle: 'Event',
+        eventDate,
+        eventVenue: 'Hall A',
+        numberOfTickets: 2,
+        pricePerTicket: 50,
+        totalAmount: 100,
+        refundedAmount: 0,
+        transactionId: 'fake_txn_1',
+        bookingStatus: 'confirmed',
+        paymentStatus: 'completed',
+        ...overrides
+      });
+      await booking.save();
+      return booking;
+    };
+
+    const cancel = (booking) => request(app)
+      .patch(`/api/bookings/${booking._id}/cancel`)
+      .set('Authorization', 'Bearer token');
+
+    test('refunds in full when cancelled more than 7 days out', async () => {
+      const booking = await addPaidBooking(10);
+      axios.patch.mockResolvedValueOnce({ data: { availableSeats: 0 } });
+
+      const res = await cancel(booking);
+
+      expect(res.status).toBe(200);
+      expect(res.body.booking).toMatchObject({ refundAmount: 100, refundPercent: 100, refundStatus: 'succeeded' });
+      expect(booking.paymentStatus).toBe('refunded');
+
+      const [refund] = Refund.__getAll();
+      expect(refund).toMatchObject({ amount: 100, type: 'cancellation', status: 'succeeded', policyPercent: 100 });
+      expect(refund.gatewayRefundId).toMatch(/^fake_rfnd_/);
+    });
+
+    test('refunds 75% between 48 hours and 7 days out', async () => {
+      const booking = await addPaidBooking(3);
+      axios.patch.mockResolvedValueOnce({ data: { availableSeats: 0 } });
+
+      const res = await cancel(booking);
+
+      expect(res.body.booking.refundAmount).toBe(75);
+      expect(booking.paymentStatus).toBe('partially_refunded');
+      expect(booking.refundedAmount).toBe(75);
+    });
+
+    test('refunds 50% within 48 hours of the event', async () => {
+      const booking = await addPaidBooking(1);
+      axios.patch.mockResolvedValueOnce({ data: { availableSeats: 0 } });
+
+      const res = await cancel(booking);
+
+      expect(res.body.booking).toMatchObject({ refundAmount: 50, refundPercent: 50 });
+      expect(Refund.__getAll()[0].reason).toContain('within 48 hours');
+    });
+
+    test('records a failed refund when the gateway rejects it and retries it', async () => {
+      const defaultProvider = getPaymentProvider();
+      setPaymentProvider({ ...defaultProvider, refund: jest.fn().mockRejectedValue(new Error('Gateway unavailable')) });
+      const booking = await addPaidBooking(10);
+      axios.patch.mockResolvedValueOnce({ data: { availableSeats: 0 } });
+
+      const res = await cancel(booking);
+      setPaymentProvider(defaultProvider);
+
+      expect(res.status).toBe(200);
+      expect(res.body.booking).toMatchObject({ bookingStatus: 'cancelled', refundAmount: 0, refundStatus: 'pending' });
+      expect(booking.paymentStatus).toBe('completed');
+      expect(Refund.__getAll()[0]).toMatchObject({ status: 'failed', failureReason: 'Gateway unavailable' });
+      const retry = OutboxMessage.__getAll().find(m => m.type === 'refund-booking');
+      expect(retry).toMatchObject({ status: 'pending', lastError: 'Gateway unavailable' });
+
+      await processOutbox(retry.nextAttemptAt);
+
+      expect(retry.status).toBe('done');
+      expect(booking.paymentStatus).toBe('refunded');
+      expect(Refund.__getAll()[1]).toMatchObject({ amount: 100, status: 'succeeded', policyPercent: 100 });
+    });
+
+    test('lets an admin issue a manual partial refund', async () => {
+      const booking = await addPaidBooking(10);
+
+      const res = await request(app)
+        .post(`/api/bookings/${booking._id}/refunds`)
+        .set('x-test-role', 'admin')
+        .send({ amount: 30, reason: 'Seat view obstructed' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.refund).toMatchObject({ amount: 30, type: 'manual', status: 'succeeded', issuedByName: 'Test User' });
+      expect(res.body.paymentStatus).toBe('partially_refunded');
+      expect(res.body.refundedAmount).toBe(30);
+    });
+
+    test('rejects a manual refund above the remaining amount', async () => {
+      const booking = await addPaidBooking(10, { refundedAmount: 80, paymentStatus: 'partially_refunded' });
+
+      const res = await request(app)
+        .post(`/api/bookings/${booking._id}/refunds`)
+        .set('x-test-role', 'admin')
+        .send({ amount: 30, reason: 'Goodwill' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.refundableAmount).toBe(20);
+      expect(Refund.__getAll()).toHaveLength(0);
+    });
+
+    test('two refunds at once cannot add up to more than was paid', async () => {
+      const booking = await addPaidBooking(10);
+      const stored = Booking.__getAll()[0];
+
+      // Both requests load their own copy of the booking before either refunds
+      let release;
+      const bothLoaded = new Promise(resolve => { release = resolve; });
+      let loads = 0;
+      const findById = Booking.findById.getMockImplementation();
+      Booking.findById.mockImplementation(async () => {
+        if (++loads === 2) release();
+        if (loads <= 2) await bothLoaded;
+        return Object.assign(new Booking({}), stored);
+      });
+
+      const refund = () => request(app)
+        .post(`/api/bookings/${booking._id}/refunds`)
+        .set('x-test-role', 'admin')
+        .send({ amount: 60, reason: 'Goodwill' });
+      const results = await Promise.all([refund(), refund()]);
+      Booking.findById.mockImplementation(findById);
+
+      expect(results.map(res => res.status).sort()).toEqual([201, 400]);
+      expect(results.find(res => res.status === 400).body.refundableAmount).toBe(40);
+      expect(stored.refundedAmount).toBe(60);
+      expect(Refund.__getAll()).toHaveLength(1);
+    });
+
+    test('denies manual refunds to regular users', async () => {
+      const booking = await addPaidBooking(10);
+
+      const res = await request(app)
+        .post(`/api/bookings/${booking._id}/refunds`)
+        .send({ amount: 30, reason: 'Please' });
+
+      expect(res.status).toBe(403);
+    });
+
+    test('returns the refund timeline for the booking owner', async () => {
+      const booking = await addPaidBooking(1);
+      axios.patch.mockResolvedValueOnce({ data: { availableSeats: 0 } });
+      await cancel(booking);
+
+      const res = await request(app).get(`/api/bookings/${booking._id}/refunds`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ totalAmount: 100, refundedAmount: 50, refundableAmount: 50 });
+      expect(res.body.refunds).toHaveLength(1);
+      expect(res.body.refunds[0].amount).toBe(50);
+    });
+
+    test('refunds everything left when the organizer cancels the event', async () => {
+      const partial = await addPaidBooking(1, { refundedAmount: 40, paymentStatus: 'partially_refunded' });
+      const waitlisted = await addPaidBooking(1, { bookingStatus: 'waitlisted', paymentStatus: 'pending', transactionId: null });
+
+      const res = await internalPatch(app, '/api/bookings/event/event1/cancel-all');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ count: 2, refundedAmount: 60 });
+      expect(partial.paymentStatus).toBe('refunded');
+      expect(waitlisted.bookingStatus).toBe('cancelled');
+      expect(Refund.__getAll()).toHaveLength(1);
+      expect(Refund.__getAll()[0].type).toBe('event_cancelled');
+    });
+
+    test('emails every ticket holder why the event was cancelled and what they got back', async () => {
+      const paid = await addPaidBooking(5);
+      const waitlisted = await addPaidBooking(5, { bookingStatus: 'waitlisted', paymentStatus: 'pending', transactionId: null });
+      const expired = await addPaidBooking(5, { bookingStatus: 'expired', paymentStatus: 'pending', transactionId: null });
+
+      await bus.publish('event.cancelled', { eventId: 'event1', reason: 'Venue flooded' });
+
+      expect(paid).toMatchObject({ bookingStatus: 'cancelled', cancellationReason: 'Venue flooded' });
+      expect(expired.bookingStatus).toBe('cancelled');
+      expect(sendEventCancelledEmail).toHaveBeenCalledTimes(2);
+      expect(sendEventCancelledEmail).toHaveBeenCalledWith(paid, { reason: 'Venue flooded', refundAmount: 100 });
+      expect(sendEventCancelledEmail).toHaveBeenCalledWith(waitlisted, { reason: 'Venue flooded', refundAmount: 0 });
+
+      // A redelivered cancellation finds nothing left to cancel
+      await bus.publish('event.cancelled', { eventId: 'event1', reason: 'Venue flooded' });
+      expect(sendEventCancelledEmail).toHaveBeenCalledTimes(2);
+    });
+
+    test('keeps a booking open until its refund goes through, then retries it', async () => {
+      const defaultProvider = getPaymentProvider();
+      setPaymentProvider({ ...defaultProvider, refund: jest.fn().mockRejectedValue(new Error('Gateway unavailable')) });
+      const failed = await addPaidBooking(5);
+      const unpaid = await addPaidBooking(5, { bookingStatus: 'waitlisted', paymentStatus: 'pending', transactionId: null });
+
+      await bus.publish('event.cancelled', { eventId: 'event1', reason: 'Venue flooded' });
+      setPaymentProvider(defaultProvider);
+
+      expect(failed).toMatchObject({ bookingStatus: 'confirmed', paymentStatus: 'completed', refundedAmount: 0 });
+      expect(unpaid.bookingStatus).toBe('cancelled');
+      expect(sendEventCancelledEmail).toHaveBeenCalledTimes(1);
+
+      await bus.drain();
+
+      expect(failed).toMatchObject({ bookingStatus: 'cancelled', paymentStatus: 'refunded' });
+      expect(sendEventCancelledEmail).toHaveBeenCalledTimes(2);
+      expect(sendEventCancelledEmail).toHaveBeenLastCalledWith(failed, { reason: 'Venue flooded', refundAmount: 100 });
+    });
+
+    test('cancels the booking even when its email fails, and leaves the email to the outbox', async () => {
+      const booking = await addPaidBooking(5);
+      sendEventCancelledEmail.mockRejectedValueOnce(new Error('SMTP timeout'));
+
+      await bus.publish('event.cancelled', { eventId: 'event1', reason: 'Venue flooded' });
+
+      expect(booking).toMatchObject({ bookingStatus: 'cancelled', paymentStatus: 'refunded' });
+      expect(bus.deadLetters()).toHaveLength(0);
+      expect(Refund.__getAll()).toHaveLength(1);
+      expect(OutboxMessage.__getAll()).toEqual([
+        expect.objectContaining({
+          type: 'send-event-cancelled-email',
+          status: 'pending',
+          attempts: 1,
+          lastError: 'SMTP timeout',
+          payload: { bookingId: booking._id, reason: 'Venue flooded', refundAmount: 100 }
+        })
+      ]);
+    });
+
+    test('releases the seats held on the cancelled event', async () => {
+      const hold = { _id: 'h1', eventId: 'event1', numberOfTickets: 2, ticketTypeId: null, seatLabels: ['A-1', 'A-2'], status: 'active' };
+      SeatHold.find.mockResolvedValueOnce([hold]);
+      SeatHold.findOneAndUpdate.mockImplementationOnce(async (query, update) => Object.assign(hold, update.$set));
+      axios.patch.mockResolvedValueOnce({ data: { availableSeats: 10 } });
+
+      await bus.publish('event.cancelled', { eventId: 'event1', reason: 'Venue flooded' });
+
+      expect(SeatHold.find).toHaveBeenCalledWith({ eventId: 'event1', status: 'active' });
+      expect(hold.status).toBe('released');
+      expect(OutboxMessage.__getAll()).toEqual([
+        expect.objectContaining({
+          type: 'release-seats',
+          status: 'done',
+          payload: { eventId: 'event1', numberOfTickets: 2, ticketTypeId: null, seatLabels: ['A-1', 'A-2'] }
+        })
+      ]);
+    });
+
+    test('a late cancellation leaves bookings made after the event was restored', async () => {
+      const cancelledAt = new Date('2030-03-01T10:00:00.000Z');
+      const before = await addPaidBooking(5, { createdAt: new Date('2030-02-20T09:00:00.000Z') });
+      const after = await addPaidBooking(5, { createdAt: new Date('2030-03-02T09:00:00.000Z') });
+
+      await bus.publish('event.cancelled', { eventId: 'event1', reason: 'Venue flooded', cancelledAt });
+
+      expect(before.bookingStatus).toBe('cancelled');
+      expect(after).toMatchObject({ bookingStatus: 'confirmed', paymentStatus: 'completed' });
+      expect(sendEventCancelledEmail).toHaveBeenCalledTimes(1);
+    });
+  });
 });
@@ -0,0 +1,230 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  ...jest.requireActual('../../middleware/auth'),
+  verifyToken: (req, res, next) => {
+    req.user = {
+      _id: req.headers['x-test-user-id'] || 'admin1',
+      name: 'Admin User',
+      email: 'admin@example.com',
+      role: req.headers['x-test-role'] || 'admin',
+      mfa: req.headers['x-test-mfa'] !== 'off'
+    };
+    next();
+  }
+}));
+
+jest.mock('../../models/Broadcast', () => {
+  const Broadcast = jest.fn(function (data) {
+    Object.assign(this, { _id: 'bc1', status: 'scheduled' }, data);
+  });
+  Broadcast.prototype.save = jest.fn().mockResolvedValue();
+  Broadcast.find = jest.fn();
+  Broadcast.findById = jest.fn();
+  Broadcast.findOneAndUpdate = jest.fn();
+  return Broadcast;
+});
+
+jest.mock('../../models/BroadcastRecipient', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../../models/Booking', () => ({
+  find: jest.fn()
+}));
+
+const axios = require('axios');
+const Broadcast = require('../../models/Broadcast');
+const BroadcastRecipient = require('../../models/BroadcastRecipient');
+const Booking = require('../../models/Booking');
+const broadcastsRouter = require('../broadcasts');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/bookings/broadcasts', broadcastsRouter);
+  return app;
+};
+
+const event = {
+  _id: 'evt1',
+  title: 'Spring Gala',
+  venue: 'Main Hall',
+  date: '2030-03-12T00:00:00.000Z',
+  time: '19:00',
+  startsAt: '2030-03-12T23:00:00.000Z',
+  timezone: 'America/New_York'
+};
+
+const message = (overrides) => ({
+  eventId: 'evt1',
+  template: 'venue_change',
+  subject: 'New venue for {{event}}',
+  body: 'Hi {{name}},\n\nWe moved to {{venue}} on {{date}} at {{time}}.',
+  audience: ['confirmed', 'waitlisted'],
+  ...overrides
+});
+
+const attendees = (bookings) => {
+  Booking.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(bookings) });
+};
+
+describe('Broadcast routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    axios.get.mockResolvedValue({ data: event });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('GET /templates lists the templates and is admin only', async () => {
+    const res = await request(app).get('/api/bookings/broadcasts/templates');
+    const denied = await request(app).get('/api/bookings/broadcasts/templates').set('x-test-role', 'user');
+
+    expect(res.status).toBe(200);
+    expect(res.body.templates.map(t => t.key)).toEqual(['venue_change', 'delay', 'reminder', 'custom']);
+    expect(res.body.placeholders).toContain('venue');
+    expect(denied.status).toBe(403);
+  });
+
+  test('POST /preview counts each attendee once and fills in the first', async () => {
+    attendees([
+      { _id: 'b1', userName: 'Ada', userEmail: 'ada@example.com', bookingReference: 'EVT-1' },
+      { _id: 'b2', userName: 'Ada', userEmail: 'ada@example.com', bookingReference: 'EVT-2' },
+      { _id: 'b3', userName: 'Lin', userEmail: 'lin@example.com', bookingReference: 'EVT-3' }
+    ]);
+
+    const res = await request(app).post('/api/bookings/broadcasts/preview').send(message());
+
+    expect(res.status).toBe(200);
+    expect(res.body.recipientCount).toBe(2);
+    expect(res.body.preview).toEqual({
+      to: 'ada@example.com',
+      subject: 'New venue for Spring Gala',
+      body: 'Hi Ada,\n\nWe moved to Main Hall on Tuesday, March 12, 2030 at 7:00 PM EDT.'
+    });
+    expect(Booking.find).toHaveBeenCalledWith({
+      eventId: 'evt1',
+      $or: [{ bookingStatus: 'confirmed' }, { bookingStatus: 'waitlisted' }]
+    });
+  });
+
+  test('POST /preview uses sample values when nobody would receive it', async () => {
+    attendees([]);
+
+    const res = await request(app).post('/api/bookings/broadcasts/preview').send(message({ audience: ['checked_in'] }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.recipientCount).toBe(0);
+    expect(res.body.preview.body).toMatch(/^Hi Admin User,/);
+  });
+
+  test('POST / queues the message without sending it in the request', async () => {
+    const res = await request(app).post('/api/bookings/broadcasts').send(message());
+
+    expect(res.status).toBe(202);
+    expect(res.body.message).toBe('Message queued for sending');
+    expect(Broadcast.prototype.save).toHaveBeenCalledTimes(1);
+    expect(Broadcast.mock.calls[0][0]).toMatchObject({
+      eventId: 'evt1',
+      audience: ['confirmed', 'waitlisted'],
+      createdBy: 'admin1'
+    });
+    // The event details are read when the mailer sends it
+    expect(Broadcast.mock.calls[0][0].eventVenue).toBeUndefined();
+    expect(Booking.find).not.toHaveBeenCalled();
+  });
+
+  test('POST / schedules a message for later', async () => {
+    const scheduledFor = new Date(Date.now() + 3600000).toISOString();
+
+    const res = await request(app).post('/api/bookings/broadcasts').send(message({ scheduledFor }));
+
+    expect(res.status).toBe(202);
+    expect(res.body.message).toBe('Message scheduled');
+    expect(Broadcast.mock.calls[0][0].scheduledFor.toISOString()).toBe(scheduledFor);
+  });
+
+  test('POST / rejects incomplete messages, unknown audiences and past times', async () => {
+    const cases = [
+      [{ subject: '' }, 'Subject and message are required'],
+      [{ audience: ['everyone'] }, 'Audience must be one or more of confirmed, waitlisted, checked_in'],
+      [{ audience: [] }, 'Audience must be one or more of confirmed, waitlisted, checked_in'],
+      [{ template: 'nope' }, 'Unknown template'],
+      [{ scheduledFor: '2020-01-01T00:00:00.000Z' }, 'Scheduled time must be in the future']
+    ];
+
+    for (const [overrides, error] of cases) {
+      const res = await request(app).post('/api/bookings/broadcasts').send(message(overrides));
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(error);
+    }
+    expect(Broadcast.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('POST / returns 404 for an unknown event and 403 for non-admins', async () => {
+    axios.get.mockRejectedValue(new Error('Not found'));
+
+    const missing = await request(app).post('/api/bookings/broadcasts').send(message());
+    const denied = await request(app).post('/api/bookings/broadcasts').set('x-test-role', 'user').send(message());
+
+    expect(missing.status).toBe(404);
+    expect(denied.status).toBe(403);
+  });
+
+  test('GET / lists an event\'s messages', async () => {
+    const sort = jest.fn().mockResolvedValue([{ _id: 'bc1', subject: 'Hello' }]);
+    Broadcast.find.mockReturnValue({ sort });
+
+    const res = await request(app).get('/api/bookings/broadcasts').query({ eventId: 'evt1' });
+    const noEvent = await request(app).get('/api/bookings/broadcasts');
+
+    expect(res.status).toBe(200);
+    expect(res.body.broadcasts).toHaveLength(1);
+    expect(Broadcast.find).toHaveBeenCalledWith({ eventId: 'evt1' });
+    expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+    expect(noEvent.status).toBe(400);
+  });
+
+  test('GET /:id reports each recipient\'s delivery status', async () => {
+    Broadcast.findById.mockResolvedValue({ _id: 'bc1', status: 'sending' });
+    BroadcastRecipient.find.mockReturnValue({
+      sort: jest.fn().mockResolvedValue([
+        { email: 'ada@example.com', status: 'sent' },
+        { email: 'lin@example.com', status: 'failed', lastError: 'Mailbox unavailable' },
+        { email: 'sam@example.com', status: 'queued' }
+      ])
+    });
+
+    const res = await request(app).get('/api/bookings/broadcasts/bc1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.counts).toEqual({ queued: 1, sent: 1, failed: 1 });
+    expect(res.body.recipients[1].lastError).toBe('Mailbox unavailable');
+    expect(BroadcastRecipient.find).toHaveBeenCalledWith({ broadcastId: 'bc1' });
+  });
+
+  test('PATCH /:id/cancel only calls off a message that has not started', async () => {
+    Broadcast.findOneAndUpdate.mockResolvedValueOnce({ _id: 'bc1', status: 'cancelled' }).mockResolvedValueOnce(null);
+    Broadcast.findById.mockResolvedValue({ _id: 'bc1', status: 'sending' });
+
+    const cancelled = await request(app).patch('/api/bookings/broadcasts/bc1/cancel');
+    const started = await request(app).patch('/api/bookings/broadcasts/bc1/cancel');
+
+    expect(cancelled.status).toBe(200);
+    expect(Broadcast.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'bc1', status: 'scheduled' });
+    expect(started.status).toBe(409);
+    expect(started.body.error).toBe('Only a scheduled message can be cancelled');
+  });
+});
@@ -0,0 +1,612 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  patch: jest.fn()
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = {
+      _id: req.headers['x-test-user-id'] || 'user1',
+      name: 'Test User',
+      email: 'user@example.com',
+      role: 'user'
+    };
+    next();
+  }
+}));
+
+jest.mock('../../utils/email', () => ({
+  sendBookingEmail: jest.fn().mockResolvedValue(),
+  sendWaitlistEmail: jest.fn().mockResolvedValue()
+}));
+
+// Minimal in-memory collection shared by the Booking and SeatHold mocks
+const mockCollection = () => {
+  const docs = [];
+
+  function matches(query, doc) {
+    for (const key of Object.keys(query || {})) {
+      const value = query[key];
+      if (value && typeof value === 'object' && !(value instanceof Date)) {
+        if ('$gt' in value && !(doc[key] > value.$gt)) return false;
+        if ('$lte' in value && !(doc[key] <= value.$lte)) return false;
+        if ('$lt' in value && !(doc[key] < value.$lt)) return false;
+      } else if (doc[key] !== value) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  const Model = function (data) {
+    Object.assign(this, data);
+    this._id = this._id || `doc${docs.length + 1}`;
+  };
+
+  Model.__docs = docs;
+  Model.__reset = () => {
+    docs.length = 0;
+  };
+
+  Model.prototype.save = jest.fn(async function () {
+    if (!docs.includes(this)) {
+      docs.push(this);
+    }
+    return this;
+  });
+
+  Model.find = jest.fn(query => {
+    const filtered = docs.filter(d => matches(query, d));
+    return {
+      sort: jest.fn().mockResolvedValue(filtered),
+      then: (resolve, reject) => Promise.resolve(filtered).then(resolve, reject)
+    };
+  });
+
+  Model.findOne = jest.fn(async query => docs.find(d => matches(query, d)) || null);
+
+  Model.findById = jest.fn(async id => docs.find(d => d._id === id) || null);
+
+  Model.updateMany = jest.fn(async (query, update) => {
+    const matched = docs.filter(d => matches(query, d));
+    matched.forEach(doc => Object.assign(doc, update.$set));
+    return { modifiedCount: matched.length };
+  });
+
+  Model.findOneAndUpdate = jest.fn(async (query, update, options = {}) => {
+    let doc = docs.find(d => matches(query, d));
+    if (!doc && options.upsert) {
+      // Like a unique index on the plain fields of the query
+      const keys = Object.fromEntries(Object.entries(query).filter(([, value]) => !value || typeof value !== 'object'));
+      if (docs.some(d => matches(keys, d))) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      doc = new Model(keys);
+      docs.push(doc);
+    }
+    if (!doc) return null;
+    Object.assign(doc, update.$set);
+    Object.entries(update.$inc || {}).forEach(([field, by]) => {
+      doc[field] = (doc[field] || 0) + by;
+    });
+    return doc;
+  });
+
+  return Model;
+};
+
+jest.mock('../../models/Booking', () => mockCollection());
+jest.mock('../../models/SeatHold', () => mockCollection());
+jest.mock('../../models/PromoCode', () => mockCollection());
+jest.mock('../../models/PromoCodeUse', () => mockCollection());
+jest.mock('../../models/OutboxMessage', () => mockCollection());
+
+const axios = require('axios');
+const Booking = require('../../models/Booking');
+const SeatHold = require('../../models/SeatHold');
+const PromoCode = require('../../models/PromoCode');
+const PromoCodeUse = require('../../models/PromoCodeUse');
+const OutboxMessage = require('../../models/OutboxMessage');
+const { sendBookingEmail } = require('../../utils/email');
+const { TEST_CARDS } = require('../../payments/fakeGateway');
+const holdsRouter = require('../holds');
+const { releaseExpiredHolds } = require('../../jobs/holdSweeper');
+
+// Calls to another service's internal routes carry a signature
+const signedByService = { headers: expect.objectContaining({ 'X-Service-Signature': expect.any(String) }) };
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/bookings/holds', holdsRouter);
+  return app;
+};
+
+const buildFutureEvent = overrides => {
+  const d = new Date();
+  d.setDate(d.getDate() + 1);
+  return {
+    _id: 'event1',
+    title: 'Sample Event',
+    date: d.toISOString(),
+    venue: 'Hall A',
+    time: '10:00',
+    status: 'published',
+    availableSeats: 10,
+    price: 20,
+    ...overrides
+  };
+};
+
+const addHold = overrides => {
+  const hold = new SeatHold({
+    userId: 'user1',
+    userName: 'Test User',
+    userEmail: 'user@example.com',
+    eventId: 'event1',
+    numberOfTickets: 2,
+    status: 'active',
+    expiresAt: new Date(Date.now() + 5 * 60 * 1000),
+    ...overrides
+  });
+  SeatHold.__docs.push(hold);
+  return hold;
+};
+
+describe('Seat holds', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    Booking.__reset();
+    SeatHold.__reset();
+    PromoCode.__reset();
+    PromoCodeUse.__reset();
+    OutboxMessage.__reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('holds seats with an expiry and decrements availability', async () => {
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+    axios.patch.mockResolvedValueOnce({ data: { availableSeats: 8 } });
+
+    const res = await request(app)
+      .post('/api/bookings/holds')
+      .send({ eventId: 'event1', numberOfTickets: 2 });
+
+    expect(res.status).toBe(201);
+    expect(new Date(res.body.hold.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(axios.patch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/events/event1/seats'),
+      { seatsToBook: 2 },
+      signedByService
+    );
+    expect(SeatHold.__docs).toHaveLength(1);
+    expect(SeatHold.__docs[0].userId).toBe('user1');
+  });
+
+  test('rejects a hold when there are not enough seats', async () => {
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 1 }) });
+    const conflict = new Error('Bad Request');
+    conflict.response = { status: 400, data: { error: 'Not enough seats available', availableSeats: 1 } };
+    axios.patch.mockRejectedValueOnce(conflict);
+
+    const res = await request(app)
+      .post('/api/bookings/holds')
+      .send({ eventId: 'event1', numberOfTickets: 2 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.availableSeats).toBe(1);
+    expect(SeatHold.__docs).toHaveLength(0);
+  });
+
+  test('rejects a second active hold for the same event', async () => {
+    addHold();
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+
+    const res = await request(app)
+      .post('/api/bookings/holds')
+      .send({ eventId: 'event1', numberOfTickets: 1 });
+
+    expect(res.status).toBe(409);
+    expect(axios.patch).not.toHaveBeenCalled();
+  });
+
+  test('checkout converts the hold into a confirmed booking without reserving again', async () => {
+    const hold = addHold();
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({ paymentMethod: 'credit_card' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.booking.bookingStatus).toBe('confirmed');
+    expect(hold.status).toBe('converted');
+    expect(hold.bookingId).toBe(String(res.body.booking._id));
+    expect(Booking.__docs[0].transactionId).toMatch(/^fake_txn_/);
+    expect(Booking.__docs).toHaveLength(1);
+    expect(axios.patch).not.toHaveBeenCalled();
+    expect(sendBookingEmail).toHaveBeenCalled();
+  });
+
+  test('failed payment keeps the seats held for a retry', async () => {
+    const hold = addHold();
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({ cardNumber: TEST_CARDS.DECLINE });
+
+    expect(res.status).toBe(400);
+    expect(hold.status).toBe('active');
+    expect(Booking.__docs).toHaveLength(0);
+    expect(axios.patch).not.toHaveBeenCalled();
+  });
+
+  test('refunds the charge when the paid booking cannot be saved', async () => {
+    const hold = addHold();
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+    Booking.prototype.save.mockRejectedValueOnce(new Error('Write conflict'));
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({ paymentMethod: 'credit_card' });
+
+    expect(res.status).toBe(500);
+    expect(hold.status).toBe('active');
+    expect(OutboxMessage.__docs).toEqual([
+      expect.objectContaining({ type: 'refund-payment', status: 'done', payload: expect.objectContaining({ transactionId: expect.stringMatching(/^fake_txn_/) }) })
+    ]);
+  });
+
+  test('hands the promo code use back when the paid booking cannot be saved', async () => {
+    const hold = addHold();
+    PromoCode.__docs.push(new PromoCode({
+      code: 'HALF', discountType: 'percentage', discountValue: 50, active: true, usesCount: 0, maxUses: 5
+    }));
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+    Booking.prototype.save.mockRejectedValueOnce(new Error('Write conflict'));
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({ promoCode: 'HALF' });
+
+    expect(res.status).toBe(500);
+    expect(hold.status).toBe('active');
+    expect(PromoCode.__docs[0].usesCount).toBe(0);
+    expect(PromoCodeUse.__docs[0].count).toBe(0);
+  });
+
+  test('puts the hold back when checkout fails before paying', async () => {
+    const hold = addHold();
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+    PromoCode.findOne.mockRejectedValueOnce(new Error('connection reset'));
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({ promoCode: 'HALF' });
+
+    expect(res.status).toBe(500);
+    expect(hold.status).toBe('active');
+  });
+
+  const tieredEvent = () => buildFutureEvent({
+    ticketTypes: [
+      { _id: 'student', name: 'Student', price: 8, quantity: 5, available: 5 },
+      { _id: 'vip', name: 'VIP', price: 60, quantity: 5, available: 5 }
+    ]
+  });
+
+  test('holds seats in the chosen ticket tier', async () => {
+    axios.get.mockResolvedValueOnce({ data: tieredEvent() });
+    axios.patch.mockResolvedValueOnce({ data: { availableSeats: 8, ticketTypeAvailable: 3 } });
+
+    const held = await request(app)
+      .post('/api/bookings/holds')
+      .send({ eventId: 'event1', numberOfTickets: 2, ticketTypeId: 'student' });
+
+    expect(held.status).toBe(201);
+    expect(held.body.hold).toMatchObject({ ticketTypeId: 'student', ticketTypeName: 'Student' });
+    expect(axios.patch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/events/event1/seats'),
+      { seatsToBook: 2, ticketTypeId: 'student' },
+      signedByService
+    );
+  });
+
+  test('checkout charges the held tier\'s price', async () => {
+    const hold = addHold({ ticketTypeId: 'student', ticketTypeName: 'Student' });
+    axios.get.mockResolvedValueOnce({ data: tieredEvent() });
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({});
+
+    expect(res.status).toBe(201);
+    expect(res.body.booking).toMatchObject({ ticketTypeName: 'Student', pricePerTicket: 8 });
+  });
+
+  test('rejects a hold on a tier that is not on sale yet', async () => {
+    axios.get.mockResolvedValueOnce({
+      data: buildFutureEvent({
+        ticketTypes: [{ _id: 'late', name: 'Late', price: 30, quantity: 5, available: 5, salesStart: '2999-01-01T00:00:00.000Z' }]
+      })
+    });
+
+    const res = await request(app)
+      .post('/api/bookings/holds')
+      .send({ eventId: 'event1', numberOfTickets: 1, ticketTypeId: 'late' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Late tickets are not on sale yet');
+    expect(axios.patch).not.toHaveBeenCalled();
+  });
+
+  test('checkout applies a promo code and counts the use', async () => {
+    const hold = addHold();
+    PromoCode.__docs.push(new PromoCode({
+      code: 'HALF', discountType: 'percentage', discountValue: 50, active: true, usesCount: 0, maxUses: 5
+    }));
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({ promoCode: 'half' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.booking).toMatchObject({ promoCode: 'HALF', discountAmount: 20 });
+    expect(PromoCode.__docs[0].usesCount).toBe(1);
+    expect(PromoCodeUse.__docs[0]).toMatchObject({ code: 'HALF', userId: 'user1', count: 1 });
+  });
+
+  test('checkout refuses a promo code the user used up in another checkout meanwhile', async () => {
+    const hold = addHold();
+    PromoCode.__docs.push(new PromoCode({
+      code: 'ONCE', discountType: 'fixed', discountValue: 5, active: true, usesCount: 1, maxUses: null, perUserLimit: 1
+    }));
+    // The other checkout counted its use after this one's check had passed
+    PromoCodeUse.findOne.mockResolvedValueOnce(null);
+    PromoCodeUse.__docs.push(new PromoCodeUse({ code: 'ONCE', userId: 'user1', count: 1 }));
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({ promoCode: 'ONCE' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('You have already used this promo code');
+    expect(res.body.hold.status).toBe('active');
+    expect(PromoCode.__docs[0].usesCount).toBe(1);
+    expect(PromoCodeUse.__docs[0].count).toBe(1);
+  });
+
+  test('checkout with a bad promo code keeps the hold active', async () => {
+    const hold = addHold();
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent() });
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({ promoCode: 'NOPE' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Promo code is not valid');
+    expect(hold.status).toBe('active');
+    expect(Booking.__docs).toHaveLength(0);
+  });
+
+  const seatedEvent = () => buildFutureEvent({
+    availableSeats: 3,
+    seats: [
+      { label: 'Floor A-1', status: 'available' },
+      { label: 'Floor A-2', status: 'available' },
+      { label: 'Floor A-3', status: 'held' }
+    ]
+  });
+
+  test('holds the picked seats until checkout', async () => {
+    axios.get.mockResolvedValueOnce({ data: seatedEvent() });
+    axios.patch.mockResolvedValueOnce({ data: { availableSeats: 1 } });
+
+    const res = await request(app)
+      .post('/api/bookings/holds')
+      .send({ eventId: 'event1', numberOfTickets: 2, seatLabels: ['Floor A-1', 'Floor A-2'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.hold.seatLabels).toEqual(['Floor A-1', 'Floor A-2']);
+    expect(axios.patch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/events/event1/seats'),
+      { seatsToBook: 2, seatLabels: ['Floor A-1', 'Floor A-2'], hold: true },
+      signedByService
+    );
+  });
+
+  test('reports seats that were held by someone else', async () => {
+    axios.get.mockResolvedValueOnce({ data: seatedEvent() });
+
+    const res = await request(app)
+      .post('/api/bookings/holds')
+      .send({ eventId: 'event1', numberOfTickets: 2, seatLabels: ['Floor A-2', 'Floor A-3'] });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ error: 'Some of those seats are already taken', unavailableSeats: ['Floor A-3'] });
+    expect(SeatHold.__docs).toHaveLength(0);
+  });
+
+  test('checkout books the held seats', async () => {
+    const hold = addHold({ seatLabels: ['Floor A-1', 'Floor A-2'] });
+    axios.get.mockResolvedValueOnce({ data: seatedEvent() });
+    axios.patch.mockResolvedValueOnce({ data: { availableSeats: 1 } });
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({});
+
+    expect(res.status).toBe(201);
+    expect(res.body.booking.seatLabels).toEqual(['Floor A-1', 'Floor A-2']);
+    expect(axios.patch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/events/event1/seats/confirm'),
+      { seatLabels: ['Floor A-1', 'Floor A-2'] },
+      signedByService
+    );
+  });
+
+  test('expired seat holds free their seats', async () => {
+    addHold({ seatLabels: ['Floor A-1'], numberOfTickets: 1, expiresAt: new Date(Date.now() - 1000) });
+    axios.patch.mockResolvedValueOnce({ data: { availableSeats: 3 } });
+    axios.get.mockResolvedValueOnce({ data: seatedEvent() });
+
+    await releaseExpiredHolds();
+
+    expect(axios.patch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/events/event1/seats'),
+      { seatsToBook: -1, seatLabels: ['Floor A-1'] },
+      signedByService
+    );
+    expect(axios.patch).toHaveBeenCalledTimes(1);
+  });
+
+  test('checkout of a hold on a cancelled event releases it instead of charging', async () => {
+    const hold = addHold();
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ status: 'cancelled' }) });
+    axios.patch.mockResolvedValueOnce({ data: { availableSeats: 10 } });
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({ paymentMethod: 'credit_card' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Event has been cancelled');
+    expect(hold.status).toBe('released');
+    expect(Booking.__docs).toHaveLength(0);
+    expect(axios.patch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/events/event1/seats'),
+      { seatsToBook: -2 },
+      signedByService
+    );
+  });
+
+  test('checkout of a hold on an event that has started is refused', async () => {
+    const hold = addHold();
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString() }) });
+    axios.patch.mockResolvedValueOnce({ data: { availableSeats: 10 } });
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({ paymentMethod: 'credit_card' });
+
+    expect(res.status).toBe(400);
+    expect(hold.status).toBe('released');
+    expect(Booking.__docs).toHaveLength(0);
+  });
+
+  test('checkout of an expired hold is rejected', async () => {
+    const hold = addHold({ expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .send({});
+
+    expect(res.status).toBe(410);
+    expect(Booking.__docs).toHaveLength(0);
+  });
+
+  test('another user cannot check out a hold', async () => {
+    const hold = addHold();
+
+    const res = await request(app)
+      .post(`/api/bookings/holds/${hold._id}/checkout`)
+      .set('x-test-user-id', 'user2')
+      .send({});
+
+    expect(res.status).toBe(403);
+    expect(hold.status).toBe('active');
+  });
+
+  test('releasing a hold returns its seats', async () => {
+    const hold = addHold();
+    axios.patch.mockResolvedValueOnce({ data: { availableSeats: 2 } });
+    axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 2 }) });
+
+    const res = await request(app).delete(`/api/bookings/holds/${hold._id}`);
+
+    expect(res.status).toBe(200);
+    expect(hold.status).toBe('released');
+    expect(axios.patch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/events/event1/seats'),
+      { seatsToBook: -2 },
+      signedByService
+    );
+  });
+
+  describe('hold sweeper', () => {
+    test('expires lapsed holds, returns seats and promotes the waitlist', async () => {
+      const expired = addHold({ expiresAt: new Date(Date.now() - 1000) });
+      const live = addHold({ _id: 'live', userId: 'user2' });
+      const waitlisted = new Booking({
+        _id: 'w1',
+        eventId: 'event1',
+        numberOfTickets: 2,
+        bookingStatus: 'waitlisted',
+        paymentStatus: 'pending'
+      });
+      Booking.__docs.push(waitlisted);
+
+      axios.patch
+        .mockResolvedValueOnce({ data: { availableSeats: 2 } })
+        .mockResolvedValueOnce({ data: { availableSeats: 0 } });
+      axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 2 }) });
+
+      const released = await releaseExpiredHolds();
+
+      expect(released).toBe(1);
+      expect(expired.status).toBe('expired');
+      expect(live.status).toBe('active');
+      expect(axios.patch).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('/api/events/event1/seats'),
+        { seatsToBook: -2 },
+        signedByService
+      );
+      expect(waitlisted.bookingStatus).toBe('confirmed');
+      expect(sendBookingEmail).toHaveBeenCalledWith(waitlisted, expect.any(Object));
+    });
+
+    test('skips holds that are mid-checkout', async () => {
+      addHold({ status: 'checking_out', expiresAt: new Date(Date.now() - 1000) });
+
+      const released = await releaseExpiredHolds();
+
+      expect(released).toBe(0);
+      expect(axios.patch).not.toHaveBeenCalled();
+    });
+
+    test('reclaims a hold left mid-checkout past the timeout', async () => {
+      const stuck = addHold({
+        status: 'checking_out',
+        expiresAt: new Date(Date.now() - 1000),
+        updatedAt: new Date(Date.now() - 10 * 60 * 1000)
+      });
+      axios.patch.mockResolvedValueOnce({ data: { availableSeats: 2 } });
+      axios.get.mockResolvedValueOnce({ data: buildFutureEvent({ availableSeats: 2 }) });
+
+      const released = await releaseExpiredHolds();
+
+      expect(released).toBe(1);
+      expect(stuck.status).toBe('expired');
+      expect(axios.patch).toHaveBeenCalledWith(
+        expect.stringContaining('/api/events/event1/seats'),
+        { seatsToBook: -2 },
+        signedByService
+      );
+    });
+  });
+});
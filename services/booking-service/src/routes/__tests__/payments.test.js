@@ -0,0 +1,241 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../models/Booking', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../../models/Refund', () => {
+  const Refund = function (data) {
+    Object.assign(this, data);
+  };
+  Refund.prototype.save = jest.fn(async function () {
+    return this;
+  });
+  Refund.findOne = jest.fn(async () => null);
+  return Refund;
+});
+
+jest.mock('../../utils/bookingSaga', () => ({
+  compensateBooking: jest.fn()
+}));
+
+const Booking = require('../../models/Booking');
+const Refund = require('../../models/Refund');
+const { compensateBooking } = require('../../utils/bookingSaga');
+const { TEST_CARDS, createFakeGateway } = require('../../payments/fakeGateway');
+const { chargeBooking, getPaymentProvider, setPaymentProvider } = require('../../payments');
+const paymentsRouter = require('../payments');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use('/api/bookings/payments', paymentsRouter);
+  return app;
+};
+
+const booking = { numberOfTickets: 2, pricePerTicket: 15, paymentMethod: 'credit_card' };
+
+describe('Fake payment gateway', () => {
+  const gateway = createFakeGateway({ webhookSecret: 'test-secret' });
+
+  test('approves ordinary cards and captures the authorization', async () => {
+    const authorization = await gateway.authorize({ amount: 30, cardNumber: '4242 4242 4242 4242' });
+    expect(authorization.status).toBe('authorized');
+
+    const capture = await gateway.capture(authorization.authorizationId, 30);
+    expect(capture.status).toBe('captured');
+    expect(capture.transactionId).toMatch(/^fake_txn_/);
+  });
+
+  test('declines the decline test card', async () => {
+    const authorization = await gateway.authorize({ amount: 30, cardNumber: TEST_CARDS.DECLINE });
+    expect(authorization).toEqual({ status: 'declined', reason: 'Card declined' });
+  });
+
+  test('times out on the timeout test card', async () => {
+    await expect(gateway.authorize({ amount: 30, cardNumber: TEST_CARDS.TIMEOUT }))
+      .rejects.toMatchObject({ code: 'PAYMENT_TIMEOUT' });
+  });
+
+  test('refunds a captured transaction', async () => {
+    const refund = await gateway.refund('fake_txn_1', 10);
+    expect(refund).toMatchObject({ status: 'refunded', transactionId: 'fake_txn_1', amount: 10 });
+    expect(refund.refundId).toMatch(/^fake_rfnd_/);
+  });
+
+  test('only accepts webhooks signed with the shared secret', () => {
+    const body = Buffer.from(JSON.stringify({ type: 'payment.refunded' }));
+
+    expect(gateway.verifyWebhook(body, gateway.signWebhook(body))).toEqual({ type: 'payment.refunded' });
+    expect(gateway.verifyWebhook(body, 'bad-signature')).toBeNull();
+    expect(gateway.verifyWebhook(body, undefined)).toBeNull();
+  });
+});
+
+describe('chargeBooking', () => {
+  const defaultProvider = getPaymentProvider();
+
+  afterEach(() => {
+    setPaymentProvider(defaultProvider);
+  });
+
+  test('charges the booking total', async () => {
+    const authorize = jest.spyOn(defaultProvider, 'authorize');
+
+    const result = await chargeBooking(booking, { cardNumber: '4242424242424242' });
+
+    expect(result.status).toBe('captured');
+    expect(result.provider).toBe('fake');
+    expect(authorize).toHaveBeenCalledWith(expect.objectContaining({ amount: 30, currency: 'USD' }));
+    authorize.mockRestore();
+  });
+
+  test('maps declines and timeouts to failure statuses', async () => {
+    await expect(chargeBooking(booking, { cardNumber: TEST_CARDS.DECLINE }))
+      .resolves.toMatchObject({ status: 'declined' });
+    await expect(chargeBooking(booking, { cardNumber: TEST_CARDS.TIMEOUT }))
+      .resolves.toMatchObject({ status: 'timeout' });
+  });
+
+  test('reports provider errors as failed instead of throwing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setPaymentProvider({
+      name: 'broken',
+      authorize: jest.fn().mockRejectedValue(new Error('Connection reset')),
+      capture: jest.fn()
+    });
+
+    await expect(chargeBooking(booking)).resolves.toEqual({ status: 'failed', reason: 'Connection reset' });
+    console.error.mockRestore();
+  });
+});
+
+describe('POST /api/bookings/payments/webhook', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    jest.clearAllMocks();
+  });
+
+  const sendWebhook = (payload, signature) => {
+    const body = JSON.stringify(payload);
+    return request(app)
+      .post('/api/bookings/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('x-payment-signature', signature || getPaymentProvider().signWebhook(Buffer.from(body)))
+      .send(body);
+  };
+
+  const paidBooking = (overrides) => ({
+    _id: 'b1',
+    bookingReference: 'BKG1',
+    userId: 'user1',
+    eventId: 'event1',
+    transactionId: 'fake_txn_1',
+    totalAmount: 100,
+    refundedAmount: 0,
+    bookingStatus: 'confirmed',
+    paymentStatus: 'completed',
+    ...overrides
+  });
+
+  test('completes a pending payment when the capture comes through', async () => {
+    Booking.findOne.mockResolvedValueOnce(paidBooking({ paymentStatus: 'pending' }));
+
+    const res = await sendWebhook({ type: 'payment.captured', data: { transactionId: 'fake_txn_1' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, bookingReference: 'BKG1' });
+    expect(Booking.findOne).toHaveBeenCalledWith({ transactionId: 'fake_txn_1' });
+    expect(Booking.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'b1', paymentStatus: 'pending' },
+      { $set: expect.objectContaining({ paymentStatus: 'completed' }) },
+      { new: true }
+    );
+  });
+
+  test('records a refund made at the provider against the booking', async () => {
+    const booking = paidBooking();
+    Booking.findOne.mockResolvedValueOnce(booking);
+    Booking.findOneAndUpdate.mockImplementationOnce(async (query, update) => ({ ...booking, ...update.$set }));
+
+    const res = await sendWebhook({ type: 'payment.refunded', data: { transactionId: 'fake_txn_1', amount: 40, refundId: 'rfnd_9' } });
+
+    expect(res.status).toBe(200);
+    expect(booking).toMatchObject({ refundedAmount: 40, paymentStatus: 'partially_refunded' });
+    expect(Refund.prototype.save).toHaveBeenCalledTimes(1);
+    expect(Refund.prototype.save.mock.contexts[0]).toMatchObject({
+      bookingId: 'b1',
+      amount: 40,
+      type: 'provider',
+      status: 'succeeded',
+      gatewayRefundId: 'rfnd_9'
+    });
+  });
+
+  test('does not count a refund this service already recorded', async () => {
+    Booking.findOne.mockResolvedValueOnce(paidBooking());
+    Refund.findOne.mockResolvedValueOnce({ gatewayRefundId: 'rfnd_9' });
+
+    const res = await sendWebhook({ type: 'payment.refunded', data: { transactionId: 'fake_txn_1', amount: 40, refundId: 'rfnd_9' } });
+
+    expect(res.status).toBe(200);
+    expect(Booking.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Refund.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('undoes a confirmed booking whose payment failed', async () => {
+    const failed = paidBooking({ paymentStatus: 'failed' });
+    Booking.findOne.mockResolvedValueOnce(paidBooking());
+    Booking.findOneAndUpdate.mockResolvedValueOnce(failed);
+
+    const res = await sendWebhook({ type: 'payment.failed', data: { transactionId: 'fake_txn_1' } });
+
+    expect(res.status).toBe(200);
+    expect(Booking.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'b1', paymentStatus: { $in: ['pending', 'completed'] } },
+      { $set: expect.objectContaining({ paymentStatus: 'failed' }) },
+      { new: true }
+    );
+    expect(compensateBooking).toHaveBeenCalledWith(failed);
+  });
+
+  test('never moves a refunded payment back', async () => {
+    const refunded = paidBooking({ paymentStatus: 'partially_refunded', refundedAmount: 40 });
+    Booking.findOne.mockResolvedValueOnce(refunded).mockResolvedValueOnce(refunded);
+    Booking.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+
+    await sendWebhook({ type: 'payment.captured', data: { transactionId: 'fake_txn_1' } });
+    await sendWebhook({ type: 'payment.failed', data: { transactionId: 'fake_txn_1' } });
+
+    expect(Booking.findOneAndUpdate.mock.calls.map(([query]) => query.paymentStatus)).toEqual([
+      'pending',
+      { $in: ['pending', 'completed'] }
+    ]);
+    expect(compensateBooking).not.toHaveBeenCalled();
+  });
+
+  test('rejects an event with a bad signature', async () => {
+    const res = await sendWebhook({ type: 'payment.refunded', data: { transactionId: 'fake_txn_1' } }, 'forged');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid webhook signature');
+    expect(Booking.findOne).not.toHaveBeenCalled();
+  });
+
+  test('acknowledges event types it does not handle', async () => {
+    const res = await sendWebhook({ type: 'customer.updated', data: {} });
+
+    expect(res.status).toBe(200);
+    expect(res.body.ignored).toBe(true);
+    expect(Booking.findOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,216 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  ...jest.requireActual('../../middleware/auth'),
+  verifyToken: (req, res, next) => {
+    req.user = {
+      _id: req.headers['x-test-user-id'] || 'user1',
+      name: 'Test User',
+      email: 'user@example.com',
+      role: req.headers['x-test-role'] || 'user',
+      mfa: req.headers['x-test-mfa'] !== 'off'
+    };
+    next();
+  }
+}));
+
+jest.mock('../../models/PromoCode', () => {
+  const docs = [];
+
+  const PromoCode = function (data) {
+    Object.assign(this, { active: true, usesCount: 0, maxUses: null, perUserLimit: null, expiresAt: null, eventId: null }, data);
+    this._id = this._id || `promo${docs.length + 1}`;
+  };
+
+  PromoCode.__docs = docs;
+  PromoCode.__reset = () => {
+    docs.length = 0;
+  };
+
+  PromoCode.prototype.save = jest.fn(async function () {
+    if (!docs.includes(this)) {
+      docs.push(this);
+    }
+    return this;
+  });
+
+  PromoCode.find = jest.fn(() => ({
+    sort: jest.fn().mockResolvedValue(docs)
+  }));
+  PromoCode.findOne = jest.fn(async query => docs.find(d => d.code === query.code) || null);
+  PromoCode.findById = jest.fn(async id => docs.find(d => d._id === id) || null);
+
+  return PromoCode;
+});
+
+jest.mock('../../models/PromoCodeUse', () => ({
+  findOne: jest.fn().mockResolvedValue(null)
+}));
+
+const axios = require('axios');
+const PromoCode = require('../../models/PromoCode');
+const PromoCodeUse = require('../../models/PromoCodeUse');
+const promoCodesRouter = require('../promoCodes');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/bookings/promo-codes', promoCodesRouter);
+  return app;
+};
+
+const futureEvent = overrides => ({
+  _id: 'event1',
+  title: 'Sample Event',
+  date: new Date(Date.now() + 86400000).toISOString(),
+  availableSeats: 10,
+  price: 40,
+  ...overrides
+});
+
+const addPromo = data => {
+  const promo = new PromoCode({ code: 'SAVE10', discountType: 'percentage', discountValue: 10, ...data });
+  PromoCode.__docs.push(promo);
+  return promo;
+};
+
+describe('Promo code routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    PromoCode.__reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('admins create codes, stored upper-case', async () => {
+    const res = await request(app)
+      .post('/api/bookings/promo-codes')
+      .set('x-test-role', 'admin')
+      .send({ code: ' spring-25 ', discountType: 'percentage', discountValue: 25, maxUses: 100, perUserLimit: 1 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.promoCode).toMatchObject({ code: 'SPRING-25', discountValue: 25, maxUses: 100, perUserLimit: 1, createdBy: 'user1' });
+  });
+
+  test('rejects a duplicate code', async () => {
+    addPromo();
+
+    const res = await request(app)
+      .post('/api/bookings/promo-codes')
+      .set('x-test-role', 'admin')
+      .send({ code: 'save10', discountType: 'fixed', discountValue: 5 });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('rejects percentages over 100 and bad limits', async () => {
+    const tooMuch = await request(app)
+      .post('/api/bookings/promo-codes')
+      .set('x-test-role', 'admin')
+      .send({ code: 'FREEPLUS', discountType: 'percentage', discountValue: 120 });
+
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.error).toBe('A percentage discount cannot exceed 100');
+
+    const badCap = await request(app)
+      .post('/api/bookings/promo-codes')
+      .set('x-test-role', 'admin')
+      .send({ code: 'CAPPED', discountType: 'fixed', discountValue: 5, maxUses: 0 });
+
+    expect(badCap.status).toBe(400);
+    expect(badCap.body.error).toBe('Usage cap must be a whole number of at least 1');
+  });
+
+  test('only admins can list or create codes', async () => {
+    const list = await request(app).get('/api/bookings/promo-codes');
+    const create = await request(app)
+      .post('/api/bookings/promo-codes')
+      .send({ code: 'NOPE', discountType: 'fixed', discountValue: 5 });
+
+    expect(list.status).toBe(403);
+    expect(create.status).toBe(403);
+  });
+
+  test('admins can switch a code off and clear its cap', async () => {
+    const promo = addPromo({ maxUses: 5 });
+
+    const res = await request(app)
+      .patch(`/api/bookings/promo-codes/${promo._id}`)
+      .set('x-test-role', 'admin')
+      .send({ active: false, maxUses: '' });
+
+    expect(res.status).toBe(200);
+    expect(promo).toMatchObject({ active: false, maxUses: null });
+  });
+
+  describe('POST /validate', () => {
+    const validate = body => request(app).post('/api/bookings/promo-codes/validate').send(body);
+
+    test('previews the discount for the order', async () => {
+      addPromo({ code: 'TENOFF', discountType: 'fixed', discountValue: 10 });
+      axios.get.mockResolvedValueOnce({ data: futureEvent() });
+
+      const res = await validate({ code: 'tenoff', eventId: 'event1', numberOfTickets: 2 });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ code: 'TENOFF', subtotal: 80, discountAmount: 10, total: 70 });
+    });
+
+    test('uses the chosen ticket tier price', async () => {
+      addPromo({ discountValue: 50 });
+      axios.get.mockResolvedValueOnce({
+        data: futureEvent({ ticketTypes: [{ _id: 'vip', name: 'VIP', price: 90, quantity: 5, available: 5 }] })
+      });
+
+      const res = await validate({ code: 'SAVE10', eventId: 'event1', ticketTypeId: 'vip', numberOfTickets: 1 });
+
+      expect(res.body).toMatchObject({ subtotal: 90, discountAmount: 45, total: 45 });
+    });
+
+    test('rejects expired, capped, inactive and other-event codes', async () => {
+      addPromo({ code: 'OLD', expiresAt: new Date(Date.now() - 1000) });
+      addPromo({ code: 'GONE', maxUses: 3, usesCount: 3 });
+      addPromo({ code: 'OFF', active: false });
+      addPromo({ code: 'OTHER', eventId: 'event2' });
+      axios.get.mockResolvedValue({ data: futureEvent() });
+
+      const errors = [];
+      for (const code of ['OLD', 'GONE', 'OFF', 'OTHER', 'MISSING']) {
+        const res = await validate({ code, eventId: 'event1' });
+        expect(res.status).toBe(400);
+        errors.push(res.body.error);
+      }
+
+      expect(errors).toEqual([
+        'Promo code has expired',
+        'Promo code has reached its usage limit',
+        'Promo code is not valid',
+        'Promo code does not apply to this event',
+        'Promo code is not valid'
+      ]);
+    });
+
+    test('enforces the per-user limit', async () => {
+      addPromo({ perUserLimit: 1 });
+      axios.get.mockResolvedValueOnce({ data: futureEvent() });
+      PromoCodeUse.findOne.mockResolvedValueOnce({ code: 'SAVE10', userId: 'user1', count: 1 });
+
+      const res = await validate({ code: 'SAVE10', eventId: 'event1' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('You have already used this promo code');
+      expect(PromoCodeUse.findOne).toHaveBeenCalledWith({ code: 'SAVE10', userId: 'user1' });
+    });
+  });
+});
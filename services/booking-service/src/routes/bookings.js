@@ -1,57 +1,53 @@
 const express = require('express');
 const axios = require('axios');
 const Booking = require('../models/Booking');
-const { verifyToken } = require('../middleware/auth');
+const Refund = require('../models/Refund');
+const SeatHold = require('../models/SeatHold');
+const { verifyToken, isAdmin, isStaff, actsAsAdmin } = require('../middleware/auth');
+const { verifyService } = require('../middleware/serviceAuth');
 const { sendBookingEmail, sendWaitlistEmail } = require('../utils/email');
+const { signTicket, verifyTicket } = require('../utils/ticketToken');
+const { reserveSeats } = require('../utils/seats');
+const { resolveTicketType } = require('../utils/ticketTypes');
+const { resolveSeats } = require('../utils/seating');
+const { eventStartsAt, bookingStartsAt } = require('../utils/eventTime');
+const { validatePromoCode, redeemPromoCode, releasePromoCode } = require('../utils/promoCodes');
+const { chargeBooking } = require('../payments');
+const { calculatePolicyRefund, refundableAmount, issueRefund } = require('../utils/refunds');
+const { advanceSaga, compensateBooking } = require('../utils/bookingSaga');
+const { enqueue } = require('../utils/outbox');
+const { syncEventDetails, cancelEventBookings, expireWaitlist } = require('../utils/eventBookings');
+const { publishBookingConfirmed, publishBookingCancelled } = require('../utils/bookingEvents');
 
 const router = express.Router();
 
 const EVENT_SERVICE_URL = process.env.EVENT_SERVICE_URL || 'http://localhost:4002';
 
-const generateTransactionId = () => `TXN${Date.now()}${Math.floor(Math.random() * 10000)}`;
-
-const promoteWaitlistIfPossible = async (eventId, availableSeatsHint) => {
-  try {
-    const eventResponse = await axios.get(`${EVENT_SERVICE_URL}/api/events/${eventId}`);
-    const event = eventResponse.data;
-    let availableSeats = typeof availableSeatsHint === 'number' ? availableSeatsHint : event.availableSeats;
-
-    if (availableSeats <= 0) {
-      return;
-    }
-
-    const waitlistedBookings = await Booking.find({
-      eventId,
-      bookingStatus: 'waitlisted'
-    }).sort({ createdAt: 1 });
-
-    for (const waitlisted of waitlistedBookings) {
-      if (availableSeats < waitlisted.numberOfTickets) {
-        break;
-      }
-
-      waitlisted.bookingStatus = 'confirmed';
-      waitlisted.paymentStatus = 'completed';
-      waitlisted.transactionId = generateTransactionId();
-      await waitlisted.save();
-
-      availableSeats -= waitlisted.numberOfTickets;
-
-      await axios.patch(`${EVENT_SERVICE_URL}/api/events/${eventId}/seats`, {
-        seatsToBook: waitlisted.numberOfTickets
-      });
-
-      await sendBookingEmail(waitlisted, event);
-    }
-  } catch (err) {
-    console.error('Waitlist promotion failed:', err.message);
-  }
+// Money kept after refunds, counting partially refunded bookings
+const netRevenue = (bookings) => bookings
+  .filter(b => ['completed', 'partially_refunded'].includes(b.paymentStatus))
+  .reduce((sum, b) => sum + b.totalAmount - (b.refundedAmount || 0), 0);
+
+// Discounts given on confirmed bookings, per promo code, biggest first
+const promoCodeUsage = (bookings) => {
+  const totals = {};
+  bookings
+    .filter(b => b.bookingStatus === 'confirmed' && b.promoCode)
+    .forEach(b => {
+      const entry = totals[b.promoCode] || { code: b.promoCode, bookings: 0, discountTotal: 0 };
+      entry.bookings += 1;
+      entry.discountTotal = Math.round((entry.discountTotal + (b.discountAmount || 0)) * 100) / 100;
+      totals[b.promoCode] = entry;
+    });
+  return Object.values(totals).sort((a, b) => b.discountTotal - a.discountTotal);
 };
 
+const totalDiscounts = (usage) => Math.round(usage.reduce((sum, p) => sum + p.discountTotal, 0) * 100) / 100;
+
 // POST /api/bookings - Create a new booking or waitlist entry
 router.post('/', verifyToken, async (req, res) => {
   try {
-    const { eventId, numberOfTickets, paymentMethod, joinWaitlist } = req.body;
+    const { eventId, numberOfTickets, ticketTypeId, seatLabels, promoCode, paymentMethod, cardNumber, joinWaitlist } = req.body;
 
     if (!eventId || !numberOfTickets) {
       return res.status(400).json({ error: 'Event ID and number of tickets are required' });
@@ -70,18 +66,35 @@ router.post('/', verifyToken, async (req, res) => {
       return res.status(400).json({ error: 'Event has been cancelled' });
     }
 
-    if (new Date(event.date) < new Date()) {
+    if (eventStartsAt(event) < new Date()) {
       return res.status(400).json({ error: 'Cannot book tickets for past events' });
     }
 
-    const shouldWaitlist = event.availableSeats < numberOfTickets;
+    const tier = resolveTicketType(event, ticketTypeId);
+    if (tier.error) {
+      return res.status(400).json({ error: tier.error });
+    }
+    const tierId = tier.ticketType ? String(tier.ticketType._id) : null;
 
-    if (shouldWaitlist && !joinWaitlist) {
-      return res.status(400).json({
-        error: 'Not enough seats available',
-        availableSeats: event.availableSeats,
-        requested: numberOfTickets
+    const seating = resolveSeats(event, seatLabels, numberOfTickets);
+    if (seating.error) {
+      return res.status(seating.unavailableSeats ? 409 : 400).json(seating);
+    }
+    const seats = seating.seatLabels;
+
+    let promo = null;
+    let discountAmount = 0;
+    if (promoCode) {
+      const check = await validatePromoCode(promoCode, {
+        eventId,
+        userId: req.user._id,
+        subtotal: tier.price * numberOfTickets
       });
+      if (check.error) {
+        return res.status(400).json({ error: check.error });
+      }
+      promo = check.promo;
+      discountAmount = check.discountAmount;
     }
 
     const booking = new Booking({
@@ -93,14 +106,84 @@ router.post('/', verifyToken, async (req, res) => {
       eventDate: event.date,
       eventVenue: event.venue,
       eventTime: event.time,
+      eventStartsAt: event.startsAt || null,
+      eventTimezone: event.timezone || 'UTC',
+      eventUpdatedAt: event.updatedAt || null,
       numberOfTickets,
-      pricePerTicket: event.price,
+      ticketTypeId: tierId,
+      ticketTypeName: tier.ticketType ? tier.ticketType.name : null,
+      seatLabels: seats,
+      pricePerTicket: tier.price,
+      promoCode: promo ? promo.code : null,
+      discountAmount,
       paymentMethod: paymentMethod || 'credit_card'
     });
 
+    // Waitlisted bookings use up the code now and pay the discounted price when promoted
+    if (promo) {
+      const redemption = await redeemPromoCode(promo, req.user._id);
+      if (redemption.error) {
+        return res.status(400).json({ error: redemption.error });
+      }
+    }
+
+    // Drop a booking that got no seats and is not joining the waitlist
+    const abandon = async () => {
+      if (booking.sagaStep) {
+        await Booking.deleteOne({ _id: booking._id });
+      }
+      if (promo) {
+        await releasePromoCode(promo.code, req.user._id);
+      }
+    };
+
+    // Reserve seats with the event-service's atomic decrement before taking payment.
+    // The GET above is only a hint; the reservation result is authoritative.
+    // The booking is saved first, so seats are never claimed for a booking we have no record of.
+    let seatsReserved = false;
+    let availableSeats = tier.availableSeats;
+    let unavailableSeats = [];
+
+    if (tier.availableSeats >= numberOfTickets) {
+      await advanceSaga(booking, 'reserving_seats');
+      try {
+        const reservation = await reserveSeats(eventId, numberOfTickets, tierId, { seatLabels: seats });
+        seatsReserved = reservation.reserved;
+        availableSeats = reservation.availableSeats;
+        unavailableSeats = reservation.unavailableSeats || [];
+      } catch (err) {
+        await abandon();
+        return res.status(500).json({
+          error: 'Failed to update event seats',
+          details: err.response?.data || err.message
+        });
+      }
+    }
+
+    // Picked seats that were taken in the meantime can't be waitlisted for
+    if (!seatsReserved && seats.length > 0) {
+      await abandon();
+      return res.status(409).json({
+        error: 'Some of those seats are already taken',
+        unavailableSeats
+      });
+    }
+
+    const shouldWaitlist = !seatsReserved;
+
+    if (shouldWaitlist && !joinWaitlist) {
+      await abandon();
+      return res.status(400).json({
+        error: 'Not enough seats available',
+        availableSeats,
+        requested: numberOfTickets
+      });
+    }
+
     if (shouldWaitlist) {
       booking.bookingStatus = 'waitlisted';
       booking.paymentStatus = 'pending';
+      booking.sagaStep = null;
       await booking.save();
 
       await sendWaitlistEmail(booking, event);
@@ -112,41 +195,45 @@ router.post('/', verifyToken, async (req, res) => {
           bookingStatus: booking.bookingStatus,
           eventTitle: booking.eventTitle,
           eventDate: booking.eventDate,
+          eventStartsAt: booking.eventStartsAt,
+          eventTimezone: booking.eventTimezone,
           eventVenue: booking.eventVenue,
-          numberOfTickets: booking.numberOfTickets
+          numberOfTickets: booking.numberOfTickets,
+          ticketTypeName: booking.ticketTypeName
         }
       });
     }
 
-    const paymentSuccess = Math.random() > 0.1;
+    await advanceSaga(booking, 'charging');
+    const payment = await chargeBooking(booking, { cardNumber });
 
-    if (!paymentSuccess) {
-      booking.paymentStatus = 'failed';
-      booking.bookingStatus = 'pending';
-      await booking.save();
+    if (payment.status !== 'captured') {
+      await compensateBooking(booking);
 
-      return res.status(400).json({
-        error: 'Payment failed. Please try again.',
+      const timedOut = payment.status === 'timeout';
+      return res.status(timedOut ? 504 : 400).json({
+        error: timedOut ? 'Payment gateway timed out. Please try again.' : 'Payment failed. Please try again.',
+        reason: payment.reason,
         bookingReference: booking.bookingReference
       });
     }
 
     booking.paymentStatus = 'completed';
     booking.bookingStatus = 'confirmed';
-    booking.transactionId = generateTransactionId();
+    booking.transactionId = payment.transactionId;
+    booking.paymentProvider = payment.provider;
+    booking.sagaStep = 'done';
 
     try {
-      await axios.patch(`${EVENT_SERVICE_URL}/api/events/${eventId}/seats`, {
-        seatsToBook: numberOfTickets
-      });
+      await booking.save();
     } catch (err) {
-      return res.status(500).json({
-        error: 'Failed to update event seats',
-        details: err.response?.data || err.message
+      await compensateBooking(booking, {
+        refund: { transactionId: payment.transactionId, amount: booking.totalAmount }
       });
+      throw err;
     }
 
-    await booking.save();
+    await publishBookingConfirmed(booking);
     await sendBookingEmail(booking, event);
 
     res.status(201).json({
@@ -155,8 +242,15 @@ router.post('/', verifyToken, async (req, res) => {
         bookingReference: booking.bookingReference,
         eventTitle: booking.eventTitle,
         eventDate: booking.eventDate,
+        eventStartsAt: booking.eventStartsAt,
+        eventTimezone: booking.eventTimezone,
         eventVenue: booking.eventVenue,
         numberOfTickets: booking.numberOfTickets,
+        ticketTypeName: booking.ticketTypeName,
+        seatLabels: booking.seatLabels,
+        pricePerTicket: booking.pricePerTicket,
+        promoCode: booking.promoCode,
+        discountAmount: booking.discountAmount,
         totalAmount: booking.totalAmount,
         paymentStatus: booking.paymentStatus,
         transactionId: booking.transactionId,
@@ -184,6 +278,21 @@ router.get('/', verifyToken, async (req, res) => {
   }
 });
 
+// GET /api/bookings/user/:userId - All bookings for one user (admin only)
+router.get('/user/:userId', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const bookings = await Booking.find({ userId: req.params.userId }).sort({ createdAt: -1 });
+
+    res.json({
+      count: bookings.length,
+      bookings
+    });
+  } catch (err) {
+    console.error('Get user bookings error:', err);
+    res.status(500).json({ error: 'Failed to fetch bookings', details: err.message });
+  }
+});
+
 // GET /api/bookings/event/:eventId/me - Check if the user has a booking for an event
 router.get('/event/:eventId/me', verifyToken, async (req, res) => {
   try {
@@ -209,25 +318,21 @@ router.get('/event/:eventId/me', verifyToken, async (req, res) => {
 });
 
 // GET /api/bookings/analytics - Aggregate stats for admins
-router.get('/analytics', verifyToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Access denied. Admin only.' });
-  }
-
+router.get('/analytics', verifyToken, isAdmin, async (req, res) => {
   try {
     const bookings = await Booking.find();
+    const promoCodes = promoCodeUsage(bookings);
 
     const stats = {
       totalBookings: bookings.length,
       confirmedBookings: bookings.filter(b => b.bookingStatus === 'confirmed').length,
       cancelledBookings: bookings.filter(b => b.bookingStatus === 'cancelled').length,
       waitlistedBookings: bookings.filter(b => b.bookingStatus === 'waitlisted').length,
-      totalRevenue: bookings
-        .filter(b => b.paymentStatus === 'completed')
-        .reduce((sum, b) => sum + b.totalAmount, 0),
+      totalRevenue: netRevenue(bookings),
       totalTicketsSold: bookings
         .filter(b => b.bookingStatus === 'confirmed')
-        .reduce((sum, b) => sum + b.numberOfTickets, 0)
+        .reduce((sum, b) => sum + b.numberOfTickets, 0),
+      totalDiscounts: totalDiscounts(promoCodes)
     };
 
     const waitlistByEvent = await Booking.aggregate([
@@ -244,13 +349,89 @@ router.get('/analytics', verifyToken, async (req, res) => {
       }
     }));
 
-    res.json({ stats, waitlistByEvent: waitlistWithEvents });
+    res.json({ stats, waitlistByEvent: waitlistWithEvents, promoCodes });
   } catch (err) {
     console.error('Get analytics error:', err);
     res.status(500).json({ error: 'Failed to fetch booking analytics', details: err.message });
   }
 });
 
+// POST /api/bookings/check-in - Validate a scanned ticket at the door (admin/staff only)
+router.post('/check-in', verifyToken, isStaff, async (req, res) => {
+  try {
+    const { payload, eventId } = req.body;
+
+    if (!eventId) {
+      return res.status(400).json({ error: 'Event ID is required' });
+    }
+
+    const ticket = verifyTicket(payload);
+    if (!ticket || !ticket.bookingReference) {
+      return res.status(400).json({ error: 'Ticket signature is invalid' });
+    }
+
+    const booking = await Booking.findOne({ bookingReference: ticket.bookingReference });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const summary = {
+      bookingReference: booking.bookingReference,
+      userName: booking.userName,
+      eventTitle: booking.eventTitle,
+      numberOfTickets: booking.numberOfTickets,
+      seatLabels: booking.seatLabels
+    };
+
+    if (String(booking.eventId) !== String(eventId) || ticket.eventId !== String(eventId)) {
+      return res.status(400).json({ error: 'Ticket is for a different event', booking: summary });
+    }
+
+    if (booking.bookingStatus !== 'confirmed') {
+      return res.status(400).json({ error: `Booking is ${booking.bookingStatus}, not confirmed`, booking: summary });
+    }
+
+    // Only the first scan wins; a concurrent second scan finds checkedInAt already set
+    const checkedIn = await Booking.findOneAndUpdate(
+      { _id: booking._id, checkedInAt: null },
+      {
+        $set: {
+          checkedInAt: new Date(),
+          checkedInBy: req.user._id,
+          checkedInByName: req.user.name,
+          updatedAt: Date.now()
+        }
+      },
+      { new: true }
+    );
+
+    if (!checkedIn) {
+      const existing = await Booking.findById(booking._id);
+      return res.status(409).json({
+        error: 'Ticket already checked in',
+        booking: {
+          ...summary,
+          checkedInAt: existing?.checkedInAt,
+          checkedInByName: existing?.checkedInByName
+        }
+      });
+    }
+
+    res.json({
+      message: 'Check-in successful',
+      booking: {
+        ...summary,
+        checkedInAt: checkedIn.checkedInAt,
+        checkedInByName: checkedIn.checkedInByName
+      }
+    });
+  } catch (err) {
+    console.error('Check-in error:', err);
+    res.status(500).json({ error: 'Failed to check in ticket', details: err.message });
+  }
+});
+
 // GET /api/bookings/:id - Get single booking
 router.get('/:id', verifyToken, async (req, res) => {
   try {
@@ -260,7 +441,7 @@ router.get('/:id', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (booking.userId !== req.user._id && req.user.role !== 'admin') {
+    if (booking.userId !== req.user._id && !actsAsAdmin(req.user)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -271,6 +452,30 @@ router.get('/:id', verifyToken, async (req, res) => {
   }
 });
 
+// GET /api/bookings/:id/ticket - Get the signed ticket token encoded in the QR code
+router.get('/:id/ticket', verifyToken, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.userId !== req.user._id && !actsAsAdmin(req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (booking.bookingStatus !== 'confirmed') {
+      return res.status(400).json({ error: 'Tickets are only issued for confirmed bookings' });
+    }
+
+    res.json({ bookingReference: booking.bookingReference, token: signTicket(booking) });
+  } catch (err) {
+    console.error('Get ticket error:', err);
+    res.status(500).json({ error: 'Failed to issue ticket', details: err.message });
+  }
+});
+
 // GET /api/bookings/reference/:reference - Get booking by reference number
 router.get('/reference/:reference', verifyToken, async (req, res) => {
   try {
@@ -280,7 +485,7 @@ router.get('/reference/:reference', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (booking.userId !== req.user._id && req.user.role !== 'admin') {
+    if (booking.userId !== req.user._id && !actsAsAdmin(req.user)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -300,7 +505,7 @@ router.patch('/:id/cancel', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (booking.userId !== req.user._id && req.user.role !== 'admin') {
+    if (booking.userId !== req.user._id && !actsAsAdmin(req.user)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -308,40 +513,70 @@ router.patch('/:id/cancel', verifyToken, async (req, res) => {
       return res.status(400).json({ error: 'Booking is already cancelled' });
     }
 
-    if (new Date(booking.eventDate) < new Date()) {
+    if (bookingStartsAt(booking) < new Date()) {
       return res.status(400).json({ error: 'Cannot cancel booking for past events' });
     }
 
-    const wasConfirmed = booking.bookingStatus === 'confirmed';
-    booking.bookingStatus = 'cancelled';
-    if (booking.paymentStatus === 'completed') {
-      booking.paymentStatus = 'refunded';
+    const previousStatus = booking.bookingStatus;
+    const policy = calculatePolicyRefund(booking);
+
+    // Only one request gets to cancel, so seats and refunds are not given twice
+    const cancelled = await Booking.findOneAndUpdate(
+      { _id: booking._id, bookingStatus: previousStatus },
+      { $set: { bookingStatus: 'cancelled', updatedAt: Date.now() } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(409).json({ error: 'Booking was changed by another request, please try again' });
     }
-    await booking.save();
 
-    let restoredAvailability;
-    if (wasConfirmed) {
-      try {
-        const seatResponse = await axios.patch(`${EVENT_SERVICE_URL}/api/events/${booking.eventId}/seats`, {
-          seatsToBook: -booking.numberOfTickets
-        });
-        restoredAvailability = seatResponse.data?.availableSeats;
-      } catch (err) {
-        console.error('Failed to restore event seats:', err.message);
-      }
+    // The refund and the seat release go through the outbox, so a failed
+    // call is retried
+    let refunded = false;
+    if (policy.amount > 0) {
+      refunded = await enqueue('refund-booking', {
+        bookingId: String(cancelled._id),
+        amount: policy.amount,
+        reason: `Cancelled ${policy.label} (${policy.percent}% refund)`,
+        type: 'cancellation',
+        policyPercent: policy.percent,
+        issuedBy: { _id: req.user._id, name: req.user.name }
+      });
+    }
+
+    const seatsReleased = previousStatus === 'confirmed';
+    if (seatsReleased) {
+      await enqueue('release-seats', {
+        eventId: cancelled.eventId,
+        numberOfTickets: cancelled.numberOfTickets,
+        ticketTypeId: cancelled.ticketTypeId,
+        seatLabels: cancelled.seatLabels || []
+      });
+    }
+
+    // The code was taken when the booking joined the waitlist but never paid for
+    if (previousStatus === 'waitlisted' && cancelled.promoCode) {
+      await releasePromoCode(cancelled.promoCode, cancelled.userId);
     }
 
-    if (restoredAvailability !== undefined) {
-      await promoteWaitlistIfPossible(booking.eventId, restoredAvailability);
+    // Waitlist promotion follows from the event
+    await publishBookingCancelled(cancelled, { seatsReleased });
+
+    const updated = (await Booking.findById(cancelled._id)) || cancelled;
+    let refundStatus = null;
+    if (policy.amount > 0) {
+      refundStatus = refunded ? 'succeeded' : 'pending';
     }
 
     res.json({
       message: 'Booking cancelled successfully',
       booking: {
-        bookingReference: booking.bookingReference,
-        bookingStatus: booking.bookingStatus,
-        paymentStatus: booking.paymentStatus,
-        refundAmount: booking.totalAmount
+        bookingReference: updated.bookingReference,
+        bookingStatus: updated.bookingStatus,
+        paymentStatus: updated.paymentStatus,
+        refundAmount: refunded ? policy.amount : 0,
+        refundPercent: policy.percent,
+        refundStatus
       }
     });
   } catch (err) {
@@ -350,25 +585,97 @@ router.patch('/:id/cancel', verifyToken, async (req, res) => {
   }
 });
 
-// GET /api/bookings/event/:eventId - Get all bookings for an event (admin only)
-router.get('/event/:eventId', verifyToken, async (req, res) => {
+// GET /api/bookings/:id/refunds - Refund timeline for a booking
+router.get('/:id/refunds', verifyToken, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.userId !== req.user._id && !actsAsAdmin(req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const refunds = await Refund.find({ bookingId: String(booking._id) }).sort({ createdAt: 1 });
+
+    res.json({
+      bookingReference: booking.bookingReference,
+      totalAmount: booking.totalAmount,
+      refundedAmount: booking.refundedAmount || 0,
+      refundableAmount: refundableAmount(booking),
+      refunds
+    });
+  } catch (err) {
+    console.error('Get refunds error:', err);
+    res.status(500).json({ error: 'Failed to fetch refunds', details: err.message });
+  }
+});
+
+// POST /api/bookings/:id/refunds - Issue a manual (possibly partial) refund (admin only)
+router.post('/:id/refunds', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    const reason = (req.body.reason || '').trim();
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'Refund amount must be a positive number' });
     }
 
+    if (!reason) {
+      return res.status(400).json({ error: 'Refund reason is required' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const available = refundableAmount(booking);
+    if (amount > available) {
+      return res.status(400).json({ error: 'Refund exceeds the refundable amount', refundableAmount: available });
+    }
+
+    const refund = await issueRefund(booking, { amount, reason, type: 'manual', issuedBy: req.user });
+
+    // Another refund took the rest between the check above and the reservation
+    if (!refund) {
+      const latest = await Booking.findById(booking._id);
+      return res.status(400).json({ error: 'Refund exceeds the refundable amount', refundableAmount: refundableAmount(latest) });
+    }
+
+    if (refund.status === 'failed') {
+      return res.status(502).json({ error: 'Refund failed at the payment provider', refund });
+    }
+
+    res.status(201).json({
+      message: 'Refund issued successfully',
+      refund,
+      paymentStatus: booking.paymentStatus,
+      refundedAmount: booking.refundedAmount
+    });
+  } catch (err) {
+    console.error('Manual refund error:', err);
+    res.status(500).json({ error: 'Failed to issue refund', details: err.message });
+  }
+});
+
+// GET /api/bookings/event/:eventId - Get all bookings for an event (admin only)
+router.get('/event/:eventId', verifyToken, isAdmin, async (req, res) => {
+  try {
     const bookings = await Booking.find({ eventId: req.params.eventId }).sort({ createdAt: -1 });
 
     const stats = {
       totalBookings: bookings.length,
       confirmedBookings: bookings.filter(b => b.bookingStatus === 'confirmed').length,
       cancelledBookings: bookings.filter(b => b.bookingStatus === 'cancelled').length,
-      totalRevenue: bookings
-        .filter(b => b.paymentStatus === 'completed')
-        .reduce((sum, b) => sum + b.totalAmount, 0),
+      totalRevenue: netRevenue(bookings),
       totalTicketsSold: bookings
         .filter(b => b.bookingStatus === 'confirmed')
-        .reduce((sum, b) => sum + b.numberOfTickets, 0)
+        .reduce((sum, b) => sum + b.numberOfTickets, 0),
+      totalDiscounts: totalDiscounts(promoCodeUsage(bookings))
     };
 
     res.json({
@@ -384,31 +691,15 @@ router.get('/event/:eventId', verifyToken, async (req, res) => {
 module.exports = router;
 
 
-// PATCH /api/bookings/event/:eventId/cancel-all - Cancel all bookings for an event (internal use)
-router.patch('/event/:eventId/cancel-all', async (req, res) => {
+// PATCH /api/bookings/event/:eventId/cancel-all - Cancel all bookings for an event (services only)
+router.patch('/event/:eventId/cancel-all', verifyService, async (req, res) => {
   try {
-    const { eventId } = req.params;
-
-    // Find all bookings for this event that are not already cancelled
-    const bookings = await Booking.find({
-      eventId,
-      bookingStatus: { $ne: 'cancelled' }
-    });
-
-    // Update all bookings to cancelled status
-    await Booking.updateMany(
-      { eventId, bookingStatus: { $ne: 'cancelled' } },
-      { 
-        $set: { 
-          bookingStatus: 'cancelled',
-          paymentStatus: 'refunded'
-        } 
-      }
-    );
+    const { count, refundedAmount } = await cancelEventBookings(req.params.eventId, { reason: req.body?.reason });
 
     res.json({
       message: 'All bookings cancelled successfully',
-      count: bookings.length
+      count,
+      refundedAmount
     });
   } catch (err) {
     console.error('Cancel all bookings error:', err);
@@ -416,29 +707,63 @@ router.patch('/event/:eventId/cancel-all', async (req, res) => {
   }
 });
 
-// PATCH /api/bookings/event/:eventId/sync - Sync event details to bookings
-router.patch('/event/:eventId/sync', async (req, res) => {
+// PATCH /api/bookings/event/:eventId/expire-waitlist - Close the waitlist once the event starts (services only)
+router.patch('/event/:eventId/expire-waitlist', verifyService, async (req, res) => {
+  try {
+    const count = await expireWaitlist(req.params.eventId);
+
+    res.json({
+      message: 'Waitlist expired successfully',
+      count
+    });
+  } catch (err) {
+    console.error('Expire waitlist error:', err);
+    res.status(500).json({ error: 'Failed to expire waitlist', details: err.message });
+  }
+});
+
+// GET /api/bookings/event/:eventId/seat-usage - Seats this service accounts for (services only)
+// Counts confirmed bookings, bookings still being made and live seat holds, per
+// ticket type, with the named seats they booked or hold. Event-service checks its
+// seat counts against this.
+router.get('/event/:eventId/seat-usage', verifyService, async (req, res) => {
   try {
     const { eventId } = req.params;
-    const { eventTitle, eventDate, eventVenue, eventTime } = req.body;
-
-    // Update all bookings for this event with new event details
-    const result = await Booking.updateMany(
-      { eventId },
-      { 
-        $set: { 
-          eventTitle,
-          eventDate,
-          eventVenue,
-          eventTime,
-          updatedAt: Date.now()
-        } 
+
+    const [bookings, holds] = await Promise.all([
+      Booking.find({
+        eventId,
+        $or: [{ bookingStatus: 'confirmed' }, { sagaStep: { $in: ['reserving_seats', 'charging'] } }]
+      }),
+      SeatHold.find({ eventId, status: { $in: ['active', 'checking_out'] } })
+    ]);
+
+    const usage = { tickets: 0, ticketTypes: {}, bookedSeats: [], heldSeats: [] };
+    const count = (entry, seatList) => {
+      usage.tickets += entry.numberOfTickets;
+      if (entry.ticketTypeId) {
+        usage.ticketTypes[entry.ticketTypeId] = (usage.ticketTypes[entry.ticketTypeId] || 0) + entry.numberOfTickets;
       }
-    );
+      usage[seatList].push(...(entry.seatLabels || []));
+    };
+    bookings.forEach(booking => count(booking, 'bookedSeats'));
+    holds.forEach(hold => count(hold, 'heldSeats'));
+
+    res.json(usage);
+  } catch (err) {
+    console.error('Seat usage error:', err);
+    res.status(500).json({ error: 'Failed to fetch seat usage', details: err.message });
+  }
+});
+
+// PATCH /api/bookings/event/:eventId/sync - Sync event details to bookings (services only)
+router.patch('/event/:eventId/sync', verifyService, async (req, res) => {
+  try {
+    const modifiedCount = await syncEventDetails(req.params.eventId, req.body);
 
     res.json({
       message: 'Bookings synced successfully',
-      modifiedCount: result.modifiedCount
+      modifiedCount
     });
   } catch (err) {
     console.error('Sync bookings error:', err);
@@ -0,0 +1,149 @@
+const express = require('express');
+const Broadcast = require('../models/Broadcast');
+const BroadcastRecipient = require('../models/BroadcastRecipient');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const {
+  AUDIENCES,
+  BROADCAST_TEMPLATES,
+  PLACEHOLDERS,
+  findRecipients,
+  fetchEventDetails,
+  renderBroadcast,
+  parseBroadcast
+} = require('../utils/broadcasts');
+
+const router = express.Router();
+
+// GET /api/bookings/broadcasts/templates - Message templates and placeholders (admin only)
+router.get('/templates', verifyToken, isAdmin, (req, res) => {
+  const templates = Object.entries(BROADCAST_TEMPLATES).map(([key, template]) => ({ key, ...template }));
+  res.json({ templates, placeholders: PLACEHOLDERS, audiences: AUDIENCES });
+});
+
+// POST /api/bookings/broadcasts/preview - Who a message would reach and how it reads (admin only)
+router.post('/preview', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const parsed = parseBroadcast(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    let details;
+    try {
+      details = await fetchEventDetails(req.body.eventId);
+    } catch (err) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const recipients = await findRecipients(req.body.eventId, parsed.fields.audience);
+    // Shown as the first recipient would read it, or with sample values
+    const sample = recipients[0] || { userName: req.user.name, email: req.user.email, bookingReference: 'EVT-SAMPLE' };
+
+    res.json({
+      recipientCount: recipients.length,
+      preview: {
+        to: sample.email,
+        ...renderBroadcast({ ...details, ...parsed.fields }, sample)
+      }
+    });
+  } catch (err) {
+    console.error('Preview broadcast error:', err);
+    res.status(500).json({ error: 'Failed to preview message', details: err.message });
+  }
+});
+
+// POST /api/bookings/broadcasts - Queue a message to an event's attendees (admin only)
+// It goes out on the mailer's next run after scheduledFor (now when left out),
+// filled in with the event details as they are then.
+router.post('/', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const parsed = parseBroadcast(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    try {
+      await fetchEventDetails(req.body.eventId);
+    } catch (err) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const broadcast = new Broadcast({
+      ...parsed.fields,
+      eventId: req.body.eventId,
+      createdBy: req.user._id,
+      createdByName: req.user.name
+    });
+    await broadcast.save();
+
+    res.status(202).json({
+      message: req.body.scheduledFor ? 'Message scheduled' : 'Message queued for sending',
+      broadcast
+    });
+  } catch (err) {
+    console.error('Create broadcast error:', err);
+    res.status(500).json({ error: 'Failed to send message', details: err.message });
+  }
+});
+
+// GET /api/bookings/broadcasts?eventId= - Messages sent or scheduled for an event (admin only)
+router.get('/', verifyToken, isAdmin, async (req, res) => {
+  try {
+    if (!req.query.eventId) {
+      return res.status(400).json({ error: 'Event ID is required' });
+    }
+
+    const broadcasts = await Broadcast.find({ eventId: req.query.eventId }).sort({ createdAt: -1 });
+    res.json({ broadcasts });
+  } catch (err) {
+    console.error('List broadcasts error:', err);
+    res.status(500).json({ error: 'Failed to fetch messages', details: err.message });
+  }
+});
+
+// GET /api/bookings/broadcasts/:id - A message with each recipient's delivery status (admin only)
+router.get('/:id', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const broadcast = await Broadcast.findById(req.params.id);
+
+    if (!broadcast) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const recipients = await BroadcastRecipient.find({ broadcastId: String(broadcast._id) }).sort({ email: 1 });
+    const counts = { queued: 0, sent: 0, failed: 0 };
+    recipients.forEach(recipient => {
+      counts[recipient.status] += 1;
+    });
+
+    res.json({ broadcast, recipients, counts });
+  } catch (err) {
+    console.error('Get broadcast error:', err);
+    res.status(500).json({ error: 'Failed to fetch message', details: err.message });
+  }
+});
+
+// PATCH /api/bookings/broadcasts/:id/cancel - Call off a scheduled message before it goes out (admin only)
+router.patch('/:id/cancel', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const broadcast = await Broadcast.findOneAndUpdate(
+      { _id: req.params.id, status: 'scheduled' },
+      { $set: { status: 'cancelled', updatedAt: Date.now() } },
+      { new: true }
+    );
+
+    if (!broadcast) {
+      if (!await Broadcast.findById(req.params.id)) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+      return res.status(409).json({ error: 'Only a scheduled message can be cancelled' });
+    }
+
+    res.json({ message: 'Scheduled message cancelled', broadcast });
+  } catch (err) {
+    console.error('Cancel broadcast error:', err);
+    res.status(500).json({ error: 'Failed to cancel message', details: err.message });
+  }
+});
+
+module.exports = router;
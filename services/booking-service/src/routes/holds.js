@@ -0,0 +1,386 @@
+const express = require('express');
+const axios = require('axios');
+const Booking = require('../models/Booking');
+const SeatHold = require('../models/SeatHold');
+const { verifyToken } = require('../middleware/auth');
+const { sendBookingEmail } = require('../utils/email');
+const { reserveSeats, releaseSeats, confirmSeats, promoteWaitlistIfPossible } = require('../utils/seats');
+const { resolveTicketType } = require('../utils/ticketTypes');
+const { resolveSeats } = require('../utils/seating');
+const { eventStartsAt } = require('../utils/eventTime');
+const { validatePromoCode, redeemPromoCode, releasePromoCode } = require('../utils/promoCodes');
+const { chargeBooking } = require('../payments');
+const { enqueue } = require('../utils/outbox');
+const { publishBookingConfirmed } = require('../utils/bookingEvents');
+
+const router = express.Router();
+
+const EVENT_SERVICE_URL = process.env.EVENT_SERVICE_URL || 'http://localhost:4002';
+const SEAT_HOLD_MINUTES = parseInt(process.env.SEAT_HOLD_MINUTES || '10', 10);
+
+const serializeHold = (hold) => ({
+  _id: hold._id,
+  eventId: hold.eventId,
+  ticketTypeId: hold.ticketTypeId,
+  ticketTypeName: hold.ticketTypeName,
+  seatLabels: hold.seatLabels,
+  numberOfTickets: hold.numberOfTickets,
+  status: hold.status,
+  expiresAt: hold.expiresAt
+});
+
+// Held seats are charged at their tier's current price. The sale window only
+// applies when the hold is placed, so a hold taken before Early-Bird closes can still check out.
+const holdPrice = (event, hold) => {
+  const tier = hold.ticketTypeId && (event.ticketTypes || []).find(t => String(t._id) === hold.ticketTypeId);
+  return tier ? tier.price : event.price;
+};
+
+// POST /api/bookings/holds - Reserve seats for a limited time while the user pays
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { eventId, numberOfTickets, ticketTypeId, seatLabels } = req.body;
+
+    if (!eventId || !numberOfTickets) {
+      return res.status(400).json({ error: 'Event ID and number of tickets are required' });
+    }
+
+    if (numberOfTickets < 1 || numberOfTickets > 10) {
+      return res.status(400).json({ error: 'You can hold between 1 and 10 tickets' });
+    }
+
+    let eventResponse;
+    try {
+      eventResponse = await axios.get(`${EVENT_SERVICE_URL}/api/events/${eventId}`);
+    } catch (err) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const event = eventResponse.data;
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ error: 'Event has been cancelled' });
+    }
+
+    if (eventStartsAt(event) < new Date()) {
+      return res.status(400).json({ error: 'Cannot book tickets for past events' });
+    }
+
+    const tier = resolveTicketType(event, ticketTypeId);
+    if (tier.error) {
+      return res.status(400).json({ error: tier.error });
+    }
+    const tierId = tier.ticketType ? String(tier.ticketType._id) : null;
+
+    const seating = resolveSeats(event, seatLabels, numberOfTickets);
+    if (seating.error) {
+      return res.status(seating.unavailableSeats ? 409 : 400).json(seating);
+    }
+
+    const existing = await SeatHold.findOne({ eventId, userId: req.user._id, status: 'active' });
+    if (existing && existing.expiresAt > new Date()) {
+      return res.status(409).json({
+        error: 'You already have seats on hold for this event',
+        hold: serializeHold(existing)
+      });
+    }
+
+    let reservation;
+    try {
+      reservation = await reserveSeats(eventId, numberOfTickets, tierId, { seatLabels: seating.seatLabels, hold: true });
+    } catch (err) {
+      return res.status(500).json({
+        error: 'Failed to update event seats',
+        details: err.response?.data || err.message
+      });
+    }
+
+    if (!reservation.reserved && seating.seatLabels.length > 0) {
+      return res.status(409).json({
+        error: 'Some of those seats are already taken',
+        unavailableSeats: reservation.unavailableSeats
+      });
+    }
+
+    if (!reservation.reserved) {
+      return res.status(400).json({
+        error: 'Not enough seats available',
+        availableSeats: reservation.availableSeats,
+        requested: numberOfTickets
+      });
+    }
+
+    const hold = new SeatHold({
+      userId: req.user._id,
+      userName: req.user.name,
+      userEmail: req.user.email,
+      eventId,
+      ticketTypeId: tierId,
+      ticketTypeName: tier.ticketType ? tier.ticketType.name : null,
+      seatLabels: seating.seatLabels,
+      numberOfTickets,
+      expiresAt: new Date(Date.now() + SEAT_HOLD_MINUTES * 60 * 1000)
+    });
+
+    try {
+      await hold.save();
+    } catch (err) {
+      await releaseSeats(eventId, numberOfTickets, tierId, seating.seatLabels);
+      throw err;
+    }
+
+    res.status(201).json({
+      message: `Seats held for ${SEAT_HOLD_MINUTES} minutes`,
+      hold: serializeHold(hold)
+    });
+  } catch (err) {
+    console.error('Create hold error:', err);
+    res.status(500).json({ error: 'Failed to hold seats', details: err.message });
+  }
+});
+
+// GET /api/bookings/holds/:id - Get a seat hold
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const hold = await SeatHold.findById(req.params.id);
+
+    if (!hold) {
+      return res.status(404).json({ error: 'Hold not found' });
+    }
+
+    if (hold.userId !== req.user._id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(serializeHold(hold));
+  } catch (err) {
+    console.error('Get hold error:', err);
+    res.status(500).json({ error: 'Failed to fetch hold', details: err.message });
+  }
+});
+
+// Put a hold that checkout locked back to active, handing back the promo code
+// use it took, so its seats are not stuck mid-checkout
+const reopenHold = async (hold, promo) => {
+  if (promo) {
+    await releasePromoCode(promo.code, hold.userId);
+  }
+  await SeatHold.findOneAndUpdate(
+    { _id: hold._id, status: 'checking_out' },
+    { $set: { status: 'active', updatedAt: Date.now() } }
+  );
+};
+
+// POST /api/bookings/holds/:id/checkout - Pay for held seats and confirm the booking
+router.post('/:id/checkout', verifyToken, async (req, res) => {
+  // Until the booking is saved, a failure hands the hold back
+  let pending = null;
+  let promo = null;
+  try {
+    const { paymentMethod, cardNumber, promoCode } = req.body;
+
+    const hold = await SeatHold.findById(req.params.id);
+
+    if (!hold) {
+      return res.status(404).json({ error: 'Hold not found' });
+    }
+
+    if (hold.userId !== req.user._id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Lock the hold so the sweeper cannot expire it mid-payment
+    const locked = await SeatHold.findOneAndUpdate(
+      { _id: hold._id, status: 'active', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'checking_out', updatedAt: Date.now() } },
+      { new: true }
+    );
+
+    if (!locked) {
+      return res.status(410).json({ error: 'Seat hold has expired or was already used' });
+    }
+    pending = locked;
+
+    let event;
+    try {
+      const eventResponse = await axios.get(`${EVENT_SERVICE_URL}/api/events/${hold.eventId}`);
+      event = eventResponse.data;
+    } catch (err) {
+      locked.status = 'active';
+      await locked.save();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    // Nothing is left to pay for, so the held seats go back
+    if (event.status === 'cancelled' || eventStartsAt(event) < new Date()) {
+      pending = null;
+      locked.status = 'released';
+      await locked.save();
+      await enqueue('release-seats', {
+        eventId: hold.eventId,
+        numberOfTickets: hold.numberOfTickets,
+        ticketTypeId: hold.ticketTypeId,
+        seatLabels: hold.seatLabels || []
+      });
+      return res.status(400).json({
+        error: event.status === 'cancelled' ? 'Event has been cancelled' : 'Cannot book tickets for past events'
+      });
+    }
+
+    const booking = new Booking({
+      userId: hold.userId,
+      userName: hold.userName,
+      userEmail: hold.userEmail,
+      eventId: hold.eventId,
+      eventTitle: event.title,
+      eventDate: event.date,
+      eventVenue: event.venue,
+      eventTime: event.time,
+      eventStartsAt: event.startsAt || null,
+      eventTimezone: event.timezone || 'UTC',
+      eventUpdatedAt: event.updatedAt || null,
+      numberOfTickets: hold.numberOfTickets,
+      ticketTypeId: hold.ticketTypeId,
+      ticketTypeName: hold.ticketTypeName,
+      seatLabels: hold.seatLabels,
+      pricePerTicket: holdPrice(event, hold),
+      paymentMethod: paymentMethod || 'credit_card'
+    });
+
+    if (promoCode) {
+      const check = await validatePromoCode(promoCode, {
+        eventId: hold.eventId,
+        userId: hold.userId,
+        subtotal: booking.numberOfTickets * booking.pricePerTicket
+      });
+      const redemption = check.error ? check : await redeemPromoCode(check.promo, hold.userId);
+
+      if (redemption.error) {
+        locked.status = 'active';
+        await locked.save();
+        return res.status(400).json({
+          error: redemption.error,
+          hold: serializeHold(locked)
+        });
+      }
+
+      promo = check.promo;
+      booking.promoCode = promo.code;
+      booking.discountAmount = check.discountAmount;
+    }
+
+    const payment = await chargeBooking(booking, { cardNumber });
+
+    if (payment.status !== 'captured') {
+      // Keep the seats held so the user can retry until the hold expires
+      locked.status = 'active';
+      await locked.save();
+      pending = null;
+      if (promo) {
+        await releasePromoCode(promo.code, hold.userId);
+      }
+
+      const timedOut = payment.status === 'timeout';
+      return res.status(timedOut ? 504 : 400).json({
+        error: timedOut ? 'Payment gateway timed out. Please try again.' : 'Payment failed. Please try again.',
+        reason: payment.reason,
+        hold: serializeHold(locked)
+      });
+    }
+
+    booking.paymentStatus = 'completed';
+    booking.bookingStatus = 'confirmed';
+    booking.transactionId = payment.transactionId;
+    booking.paymentProvider = payment.provider;
+    booking.sagaStep = 'done';
+
+    try {
+      await booking.save();
+    } catch (err) {
+      // Pay the charge back; the hold is reopened below so the user can try again
+      if (payment.transactionId) {
+        await enqueue('refund-payment', { transactionId: payment.transactionId, amount: booking.totalAmount });
+      }
+      throw err;
+    }
+    pending = null;
+
+    locked.status = 'converted';
+    locked.bookingId = String(booking._id);
+    await locked.save();
+    await confirmSeats(hold.eventId, hold.seatLabels);
+
+    await publishBookingConfirmed(booking);
+    await sendBookingEmail(booking, event);
+
+    res.status(201).json({
+      message: 'Booking confirmed successfully',
+      booking: {
+        _id: booking._id,
+        bookingReference: booking.bookingReference,
+        eventTitle: booking.eventTitle,
+        eventDate: booking.eventDate,
+        eventStartsAt: booking.eventStartsAt,
+        eventTimezone: booking.eventTimezone,
+        eventVenue: booking.eventVenue,
+        numberOfTickets: booking.numberOfTickets,
+        ticketTypeName: booking.ticketTypeName,
+        seatLabels: booking.seatLabels,
+        pricePerTicket: booking.pricePerTicket,
+        promoCode: booking.promoCode,
+        discountAmount: booking.discountAmount,
+        totalAmount: booking.totalAmount,
+        paymentStatus: booking.paymentStatus,
+        transactionId: booking.transactionId,
+        bookingStatus: booking.bookingStatus
+      }
+    });
+  } catch (err) {
+    console.error('Checkout error:', err);
+    if (pending) {
+      try {
+        await reopenHold(pending, promo);
+      } catch (reopenErr) {
+        console.error('Reopen hold error:', reopenErr);
+      }
+    }
+    res.status(500).json({ error: 'Failed to complete checkout', details: err.message });
+  }
+});
+
+// DELETE /api/bookings/holds/:id - Release held seats early
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    const hold = await SeatHold.findById(req.params.id);
+
+    if (!hold) {
+      return res.status(404).json({ error: 'Hold not found' });
+    }
+
+    if (hold.userId !== req.user._id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const released = await SeatHold.findOneAndUpdate(
+      { _id: hold._id, status: 'active' },
+      { $set: { status: 'released', updatedAt: Date.now() } },
+      { new: true }
+    );
+
+    if (!released) {
+      return res.status(400).json({ error: 'Seat hold is no longer active' });
+    }
+
+    const availableSeats = await releaseSeats(hold.eventId, hold.numberOfTickets, hold.ticketTypeId, hold.seatLabels);
+    if (availableSeats !== undefined) {
+      await promoteWaitlistIfPossible(hold.eventId, availableSeats);
+    }
+
+    res.json({ message: 'Seats released', hold: serializeHold(released) });
+  } catch (err) {
+    console.error('Release hold error:', err);
+    res.status(500).json({ error: 'Failed to release hold', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const Booking = require('../models/Booking');
+const { getPaymentProvider } = require('../payments');
+const { compensateBooking } = require('../utils/bookingSaga');
+const { recordProviderRefund } = require('../utils/refunds');
+
+const router = express.Router();
+
+// Payment changes the processor can report after the fact. paymentStatus only
+// moves forward: a capture only completes a pending payment, a failure never
+// undoes a refund, and refunds are recorded like any other.
+const WEBHOOK_HANDLERS = {
+  'payment.captured': (booking) => Booking.findOneAndUpdate(
+    { _id: booking._id, paymentStatus: 'pending' },
+    { $set: { paymentStatus: 'completed', updatedAt: Date.now() } },
+    { new: true }
+  ),
+
+  // A charge that fell through after the booking was confirmed undoes it like
+  // any failed payment: its seats and promo code use are given back
+  'payment.failed': async (booking) => {
+    const failed = await Booking.findOneAndUpdate(
+      { _id: booking._id, paymentStatus: { $in: ['pending', 'completed'] } },
+      { $set: { paymentStatus: 'failed', updatedAt: Date.now() } },
+      { new: true }
+    );
+    if (failed && booking.bookingStatus === 'confirmed') {
+      await compensateBooking(failed);
+    }
+  },
+
+  'payment.refunded': (booking, { amount, refundId }) => recordProviderRefund(booking, {
+    amount: typeof amount === 'number' ? amount : undefined,
+    gatewayRefundId: refundId || null
+  })
+};
+
+// POST /api/bookings/payments/webhook - Receive signed notifications from the payment provider
+router.post('/webhook', async (req, res) => {
+  try {
+    const event = getPaymentProvider().verifyWebhook(req.rawBody, req.headers['x-payment-signature']);
+
+    if (!event) {
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    const handler = WEBHOOK_HANDLERS[event.type];
+    if (!handler || !event.data?.transactionId) {
+      return res.json({ received: true, ignored: true });
+    }
+
+    const booking = await Booking.findOne({ transactionId: event.data.transactionId });
+    if (booking) {
+      await handler(booking, event.data);
+    }
+
+    res.json({ received: true, bookingReference: booking ? booking.bookingReference : null });
+  } catch (err) {
+    console.error('Payment webhook error:', err);
+    res.status(500).json({ error: 'Failed to process webhook', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const axios = require('axios');
+const PromoCode = require('../models/PromoCode');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { resolveTicketType } = require('../utils/ticketTypes');
+const { normalizeCode, validatePromoCode } = require('../utils/promoCodes');
+
+const router = express.Router();
+
+const EVENT_SERVICE_URL = process.env.EVENT_SERVICE_URL || 'http://localhost:4002';
+
+// Optional limits arrive as '' or null when the admin clears them
+const optionalPositiveInt = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 ? number : NaN;
+};
+
+// Validate the editable fields of a promo code.
+// Returns { error } or { fields } with only the fields that were sent.
+const parsePromoFields = (body, current = {}) => {
+  const fields = {};
+
+  if (body.description !== undefined) {
+    fields.description = String(body.description || '').trim();
+  }
+
+  if (body.discountType !== undefined) {
+    if (!['percentage', 'fixed'].includes(body.discountType)) {
+      return { error: 'Discount type must be percentage or fixed' };
+    }
+    fields.discountType = body.discountType;
+  }
+
+  if (body.discountValue !== undefined) {
+    const value = Number(body.discountValue);
+    if (!Number.isFinite(value) || value <= 0) {
+      return { error: 'Discount must be greater than zero' };
+    }
+    fields.discountValue = value;
+  }
+
+  const discountType = fields.discountType || current.discountType;
+  const discountValue = fields.discountValue ?? current.discountValue;
+  if (discountType === 'percentage' && discountValue > 100) {
+    return { error: 'A percentage discount cannot exceed 100' };
+  }
+
+  if (body.eventId !== undefined) {
+    fields.eventId = body.eventId || null;
+  }
+
+  for (const key of ['maxUses', 'perUserLimit']) {
+    const value = optionalPositiveInt(body[key]);
+    if (Number.isNaN(value)) {
+      return { error: `${key === 'maxUses' ? 'Usage cap' : 'Per-user limit'} must be a whole number of at least 1` };
+    }
+    if (value !== undefined) {
+      fields[key] = value;
+    }
+  }
+
+  if (body.expiresAt !== undefined) {
+    const expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+    if (expiresAt && isNaN(expiresAt)) {
+      return { error: 'Expiry must be a valid date' };
+    }
+    fields.expiresAt = expiresAt;
+  }
+
+  if (body.active !== undefined) {
+    fields.active = Boolean(body.active);
+  }
+
+  return { fields };
+};
+
+// GET /api/bookings/promo-codes - List promo codes (admin only)
+router.get('/', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const promoCodes = await PromoCode.find().sort({ createdAt: -1 });
+    res.json({ promoCodes });
+  } catch (err) {
+    console.error('List promo codes error:', err);
+    res.status(500).json({ error: 'Failed to fetch promo codes', details: err.message });
+  }
+});
+
+// POST /api/bookings/promo-codes - Create a promo code (admin only)
+router.post('/', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const code = normalizeCode(req.body.code);
+
+    if (!/^[A-Z0-9_-]{3,30}$/.test(code)) {
+      return res.status(400).json({ error: 'Codes are 3-30 letters, digits, dashes or underscores' });
+    }
+
+    if (req.body.discountType === undefined || req.body.discountValue === undefined) {
+      return res.status(400).json({ error: 'Discount type and value are required' });
+    }
+
+    const parsed = parsePromoFields(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    if (await PromoCode.findOne({ code })) {
+      return res.status(409).json({ error: 'A promo code with that name already exists' });
+    }
+
+    const promo = new PromoCode({ ...parsed.fields, code, createdBy: req.user._id });
+    await promo.save();
+
+    res.status(201).json({ message: 'Promo code created', promoCode: promo });
+  } catch (err) {
+    console.error('Create promo code error:', err);
+    res.status(500).json({ error: 'Failed to create promo code', details: err.message });
+  }
+});
+
+// PATCH /api/bookings/promo-codes/:id - Change limits, expiry, or switch a code off (admin only)
+router.patch('/:id', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const promo = await PromoCode.findById(req.params.id);
+
+    if (!promo) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    const parsed = parsePromoFields(req.body, promo);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    Object.assign(promo, parsed.fields);
+    await promo.save();
+
+    res.json({ message: 'Promo code updated', promoCode: promo });
+  } catch (err) {
+    console.error('Update promo code error:', err);
+    res.status(500).json({ error: 'Failed to update promo code', details: err.message });
+  }
+});
+
+// POST /api/bookings/promo-codes/validate - Preview a code's discount before paying
+router.post('/validate', verifyToken, async (req, res) => {
+  try {
+    const { code, eventId, ticketTypeId } = req.body;
+    const numberOfTickets = Number(req.body.numberOfTickets) || 1;
+
+    if (!code || !eventId) {
+      return res.status(400).json({ error: 'Code and event ID are required' });
+    }
+
+    let event;
+    try {
+      const eventResponse = await axios.get(`${EVENT_SERVICE_URL}/api/events/${eventId}`);
+      event = eventResponse.data;
+    } catch (err) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const tier = resolveTicketType(event, ticketTypeId);
+    if (tier.error) {
+      return res.status(400).json({ error: tier.error });
+    }
+
+    const subtotal = tier.price * numberOfTickets;
+    const check = await validatePromoCode(code, { eventId, userId: req.user._id, subtotal });
+    if (check.error) {
+      return res.status(400).json({ error: check.error });
+    }
+
+    res.json({
+      code: check.promo.code,
+      discountType: check.promo.discountType,
+      discountValue: check.promo.discountValue,
+      subtotal,
+      discountAmount: check.discountAmount,
+      total: Math.round((subtotal - check.discountAmount) * 100) / 100
+    });
+  } catch (err) {
+    console.error('Validate promo code error:', err);
+    res.status(500).json({ error: 'Failed to check promo code', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,15 @@ const cors = require('cors');
 require('dotenv').config();
 
 const bookingRoutes = require('./routes/bookings');
+const holdRoutes = require('./routes/holds');
+const paymentRoutes = require('./routes/payments');
+const promoCodeRoutes = require('./routes/promoCodes');
+const broadcastRoutes = require('./routes/broadcasts');
+const { startHoldSweeper } = require('./jobs/holdSweeper');
+const { startOutboxRelay } = require('./jobs/outboxRelay');
+const { startBroadcastMailer } = require('./jobs/broadcastMailer');
+const { getEventBus } = require('./eventBus');
+const { subscribeToEvents } = require('./eventBus/subscribers');
 
 const app = express();
 
@@ -19,9 +28,18 @@ app.use(cors({
   ],
   credentials: true
 }));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so payment webhook signatures can be checked
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Routes
+app.use('/api/bookings/holds', holdRoutes);
+app.use('/api/bookings/payments', paymentRoutes);
+app.use('/api/bookings/promo-codes', promoCodeRoutes);
+app.use('/api/bookings/broadcasts', broadcastRoutes);
 app.use('/api/bookings', bookingRoutes);
 
 // Health check
@@ -33,6 +51,14 @@ app.get('/health', (req, res) => {
 mongoose.connect(MONGO_URI)
   .then(() => {
     console.log('✅ Connected to MongoDB');
+    startHoldSweeper();
+    startOutboxRelay();
+    startBroadcastMailer();
+    const bus = getEventBus();
+    subscribeToEvents(bus);
+    return bus.start();
+  })
+  .then(() => {
     app.listen(PORT, () => {
       console.log(`🚀 Booking service running on port ${PORT}`);
     });
@@ -0,0 +1,23 @@
+const { bookingStartsAt, formatEventTime } = require('../eventTime');
+
+describe('event times on bookings', () => {
+  test('shows the date and time in the event timezone', () => {
+    const booking = {
+      eventDate: new Date('2030-03-10T00:00:00.000Z'),
+      eventTime: '18:00',
+      eventStartsAt: new Date('2030-03-10T22:00:00.000Z'),
+      eventTimezone: 'America/New_York'
+    };
+
+    expect(formatEventTime(booking)).toEqual({ date: 'Sunday, March 10, 2030', time: '6:00 PM EDT' });
+    expect(bookingStartsAt(booking).toISOString()).toBe('2030-03-10T22:00:00.000Z');
+  });
+
+  test('falls back to the stored day and time for older bookings', () => {
+    const booking = { eventDate: new Date('2030-03-10T00:00:00.000Z'), eventTime: '6:00 PM' };
+
+    expect(formatEventTime(booking)).toEqual({ date: 'Sunday, March 10, 2030', time: '6:00 PM' });
+    expect(formatEventTime({ eventDate: booking.eventDate }).time).toBe('TBA');
+    expect(bookingStartsAt(booking).toISOString()).toBe('2030-03-10T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,34 @@
+const { requireSecret } = require('../secrets');
+
+describe('requireSecret', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.resetModules();
+  });
+
+  test('uses the configured value', () => {
+    process.env.TICKET_SIGNING_SECRET = 'configured';
+
+    expect(requireSecret('TICKET_SIGNING_SECRET', 'dev-ticket-secret')).toBe('configured');
+  });
+
+  test('falls back to the development value outside production', () => {
+    delete process.env.TICKET_SIGNING_SECRET;
+    process.env.NODE_ENV = 'development';
+
+    expect(requireSecret('TICKET_SIGNING_SECRET', 'dev-ticket-secret')).toBe('dev-ticket-secret');
+  });
+
+  test('stops ticket signing, payments and service calls from loading in production without secrets', () => {
+    delete process.env.TICKET_SIGNING_SECRET;
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    delete process.env.SERVICE_AUTH_SECRET;
+    process.env.NODE_ENV = 'production';
+
+    expect(() => require('../ticketToken')).toThrow('TICKET_SIGNING_SECRET must be set in production');
+    expect(() => require('../../payments')).toThrow('PAYMENT_WEBHOOK_SECRET must be set in production');
+    expect(() => require('../../middleware/serviceAuth')).toThrow('SERVICE_AUTH_SECRET must be set in production');
+  });
+});
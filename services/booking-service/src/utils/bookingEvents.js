@@ -0,0 +1,26 @@
+const { publish } = require('./outbox');
+
+// What other services are told about a booking
+const bookingPayload = (booking) => ({
+  bookingId: String(booking._id),
+  bookingReference: booking.bookingReference,
+  eventId: booking.eventId,
+  userId: booking.userId,
+  numberOfTickets: booking.numberOfTickets,
+  ticketTypeId: booking.ticketTypeId || null,
+  seatLabels: booking.seatLabels || [],
+  totalAmount: booking.totalAmount
+});
+
+const publishBookingConfirmed = (booking) => publish('booking.confirmed', bookingPayload(booking));
+
+// seatsReleased says whether the booking held seats that are being given back
+const publishBookingCancelled = (booking, { seatsReleased = false } = {}) => publish('booking.cancelled', {
+  ...bookingPayload(booking),
+  seatsReleased
+});
+
+module.exports = {
+  publishBookingConfirmed,
+  publishBookingCancelled
+};
@@ -0,0 +1,84 @@
+const Booking = require('../models/Booking');
+const { enqueue } = require('./outbox');
+const { releasePromoCode } = require('./promoCodes');
+
+// A booking is saved as pending before any seats are claimed (its promo code
+// use is already taken by then), and its sagaStep records how far it got:
+// reserving_seats -> charging -> done. If it stops halfway it is undone
+// (compensated) instead of leaving seats claimed by nobody.
+const BOOKING_SAGA_TIMEOUT_MS = parseInt(process.env.BOOKING_SAGA_TIMEOUT_MINUTES || '5', 10) * 60 * 1000;
+
+const seatRelease = (booking) => ({
+  eventId: booking.eventId,
+  numberOfTickets: booking.numberOfTickets,
+  ticketTypeId: booking.ticketTypeId,
+  seatLabels: booking.seatLabels || []
+});
+
+// Record the step about to be taken, so recovery knows what to undo
+const advanceSaga = async (booking, sagaStep) => {
+  booking.sagaStep = sagaStep;
+  await booking.save();
+};
+
+// Undo a booking that will not be confirmed: give its seats back, refund
+// anything charged, hand back its promo code use and mark its payment failed.
+// Seat releases and refunds go through the outbox so they are retried.
+const compensateBooking = async (booking, { refund = null } = {}) => {
+  await enqueue('release-seats', seatRelease(booking));
+  if (refund && refund.transactionId) {
+    await enqueue('refund-payment', refund);
+  }
+  if (booking.promoCode) {
+    await releasePromoCode(booking.promoCode, booking.userId);
+  }
+
+  booking.paymentStatus = 'failed';
+  booking.bookingStatus = 'pending';
+  booking.sagaStep = 'compensated';
+  try {
+    await booking.save();
+  } catch (err) {
+    console.error('Failed to mark booking as failed:', err.message);
+  }
+};
+
+// Undo bookings whose saga stopped moving, e.g. because the process died
+// mid-request. A booking stuck while charging certainly holds seats; one stuck
+// while reserving may not, and the seat reconciliation settles that.
+const recoverStalledBookings = async (now = new Date()) => {
+  const stalled = await Booking.find({
+    sagaStep: { $in: ['reserving_seats', 'charging'] },
+    updatedAt: { $lte: new Date(now.getTime() - BOOKING_SAGA_TIMEOUT_MS) }
+  });
+  let recovered = 0;
+
+  for (const booking of stalled) {
+    // The request may have finished since the query ran
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, sagaStep: booking.sagaStep },
+      { $set: { sagaStep: 'compensated', paymentStatus: 'failed', updatedAt: Date.now() } },
+      { new: true }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    recovered += 1;
+    if (booking.promoCode) {
+      await releasePromoCode(booking.promoCode, booking.userId);
+    }
+    if (booking.sagaStep === 'charging') {
+      await enqueue('release-seats', seatRelease(booking));
+      console.error(`Booking ${booking._id} stopped while charging; check the payment provider for a capture`);
+    }
+  }
+
+  return recovered;
+};
+
+module.exports = {
+  advanceSaga,
+  compensateBooking,
+  recoverStalledBookings
+};
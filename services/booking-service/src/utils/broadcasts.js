@@ -0,0 +1,145 @@
+const axios = require('axios');
+const Booking = require('../models/Booking');
+const { formatEventTime } = require('./eventTime');
+
+const EVENT_SERVICE_URL = process.env.EVENT_SERVICE_URL || 'http://localhost:4002';
+
+const AUDIENCES = ['confirmed', 'waitlisted', 'checked_in'];
+
+// Starting points for the composer. Placeholders are filled in per recipient.
+const BROADCAST_TEMPLATES = {
+  venue_change: {
+    name: 'Venue change',
+    subject: 'New venue for {{event}}',
+    body: 'Hi {{name}},\n\n{{event}} has moved to a new venue: {{venue}}.\n\nThe date and time stay the same: {{date}} at {{time}}. Your booking reference is {{reference}}.\n\nSee you there!'
+  },
+  delay: {
+    name: 'Delay',
+    subject: 'Schedule change for {{event}}',
+    body: 'Hi {{name}},\n\n{{event}} now starts at {{time}} on {{date}}, at {{venue}}.\n\nYour booking {{reference}} is still valid and nothing else changes. Sorry for the inconvenience.'
+  },
+  reminder: {
+    name: 'Reminder',
+    subject: 'See you soon at {{event}}',
+    body: 'Hi {{name}},\n\nA reminder that {{event}} is on {{date}} at {{time}}, at {{venue}}.\n\nHave your ticket QR code ready for check-in at the door (booking {{reference}}).'
+  },
+  custom: {
+    name: 'Blank message',
+    subject: '',
+    body: ''
+  }
+};
+
+const PLACEHOLDERS = ['name', 'event', 'date', 'time', 'venue', 'reference'];
+
+// Bookings whose holders are in the audience
+const audienceQuery = (eventId, audience) => {
+  const $or = [];
+  if (audience.includes('confirmed')) $or.push({ bookingStatus: 'confirmed' });
+  if (audience.includes('waitlisted')) $or.push({ bookingStatus: 'waitlisted' });
+  if (audience.includes('checked_in')) $or.push({ bookingStatus: 'confirmed', checkedInAt: { $ne: null } });
+  return { eventId, $or };
+};
+
+// Everyone a broadcast goes to, one entry per email address
+const findRecipients = async (eventId, audience) => {
+  const bookings = await Booking.find(audienceQuery(eventId, audience)).sort({ createdAt: 1 });
+  const byEmail = new Map();
+
+  bookings.forEach(booking => {
+    const email = (booking.userEmail || '').toLowerCase();
+    if (email && !byEmail.has(email)) {
+      byEmail.set(email, {
+        bookingId: String(booking._id),
+        userId: booking.userId,
+        userName: booking.userName,
+        email,
+        bookingReference: booking.bookingReference
+      });
+    }
+  });
+
+  return [...byEmail.values()];
+};
+
+// The subject and body one recipient reads
+const renderBroadcast = (broadcast, recipient) => {
+  const { date, time } = formatEventTime(broadcast);
+  const values = {
+    name: recipient.userName || 'there',
+    event: broadcast.eventTitle,
+    date,
+    time,
+    venue: broadcast.eventVenue,
+    reference: recipient.bookingReference || ''
+  };
+  const fill = (text) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+    PLACEHOLDERS.includes(key) ? String(values[key] ?? '') : match
+  ));
+
+  return { subject: fill(broadcast.subject), body: fill(broadcast.body) };
+};
+
+// Validate a message from the composer.
+// Returns { error } or { fields } with subject, body, template, audience and scheduledFor.
+const parseBroadcast = (body, now = new Date()) => {
+  const subject = String(body.subject || '').trim();
+  const text = String(body.body || '').trim();
+  const template = body.template || 'custom';
+  const audience = Array.isArray(body.audience) ? [...new Set(body.audience)] : ['confirmed'];
+
+  if (!body.eventId) {
+    return { error: 'Event ID is required' };
+  }
+  if (!subject || !text) {
+    return { error: 'Subject and message are required' };
+  }
+  if (subject.length > 200) {
+    return { error: 'Subject cannot exceed 200 characters' };
+  }
+  if (text.length > 5000) {
+    return { error: 'Message cannot exceed 5000 characters' };
+  }
+  if (!BROADCAST_TEMPLATES[template]) {
+    return { error: 'Unknown template' };
+  }
+  if (audience.length === 0 || audience.some(group => !AUDIENCES.includes(group))) {
+    return { error: `Audience must be one or more of ${AUDIENCES.join(', ')}` };
+  }
+
+  let scheduledFor = now;
+  if (body.scheduledFor) {
+    scheduledFor = new Date(body.scheduledFor);
+    if (isNaN(scheduledFor)) {
+      return { error: 'Scheduled time must be a valid date' };
+    }
+    if (scheduledFor < now) {
+      return { error: 'Scheduled time must be in the future' };
+    }
+  }
+
+  return { fields: { subject, body: text, template, audience, scheduledFor } };
+};
+
+// The event details a message's placeholders are filled from
+const fetchEventDetails = async (eventId) => {
+  const { data: event } = await axios.get(`${EVENT_SERVICE_URL}/api/events/${eventId}`);
+  return {
+    eventTitle: event.title,
+    eventDate: event.date,
+    eventVenue: event.venue,
+    eventTime: event.time,
+    eventStartsAt: event.startsAt,
+    eventTimezone: event.timezone
+  };
+};
+
+module.exports = {
+  AUDIENCES,
+  BROADCAST_TEMPLATES,
+  PLACEHOLDERS,
+  findRecipients,
+  fetchEventDetails,
+  renderBroadcast,
+  parseBroadcast
+};
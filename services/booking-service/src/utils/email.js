@@ -1,15 +1,40 @@
 ﻿const nodemailer = require('nodemailer');
 const QRCode = require('qrcode');
+const { signTicket } = require('./ticketToken');
+const { formatEventTime } = require('./eventTime');
 
-const buildQrCode = async (booking) => {
-  const qrPayload = {
-    bookingReference: booking.bookingReference,
-    eventId: booking.eventId,
-    eventTitle: booking.eventTitle,
-    eventDate: booking.eventDate,
-    userEmail: booking.userEmail
-  };
-  return QRCode.toDataURL(JSON.stringify(qrPayload));
+const buildQrCode = async (booking) => QRCode.toDataURL(signTicket(booking));
+
+// "2 × VIP ($80 each)" for tiered bookings, just the count otherwise
+const formatTickets = (booking) => (booking.ticketTypeName
+  ? `${booking.numberOfTickets} × ${booking.ticketTypeName} ($${booking.pricePerTicket} each)`
+  : `${booking.numberOfTickets}`);
+
+// Assigned seats, only for events with reserved seating
+const seatsRow = (booking) => {
+  if (!booking.seatLabels || booking.seatLabels.length === 0) return '';
+  return `
+                            <tr>
+                              <td style="color: #666666; font-size: 14px; padding: 8px 0; border-top: 1px solid #e0e0e0;"><strong style="color: #333333;">Seats:</strong></td>
+                              <td style="color: #333333; font-size: 14px; text-align: right; padding: 8px 0; border-top: 1px solid #e0e0e0;">${booking.seatLabels.join(', ')}</td>
+                            </tr>`;
+};
+
+// Subtotal and promo code lines, only for discounted bookings
+const discountRow = (booking) => {
+  if (!booking.promoCode || !booking.discountAmount) return '';
+  const cell = 'color: #666666; font-size: 14px; padding: 8px 0; border-top: 1px solid #e0e0e0;';
+  const value = 'color: #333333; font-size: 14px; text-align: right; padding: 8px 0; border-top: 1px solid #e0e0e0;';
+  const subtotal = booking.subtotalAmount ?? booking.numberOfTickets * booking.pricePerTicket;
+  return `
+                            <tr>
+                              <td style="${cell}"><strong style="color: #333333;">Subtotal:</strong></td>
+                              <td style="${value}">$${subtotal}</td>
+                            </tr>
+                            <tr>
+                              <td style="${cell}"><strong style="color: #333333;">Promo ${booking.promoCode}:</strong></td>
+                              <td style="${value}">-$${booking.discountAmount}</td>
+                            </tr>`;
 };
 
 const createTransporter = () => {
@@ -25,32 +50,39 @@ const createTransporter = () => {
   });
 };
 
+const smtpConfigured = () => Boolean(process.env.SMTP_USER && process.env.SMTP_PASS);
+
+// Send one email, throwing when it cannot be sent
+const deliverEmail = async (options) => {
+  if (!smtpConfigured()) {
+    throw new Error('SMTP credentials are not configured');
+  }
+  const transporter = createTransporter();
+  await transporter.sendMail(options);
+};
+
 const sendEmail = async (options) => {
   try {
-    const smtpUser = process.env.SMTP_USER || '';
-    const smtpPass = process.env.SMTP_PASS || '';
-    
-    if (!smtpUser || !smtpPass) {
+    if (!smtpConfigured()) {
       console.warn('SMTP credentials are not configured. Email not sent.');
       return;
     }
     
-    const transporter = createTransporter();
-    await transporter.sendMail(options);
+    await deliverEmail(options);
   } catch (err) {
     console.error('Email send failed:', err.message);
   }
 };
 
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 const sendBookingEmail = async (booking, event) => {
   const qrImage = await buildQrCode(booking);
-  const eventDate = new Date(booking.eventDate).toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
-  });
-  const eventTime = booking.eventTime || 'TBA';
+  const { date: eventDate, time: eventTime } = formatEventTime(booking);
   const mailFrom = process.env.MAIL_FROM || 'no-reply@eventrix.local';
 
   const mailOptions = {
@@ -134,9 +166,11 @@ const sendBookingEmail = async (booking, event) => {
                                 <strong style="color: #333333;">Tickets:</strong>
                               </td>
                               <td style="color: #333333; font-size: 14px; text-align: right; padding: 8px 0; border-top: 1px solid #e0e0e0;">
-                                ${booking.numberOfTickets}
+                                ${formatTickets(booking)}
                               </td>
                             </tr>
+                            ${seatsRow(booking)}
+                            ${discountRow(booking)}
                             <tr>
                               <td style="color: #666666; font-size: 14px; padding: 8px 0; border-top: 2px solid #E03A3E;">
                                 <strong style="color: #E03A3E;">Total Amount:</strong>
@@ -203,13 +237,7 @@ const sendBookingEmail = async (booking, event) => {
 
 const sendWaitlistEmail = async (booking, event) => {
   const mailFrom = process.env.MAIL_FROM || 'no-reply@eventrix.local';
-  const eventDate = new Date(booking.eventDate).toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
-  });
-  const eventTime = booking.eventTime || 'TBA';
+  const { date: eventDate, time: eventTime } = formatEventTime(booking);
   
   const mailOptions = {
     from: mailFrom,
@@ -292,7 +320,7 @@ const sendWaitlistEmail = async (booking, event) => {
                                 <strong style="color: #333333;">Requested Tickets:</strong>
                               </td>
                               <td style="color: #333333; font-size: 14px; text-align: right; padding: 8px 0; border-top: 1px solid #e0e0e0;">
-                                ${booking.numberOfTickets}
+                                ${formatTickets(booking)}
                               </td>
                             </tr>
                           </table>
@@ -338,9 +366,215 @@ const sendWaitlistEmail = async (booking, event) => {
   await sendEmail(mailOptions);
 };
 
+// Tells a ticket holder their event was called off, why, and what they get back.
+// A failed send throws, so the outbox retries it.
+const sendEventCancelledEmail = async (booking, { reason, refundAmount = 0 } = {}) => {
+  const mailFrom = process.env.MAIL_FROM || 'no-reply@eventrix.local';
+  const { date: eventDate, time: eventTime } = formatEventTime(booking);
+
+  const reasonBox = reason ? `
+                    <div style="background-color: #FFF9E6; border-left: 4px solid #FFD520; padding: 20px; margin-bottom: 30px; border-radius: 4px;">
+                      <p style="margin: 0; font-size: 14px; color: #666666; text-transform: uppercase; letter-spacing: 1px;">
+                        Reason
+                      </p>
+                      <p style="margin: 5px 0 0; font-size: 16px; color: #333333; line-height: 1.6;">
+                        ${escapeHtml(reason)}
+                      </p>
+                    </div>` : '';
+
+  const refundBox = refundAmount > 0 ? `
+                    <div style="background-color: #FFF3CD; border: 1px solid #FFD520; border-radius: 4px; padding: 20px; margin-bottom: 20px;">
+                      <p style="margin: 0; color: #856404; font-size: 14px; line-height: 1.6;">
+                        <strong>Your refund</strong><br>
+                        We've refunded <strong>$${refundAmount}</strong> to your original payment method. You can follow it under Refund History in My Bookings.
+                      </p>
+                    </div>` : '';
+
+  const mailOptions = {
+    from: mailFrom,
+    to: booking.userEmail,
+    subject: `Event Cancelled - ${booking.eventTitle}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; font-family: 'Helvetica Neue', Arial, sans-serif; background-image: url('https://umd.edu/sites/default/files/styles/optimized/public/2021-09/aerial-view-of-mckeldin-mall.jpg'); background-size: cover; background-position: center; background-attachment: fixed;">
+        <table width="100%" cellpadding="0" cellspacing="0" style="background-color: rgba(255, 255, 255, 0.95); padding: 20px 0;">
+          <tr>
+            <td align="center">
+              <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 16px rgba(0,0,0,0.2);">
+                
+                <!-- Header -->
+                <tr>
+                  <td style="background-color: #FFD520; padding: 40px 30px; text-align: center;">
+                    <h1 style="margin: 0; color: #1a1a1a; font-size: 32px; font-weight: bold; text-shadow: 2px 2px 4px rgba(255,255,255,0.3);">
+                      Event Cancelled
+                    </h1>
+                  </td>
+                </tr>
+                
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 40px 30px;">
+                    <p style="margin: 0 0 20px; font-size: 18px; color: #333333;">
+                      Hi <strong style="color: #E03A3E;">${booking.userName}</strong>,
+                    </p>
+                    
+                    <p style="margin: 0 0 30px; font-size: 16px; color: #666666; line-height: 1.6;">
+                      We're sorry to let you know that <strong style="color: #E03A3E;">${booking.eventTitle}</strong> has been cancelled by the organizer. Your booking <strong>${booking.bookingReference}</strong> has been cancelled with it.
+                    </p>
+                    ${reasonBox}
+                    
+                    <!-- Event Details -->
+                    <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom: 30px;">
+                      <tr>
+                        <td style="padding: 15px; background-color: #f9f9f9; border-radius: 4px;">
+                          <table width="100%" cellpadding="8" cellspacing="0">
+                            <tr>
+                              <td style="color: #666666; font-size: 14px; padding: 8px 0;">
+                                <strong style="color: #333333;">Date:</strong>
+                              </td>
+                              <td style="color: #333333; font-size: 14px; text-align: right; padding: 8px 0;">
+                                ${eventDate}
+                              </td>
+                            </tr>
+                            <tr>
+                              <td style="color: #666666; font-size: 14px; padding: 8px 0; border-top: 1px solid #e0e0e0;">
+                                <strong style="color: #333333;">Time:</strong>
+                              </td>
+                              <td style="color: #333333; font-size: 14px; text-align: right; padding: 8px 0; border-top: 1px solid #e0e0e0;">
+                                ${eventTime}
+                              </td>
+                            </tr>
+                            <tr>
+                              <td style="color: #666666; font-size: 14px; padding: 8px 0; border-top: 1px solid #e0e0e0;">
+                                <strong style="color: #333333;">Venue:</strong>
+                              </td>
+                              <td style="color: #333333; font-size: 14px; text-align: right; padding: 8px 0; border-top: 1px solid #e0e0e0;">
+                                ${booking.eventVenue}
+                              </td>
+                            </tr>
+                            <tr>
+                              <td style="color: #666666; font-size: 14px; padding: 8px 0; border-top: 1px solid #e0e0e0;">
+                                <strong style="color: #333333;">Tickets:</strong>
+                              </td>
+                              <td style="color: #333333; font-size: 14px; text-align: right; padding: 8px 0; border-top: 1px solid #e0e0e0;">
+                                ${formatTickets(booking)}
+                              </td>
+                            </tr>${seatsRow(booking)}
+                          </table>
+                        </td>
+                      </tr>
+                    </table>
+                    ${refundBox}
+                    
+                    <p style="margin: 0; font-size: 14px; color: #999999; text-align: center; line-height: 1.6;">
+                      We apologise for the inconvenience.<br>
+                      We hope to see you at another event soon.
+                    </p>
+                  </td>
+                </tr>
+                
+                <!-- Footer -->
+                <tr>
+                  <td style="background-color: #1a1a1a; padding: 30px; text-align: center;">
+                    <p style="margin: 0; color: #FFD520; font-size: 20px; font-weight: bold;">
+                      EVENTRIX
+                    </p>
+                    <p style="margin: 10px 0 0; color: #999999; font-size: 12px;">
+                      Your premier event management platform
+                    </p>
+                  </td>
+                </tr>
+                
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `
+  };
+
+  if (!smtpConfigured()) {
+    console.warn('SMTP credentials are not configured. Email not sent.');
+    return;
+  }
+  await deliverEmail(mailOptions);
+};
+
+// An organizer's message to one attendee, already filled in for them. Unlike
+// the other emails this throws on failure, so the mailer can record it.
+const sendBroadcastEmail = async (to, { subject, body }) => {
+  const mailFrom = process.env.MAIL_FROM || 'no-reply@eventrix.local';
+  const paragraphs = body.split(/\n\s*\n/).map(paragraph => `
+                    <p style="margin: 0 0 20px; font-size: 16px; color: #333333; line-height: 1.6;">
+                      ${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}
+                    </p>`).join('');
+
+  await deliverEmail({
+    from: mailFrom,
+    to,
+    subject,
+    text: body,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; font-family: 'Helvetica Neue', Arial, sans-serif; background-color: #f4f4f4;">
+        <table width="100%" cellpadding="0" cellspacing="0" style="padding: 20px 0;">
+          <tr>
+            <td align="center">
+              <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 16px rgba(0,0,0,0.2);">
+                
+                <!-- Header -->
+                <tr>
+                  <td style="background-color: #FFD520; padding: 30px; text-align: center;">
+                    <h1 style="margin: 0; color: #1a1a1a; font-size: 26px; font-weight: bold;">
+                      ${escapeHtml(subject)}
+                    </h1>
+                  </td>
+                </tr>
+                
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 40px 30px 20px;">${paragraphs}
+                  </td>
+                </tr>
+                
+                <!-- Footer -->
+                <tr>
+                  <td style="background-color: #1a1a1a; padding: 30px; text-align: center;">
+                    <p style="margin: 0; color: #FFD520; font-size: 20px; font-weight: bold;">
+                      EVENTRIX
+                    </p>
+                    <p style="margin: 10px 0 0; color: #999999; font-size: 12px;">
+                      You are receiving this because you booked this event
+                    </p>
+                  </td>
+                </tr>
+                
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `
+  });
+};
+
 module.exports = {
   sendBookingEmail,
-  sendWaitlistEmail
+  sendWaitlistEmail,
+  sendEventCancelledEmail,
+  sendBroadcastEmail
 };
 
 
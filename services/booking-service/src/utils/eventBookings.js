@@ -0,0 +1,168 @@
+const Booking = require('../models/Booking');
+const Refund = require('../models/Refund');
+const SeatHold = require('../models/SeatHold');
+const { releasePromoCode } = require('./promoCodes');
+const { refundableAmount, issueRefund } = require('./refunds');
+const { enqueue } = require('./outbox');
+
+// Changes to an event that affect its bookings. Each is safe to run twice, as
+// they are driven both by the event bus and by event-service's HTTP calls.
+
+// Copy the event's details onto its bookings. Resolves how many changed.
+// Bookings already holding details at least as new are left alone, so edits
+// delivered out of order settle on the latest one.
+const syncEventDetails = async (eventId, details) => {
+  const { eventTitle, eventDate, eventVenue, eventTime, eventStartsAt: startsAt, eventTimezone, eventUpdatedAt } = details;
+
+  const $set = {
+    eventTitle,
+    eventDate,
+    eventVenue,
+    eventTime,
+    updatedAt: Date.now()
+  };
+  // Older event-service builds do not send a start instant
+  if (startsAt !== undefined) $set.eventStartsAt = startsAt;
+  if (eventTimezone !== undefined) $set.eventTimezone = eventTimezone;
+
+  const filter = { eventId };
+  // Older event-service builds do not say when the event changed either
+  if (eventUpdatedAt) {
+    $set.eventUpdatedAt = new Date(eventUpdatedAt);
+    filter.$or = [{ eventUpdatedAt: null }, { eventUpdatedAt: { $lt: $set.eventUpdatedAt } }];
+  }
+
+  const result = await Booking.updateMany(filter, { $set });
+  return result.modifiedCount;
+};
+
+// Refund what is left on a booking of an event the organizer called off.
+// Resolves everything refunded for the cancellation, counting an earlier
+// attempt, and throws when the payment provider refuses.
+const refundCancelledBooking = async (booking) => {
+  const amount = refundableAmount(booking);
+  if (amount > 0) {
+    const refund = await issueRefund(booking, {
+      amount,
+      reason: 'Event cancelled by the organizer',
+      type: 'event_cancelled',
+      policyPercent: 100
+    });
+    if (refund && refund.status === 'failed') {
+      throw new Error(`Refund for booking ${booking.bookingReference} failed: ${refund.failureReason}`);
+    }
+  }
+
+  const refunds = await Refund.find({ bookingId: String(booking._id), type: 'event_cancelled', status: 'succeeded' });
+  return refunds.reduce((sum, refund) => sum + refund.amount, 0);
+};
+
+// Let go of the seats held on an event the organizer called off, so nobody
+// pays for them afterwards. Holds mid-checkout are released by checkout once it
+// sees the event is cancelled.
+const releaseEventHolds = async (eventId, cancelledAt) => {
+  const filter = { eventId, status: 'active' };
+  if (cancelledAt) {
+    filter.createdAt = { $lte: new Date(cancelledAt) };
+  }
+  const holds = await SeatHold.find(filter);
+
+  for (const hold of holds) {
+    const released = await SeatHold.findOneAndUpdate(
+      { _id: hold._id, status: 'active' },
+      { $set: { status: 'released', updatedAt: Date.now() } },
+      { new: true }
+    );
+    if (released) {
+      await enqueue('release-seats', {
+        eventId,
+        numberOfTickets: hold.numberOfTickets,
+        ticketTypeId: hold.ticketTypeId,
+        seatLabels: hold.seatLabels || []
+      });
+    }
+  }
+};
+
+// Cancel every booking of an event the organizer called off, and tell each
+// ticket holder why. Its seat holds are released too. With cancelledAt,
+// bookings and holds made after it (once the event was restored) are left
+// alone. Resolves { count, refundedAmount }.
+// A booking is marked cancelled once its refund has gone through, and its
+// email is sent through the outbox so a failed send is retried on its own.
+// When a refund fails the rest are still handled, then the first error is
+// thrown so the cancellation is retried for the bookings left open.
+const cancelEventBookings = async (eventId, { reason, cancelledAt } = {}) => {
+  const filter = {
+    eventId,
+    bookingStatus: { $ne: 'cancelled' }
+  };
+  if (cancelledAt) {
+    filter.createdAt = { $lte: new Date(cancelledAt) };
+  }
+  await releaseEventHolds(eventId, cancelledAt);
+  const bookings = await Booking.find(filter);
+
+  // The organizer cancelled, so every paid booking gets its full remaining amount back
+  let count = 0;
+  let refundedAmount = 0;
+  let failure = null;
+  for (const booking of bookings) {
+    try {
+      const refunded = await refundCancelledBooking(booking);
+
+      // Bookings still being made or long expired have nobody to tell
+      const notify = ['confirmed', 'waitlisted'].includes(booking.bookingStatus);
+      booking.bookingStatus = 'cancelled';
+      booking.cancellationReason = reason || null;
+      booking.updatedAt = Date.now();
+      await booking.save();
+
+      count += 1;
+      refundedAmount += refunded;
+      if (notify) {
+        await enqueue('send-event-cancelled-email', { bookingId: String(booking._id), reason, refundAmount: refunded });
+      }
+    } catch (err) {
+      console.error(`Cancel booking ${booking._id} error:`, err.message);
+      failure = failure || err;
+    }
+  }
+
+  if (failure) {
+    throw failure;
+  }
+  return { count, refundedAmount };
+};
+
+// Close the waitlist of an event that has started. Resolves how many expired.
+const expireWaitlist = async (eventId) => {
+  const waitlisted = await Booking.find({ eventId, bookingStatus: 'waitlisted' });
+
+  let count = 0;
+  for (const booking of waitlisted) {
+    // A booking promoted since the query ran keeps its seats
+    const expired = await Booking.findOneAndUpdate(
+      { _id: booking._id, bookingStatus: 'waitlisted' },
+      { $set: { bookingStatus: 'expired', updatedAt: Date.now() } },
+      { new: true }
+    );
+    if (!expired) {
+      continue;
+    }
+
+    count += 1;
+    // The code was taken when the booking joined the waitlist but never paid for
+    if (expired.promoCode) {
+      await releasePromoCode(expired.promoCode, expired.userId);
+    }
+  }
+
+  return count;
+};
+
+module.exports = {
+  syncEventDetails,
+  cancelEventBookings,
+  expireWaitlist
+};
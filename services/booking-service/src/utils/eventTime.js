@@ -0,0 +1,47 @@
+// Events start at an instant (startsAt) and are shown in their own timezone.
+// Events and bookings saved before that was stored only have the event's
+// local day, so fall back to it.
+const eventStartsAt = (event) => new Date(event.startsAt || event.date);
+
+const bookingStartsAt = (booking) => new Date(booking.eventStartsAt || booking.eventDate);
+
+// The date and time of a booked event as its attendees read them locally,
+// e.g. { date: 'Sunday, March 10, 2030', time: '6:00 PM EDT' }
+const formatEventTime = (booking) => {
+  if (!booking.eventStartsAt) {
+    return {
+      date: new Date(booking.eventDate).toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+      }),
+      time: booking.eventTime || 'TBA'
+    };
+  }
+
+  const startsAt = new Date(booking.eventStartsAt);
+  const timeZone = booking.eventTimezone || 'UTC';
+  return {
+    date: startsAt.toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone
+    }),
+    time: startsAt.toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone,
+      timeZoneName: 'short'
+    })
+  };
+};
+
+module.exports = {
+  eventStartsAt,
+  bookingStartsAt,
+  formatEventTime
+};
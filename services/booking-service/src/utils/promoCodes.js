@@ -0,0 +1,115 @@
+const PromoCode = require('../models/PromoCode');
+const PromoCodeUse = require('../models/PromoCodeUse');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Money taken off a subtotal; never more than the subtotal itself
+const calculateDiscount = (promo, subtotal) => {
+  const discount = promo.discountType === 'percentage'
+    ? subtotal * promo.discountValue / 100
+    : promo.discountValue;
+  return roundCurrency(Math.min(Math.max(discount, 0), subtotal));
+};
+
+// Check a code against an order before any seats or money move.
+// Returns { error } or { promo, discountAmount }.
+const validatePromoCode = async (code, { eventId, userId, subtotal }, now = new Date()) => {
+  const normalized = normalizeCode(code);
+  const promo = normalized ? await PromoCode.findOne({ code: normalized }) : null;
+
+  if (!promo || !promo.active) {
+    return { error: 'Promo code is not valid' };
+  }
+
+  if (promo.expiresAt && new Date(promo.expiresAt) <= now) {
+    return { error: 'Promo code has expired' };
+  }
+
+  if (promo.eventId && String(promo.eventId) !== String(eventId)) {
+    return { error: 'Promo code does not apply to this event' };
+  }
+
+  if (promo.maxUses && promo.usesCount >= promo.maxUses) {
+    return { error: 'Promo code has reached its usage limit' };
+  }
+
+  if (promo.perUserLimit) {
+    const use = await PromoCodeUse.findOne({ code: promo.code, userId: String(userId) });
+    if (use && use.count >= promo.perUserLimit) {
+      return { error: 'You have already used this promo code' };
+    }
+  }
+
+  return { promo, discountAmount: calculateDiscount(promo, subtotal) };
+};
+
+// Give back one of a user's uses of a code
+const releaseUserUse = async (code, userId) => {
+  await PromoCodeUse.findOneAndUpdate(
+    { code, userId: String(userId), count: { $gt: 0 } },
+    { $inc: { count: -1 }, $set: { updatedAt: Date.now() } }
+  );
+};
+
+// Count one use, for the code and for the user redeeming it. Each cap is
+// checked in the same update that counts, so two checkouts at once cannot
+// both take the last use. Returns { error } or { promo }.
+const redeemPromoCode = async (promo, userId) => {
+  const useFilter = { code: promo.code, userId: String(userId) };
+  if (promo.perUserLimit) {
+    useFilter.count = { $lt: promo.perUserLimit };
+  }
+
+  try {
+    await PromoCodeUse.findOneAndUpdate(
+      useFilter,
+      { $inc: { count: 1 }, $set: { updatedAt: Date.now() } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // The user's counter exists but is already at the limit
+    if (err.code === 11000) {
+      return { error: 'You have already used this promo code' };
+    }
+    throw err;
+  }
+
+  const filter = { _id: promo._id, active: true };
+  if (promo.maxUses) {
+    filter.usesCount = { $lt: promo.maxUses };
+  }
+
+  const redeemed = await PromoCode.findOneAndUpdate(
+    filter,
+    { $inc: { usesCount: 1 }, $set: { updatedAt: Date.now() } },
+    { new: true }
+  );
+  if (!redeemed) {
+    await releaseUserUse(promo.code, userId);
+    return { error: 'Promo code has reached its usage limit' };
+  }
+  return { promo: redeemed };
+};
+
+// Hand a use back, e.g. when payment fails after the code was redeemed
+const releasePromoCode = async (code, userId) => {
+  try {
+    await PromoCode.findOneAndUpdate(
+      { code, usesCount: { $gt: 0 } },
+      { $inc: { usesCount: -1 }, $set: { updatedAt: Date.now() } }
+    );
+    await releaseUserUse(code, userId);
+  } catch (err) {
+    console.error('Failed to release promo code:', err.message);
+  }
+};
+
+module.exports = {
+  normalizeCode,
+  calculateDiscount,
+  validatePromoCode,
+  redeemPromoCode,
+  releasePromoCode
+};
@@ -0,0 +1,164 @@
+const Booking = require('../models/Booking');
+const Refund = require('../models/Refund');
+const { getPaymentProvider } = require('../payments');
+const { bookingStartsAt } = require('./eventTime');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Share of the paid amount returned on cancellation, by hours left before the event.
+// The first tier whose minimum is met applies.
+const REFUND_POLICY = [
+  { minHoursBefore: 7 * 24, percent: 100, label: 'more than 7 days before the event' },
+  { minHoursBefore: 48, percent: 75, label: 'between 48 hours and 7 days before the event' },
+  { minHoursBefore: 0, percent: 50, label: 'within 48 hours of the event' }
+];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Money the customer paid that has not been refunded yet
+const refundableAmount = (booking) => {
+  if (!['completed', 'partially_refunded'].includes(booking.paymentStatus)) {
+    return 0;
+  }
+  return roundCurrency(Math.max(0, (booking.totalAmount || 0) - (booking.refundedAmount || 0)));
+};
+
+const calculatePolicyRefund = (booking, now = new Date()) => {
+  const hoursBefore = (bookingStartsAt(booking).getTime() - now.getTime()) / HOUR_MS;
+  const tier = REFUND_POLICY.find(t => hoursBefore >= t.minHoursBefore);
+
+  if (!tier) {
+    return { percent: 0, amount: 0, label: 'after the event started' };
+  }
+
+  return {
+    percent: tier.percent,
+    amount: roundCurrency(refundableAmount(booking) * tier.percent / 100),
+    label: tier.label
+  };
+};
+
+const paymentStatusFor = (booking, refundedAmount) => {
+  if (refundedAmount <= 0) return 'completed';
+  return refundedAmount >= (booking.totalAmount || 0) ? 'refunded' : 'partially_refunded';
+};
+
+// Move an amount onto (or, when negative, back off) the booking's refunded total.
+// Each write only lands if the booking still has the total it was read with, so
+// concurrent refunds can never add up to more than was paid. Resolves the updated
+// booking, or null when there is no longer enough left to refund.
+const adjustRefundedAmount = async (booking, amount) => {
+  let current = booking;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    if (attempt > 0) {
+      current = await Booking.findById(booking._id);
+    }
+    if (!current || (amount > 0 && amount > refundableAmount(current))) {
+      return null;
+    }
+
+    const refundedAmount = roundCurrency(Math.max(0, (current.refundedAmount || 0) + amount));
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        paymentStatus: current.paymentStatus,
+        refundedAmount: current.refundedAmount || { $in: [0, null] }
+      },
+      { $set: { refundedAmount, paymentStatus: paymentStatusFor(current, refundedAmount), updatedAt: Date.now() } },
+      { new: true }
+    );
+    if (updated) {
+      booking.refundedAmount = updated.refundedAmount;
+      booking.paymentStatus = updated.paymentStatus;
+      booking.updatedAt = updated.updatedAt;
+      return updated;
+    }
+  }
+  throw new Error('Booking changed too often while its refund was recorded');
+};
+
+// Record a refund, send it to the payment provider and update the booking's payment status.
+// The amount is reserved on the booking first and handed back if the gateway fails.
+// Resolves null when the booking no longer has that much left to refund. Gateway
+// failures are stored on the refund rather than thrown.
+const issueRefund = async (booking, { amount, reason, type = 'cancellation', policyPercent = null, issuedBy = null }) => {
+  const gateway = getPaymentProvider();
+
+  if (!(await adjustRefundedAmount(booking, roundCurrency(amount)))) {
+    return null;
+  }
+
+  const refund = new Refund({
+    bookingId: String(booking._id),
+    bookingReference: booking.bookingReference,
+    userId: booking.userId,
+    eventId: booking.eventId,
+    amount: roundCurrency(amount),
+    reason,
+    type,
+    policyPercent,
+    provider: gateway.name,
+    issuedBy: issuedBy ? issuedBy._id : null,
+    issuedByName: issuedBy ? issuedBy.name : null
+  });
+  await refund.save();
+
+  try {
+    const result = await gateway.refund(booking.transactionId, refund.amount);
+    refund.status = 'succeeded';
+    refund.gatewayRefundId = result.refundId;
+  } catch (err) {
+    console.error('Refund error:', err.message);
+    refund.status = 'failed';
+    refund.failureReason = err.message;
+    await refund.save();
+    await adjustRefundedAmount(booking, -refund.amount);
+    return refund;
+  }
+  await refund.save();
+
+  return refund;
+};
+
+// Record a refund made at the payment provider rather than through issueRefund,
+// e.g. from its dashboard. A refund already recorded under the same provider
+// reference (including one this service issued) is not counted twice. Without
+// an amount everything left is taken as refunded. Resolves null when there is
+// nothing to record.
+const recordProviderRefund = async (booking, { amount, gatewayRefundId = null }) => {
+  if (gatewayRefundId) {
+    const existing = await Refund.findOne({ gatewayRefundId });
+    if (existing) {
+      return null;
+    }
+  }
+
+  const refundAmount = roundCurrency(Math.min(amount ?? Infinity, refundableAmount(booking)));
+  if (!(refundAmount > 0) || !(await adjustRefundedAmount(booking, refundAmount))) {
+    return null;
+  }
+
+  const refund = new Refund({
+    bookingId: String(booking._id),
+    bookingReference: booking.bookingReference,
+    userId: booking.userId,
+    eventId: booking.eventId,
+    amount: refundAmount,
+    reason: 'Refunded by the payment provider',
+    type: 'provider',
+    status: 'succeeded',
+    provider: getPaymentProvider().name,
+    gatewayRefundId
+  });
+  await refund.save();
+
+  return refund;
+};
+
+module.exports = {
+  REFUND_POLICY,
+  refundableAmount,
+  calculatePolicyRefund,
+  issueRefund,
+  recordProviderRefund
+};
@@ -0,0 +1,43 @@
+// Check the seats a buyer picked on an event with reserved seating. The event
+// snapshot is only a hint; the event-service claim is what actually decides.
+// Events without a seat map take no seats.
+// Returns { error, unavailableSeats? } or { seatLabels }.
+const resolveSeats = (event, seatLabels, numberOfTickets) => {
+  const seats = event.seats || [];
+
+  if (seats.length === 0) {
+    if (Array.isArray(seatLabels) && seatLabels.length > 0) {
+      return { error: 'This event does not have reserved seating' };
+    }
+    return { seatLabels: [] };
+  }
+
+  if (!Array.isArray(seatLabels) || seatLabels.length === 0) {
+    return { error: 'Choose your seats' };
+  }
+
+  if (seatLabels.length !== Number(numberOfTickets)) {
+    return { error: 'Choose one seat for each ticket' };
+  }
+
+  if (new Set(seatLabels).size !== seatLabels.length) {
+    return { error: 'The same seat is listed twice' };
+  }
+
+  const seatsByLabel = new Map(seats.map(seat => [seat.label, seat]));
+  const unknown = seatLabels.find(label => !seatsByLabel.has(label));
+  if (unknown) {
+    return { error: `Unknown seat ${unknown}` };
+  }
+
+  const unavailableSeats = seatLabels.filter(label => seatsByLabel.get(label).status !== 'available');
+  if (unavailableSeats.length > 0) {
+    return { error: 'Some of those seats are already taken', unavailableSeats };
+  }
+
+  return { seatLabels };
+};
+
+module.exports = {
+  resolveSeats
+};
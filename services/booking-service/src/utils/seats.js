@@ -0,0 +1,151 @@
+const axios = require('axios');
+const Booking = require('../models/Booking');
+const { serviceHeaders } = require('../middleware/serviceAuth');
+const { sendBookingEmail } = require('./email');
+const { chargeBooking } = require('../payments');
+const { publishBookingConfirmed } = require('./bookingEvents');
+
+const EVENT_SERVICE_URL = process.env.EVENT_SERVICE_URL || 'http://localhost:4002';
+
+// Claim seats through the event-service's atomic decrement. With a ticketTypeId the
+// seats come out of that tier, and availableSeats reports what is left in it.
+// With seatLabels those exact seats are claimed, marked held (for a seat hold) or booked.
+// Resolves { reserved: false } when there are not enough seats; rethrows any other failure.
+const reserveSeats = async (eventId, numberOfTickets, ticketTypeId, { seatLabels = [], hold = false } = {}) => {
+  try {
+    const url = `${EVENT_SERVICE_URL}/api/events/${eventId}/seats`;
+    const change = {
+      seatsToBook: numberOfTickets,
+      ...(ticketTypeId ? { ticketTypeId } : {}),
+      ...(seatLabels.length > 0 ? { seatLabels, hold } : {})
+    };
+    const seatResponse = await axios.patch(url, change, { headers: serviceHeaders('PATCH', url, change) });
+    const data = seatResponse?.data;
+    return { reserved: true, availableSeats: data?.ticketTypeAvailable ?? data?.availableSeats };
+  } catch (err) {
+    if (err.response?.status === 400) {
+      return {
+        reserved: false,
+        availableSeats: err.response.data?.availableSeats ?? 0,
+        unavailableSeats: err.response.data?.unavailableSeats || []
+      };
+    }
+    throw err;
+  }
+};
+
+// Give seats back to the event, e.g. when payment fails after they were reserved
+const releaseSeats = async (eventId, numberOfTickets, ticketTypeId, seatLabels = []) => {
+  try {
+    const url = `${EVENT_SERVICE_URL}/api/events/${eventId}/seats`;
+    const change = {
+      seatsToBook: -numberOfTickets,
+      ...(ticketTypeId ? { ticketTypeId } : {}),
+      ...(seatLabels.length > 0 ? { seatLabels } : {})
+    };
+    const seatResponse = await axios.patch(url, change, { headers: serviceHeaders('PATCH', url, change) });
+    return seatResponse.data?.availableSeats;
+  } catch (err) {
+    console.error('Failed to release event seats:', err.message);
+    return undefined;
+  }
+};
+
+// Turn a paid hold's seats from held into booked
+const confirmSeats = async (eventId, seatLabels = []) => {
+  if (seatLabels.length === 0) {
+    return;
+  }
+
+  try {
+    const url = `${EVENT_SERVICE_URL}/api/events/${eventId}/seats/confirm`;
+    await axios.patch(url, { seatLabels }, { headers: serviceHeaders('PATCH', url, { seatLabels }) });
+  } catch (err) {
+    console.error('Failed to confirm held seats:', err.message);
+  }
+};
+
+// Offer freed seats to the waitlist in order. Each ticket tier keeps its own
+// queue: once the first booking for a tier doesn't fit, later bookings for that
+// tier wait behind it, while bookings for other tiers can still go through.
+const promoteWaitlistIfPossible = async (eventId, availableSeatsHint) => {
+  try {
+    const eventResponse = await axios.get(`${EVENT_SERVICE_URL}/api/events/${eventId}`);
+    const event = eventResponse.data;
+    let availableSeats = typeof availableSeatsHint === 'number' ? availableSeatsHint : event.availableSeats;
+
+    // Reserved seating has no waitlist; buyers pick whichever seats are free
+    if (availableSeats <= 0 || (event.seats || []).length > 0) {
+      return;
+    }
+
+    const tierSeats = new Map((event.ticketTypes || []).map(t => [String(t._id), t.available]));
+    const seatsLeftFor = (booking) => (booking.ticketTypeId
+      ? Math.min(availableSeats, tierSeats.get(String(booking.ticketTypeId)) ?? 0)
+      : availableSeats);
+
+    const waitlistedBookings = await Booking.find({
+      eventId,
+      bookingStatus: 'waitlisted'
+    }).sort({ createdAt: 1 });
+
+    const blockedQueues = new Set();
+
+    for (const waitlisted of waitlistedBookings) {
+      const queue = waitlisted.ticketTypeId ? String(waitlisted.ticketTypeId) : null;
+      const tickets = waitlisted.numberOfTickets;
+
+      if (availableSeats <= 0) {
+        break;
+      }
+
+      if (blockedQueues.has(queue) || seatsLeftFor(waitlisted) < tickets) {
+        blockedQueues.add(queue);
+        continue;
+      }
+
+      // Claim the seats first; another booking may have taken them since the hint
+      const reservation = await reserveSeats(eventId, tickets, waitlisted.ticketTypeId);
+      if (!reservation.reserved) {
+        blockedQueues.add(queue);
+        continue;
+      }
+
+      availableSeats -= tickets;
+      if (queue) {
+        tierSeats.set(queue, reservation.availableSeats ?? tierSeats.get(queue) - tickets);
+      } else if (reservation.availableSeats !== undefined) {
+        availableSeats = reservation.availableSeats;
+      }
+
+      const payment = await chargeBooking(waitlisted);
+      if (payment.status !== 'captured') {
+        // Leave them on the waitlist and offer the seats to the next person
+        await releaseSeats(eventId, tickets, waitlisted.ticketTypeId);
+        availableSeats += tickets;
+        if (queue) {
+          tierSeats.set(queue, tierSeats.get(queue) + tickets);
+        }
+        continue;
+      }
+
+      waitlisted.bookingStatus = 'confirmed';
+      waitlisted.paymentStatus = 'completed';
+      waitlisted.transactionId = payment.transactionId;
+      waitlisted.paymentProvider = payment.provider;
+      await waitlisted.save();
+
+      await publishBookingConfirmed(waitlisted);
+      await sendBookingEmail(waitlisted, event);
+    }
+  } catch (err) {
+    console.error('Waitlist promotion failed:', err.message);
+  }
+};
+
+module.exports = {
+  reserveSeats,
+  releaseSeats,
+  confirmSeats,
+  promoteWaitlistIfPossible
+};
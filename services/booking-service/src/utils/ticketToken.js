@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { requireSecret } = require('./secrets');
+
+const TICKET_SIGNING_SECRET = requireSecret('TICKET_SIGNING_SECRET', 'dev-ticket-secret');
+
+const HEADER = { alg: 'HS256', typ: 'TICKET' };
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (data) => crypto
+  .createHmac('sha256', TICKET_SIGNING_SECRET)
+  .update(data)
+  .digest('base64url');
+
+// Ticket QR codes carry a compact JWS (header.payload.signature) signed with HMAC-SHA256,
+// so door staff can detect forged or edited tickets without a database lookup.
+const signTicket = (booking) => {
+  const payload = {
+    bookingReference: booking.bookingReference,
+    eventId: String(booking.eventId),
+    eventTitle: booking.eventTitle,
+    eventDate: booking.eventDate,
+    userEmail: booking.userEmail,
+    numberOfTickets: booking.numberOfTickets,
+    iat: Math.floor(Date.now() / 1000)
+  };
+
+  if (booking.seatLabels && booking.seatLabels.length > 0) {
+    payload.seatLabels = [...booking.seatLabels];
+  }
+
+  const signingInput = `${encode(HEADER)}.${encode(payload)}`;
+  return `${signingInput}.${sign(signingInput)}`;
+};
+
+// Returns the ticket payload when the signature checks out, otherwise null
+const verifyTicket = (token) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.trim().split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  try {
+    const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+    if (header.alg !== HEADER.alg || header.typ !== HEADER.typ) {
+      return null;
+    }
+
+    const expected = Buffer.from(sign(`${encodedHeader}.${encodedPayload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  signTicket,
+  verifyTicket
+};
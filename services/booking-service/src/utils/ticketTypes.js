@@ -0,0 +1,37 @@
+// Pick the ticket tier a buyer asked for and check it is on sale.
+// Events without tiers sell at event.price and ignore ticketTypeId.
+// Returns { error } or { ticketType, price, availableSeats }.
+const resolveTicketType = (event, ticketTypeId, now = new Date()) => {
+  const tiers = event.ticketTypes || [];
+
+  if (tiers.length === 0) {
+    return { ticketType: null, price: event.price, availableSeats: event.availableSeats };
+  }
+
+  if (!ticketTypeId) {
+    return { error: 'Choose a ticket type' };
+  }
+
+  const ticketType = tiers.find(t => String(t._id) === String(ticketTypeId));
+  if (!ticketType) {
+    return { error: 'Unknown ticket type' };
+  }
+
+  if (ticketType.salesStart && new Date(ticketType.salesStart) > now) {
+    return { error: `${ticketType.name} tickets are not on sale yet` };
+  }
+
+  if (ticketType.salesEnd && new Date(ticketType.salesEnd) <= now) {
+    return { error: `${ticketType.name} ticket sales have ended` };
+  }
+
+  return {
+    ticketType,
+    price: ticketType.price,
+    availableSeats: Math.min(event.availableSeats, ticketType.available)
+  };
+};
+
+module.exports = {
+  resolveTicketType
+};
@@ -0,0 +1,66 @@
+const { createMemoryBus } = require('../memoryBus');
+
+describe('in-memory event bus', () => {
+  test('delivers an event to every consumer of its type', async () => {
+    const bus = createMemoryBus();
+    const sync = jest.fn();
+    const audit = jest.fn();
+    const other = jest.fn();
+    bus.subscribe('event.updated', 'sync', sync);
+    bus.subscribe('event.updated', 'audit', audit);
+    bus.subscribe('event.cancelled', 'other', other);
+
+    const id = await bus.publish('event.updated', { eventId: 'evt1' });
+
+    expect(sync).toHaveBeenCalledWith({ eventId: 'evt1' }, expect.objectContaining({ id, type: 'event.updated' }));
+    expect(audit).toHaveBeenCalledTimes(1);
+    expect(other).not.toHaveBeenCalled();
+  });
+
+  test('does not deliver an event id a consumer already handled', async () => {
+    const bus = createMemoryBus();
+    const handler = jest.fn();
+    bus.subscribe('event.updated', 'sync', handler);
+
+    await bus.publish('event.updated', { eventId: 'evt1' }, { id: 'msg1' });
+    await bus.publish('event.updated', { eventId: 'evt1' }, { id: 'msg1' });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries failed deliveries without holding up other consumers', async () => {
+    const bus = createMemoryBus();
+    const flaky = jest.fn()
+      .mockRejectedValueOnce(new Error('Database busy'))
+      .mockResolvedValueOnce();
+    const steady = jest.fn();
+    bus.subscribe('booking.cancelled', 'flaky', flaky);
+    bus.subscribe('booking.cancelled', 'steady', steady);
+
+    await bus.publish('booking.cancelled', { bookingId: 'b1' });
+    expect(steady).toHaveBeenCalledTimes(1);
+
+    expect(await bus.drain()).toBe(1);
+    expect(flaky).toHaveBeenCalledTimes(2);
+    expect(await bus.drain()).toBe(0);
+  });
+
+  test('dead-letters a delivery that runs out of attempts', async () => {
+    const bus = createMemoryBus({ maxAttempts: 2 });
+    bus.subscribe('event.started', 'expire', jest.fn().mockRejectedValue(new Error('Still failing')));
+
+    const id = await bus.publish('event.started', { eventId: 'evt1' });
+    await bus.drain();
+    await bus.drain();
+
+    expect(bus.deadLetters()).toEqual([
+      expect.objectContaining({
+        eventId: id,
+        type: 'event.started',
+        consumer: 'expire',
+        attempts: 2,
+        lastError: 'Still failing'
+      })
+    ]);
+  });
+});
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+// In-process bus for tests and single-process development. Publishing hands
+// the event to every subscriber straight away; failed deliveries wait for
+// drain() and are dead-lettered after maxAttempts.
+const createMemoryBus = ({ maxAttempts = 10 } = {}) => {
+  const subscriptions = [];
+  const retries = [];
+  const handled = new Set();
+  const deadLetters = [];
+
+  // Resolves true once the consumer has handled the event
+  const attempt = async (delivery) => {
+    const { event, subscription } = delivery;
+    const key = `${event.id}:${subscription.consumer}`;
+    if (handled.has(key)) {
+      return true;
+    }
+
+    try {
+      await subscription.handler(event.payload, event);
+      handled.add(key);
+      return true;
+    } catch (err) {
+      delivery.attempts += 1;
+      delivery.lastError = err.message;
+      if (delivery.attempts >= maxAttempts) {
+        deadLetters.push({
+          eventId: event.id,
+          type: event.type,
+          payload: event.payload,
+          consumer: subscription.consumer,
+          attempts: delivery.attempts,
+          lastError: err.message,
+          failedAt: new Date()
+        });
+      } else {
+        retries.push(delivery);
+      }
+      return false;
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async publish(type, payload, { id } = {}) {
+      const event = { id: id || crypto.randomUUID(), type, payload, publishedAt: new Date() };
+      for (const subscription of subscriptions.filter(s => s.type === type)) {
+        await attempt({ event, subscription, attempts: 0 });
+      }
+      return event.id;
+    },
+
+    subscribe(type, consumer, handler) {
+      subscriptions.push({ type, consumer, handler });
+    },
+
+    async start() {},
+
+    async stop() {},
+
+    // Retry every failed delivery once. Resolves how many went through.
+    async drain() {
+      let delivered = 0;
+      for (const delivery of retries.splice(0)) {
+        if (await attempt(delivery)) {
+          delivered += 1;
+        }
+      }
+      return delivered;
+    },
+
+    deadLetters() {
+      return [...deadLetters];
+    }
+  };
+};
+
+module.exports = { createMemoryBus };
@@ -0,0 +1,129 @@
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+jest.mock('../../models/Event', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+const axios = require('axios');
+const Event = require('../../models/Event');
+const { reconcileSeats } = require('../seatReconciler');
+
+describe('reconcileSeats', () => {
+  const updatedAt = new Date('2030-03-10T19:00:00.000Z');
+
+  const event = (overrides) => ({
+    _id: 'evt1',
+    capacity: 100,
+    availableSeats: 90,
+    ticketTypes: [],
+    seats: [],
+    version: 7,
+    updatedAt,
+    ...overrides
+  });
+
+  const usage = (overrides) => ({
+    data: { tickets: 10, ticketTypes: {}, bookedSeats: [], heldSeats: [], ...overrides }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Event.findOneAndUpdate.mockImplementation(async (filter, { $set }) => ({ ...filter, ...$set }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('leaves events that agree with their bookings alone', async () => {
+    Event.find.mockResolvedValue([event()]);
+    axios.get.mockResolvedValue(usage());
+
+    const result = await reconcileSeats();
+
+    expect(result).toEqual({ checked: 1, fixed: 0 });
+    expect(Event.find).toHaveBeenCalledWith({ status: { $in: ['upcoming', 'ongoing'] } });
+    expect(axios.get).toHaveBeenCalledWith(
+      expect.stringContaining('/api/bookings/event/evt1/seat-usage'),
+      { headers: expect.objectContaining({ 'X-Service-Signature': expect.any(String) }) }
+    );
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('fixes drift only once two runs in a row see it', async () => {
+    const drifted = event({
+      _id: 'evt2',
+      availableSeats: 84,
+      ticketTypes: [{ _id: 'vip', name: 'VIP', quantity: 20, available: 14 }]
+    });
+    Event.find.mockResolvedValue([drifted]);
+    axios.get.mockResolvedValue(usage({ ticketTypes: { vip: 4 } }));
+
+    expect(await reconcileSeats()).toEqual({ checked: 1, fixed: 0 });
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+
+    expect(await reconcileSeats()).toEqual({ checked: 1, fixed: 1 });
+    expect(Event.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'evt2', version: 7 },
+      {
+        $set: {
+          availableSeats: 90,
+          ticketTypes: [{ _id: 'vip', name: 'VIP', quantity: 20, available: 16 }],
+          updatedAt: expect.any(Number)
+        },
+        $inc: { version: 1 }
+      },
+      { new: true }
+    );
+  });
+
+  test('waits again when the event changed between runs', async () => {
+    Event.find.mockResolvedValueOnce([event({ _id: 'evt3', availableSeats: 80 })]);
+    Event.find.mockResolvedValueOnce([event({ _id: 'evt3', availableSeats: 79, version: 8 })]);
+    axios.get.mockResolvedValue(usage());
+
+    await reconcileSeats();
+    const result = await reconcileSeats();
+
+    expect(result.fixed).toBe(0);
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('puts named seats back in the state the bookings and holds say', async () => {
+    const seated = event({
+      _id: 'evt4',
+      capacity: 3,
+      availableSeats: 1,
+      seats: [
+        { label: 'Stalls A-1', status: 'booked' },
+        { label: 'Stalls A-2', status: 'booked' },
+        { label: 'Stalls A-3', status: 'available' }
+      ]
+    });
+    Event.find.mockResolvedValue([seated]);
+    axios.get.mockResolvedValue(usage({ tickets: 2, bookedSeats: ['Stalls A-1'], heldSeats: ['Stalls A-3'] }));
+
+    await reconcileSeats();
+    await reconcileSeats();
+
+    const { $set } = Event.findOneAndUpdate.mock.calls[0][1];
+    expect($set.availableSeats).toBeUndefined();
+    expect($set.seats.map(seat => seat.status)).toEqual(['booked', 'available', 'held']);
+  });
+
+  test('skips events whose bookings cannot be fetched', async () => {
+    Event.find.mockResolvedValue([event({ _id: 'evt5', availableSeats: 50 })]);
+    axios.get.mockRejectedValue(new Error('Booking service down'));
+
+    await reconcileSeats();
+    const result = await reconcileSeats();
+
+    expect(result).toEqual({ checked: 1, fixed: 0 });
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('../../models/Event', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+jest.mock('../../models/OutboxMessage', () => {
+  let created = 0;
+
+  function OutboxMessage(data) {
+    Object.assign(this, { _id: `msg${++created}`, status: 'pending', attempts: 0 }, data);
+  }
+
+  OutboxMessage.prototype.save = jest.fn().mockResolvedValue(undefined);
+
+  return OutboxMessage;
+});
+
+const Event = require('../../models/Event');
+const { setEventBus } = require('../../eventBus');
+const { createMemoryBus } = require('../../eventBus/memoryBus');
+const { updateEventStatuses } = require('../statusScheduler');
+
+describe('updateEventStatuses', () => {
+  const now = new Date('2030-03-10T20:00:00.000Z');
+  let started;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    started = jest.fn();
+    const bus = createMemoryBus();
+    bus.subscribe('event.started', 'test.started', started);
+    setEventBus(bus);
+    Event.updateMany.mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const due = (ids) => {
+    Event.find.mockReturnValue({ lean: jest.fn().mockResolvedValue(ids.map(_id => ({ _id }))) });
+  };
+
+  test('starts events whose start time has passed and expires their waitlists', async () => {
+    due(['evt1', 'evt2']);
+    Event.findOneAndUpdate.mockImplementation(async ({ _id }) => ({ _id, status: 'ongoing' }));
+
+    const result = await updateEventStatuses(now);
+
+    expect(result).toEqual({ started: 2, completed: 0 });
+    expect(Event.find).toHaveBeenCalledWith({ status: 'upcoming', startsAt: { $lte: now } }, { _id: 1 });
+    expect(Event.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'evt1', status: 'upcoming', startsAt: { $lte: now } },
+      { $set: expect.objectContaining({ status: 'ongoing' }), $inc: { version: 1 } },
+      { new: true }
+    );
+    expect(started.mock.calls.map(([payload]) => payload)).toEqual([{ eventId: 'evt1' }, { eventId: 'evt2' }]);
+  });
+
+  test('completes ongoing events at their end time, or after the default length', async () => {
+    due([]);
+    Event.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+    const result = await updateEventStatuses(now);
+
+    expect(result).toEqual({ started: 0, completed: 3 });
+    expect(Event.updateMany).toHaveBeenCalledWith(
+      {
+        status: 'ongoing',
+        $or: [
+          { endsAt: { $ne: null, $lte: now } },
+          { endsAt: null, startsAt: { $lte: new Date('2030-03-10T18:00:00.000Z') } }
+        ]
+      },
+      { $set: expect.objectContaining({ status: 'completed' }), $inc: { version: 1 } }
+    );
+  });
+
+  test('skips events that changed in the meantime and survives an event bus outage', async () => {
+    due(['evt1', 'evt2']);
+    Event.findOneAndUpdate
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ _id: 'evt2', status: 'ongoing' });
+    const publish = jest.fn().mockRejectedValue(new Error('Bus down'));
+    setEventBus({ publish });
+
+    const result = await updateEventStatuses(now);
+
+    expect(result.started).toBe(1);
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect(publish).toHaveBeenCalledWith('event.started', { eventId: 'evt2' }, { id: expect.any(String) });
+  });
+});
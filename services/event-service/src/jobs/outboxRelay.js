@@ -0,0 +1,17 @@
+const { processOutbox } = require('../utils/outbox');
+
+const OUTBOX_INTERVAL_MS = parseInt(process.env.OUTBOX_INTERVAL_MS || '15000', 10);
+
+const startOutboxRelay = (intervalMs = OUTBOX_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    processOutbox().catch(err => {
+      console.error('Outbox relay failed:', err.message);
+    });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startOutboxRelay
+};
@@ -0,0 +1,104 @@
+const Event = require('../models/Event');
+const { fetchSeatUsage } = require('../utils/seatUsage');
+
+const SEAT_RECONCILE_INTERVAL_MS = parseInt(process.env.SEAT_RECONCILE_INTERVAL_MS || '600000', 10);
+
+// Drift seen on the last run, by event. Seats move while a booking is being
+// made, so a difference is only fixed once two runs in a row see the same one
+// with the event untouched in between.
+const suspectedDrift = new Map();
+
+// The seat counts an event should have given what booking-service accounts for.
+// Returns the fields that differ, or null when the event is in agreement.
+const seatCorrections = (event, usage) => {
+  const corrections = {};
+
+  const availableSeats = Math.max(0, event.capacity - usage.tickets);
+  if (event.availableSeats !== availableSeats) {
+    corrections.availableSeats = availableSeats;
+  }
+
+  const tiers = (event.ticketTypes || []).map(tier => ({
+    ...(tier.toObject ? tier.toObject() : tier),
+    available: Math.max(0, tier.quantity - (usage.ticketTypes[String(tier._id)] || 0))
+  }));
+  if (tiers.some((tier, i) => tier.available !== event.ticketTypes[i].available)) {
+    corrections.ticketTypes = tiers;
+  }
+
+  const booked = new Set(usage.bookedSeats);
+  const held = new Set(usage.heldSeats);
+  const seats = (event.seats || []).map(seat => {
+    let status = 'available';
+    if (booked.has(seat.label)) {
+      status = 'booked';
+    } else if (held.has(seat.label)) {
+      status = 'held';
+    }
+    return { ...(seat.toObject ? seat.toObject() : seat), status };
+  });
+  if (seats.some((seat, i) => seat.status !== event.seats[i].status)) {
+    corrections.seats = seats;
+  }
+
+  return Object.keys(corrections).length > 0 ? corrections : null;
+};
+
+// Compare every event still selling against the bookings and holds made for
+// it, and correct the ones whose seat counts have drifted
+const reconcileSeats = async () => {
+  const events = await Event.find({ status: { $in: ['upcoming', 'ongoing'] } });
+  let fixed = 0;
+
+  for (const event of events) {
+    const eventId = String(event._id);
+    let usage;
+    try {
+      usage = await fetchSeatUsage(eventId);
+    } catch (bookingErr) {
+      console.error('Failed to fetch seat usage:', bookingErr.message);
+      continue;
+    }
+
+    const corrections = seatCorrections(event, usage);
+    if (!corrections) {
+      suspectedDrift.delete(eventId);
+      continue;
+    }
+
+    const seen = JSON.stringify({ version: event.version, corrections });
+    if (suspectedDrift.get(eventId) !== seen) {
+      suspectedDrift.set(eventId, seen);
+      continue;
+    }
+    suspectedDrift.delete(eventId);
+
+    // Skip the event if any seats moved since it was read
+    const corrected = await Event.findOneAndUpdate(
+      { _id: event._id, version: event.version || { $in: [0, null] } },
+      { $set: { ...corrections, updatedAt: Date.now() }, $inc: { version: 1 } },
+      { new: true }
+    );
+    if (corrected) {
+      fixed += 1;
+      console.log(`Corrected seat counts for event ${eventId}: ${event.availableSeats} -> ${corrected.availableSeats} available`);
+    }
+  }
+
+  return { checked: events.length, fixed };
+};
+
+const startSeatReconciler = (intervalMs = SEAT_RECONCILE_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    reconcileSeats().catch(err => {
+      console.error('Seat reconciliation failed:', err.message);
+    });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  reconcileSeats,
+  startSeatReconciler
+};
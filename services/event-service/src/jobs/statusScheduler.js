@@ -0,0 +1,59 @@
+const Event = require('../models/Event');
+const { DEFAULT_DURATION_MS } = require('../utils/eventTime');
+const { publishEventStarted } = require('../utils/domainEvents');
+
+const STATUS_INTERVAL_MS = parseInt(process.env.EVENT_STATUS_INTERVAL_MS || '60000', 10);
+
+// Events that have finished: past their end time, or past the default length
+// when they have none
+const endedBy = (now) => ({
+  $or: [
+    { endsAt: { $ne: null, $lte: now } },
+    { endsAt: null, startsAt: { $lte: new Date(now.getTime() - DEFAULT_DURATION_MS) } }
+  ]
+});
+
+// Move events along upcoming -> ongoing -> completed by the clock. Each move
+// is conditional on the status it moves from, so cancelled events and
+// admin edits made in the meantime are never overwritten.
+const updateEventStatuses = async (now = new Date()) => {
+  const starting = await Event.find({ status: 'upcoming', startsAt: { $lte: now } }, { _id: 1 }).lean();
+  let started = 0;
+
+  for (const { _id } of starting) {
+    const event = await Event.findOneAndUpdate(
+      { _id, status: 'upcoming', startsAt: { $lte: now } },
+      { $set: { status: 'ongoing', updatedAt: Date.now() }, $inc: { version: 1 } },
+      { new: true }
+    );
+    if (!event) {
+      continue;
+    }
+
+    started += 1;
+    // Nobody on the waitlist can get in once the event has started
+    await publishEventStarted(event._id);
+  }
+
+  const result = await Event.updateMany(
+    { status: 'ongoing', ...endedBy(now) },
+    { $set: { status: 'completed', updatedAt: Date.now() }, $inc: { version: 1 } }
+  );
+
+  return { started, completed: result.modifiedCount || 0 };
+};
+
+const startStatusScheduler = (intervalMs = STATUS_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    updateEventStatuses().catch(err => {
+      console.error('Event status update failed:', err.message);
+    });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  updateEventStatuses,
+  startStatusScheduler
+};
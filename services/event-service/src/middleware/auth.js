@@ -1,40 +1,148 @@
+const crypto = require('crypto');
 const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { serviceHeaders } = require('./serviceAuth');
 
 const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://localhost:4001';
+const JWKS_CACHE_MS = parseInt(process.env.JWKS_CACHE_MS || '600000', 10);
+const REVOCATION_REFRESH_MS = parseInt(process.env.REVOCATION_REFRESH_MS || '15000', 10);
+// Floor between key set fetches so tokens with unknown key ids can't flood auth-service
+const JWKS_MIN_REFETCH_MS = 30000;
 
-// Middleware to verify JWT token with auth-service
-const verifyToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
+const keyCache = { keys: new Map(), fetchedAt: 0, attemptedAt: 0, pending: null };
+const revocationCache = { sessionIds: new Set(), checkedAt: 0, pending: null };
 
-    // Call auth-service to verify token
-    const response = await axios.get(`${AUTH_SERVICE_URL}/api/auth/verify`, {
-      headers: { Authorization: `Bearer ${token}` }
-    });
+const fetchSigningKeys = () => {
+  if (!keyCache.pending) {
+    keyCache.attemptedAt = Date.now();
+    keyCache.pending = axios.get(`${AUTH_SERVICE_URL}/.well-known/jwks.json`)
+      .then(response => {
+        const keys = new Map();
+        for (const jwk of response.data.keys || []) {
+          if (jwk.kid && jwk.kty === 'RSA') {
+            keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+          }
+        }
+        keyCache.keys = keys;
+        keyCache.fetchedAt = Date.now();
+      })
+      .finally(() => {
+        keyCache.pending = null;
+      });
+  }
+  return keyCache.pending;
+};
+
+// Look up the public key for a token's "kid", refreshing the cached key set when it is
+// stale or the key is new to us (auth-service rotated its key)
+const getSigningKey = async (kid) => {
+  const now = Date.now();
+  const shouldRefresh = keyCache.keys.size === 0 || (
+    now - keyCache.attemptedAt >= JWKS_MIN_REFETCH_MS &&
+    (!keyCache.keys.has(kid) || now - keyCache.fetchedAt >= JWKS_CACHE_MS)
+  );
 
-    if (response.data.valid) {
-      req.user = response.data.user;
-      next();
-    } else {
-      return res.status(401).json({ error: 'Invalid token' });
+  if (shouldRefresh) {
+    try {
+      await fetchSigningKeys();
+    } catch (err) {
+      if (keyCache.keys.size === 0) {
+        throw err;
+      }
+      // Keep verifying with the keys we already have until auth-service is back
+      console.error('JWKS refresh error:', err.message);
     }
+  }
+
+  return keyCache.keys.get(kid);
+};
+
+// Revoked sessions are polled rather than checked per request. If auth-service is
+// unreachable the last known list stays in use.
+const refreshRevocations = () => {
+  if (Date.now() - revocationCache.checkedAt < REVOCATION_REFRESH_MS) {
+    return Promise.resolve();
+  }
+
+  if (!revocationCache.pending) {
+    const url = `${AUTH_SERVICE_URL}/api/auth/revocations`;
+    revocationCache.pending = axios.get(url, { headers: serviceHeaders('GET', url) })
+      .then(response => {
+        revocationCache.sessionIds = new Set(response.data.sessionIds || []);
+      })
+      .catch(err => {
+        console.error('Revocation list refresh error:', err.message);
+      })
+      .finally(() => {
+        revocationCache.checkedAt = Date.now();
+        revocationCache.pending = null;
+      });
+  }
+  return revocationCache.pending;
+};
+
+// Middleware to verify the JWT locally against auth-service's published keys
+const verifyToken = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  const header = jwt.decode(token, { complete: true })?.header;
+  if (!header || !header.kid) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  let key;
+  try {
+    key = await getSigningKey(header.kid);
   } catch (err) {
     console.error('Token verification error:', err.message);
     return res.status(401).json({ error: 'Authentication failed' });
   }
+
+  let decoded;
+  try {
+    if (!key) {
+      throw new Error(`Unknown signing key ${header.kid}`);
+    }
+    decoded = jwt.verify(token, key, { algorithms: ['RS256'] });
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid token', details: err.message });
+  }
+
+  await refreshRevocations();
+  if (!decoded.sid || revocationCache.sessionIds.has(decoded.sid)) {
+    return res.status(401).json({ error: 'Session has expired or was revoked' });
+  }
+
+  req.user = {
+    _id: decoded.id,
+    name: decoded.name,
+    email: decoded.email,
+    role: decoded.role,
+    mfa: decoded.mfa === true
+  };
+  next();
 };
 
-// Middleware to check if user is admin
+// Middleware to check if user is admin. The token must also show the admin passed 2FA
+// when signing in, since these routes cancel events (refunding every booking),
+// restore them and purge them.
 const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
+  if (!req.user || req.user.role !== 'admin') {
     return res.status(403).json({ error: 'Access denied. Admin only.' });
   }
+
+  if (!req.user.mfa) {
+    return res.status(403).json({
+      error: 'Two-factor authentication is required for admin actions',
+      code: 'MFA_REQUIRED'
+    });
+  }
+
+  next();
 };
 
-module.exports = { verifyToken, isAdmin };
\ No newline at end of file
+module.exports = { verifyToken, isAdmin };
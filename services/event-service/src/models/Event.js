@@ -1,4 +1,53 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimezone, resolveSchedule } = require('../utils/eventTime');
+
+// A priced tier with its own quota and optional sale window
+const ticketTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Ticket type name is required'],
+    trim: true,
+    maxlength: [50, 'Ticket type name cannot exceed 50 characters']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Ticket type price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Ticket type quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  available: {
+    type: Number,
+    default: 0
+  },
+  salesStart: {
+    type: Date,
+    default: null
+  },
+  salesEnd: {
+    type: Date,
+    default: null
+  }
+});
+
+// One assigned seat, copied from a venue layout when it is attached to the event
+const seatSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Seat label is required']
+  },
+  section: String,
+  row: String,
+  number: Number,
+  status: {
+    type: String,
+    enum: ['available', 'held', 'booked'],
+    default: 'available'
+  }
+}, { _id: false });
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -23,9 +72,19 @@ const eventSchema = new mongoose.Schema({
     required: [true, 'Venue is required'],
     trim: true
   },
+  // Local calendar day (at UTC midnight) and "HH:mm" time in the event's
+  // timezone, derived from startsAt
   date: {
     type: Date,
-    required: [true, 'Event date is required'],
+    required: [true, 'Event date is required']
+  },
+  time: {
+    type: String,
+    required: [true, 'Event time is required']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Event start time is required'],
     validate: {
       validator: function(value) {
         return value > new Date();
@@ -33,9 +92,17 @@ const eventSchema = new mongoose.Schema({
       message: 'Event date must be in the future'
     }
   },
-  time: {
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  timezone: {
     type: String,
-    required: [true, 'Event time is required']
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Unknown timezone'
+    }
   },
   capacity: {
     type: Number,
@@ -63,16 +130,54 @@ const eventSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  ticketTypes: {
+    type: [ticketTypeSchema],
+    default: []
+  },
+  venueId: {
+    type: String,
+    default: null
+  },
+  seats: {
+    type: [seatSchema],
+    default: []
+  },
+  // Set on occurrences of a recurring event
+  seriesId: {
+    type: String,
+    default: null
+  },
   status: {
     type: String,
     enum: ['upcoming', 'ongoing', 'completed', 'cancelled'],
     default: 'upcoming'
   },
+  // Why and when an admin cancelled the event; cleared if it is restored
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters'],
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: String,
+    default: null
+  },
   createdBy: {
     type: String,
     required: true,
     default: 'system'
   },
+  // Bumped by every write, so an edit can tell whether the event changed since
+  // it was read. Timestamps cannot, as two writes can land in the same millisecond.
+  version: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -83,10 +188,24 @@ const eventSchema = new mongoose.Schema({
   }
 });
 
+// Events saved with only a local date and time get their start instant from them
+eventSchema.pre('validate', function(next) {
+  if (!this.startsAt && this.date && this.time) {
+    const schedule = resolveSchedule({ date: this.date, time: this.time, timezone: this.timezone });
+    if (!schedule.error) {
+      Object.assign(this, schedule);
+    }
+  }
+  next();
+});
+
 // Update availableSeats and set category-specific image on save
 eventSchema.pre('save', function(next) {
   if (this.isNew) {
     this.availableSeats = this.capacity;
+    this.ticketTypes.forEach(tier => {
+      tier.available = tier.quantity;
+    });
     
     // Set category-specific placeholder if no image provided
     if (!this.imageUrl || this.imageUrl === 'https://via.placeholder.com/400x300?text=Event+Image') {
@@ -110,6 +229,8 @@ eventSchema.pre('save', function(next) {
 eventSchema.index({ title: 'text', description: 'text' }); // Full-text search index
 eventSchema.index({ category: 1 }); // Category search
 eventSchema.index({ date: 1 }); // Date sorting
+eventSchema.index({ startsAt: 1 }); // Start time sorting
 eventSchema.index({ status: 1 }); // Status filtering
+eventSchema.index({ seriesId: 1, date: 1 }); // Series occurrences
 
 module.exports = mongoose.model('Event', eventSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// How a series repeats. Exactly one of count or until ends it.
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    required: [true, 'Recurrence frequency is required'],
+    enum: ['daily', 'weekly', 'monthly']
+  },
+  interval: {
+    type: Number,
+    min: [1, 'Interval must be at least 1'],
+    default: 1
+  },
+  weekdays: {
+    type: [Number],
+    default: []
+  },
+  count: {
+    type: Number,
+    default: null
+  },
+  until: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// A repeating event. Every occurrence is an ordinary Event carrying the
+// series' id, so each one is booked, edited and cancelled on its own.
+const eventSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Series title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Series start date is required']
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    required: true
+  },
+  // Skipped days, as YYYY-MM-DD
+  exceptions: {
+    type: [String],
+    default: []
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    default: 'system'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+eventSeriesSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
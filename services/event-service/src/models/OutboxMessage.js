@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A domain event that must reach the event bus, such as an event being
+// cancelled. Written once the change it announces is saved, as a separate
+// write rather than in one transaction with it, and retried by the outbox
+// relay until it is published or runs out of attempts.
+const outboxMessageSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Message type is required']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+outboxMessageSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// The relay scans pending messages by when they are next due
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
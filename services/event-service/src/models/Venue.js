@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A row of numbered seats, e.g. row "B" with seats 1-20
+const rowSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Row label is required'],
+    trim: true,
+    maxlength: [10, 'Row label cannot exceed 10 characters']
+  },
+  seats: {
+    type: Number,
+    required: [true, 'Seat count is required'],
+    min: [1, 'A row needs at least 1 seat'],
+    max: [200, 'A row cannot have more than 200 seats']
+  }
+}, { _id: false });
+
+const sectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Section name is required'],
+    trim: true,
+    maxlength: [50, 'Section name cannot exceed 50 characters']
+  },
+  rows: {
+    type: [rowSchema],
+    default: []
+  }
+}, { _id: false });
+
+// A reusable seat map (sections, rows and seats) that admins attach to events
+const venueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Venue name is required'],
+    trim: true,
+    maxlength: [100, 'Venue name cannot exceed 100 characters']
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  sections: {
+    type: [sectionSchema],
+    default: []
+  },
+  capacity: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    default: 'system'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+venueSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Venue', venueSchema);
@@ -32,6 +32,8 @@ jest.mock('../../models/Event', () => {
     findById: jest.fn(),
     findByIdAndUpdate: jest.fn(),
     findByIdAndDelete: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    findOneAndDelete: jest.fn(),
     aggregate: jest.fn(),
   };
 
@@ -58,6 +60,7 @@ jest.mock('../../models/Feedback', () => {
     aggregate: jest.fn(),
     findById: jest.fn(),
     findByIdAndDelete: jest.fn(),
+    deleteMany: jest.fn(),
     create: jest.fn(),
   };
 
@@ -78,15 +81,57 @@ jest.mock('../../models/Feedback', () => {
   return Feedback;
 });
 
+jest.mock('../../models/Venue', () => ({
+  findById: jest.fn(),
+}));
+
+jest.mock('../../models/OutboxMessage', () => {
+  let created = 0;
+
+  function OutboxMessage(data) {
+    Object.assign(this, { _id: `msg${++created}`, status: 'pending', attempts: 0 }, data);
+  }
+
+  OutboxMessage.prototype.save = jest.fn().mockResolvedValue(undefined);
+
+  return OutboxMessage;
+});
+
 // --- Imports after mocks ---
 
 const axios = require('axios');
+const { serviceHeaders } = require('../../middleware/serviceAuth');
+const { setEventBus } = require('../../eventBus');
+const { createMemoryBus } = require('../../eventBus/memoryBus');
 const eventsRouter = require('../events');
 const Event = require('../../models/Event');
 const Feedback = require('../../models/Feedback');
+const Venue = require('../../models/Venue');
+const OutboxMessage = require('../../models/OutboxMessage');
 
 // --- Helpers ---
 
+// Collects the domain events published for booking-service
+const recordBus = () => {
+  const bus = createMemoryBus();
+  const published = [];
+  ['event.updated', 'event.cancelled', 'event.started'].forEach(type => {
+    bus.subscribe(type, `test.${type}`, (payload) => {
+      published.push({ type, payload });
+    });
+  });
+  setEventBus(bus);
+  return published;
+};
+
+const busDown = () => setEventBus({ publish: jest.fn().mockRejectedValue(new Error('Bus down')) });
+
+// Internal routes only answer requests signed by another service
+const internalPatch = (app, url, body) => {
+  const req = request(app).patch(url).set(serviceHeaders('PATCH', url, body));
+  return body === undefined ? req : req.send(body);
+};
+
 const buildApp = () => {
   const app = express();
   app.use(express.json());
@@ -116,11 +161,15 @@ const VALID_EVENT_ID = '507f1f77bcf86cd799439011';
 
 describe('Event routes', () => {
   let app;
+  let published;
 
   beforeEach(() => {
     app = buildApp();
+    published = recordBus();
     Event.__reset();
     Feedback.__reset();
+    Venue.findById.mockReset();
+    OutboxMessage.prototype.save.mockClear();
     axios.get.mockReset();
     axios.patch.mockReset();
     jest.spyOn(console, 'error').mockImplementation(() => {});
@@ -163,6 +212,38 @@ describe('Event routes', () => {
     expect(Event.find).toHaveBeenCalledTimes(1);
   });
 
+  test('GET /api/events?groupSeries=true lists each series once', async () => {
+    const grouped = [
+      { _id: 'evt1', title: 'Weekly Yoga', seriesId: 'series1', seriesOccurrences: 6 },
+      { _id: 'evt9', title: 'Hackathon', seriesId: null, seriesOccurrences: 1 }
+    ];
+    Event.aggregate.mockResolvedValue([{ events: grouped, total: [{ count: 12 }] }]);
+
+    const res = await request(app)
+      .get('/api/events')
+      .query({ groupSeries: 'true', category: 'workshop', page: 2, limit: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.events).toEqual(grouped);
+    expect(res.body.pagination).toEqual({ total: 12, page: 2, pages: 6 });
+    expect(Event.find).not.toHaveBeenCalled();
+
+    const pipeline = Event.aggregate.mock.calls[0][0];
+    expect(pipeline[0]).toEqual({ $match: { category: 'workshop', status: { $ne: 'cancelled' } } });
+    expect(pipeline.find(stage => stage.$group).$group._id).toEqual({ $ifNull: ['$seriesId', { $toString: '$_id' }] });
+    expect(pipeline[pipeline.length - 1].$facet.events).toEqual([{ $skip: 2 }, { $limit: 2 }]);
+  });
+
+  test('GET /api/events?groupSeries=true handles no matches', async () => {
+    Event.aggregate.mockResolvedValue([{ events: [], total: [] }]);
+
+    const res = await request(app).get('/api/events').query({ groupSeries: 'true' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.events).toEqual([]);
+    expect(res.body.pagination.total).toBe(0);
+  });
+
   test('GET /api/events returns 500 on DB error', async () => {
     Event.find.mockImplementation(() => {
       throw new Error('DB error');
@@ -265,9 +346,8 @@ describe('Event routes', () => {
   // ---------- PUT /api/events/:id (admin only) ----------
 
   test('PUT /api/events/:id updates event and syncs bookings', async () => {
-    const updated = { _id: 'evt1', title: 'Updated', venue: 'New Hall', date: new Date(), time: '19:00' };
+    const updated = { _id: 'evt1', title: 'Updated', venue: 'New Hall', date: new Date(), time: '19:00', updatedAt: new Date('2030-03-01T10:00:00.000Z') };
     Event.findByIdAndUpdate.mockResolvedValue(updated);
-    axios.patch.mockResolvedValue({});
 
     const res = await request(app)
       .put('/api/events/evt1')
@@ -277,7 +357,16 @@ describe('Event routes', () => {
     expect(res.status).toBe(200);
     expect(res.body.message).toBe('Event updated successfully');
     expect(Event.findByIdAndUpdate).toHaveBeenCalledTimes(1);
-    expect(axios.patch).toHaveBeenCalledTimes(1);
+    expect(published).toEqual([{
+      type: 'event.updated',
+      payload: expect.objectContaining({
+        eventId: 'evt1',
+        eventTitle: 'Updated',
+        eventVenue: 'New Hall',
+        eventTime: '19:00',
+        eventUpdatedAt: updated.updatedAt
+      })
+    }]);
   });
 
   test('PUT /api/events/:id returns 404 when event missing', async () => {
@@ -292,10 +381,10 @@ describe('Event routes', () => {
     expect(res.body.error).toBe('Event not found');
   });
 
-  test('PUT /api/events/:id continues when booking sync fails', async () => {
+  test('PUT /api/events/:id continues when the event bus is down', async () => {
     const updated = { _id: 'evt1', title: 'Updated', venue: 'New', date: new Date(), time: '19:00' };
     Event.findByIdAndUpdate.mockResolvedValue(updated);
-    axios.patch.mockRejectedValue(new Error('Booking down'));
+    busDown();
 
     const res = await request(app)
       .put('/api/events/evt1')
@@ -318,47 +407,285 @@ describe('Event routes', () => {
     expect(res.body.error).toBe('Failed to update event');
   });
 
-  // ---------- DELETE /api/events/:id (admin only) ----------
+  test('PUT /api/events/:id leaves cancelling and restoring to their own routes', async () => {
+    const cancel = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ status: 'cancelled' });
 
-  test('DELETE /api/events/:id deletes event and cancels bookings', async () => {
-    Event.findByIdAndDelete.mockResolvedValue({ _id: 'evt1', title: 'To delete' });
-    axios.patch.mockResolvedValue({});
+    expect(cancel.status).toBe(400);
+    expect(cancel.body.error).toMatch(/\/cancel/);
+
+    Event.findById.mockResolvedValue({ _id: 'evt1', status: 'cancelled' });
+    const reopen = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ status: 'upcoming' });
+
+    expect(reopen.status).toBe(400);
+    expect(reopen.body.error).toMatch(/\/restore/);
+    expect(Event.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  // ---------- PATCH /api/events/:id/cancel (admin only) ----------
+
+  test('PATCH /api/events/:id/cancel keeps the event and cancels its bookings', async () => {
+    const cancelledAt = new Date('2030-03-01T10:00:00.000Z');
+    Event.findOneAndUpdate.mockResolvedValue({ _id: 'evt1', title: 'Rained off', status: 'cancelled', cancelledAt });
 
     const res = await request(app)
-      .delete('/api/events/evt1')
+      .patch('/api/events/evt1/cancel')
+      .set('x-test-role', 'admin')
+      .set('x-test-user-id', 'admin1')
+      .send({ reason: '  Venue flooded  ' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Event cancelled successfully');
+    const [filter, update] = Event.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: 'evt1', status: { $ne: 'cancelled' } });
+    expect(update.$set).toMatchObject({ status: 'cancelled', cancellationReason: 'Venue flooded', cancelledBy: 'admin1' });
+    expect(Event.findByIdAndDelete).not.toHaveBeenCalled();
+    expect(published).toEqual([{ type: 'event.cancelled', payload: { eventId: 'evt1', reason: 'Venue flooded', cancelledAt } }]);
+  });
+
+  test('PATCH /api/events/:id/cancel needs a reason', async () => {
+    const res = await request(app)
+      .patch('/api/events/evt1/cancel')
+      .set('x-test-role', 'admin')
+      .send({ reason: '   ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('A cancellation reason is required');
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('PATCH /api/events/:id/cancel is admin only', async () => {
+    const res = await request(app)
+      .patch('/api/events/evt1/cancel')
+      .send({ reason: 'Venue flooded' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('PATCH /api/events/:id/cancel does not cancel twice', async () => {
+    Event.findOneAndUpdate.mockResolvedValue(null);
+    Event.findById.mockResolvedValueOnce({ _id: 'evt1', status: 'cancelled' }).mockResolvedValueOnce(null);
+
+    const twice = await request(app)
+      .patch('/api/events/evt1/cancel')
+      .set('x-test-role', 'admin')
+      .send({ reason: 'Venue flooded' });
+    const missing = await request(app)
+      .patch('/api/events/missing/cancel')
+      .set('x-test-role', 'admin')
+      .send({ reason: 'Venue flooded' });
+
+    expect(twice.status).toBe(409);
+    expect(twice.body.error).toBe('Event is already cancelled');
+    expect(missing.status).toBe(404);
+    expect(published).toEqual([]);
+  });
+
+  test('PATCH /api/events/:id/cancel continues when the event bus is down', async () => {
+    Event.findOneAndUpdate.mockResolvedValue({ _id: 'evt1', status: 'cancelled' });
+    busDown();
+
+    const res = await request(app)
+      .patch('/api/events/evt1/cancel')
+      .set('x-test-role', 'admin')
+      .send({ reason: 'Venue flooded' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Event cancelled successfully');
+  });
+
+  test('PATCH /api/events/:id/cancel leaves an unpublished cancellation in the outbox to retry', async () => {
+    Event.findOneAndUpdate.mockResolvedValue({ _id: 'evt1', status: 'cancelled' });
+    busDown();
+
+    await request(app)
+      .patch('/api/events/evt1/cancel')
+      .set('x-test-role', 'admin')
+      .send({ reason: 'Venue flooded' });
+
+    // Saved once before publishing and again with the failure recorded
+    expect(OutboxMessage.prototype.save).toHaveBeenCalledTimes(2);
+    const message = OutboxMessage.prototype.save.mock.contexts[1];
+    expect(message).toMatchObject({
+      type: 'publish',
+      payload: { type: 'event.cancelled', payload: { eventId: 'evt1', reason: 'Venue flooded' } },
+      status: 'pending',
+      attempts: 1,
+      lastError: 'Bus down'
+    });
+    expect(message.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('PATCH /api/events/:id/cancel returns 500 on error', async () => {
+    Event.findOneAndUpdate.mockRejectedValue(new Error('DB fail'));
+
+    const res = await request(app)
+      .patch('/api/events/evt1/cancel')
+      .set('x-test-role', 'admin')
+      .send({ reason: 'Venue flooded' });
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('Failed to cancel event');
+  });
+
+  // ---------- PATCH /api/events/:id/restore (admin only) ----------
+
+  test('PATCH /api/events/:id/restore reopens the event with every seat free', async () => {
+    Event.findById.mockResolvedValue({
+      _id: 'evt1',
+      status: 'cancelled',
+      startsAt: new Date(Date.now() + 86400000),
+      capacity: 100,
+      ticketTypes: [{ _id: 't1', name: 'VIP', quantity: 20, available: 5 }],
+      seats: [],
+      cancellationReason: 'Venue flooded'
+    });
+    axios.get.mockResolvedValue({ data: { tickets: 0, ticketTypes: {}, bookedSeats: [], heldSeats: [] } });
+    Event.findOneAndUpdate.mockImplementation(async (filter, update) => ({ _id: 'evt1', ...update.$set }));
+
+    const res = await request(app)
+      .patch('/api/events/evt1/restore')
       .set('x-test-role', 'admin');
 
     expect(res.status).toBe(200);
-    expect(res.body.message).toBe('Event deleted successfully');
-    expect(Event.findByIdAndDelete).toHaveBeenCalledTimes(1);
-    expect(axios.patch).toHaveBeenCalledTimes(1);
+    expect(res.body.message).toBe('Event restored successfully');
+    expect(axios.get).toHaveBeenCalledWith(
+      expect.stringContaining('/api/bookings/event/evt1/seat-usage'),
+      { headers: expect.objectContaining({ 'X-Service-Signature': expect.any(String) }) }
+    );
+    expect(Event.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'evt1', status: 'cancelled' });
+    expect(res.body.event).toMatchObject({
+      status: 'upcoming',
+      availableSeats: 100,
+      ticketTypes: [{ _id: 't1', name: 'VIP', quantity: 20, available: 20 }],
+      cancellationReason: null
+    });
   });
 
-  test('DELETE /api/events/:id returns 404 when missing', async () => {
-    Event.findByIdAndDelete.mockResolvedValue(null);
+  test('PATCH /api/events/:id/restore frees every named seat and follows the clock', async () => {
+    Event.findById.mockResolvedValue({
+      _id: 'evt1',
+      status: 'cancelled',
+      startsAt: new Date(Date.now() - 3 * 86400000),
+      capacity: 2,
+      seats: [{ label: 'A1', status: 'booked' }, { label: 'A2', status: 'held' }]
+    });
+    axios.get.mockResolvedValue({ data: { tickets: 0, ticketTypes: {}, bookedSeats: [], heldSeats: [] } });
+    Event.findOneAndUpdate.mockImplementation(async (filter, update) => ({ _id: 'evt1', ...update.$set }));
 
     const res = await request(app)
-      .delete('/api/events/missing')
+      .patch('/api/events/evt1/restore')
       .set('x-test-role', 'admin');
 
-    expect(res.status).toBe(404);
-    expect(res.body.error).toBe('Event not found');
+    expect(res.status).toBe(200);
+    expect(res.body.event.status).toBe('completed');
+    expect(res.body.event.seats).toEqual([{ label: 'A1', status: 'available' }, { label: 'A2', status: 'available' }]);
+  });
+
+  test('PATCH /api/events/:id/restore waits until booking-service has cancelled the bookings', async () => {
+    Event.findById.mockResolvedValue({ _id: 'evt1', status: 'cancelled', capacity: 100, ticketTypes: [], seats: [] });
+    axios.get.mockResolvedValueOnce({ data: { tickets: 3, ticketTypes: {}, bookedSeats: [], heldSeats: [] } });
+
+    const busy = await request(app)
+      .patch('/api/events/evt1/restore')
+      .set('x-test-role', 'admin');
+
+    expect(busy.status).toBe(409);
+    expect(busy.body.error).toMatch(/still being cancelled/);
+
+    axios.get.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    const down = await request(app)
+      .patch('/api/events/evt1/restore')
+      .set('x-test-role', 'admin');
+
+    expect(down.status).toBe(503);
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
   });
 
-  test('DELETE /api/events/:id continues when booking cancellation fails', async () => {
-    Event.findByIdAndDelete.mockResolvedValue({ _id: 'evt1', title: 'To delete' });
-    axios.patch.mockRejectedValue(new Error('Booking fail'));
+  test('PATCH /api/events/:id/restore only restores cancelled events', async () => {
+    Event.findById.mockResolvedValueOnce({ _id: 'evt1', status: 'upcoming' }).mockResolvedValueOnce(null);
+
+    const live = await request(app)
+      .patch('/api/events/evt1/restore')
+      .set('x-test-role', 'admin');
+    const missing = await request(app)
+      .patch('/api/events/missing/restore')
+      .set('x-test-role', 'admin');
+
+    expect(live.status).toBe(409);
+    expect(live.body.error).toBe('Only a cancelled event can be restored');
+    expect(missing.status).toBe(404);
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  // ---------- DELETE /api/events/:id (admin only) ----------
+
+  test('DELETE /api/events/:id purges a cancelled event and its feedback', async () => {
+    const event = { _id: 'evt1', title: 'Rained off', status: 'cancelled' };
+    Event.findById.mockResolvedValue(event);
+    Event.findOneAndDelete.mockResolvedValue(event);
+    Feedback.deleteMany.mockResolvedValue({ deletedCount: 3 });
 
     const res = await request(app)
       .delete('/api/events/evt1')
-      .set('x-test-role', 'admin');
+      .set('x-test-role', 'admin')
+      .send({ confirm: 'Rained off' });
 
     expect(res.status).toBe(200);
-    expect(res.body.message).toBe('Event deleted successfully');
+    expect(res.body.message).toBe('Event deleted permanently');
+    expect(Event.findOneAndDelete).toHaveBeenCalledWith({ _id: 'evt1', status: 'cancelled' });
+    expect(Feedback.deleteMany).toHaveBeenCalledWith({ eventId: 'evt1' });
+    expect(published).toEqual([]);
+  });
+
+  test('DELETE /api/events/:id refuses an event that is not cancelled', async () => {
+    Event.findById.mockResolvedValue({ _id: 'evt1', title: 'Live', status: 'upcoming' });
+
+    const res = await request(app)
+      .delete('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ confirm: 'Live' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Cancel the event before deleting it');
+    expect(Event.findOneAndDelete).not.toHaveBeenCalled();
+  });
+
+  test('DELETE /api/events/:id needs the title typed back', async () => {
+    Event.findById.mockResolvedValue({ _id: 'evt1', title: 'Rained off', status: 'cancelled' });
+
+    const wrong = await request(app)
+      .delete('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ confirm: 'rained off' });
+    const none = await request(app)
+      .delete('/api/events/evt1')
+      .set('x-test-role', 'admin');
+
+    expect(wrong.status).toBe(400);
+    expect(wrong.body.error).toBe('Type the event title to confirm');
+    expect(none.status).toBe(400);
+    expect(Event.findOneAndDelete).not.toHaveBeenCalled();
+  });
+
+  test('DELETE /api/events/:id returns 404 when missing', async () => {
+    Event.findById.mockResolvedValue(null);
+
+    const res = await request(app)
+      .delete('/api/events/missing')
+      .set('x-test-role', 'admin');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Event not found');
   });
 
   test('DELETE /api/events/:id returns 500 on error', async () => {
-    Event.findByIdAndDelete.mockRejectedValue(new Error('DB fail'));
+    Event.findById.mockRejectedValue(new Error('DB fail'));
 
     const res = await request(app)
       .delete('/api/events/evt1')
@@ -370,68 +697,485 @@ describe('Event routes', () => {
 
   // ---------- PATCH /api/events/:id/seats ----------
 
-  test('PATCH /api/events/:id/seats books seats when available', async () => {
-    const event = new Event({ _id: 'evt1', capacity: 100, availableSeats: 10 });
-    event.save = jest.fn().mockResolvedValue(undefined);
-    Event.findById.mockResolvedValue(event);
+  test('PATCH /api/events/:id/seats books seats with a conditional decrement', async () => {
+    Event.findOneAndUpdate.mockResolvedValue({ _id: 'evt1', capacity: 100, availableSeats: 8 });
 
-    const res = await request(app)
-      .patch('/api/events/evt1/seats')
-      .send({ seatsToBook: 2 });
+    const res = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: 2 });
 
     expect(res.status).toBe(200);
     expect(res.body.availableSeats).toBe(8);
-    expect(event.save).toHaveBeenCalledTimes(1);
+    expect(Event.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'evt1', availableSeats: { $gte: 2 } },
+      expect.objectContaining({ $inc: { availableSeats: -2, version: 1 } }),
+      { new: true }
+    );
   });
 
   test('PATCH /api/events/:id/seats restores seats on negative seatsToBook', async () => {
-    const event = new Event({ _id: 'evt1', capacity: 100, availableSeats: 10 });
-    event.save = jest.fn().mockResolvedValue(undefined);
-    Event.findById.mockResolvedValue(event);
+    Event.findByIdAndUpdate.mockResolvedValue({ _id: 'evt1', capacity: 100, availableSeats: 15 });
 
-    const res = await request(app)
-      .patch('/api/events/evt1/seats')
-      .send({ seatsToBook: -5 });
+    const res = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: -5 });
 
     expect(res.status).toBe(200);
     expect(res.body.availableSeats).toBe(15);
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
   });
 
   test('PATCH /api/events/:id/seats returns 404 when event missing', async () => {
+    Event.findOneAndUpdate.mockResolvedValue(null);
     Event.findById.mockResolvedValue(null);
 
-    const res = await request(app)
-      .patch('/api/events/missing/seats')
-      .send({ seatsToBook: 1 });
+    const res = await internalPatch(app, '/api/events/missing/seats', { seatsToBook: 1 });
 
     expect(res.status).toBe(404);
     expect(res.body.error).toBe('Event not found');
   });
 
   test('PATCH /api/events/:id/seats returns 400 when not enough seats', async () => {
-    const event = new Event({ _id: 'evt1', capacity: 100, availableSeats: 2 });
-    event.save = jest.fn().mockResolvedValue(undefined);
-    Event.findById.mockResolvedValue(event);
+    Event.findOneAndUpdate.mockResolvedValue(null);
+    Event.findById.mockResolvedValue({ _id: 'evt1', capacity: 100, availableSeats: 2 });
 
-    const res = await request(app)
-      .patch('/api/events/evt1/seats')
-      .send({ seatsToBook: 5 });
+    const res = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: 5 });
 
     expect(res.status).toBe(400);
     expect(res.body.error).toBe('Not enough seats available');
+    expect(res.body.availableSeats).toBe(2);
+  });
+
+  test('PATCH /api/events/:id/seats rejects a non-integer seat count', async () => {
+    const res = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: 'lots' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('seatsToBook must be a non-zero integer');
   });
 
   test('PATCH /api/events/:id/seats returns 500 on error', async () => {
-    Event.findById.mockRejectedValue(new Error('DB fail'));
+    Event.findOneAndUpdate.mockRejectedValue(new Error('DB fail'));
 
-    const res = await request(app)
-      .patch('/api/events/evt1/seats')
-      .send({ seatsToBook: 1 });
+    const res = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: 1 });
 
     expect(res.status).toBe(500);
     expect(res.body.error).toBe('Failed to update seats');
   });
 
+  test('PATCH /api/events/:id/seats refuses callers that are not one of our services', async () => {
+    const res = await request(app)
+      .patch('/api/events/evt1/seats')
+      .send({ seatsToBook: -50 });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Service credentials required');
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  // ---------- Ticket types ----------
+
+  const TIER_ID = '507f1f77bcf86cd799439021';
+
+  test('POST /api/events derives capacity and headline price from ticket types', async () => {
+    const res = await request(app)
+      .post('/api/events')
+      .set('x-test-role', 'admin')
+      .send({
+        title: 'Gala',
+        date: '2030-06-01',
+        time: '19:00',
+        capacity: 1,
+        price: 99,
+        ticketTypes: [
+          { name: 'General', price: 25, quantity: 100 },
+          { name: 'VIP', price: 80, quantity: 20, salesEnd: '2030-01-01T00:00:00.000Z' },
+          { name: 'Student', price: 10, quantity: 30 }
+        ]
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.event.capacity).toBe(150);
+    expect(res.body.event.price).toBe(10);
+    expect(res.body.event.ticketTypes.map(t => t.available)).toEqual([100, 20, 30]);
+  });
+
+  test('POST /api/events rejects duplicate or empty ticket types', async () => {
+    const duplicate = await request(app)
+      .post('/api/events')
+      .set('x-test-role', 'admin')
+      .send({ ticketTypes: [{ name: 'VIP', price: 80, quantity: 5 }, { name: 'vip', price: 60, quantity: 5 }] });
+
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body.error).toBe('Ticket type "vip" is listed twice');
+
+    const noQuantity = await request(app)
+      .post('/api/events')
+      .set('x-test-role', 'admin')
+      .send({ ticketTypes: [{ name: 'General', price: 20, quantity: 0 }] });
+
+    expect(noQuantity.status).toBe(400);
+    expect(noQuantity.body.error).toBe('Quantity for General must be at least 1');
+    expect(Event.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('PUT /api/events/:id keeps sold tier seats when quotas change', async () => {
+    Event.findById.mockResolvedValue({
+      _id: 'evt1',
+      ticketTypes: [{ _id: TIER_ID, name: 'General', price: 20, quantity: 50, available: 40 }]
+    });
+    Event.findOneAndUpdate.mockImplementation(async (filter, updates) => ({ _id: filter._id, ...updates }));
+    axios.patch.mockResolvedValue({});
+
+    const res = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({
+        ticketTypes: [
+          { _id: TIER_ID, name: 'General', price: 20, quantity: 60 },
+          { name: 'VIP', price: 75, quantity: 10 }
+        ]
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.event.ticketTypes[0]).toMatchObject({ _id: TIER_ID, quantity: 60, available: 50 });
+    expect(res.body.event.ticketTypes[1]).toMatchObject({ name: 'VIP', available: 10 });
+    expect(res.body.event).toMatchObject({ capacity: 70, availableSeats: 60, price: 20 });
+  });
+
+  test('PUT /api/events/:id refuses to drop a tier below what was sold', async () => {
+    Event.findById.mockResolvedValue({
+      _id: 'evt1',
+      ticketTypes: [{ _id: TIER_ID, name: 'General', price: 20, quantity: 50, available: 40 }]
+    });
+
+    const shrink = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ ticketTypes: [{ _id: TIER_ID, name: 'General', price: 20, quantity: 5 }] });
+
+    expect(shrink.status).toBe(400);
+    expect(shrink.body.error).toBe('Cannot reduce General below the 10 tickets already sold');
+
+    const remove = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ ticketTypes: [{ name: 'VIP', price: 75, quantity: 10 }] });
+
+    expect(remove.status).toBe(400);
+    expect(remove.body.error).toBe('Cannot remove General; tickets have already been sold');
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('PUT /api/events/:id refuses to add tiers once tickets were sold without them', async () => {
+    Event.findById.mockResolvedValue({ _id: 'evt1', capacity: 100, availableSeats: 70, ticketTypes: [] });
+
+    const res = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ ticketTypes: [{ name: 'General', price: 20, quantity: 50 }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Cannot add ticket types after 30 tickets were sold without them');
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('PATCH /api/events/:id/seats decrements the chosen tier in the same update', async () => {
+    Event.findOneAndUpdate.mockResolvedValue({
+      _id: 'evt1',
+      availableSeats: 58,
+      ticketTypes: [{ _id: TIER_ID, quantity: 10, available: 8 }]
+    });
+
+    const res = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: 2, ticketTypeId: TIER_ID });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ availableSeats: 58, ticketTypeAvailable: 8 });
+    expect(Event.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        _id: 'evt1',
+        availableSeats: { $gte: 2 },
+        ticketTypes: { $elemMatch: { _id: TIER_ID, available: { $gte: 2 } } }
+      },
+      expect.objectContaining({ $inc: { availableSeats: -2, version: 1, 'ticketTypes.$.available': -2 } }),
+      { new: true }
+    );
+  });
+
+  test('PATCH /api/events/:id/seats reports what is left in a sold-out tier', async () => {
+    Event.findOneAndUpdate.mockResolvedValue(null);
+    Event.findById.mockResolvedValue({
+      _id: 'evt1',
+      availableSeats: 40,
+      ticketTypes: [{ _id: TIER_ID, quantity: 10, available: 1 }]
+    });
+
+    const res = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: 2, ticketTypeId: TIER_ID });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ error: 'Not enough seats available', availableSeats: 1 });
+  });
+
+  test('PATCH /api/events/:id/seats rejects an unknown tier', async () => {
+    const res = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: 1, ticketTypeId: 'not-a-tier' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Unknown ticket type');
+  });
+
+  test('PATCH /api/events/:id/seats releases seats back to the tier', async () => {
+    Event.findByIdAndUpdate.mockResolvedValue({
+      _id: 'evt1',
+      availableSeats: 60,
+      ticketTypes: [{ _id: TIER_ID, quantity: 10, available: 10 }]
+    });
+
+    const res = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: -2, ticketTypeId: TIER_ID });
+
+    expect(res.status).toBe(200);
+    expect(res.body.ticketTypeAvailable).toBe(10);
+    const [, pipeline] = Event.findByIdAndUpdate.mock.calls[0];
+    expect(pipeline[0].$set.ticketTypes.$map.input).toBe('$ticketTypes');
+  });
+
+  // ---------- Reserved seating ----------
+
+  const hallLayout = {
+    _id: 'venue1',
+    name: 'Main Hall',
+    sections: [
+      { name: 'Floor', rows: [{ label: 'A', seats: 3 }, { label: 'B', seats: 2 }] },
+      { name: 'Balcony', rows: [{ label: 'A', seats: 2 }] }
+    ]
+  };
+
+  test('PUT /api/events/:id works tier quotas out again when a booking lands first', async () => {
+    // Both writes land in the same millisecond; only the version tells them apart
+    const updatedAt = new Date('2030-01-01T10:00:00.000Z');
+    Event.findById
+      .mockResolvedValueOnce({
+        _id: 'evt1',
+        version: 3,
+        updatedAt,
+        ticketTypes: [{ _id: TIER_ID, name: 'General', price: 20, quantity: 50, available: 40 }]
+      })
+      .mockResolvedValueOnce({
+        _id: 'evt1',
+        version: 4,
+        updatedAt,
+        ticketTypes: [{ _id: TIER_ID, name: 'General', price: 20, quantity: 50, available: 38 }]
+      });
+    Event.findOneAndUpdate.mockImplementation(async (filter, updates) => (
+      filter.version === 4 ? { _id: filter._id, ...updates } : null
+    ));
+
+    const res = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ ticketTypes: [{ _id: TIER_ID, name: 'General', price: 20, quantity: 60 }] });
+
+    expect(res.status).toBe(200);
+    expect(Event.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(Event.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'evt1', version: 3 });
+    expect(Event.findOneAndUpdate.mock.calls[1][1].$inc).toEqual({ version: 1 });
+    expect(res.body.event.ticketTypes[0]).toMatchObject({ quantity: 60, available: 48 });
+    expect(res.body.event).toMatchObject({ capacity: 60, availableSeats: 48 });
+  });
+
+  test('PUT /api/events/:id gives up with 409 when the event keeps changing', async () => {
+    Event.findById.mockImplementation(async () => ({
+      _id: 'evt1',
+      updatedAt: new Date(),
+      ticketTypes: [{ _id: TIER_ID, name: 'General', price: 20, quantity: 50, available: 40 }]
+    }));
+    Event.findOneAndUpdate.mockResolvedValue(null);
+
+    const res = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ ticketTypes: [{ _id: TIER_ID, name: 'General', price: 20, quantity: 60 }] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/try again/);
+    expect(Event.findOneAndUpdate).toHaveBeenCalledTimes(5);
+    expect(published).toEqual([]);
+  });
+
+  const seat = (label, status = 'available') => ({ label, status });
+
+  test('POST /api/events copies the venue seat map onto the event', async () => {
+    Venue.findById.mockResolvedValue(hallLayout);
+
+    const res = await request(app)
+      .post('/api/events')
+      .set('x-test-role', 'admin')
+      .send({ title: 'Recital', date: '2030-06-01', time: '19:00', capacity: 500, venueId: 'venue1', seats: [seat('Fake 1')] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.event).toMatchObject({ venueId: 'venue1', capacity: 7, availableSeats: 7 });
+    expect(res.body.event.seats.map(s => s.label)).toEqual([
+      'Floor A-1', 'Floor A-2', 'Floor A-3', 'Floor B-1', 'Floor B-2', 'Balcony A-1', 'Balcony A-2'
+    ]);
+    expect(res.body.event.seats[3]).toEqual({ label: 'Floor B-1', section: 'Floor', row: 'B', number: 1, status: 'available' });
+  });
+
+  test('POST /api/events rejects a seat map together with ticket types', async () => {
+    const res = await request(app)
+      .post('/api/events')
+      .set('x-test-role', 'admin')
+      .send({ venueId: 'venue1', ticketTypes: [{ name: 'VIP', price: 80, quantity: 5 }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('An event with a seat map cannot also have ticket types');
+    expect(Event.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('PUT /api/events/:id refuses to swap the seat map once seats are taken', async () => {
+    Event.findById.mockResolvedValue({
+      _id: 'evt1',
+      venueId: 'venue1',
+      seats: [seat('Floor A-1', 'booked'), seat('Floor A-2')]
+    });
+
+    const swap = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ venueId: 'venue2' });
+
+    expect(swap.status).toBe(400);
+    expect(swap.body.error).toBe('Cannot change the seat map after seats have been held or sold');
+
+    Event.findOneAndUpdate.mockImplementation(async (filter, updates) => ({ _id: filter._id, ...updates }));
+    axios.patch.mockResolvedValue({});
+
+    const keep = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ venueId: 'venue1', title: 'Renamed', capacity: 99 });
+
+    expect(keep.status).toBe(200);
+    expect(keep.body.event).toMatchObject({ title: 'Renamed', capacity: 2 });
+    expect(Venue.findById).not.toHaveBeenCalled();
+  });
+
+  test('PUT /api/events/:id refuses a seat map once general admission tickets were sold', async () => {
+    Event.findById.mockResolvedValue({ _id: 'evt1', capacity: 100, availableSeats: 96, seats: [] });
+
+    const res = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ venueId: 'venue1' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Cannot change the seat map after seats have been held or sold');
+    expect(Venue.findById).not.toHaveBeenCalled();
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('PUT /api/events/:id keeps the seat map when a seat is held while it is swapped', async () => {
+    Event.findById
+      .mockResolvedValueOnce({ _id: 'evt1', venueId: 'venue2', version: 2, seats: [seat('Stage 1'), seat('Stage 2')] })
+      .mockResolvedValueOnce({ _id: 'evt1', venueId: 'venue2', version: 3, seats: [seat('Stage 1', 'held'), seat('Stage 2')] });
+    Venue.findById.mockResolvedValue(hallLayout);
+    Event.findOneAndUpdate.mockResolvedValue(null);
+
+    const res = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ venueId: 'venue1' });
+
+    expect(Event.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Event.findOneAndUpdate.mock.calls[0][0]).toEqual({
+      _id: 'evt1',
+      version: 2,
+      seats: { $not: { $elemMatch: { status: { $ne: 'available' } } } }
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Cannot change the seat map after seats have been held or sold');
+  });
+
+  test('PATCH /api/events/:id/seats holds the named seats in one conditional update', async () => {
+    Event.findOneAndUpdate.mockResolvedValue({ _id: 'evt1', availableSeats: 5 });
+
+    const res = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: 2, seatLabels: ['Floor A-1', 'Floor A-2'], hold: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.availableSeats).toBe(5);
+    expect(Event.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        _id: 'evt1',
+        $and: [
+          { seats: { $elemMatch: { label: 'Floor A-1', status: 'available' } } },
+          { seats: { $elemMatch: { label: 'Floor A-2', status: 'available' } } }
+        ]
+      },
+      expect.objectContaining({
+        $inc: { availableSeats: -2, version: 1 },
+        $set: expect.objectContaining({ 'seats.$[seat].status': 'held' })
+      }),
+      { new: true, arrayFilters: [{ 'seat.label': { $in: ['Floor A-1', 'Floor A-2'] } }] }
+    );
+  });
+
+  test('PATCH /api/events/:id/seats names the seats someone else took', async () => {
+    Event.findOneAndUpdate.mockResolvedValue(null);
+    Event.findById.mockResolvedValue({
+      _id: 'evt1',
+      availableSeats: 4,
+      seats: [seat('Floor A-1'), seat('Floor A-2', 'held'), seat('Floor A-3', 'booked')]
+    });
+
+    const res = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: 2, seatLabels: ['Floor A-1', 'Floor A-2'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({
+      error: 'Some of those seats are already taken',
+      unavailableSeats: ['Floor A-2'],
+      availableSeats: 4
+    });
+  });
+
+  test('PATCH /api/events/:id/seats frees held or booked seats', async () => {
+    Event.findOneAndUpdate.mockResolvedValue({ _id: 'evt1', availableSeats: 7 });
+
+    const res = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: -1, seatLabels: ['Balcony A-2'] });
+
+    expect(res.status).toBe(200);
+    const [filter, update] = Event.findOneAndUpdate.mock.calls[0];
+    expect(filter.$and[0].seats.$elemMatch.status).toEqual({ $in: ['held', 'booked'] });
+    expect(update.$inc).toEqual({ availableSeats: 1, version: 1 });
+    expect(update.$set['seats.$[seat].status']).toBe('available');
+  });
+
+  test('PATCH /api/events/:id/seats needs one distinct seat per ticket', async () => {
+    const mismatch = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: 3, seatLabels: ['Floor A-1'] });
+
+    expect(mismatch.status).toBe(400);
+    expect(mismatch.body.error).toBe('List one seat for each ticket');
+
+    const duplicate = await internalPatch(app, '/api/events/evt1/seats', { seatsToBook: 2, seatLabels: ['Floor A-1', 'Floor A-1'] });
+
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body.error).toBe('The same seat is listed twice');
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('PATCH /api/events/:id/seats/confirm turns held seats into booked ones', async () => {
+    Event.findOneAndUpdate.mockResolvedValueOnce({ _id: 'evt1', availableSeats: 5 });
+
+    const confirmed = await internalPatch(app, '/api/events/evt1/seats/confirm', { seatLabels: ['Floor A-1'] });
+
+    expect(confirmed.status).toBe(200);
+    expect(Event.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'evt1', $and: [{ seats: { $elemMatch: { label: 'Floor A-1', status: 'held' } } }] },
+      expect.objectContaining({ $set: expect.objectContaining({ 'seats.$[seat].status': 'booked' }) }),
+      { new: true, arrayFilters: [{ 'seat.label': { $in: ['Floor A-1'] } }] }
+    );
+
+    Event.findOneAndUpdate.mockResolvedValueOnce(null);
+    Event.findById.mockResolvedValue({ _id: 'evt1', seats: [seat('Floor A-1')] });
+
+    const lapsed = await internalPatch(app, '/api/events/evt1/seats/confirm', { seatLabels: ['Floor A-1'] });
+
+    expect(lapsed.status).toBe(409);
+    expect(lapsed.body.error).toBe('Those seats are no longer held');
+  });
+
   // ---------- POST /api/events/:id/feedback ----------
 
   test('POST /api/events/:id/feedback rejects invalid rating', async () => {
@@ -535,6 +1279,37 @@ describe('Event routes', () => {
     expect(res.body.error).toBe('Failed to submit feedback');
   });
 
+  // ---------- GET /api/events/feedback/user/:userId ----------
+
+  test('GET /api/events/feedback/user/:userId lists a user\'s feedback with event titles', async () => {
+    const items = [
+      { _id: 'fb1', eventId: VALID_EVENT_ID, userId: 'user2', rating: 4 },
+      { _id: 'fb2', eventId: '507f1f77bcf86cd799439012', userId: 'user2', rating: 2 },
+    ];
+    Feedback.find.mockReturnValue(buildFeedbackFindChain(items));
+    Event.find.mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([{ _id: VALID_EVENT_ID, title: 'Tech Talk' }]),
+      }),
+    });
+
+    const res = await request(app)
+      .get('/api/events/feedback/user/user2')
+      .set('x-test-role', 'admin');
+
+    expect(res.status).toBe(200);
+    expect(Feedback.find).toHaveBeenCalledWith({ userId: 'user2' });
+    expect(res.body.count).toBe(2);
+    expect(res.body.feedback.map(f => f.eventTitle)).toEqual(['Tech Talk', 'Deleted event']);
+  });
+
+  test('GET /api/events/feedback/user/:userId is admin only', async () => {
+    const res = await request(app).get('/api/events/feedback/user/user2');
+
+    expect(res.status).toBe(403);
+    expect(Feedback.find).not.toHaveBeenCalled();
+  });
+
   // ---------- GET /api/events/:id/feedback ----------
 
   test('GET /api/events/:id/feedback returns feedback and stats', async () => {
@@ -750,4 +1525,137 @@ describe('Event routes', () => {
     expect(res.status).toBe(500);
     expect(res.body.error).toBe('Failed to fetch analytics');
   });
+
+  // ---------- Timezones ----------
+
+  test('POST /api/events reads the date and time in the event timezone', async () => {
+    const res = await request(app)
+      .post('/api/events')
+      .set('x-test-role', 'admin')
+      .send({
+        title: 'Jazz Night',
+        date: '2030-03-10',
+        time: '6:00 PM',
+        timezone: 'America/New_York',
+        endsAt: '2030-03-11T01:00:00.000Z',
+        capacity: 100
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.event).toMatchObject({
+      startsAt: '2030-03-10T22:00:00.000Z',
+      endsAt: '2030-03-11T01:00:00.000Z',
+      timezone: 'America/New_York',
+      date: '2030-03-10T00:00:00.000Z',
+      time: '18:00'
+    });
+  });
+
+  test('POST /api/events rejects an unknown timezone or an end before the start', async () => {
+    const base = { title: 'Jazz Night', date: '2030-03-10', time: '18:00', capacity: 100 };
+
+    const badZone = await request(app)
+      .post('/api/events')
+      .set('x-test-role', 'admin')
+      .send({ ...base, timezone: 'Mars/Olympus_Mons' });
+    expect(badZone.status).toBe(400);
+    expect(badZone.body.error).toBe('Unknown timezone Mars/Olympus_Mons');
+
+    const backwards = await request(app)
+      .post('/api/events')
+      .set('x-test-role', 'admin')
+      .send({ ...base, endsAt: '2030-03-10T17:00:00.000Z' });
+    expect(backwards.status).toBe(400);
+    expect(backwards.body.error).toBe('The event must end after it starts');
+
+    expect(Event.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('PUT /api/events/:id moves the start when the timezone changes and syncs bookings', async () => {
+    Event.findById.mockResolvedValue({
+      _id: 'evt1',
+      date: new Date('2030-07-01T00:00:00.000Z'),
+      time: '19:30',
+      timezone: 'UTC',
+      startsAt: new Date('2030-07-01T19:30:00.000Z'),
+      endsAt: new Date('2030-07-01T21:30:00.000Z')
+    });
+    Event.findOneAndUpdate.mockImplementation(async (filter, updates) => ({ _id: filter._id, title: 'Gig', venue: 'Hall', ...updates }));
+
+    const res = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ timezone: 'Asia/Kolkata' });
+
+    expect(res.status).toBe(200);
+    const updates = Event.findOneAndUpdate.mock.calls[0][1];
+    expect(updates.startsAt.toISOString()).toBe('2030-07-01T14:00:00.000Z');
+    expect(updates.endsAt.toISOString()).toBe('2030-07-01T16:00:00.000Z');
+    expect(updates.time).toBe('19:30');
+
+    expect(published[0].payload).toMatchObject({
+      eventStartsAt: new Date('2030-07-01T14:00:00.000Z'),
+      eventTimezone: 'Asia/Kolkata'
+    });
+  });
+
+  test('POST /api/events ends the next day when the end time is before the start', async () => {
+    const res = await request(app)
+      .post('/api/events')
+      .set('x-test-role', 'admin')
+      .send({ title: 'Late Show', date: '2030-06-01', time: '22:00', endTime: '01:30', timezone: 'Europe/Paris', capacity: 50 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.event.startsAt).toBe('2030-06-01T20:00:00.000Z');
+    expect(res.body.event.endsAt).toBe('2030-06-01T23:30:00.000Z');
+  });
+
+  test('PUT /api/events/:id makes a completed event upcoming again when it moves to a later date', async () => {
+    Event.findById.mockResolvedValue({
+      _id: 'evt1',
+      date: new Date('2020-07-01T00:00:00.000Z'),
+      time: '19:30',
+      timezone: 'UTC',
+      startsAt: new Date('2020-07-01T19:30:00.000Z'),
+      endsAt: null,
+      status: 'completed'
+    });
+    Event.findOneAndUpdate.mockImplementation(async (filter, updates) => ({ _id: filter._id, ...updates }));
+
+    const res = await request(app)
+      .put('/api/events/evt1')
+      .set('x-test-role', 'admin')
+      .send({ date: '2030-07-01', endTime: '21:00' });
+
+    expect(res.status).toBe(200);
+    const updates = Event.findOneAndUpdate.mock.calls[0][1];
+    expect(updates.status).toBe('upcoming');
+    expect(updates.endsAt.toISOString()).toBe('2030-07-01T21:00:00.000Z');
+  });
+
+  test('GET /api/events sorts by start time', async () => {
+    const chain = buildEventFindChain([]);
+    Event.find.mockReturnValue(chain);
+    Event.countDocuments.mockResolvedValue(0);
+
+    await request(app).get('/api/events');
+    await request(app).get('/api/events').query({ sort: 'date-desc' });
+
+    expect(chain.sort.mock.calls).toEqual([[{ startsAt: 1 }], [{ startsAt: -1 }]]);
+  });
+
+  test('GET /api/events lists cancelled events only when asked for', async () => {
+    Event.find.mockReturnValue(buildEventFindChain([]));
+    Event.countDocuments.mockResolvedValue(0);
+
+    await request(app).get('/api/events');
+    await request(app).get('/api/events').query({ includeCancelled: 'true' });
+    await request(app).get('/api/events').query({ status: 'cancelled' });
+
+    expect(Event.find.mock.calls.map(call => call[0])).toEqual([
+      { status: { $ne: 'cancelled' } },
+      {},
+      { status: 'cancelled' }
+    ]);
+  });
 });
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const { serviceHeaders } = require('../../middleware/serviceAuth');
+const eventsRouter = require('../events');
+const Event = require('../../models/Event');
+
+// The first run may need to download a mongod binary
+jest.setTimeout(120000);
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/events', eventsRouter);
+  return app;
+};
+
+const createEvent = (capacity) => Event.create({
+  title: 'Concurrency Event',
+  description: 'Seat race test',
+  category: 'workshop',
+  venue: 'Hall A',
+  date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+  time: '18:00',
+  capacity,
+  price: 10,
+  organizer: 'Test Org'
+});
+
+// Each request is signed on its own, as booking-service would
+const patchSeats = (app, eventId, body) => {
+  const url = `/api/events/${eventId}/seats`;
+  return request(app).patch(url).set(serviceHeaders('PATCH', url, body)).send(body);
+};
+
+const bookInParallel = (app, eventId, attempts, seatsToBook) => Promise.all(
+  Array.from({ length: attempts }, () => patchSeats(app, eventId, { seatsToBook }))
+);
+
+describe('Seat reservation under concurrency', () => {
+  let mongo;
+  let app;
+
+  beforeAll(async () => {
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+    app = buildApp();
+  });
+
+  // beforeAll may have failed before connecting, e.g. when mongod could not be downloaded
+  afterAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    if (mongo) {
+      await mongo.stop();
+    }
+  });
+
+  beforeEach(async () => {
+    await Event.deleteMany({});
+  });
+
+  test('parallel single-seat bookings sell exactly the capacity', async () => {
+    const event = await createEvent(10);
+
+    const results = await bookInParallel(app, event._id, 50, 1);
+
+    expect(results.filter(r => r.status === 200)).toHaveLength(10);
+    expect(results.filter(r => r.status === 400)).toHaveLength(40);
+
+    const reloaded = await Event.findById(event._id);
+    expect(reloaded.availableSeats).toBe(0);
+  });
+
+  test('parallel multi-seat bookings never drive seats below zero', async () => {
+    const event = await createEvent(10);
+
+    const results = await bookInParallel(app, event._id, 20, 3);
+    const successful = results.filter(r => r.status === 200);
+
+    expect(successful).toHaveLength(3);
+    results.forEach(r => {
+      if (r.status === 200) {
+        expect(r.body.availableSeats).toBeGreaterThanOrEqual(0);
+      }
+    });
+
+    const reloaded = await Event.findById(event._id);
+    expect(reloaded.availableSeats).toBe(1);
+  });
+
+  test('parallel releases never exceed capacity', async () => {
+    const event = await createEvent(5);
+    await bookInParallel(app, event._id, 2, 1);
+
+    await bookInParallel(app, event._id, 10, -1);
+
+    const reloaded = await Event.findById(event._id);
+    expect(reloaded.availableSeats).toBe(5);
+  });
+
+  test('overlapping requests for the same named seats have a single winner', async () => {
+    const event = await createEvent(4);
+    event.seats = ['A-1', 'A-2', 'A-3', 'A-4'].map(label => ({ label, status: 'available' }));
+    await event.save();
+
+    const results = await Promise.all(Array.from({ length: 10 }, (_, i) => patchSeats(app, event._id, {
+      seatsToBook: 2,
+      seatLabels: i % 2 ? ['A-1', 'A-2'] : ['A-2', 'A-3']
+    })));
+
+    expect(results.filter(r => r.status === 200)).toHaveLength(1);
+
+    const reloaded = await Event.findById(event._id);
+    const booked = reloaded.seats.filter(seat => seat.status === 'booked');
+    expect(booked).toHaveLength(2);
+    expect(reloaded.availableSeats).toBe(2);
+  });
+});
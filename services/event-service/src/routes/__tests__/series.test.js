@@ -0,0 +1,604 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = {
+      _id: req.headers['x-test-user-id'] || 'admin1',
+      name: 'Test User',
+      role: req.headers['x-test-role'] || 'user',
+    };
+    next();
+  },
+  isAdmin: (req, res, next) => {
+    if (req.user && req.user.role === 'admin') return next();
+    return res.status(403).json({ error: 'Access denied. Admin only.' });
+  },
+}));
+
+jest.mock('../../models/Event', () => {
+  let created = 0;
+
+  function Event(data) {
+    Object.assign(this, { _id: `new${++created}` }, data);
+  }
+
+  Event.prototype.save = jest.fn().mockResolvedValue(undefined);
+  Event.find = jest.fn();
+  Event.findOne = jest.fn();
+  Event.countDocuments = jest.fn();
+  Event.findById = jest.fn();
+  Event.findOneAndUpdate = jest.fn();
+  Event.findByIdAndUpdate = jest.fn();
+  Event.updateMany = jest.fn();
+  Event.deleteMany = jest.fn();
+
+  return Event;
+});
+
+jest.mock('../../models/EventSeries', () => {
+  function EventSeries(data) {
+    Object.assign(this, { _id: 'series2', exceptions: [] }, data);
+  }
+
+  EventSeries.prototype.save = jest.fn().mockResolvedValue(undefined);
+  EventSeries.findById = jest.fn();
+  EventSeries.findByIdAndDelete = jest.fn();
+
+  return EventSeries;
+});
+
+jest.mock('../../models/Venue', () => ({
+  findById: jest.fn(),
+}));
+
+jest.mock('../../models/OutboxMessage', () => {
+  let created = 0;
+
+  function OutboxMessage(data) {
+    Object.assign(this, { _id: `msg${++created}`, status: 'pending', attempts: 0 }, data);
+  }
+
+  OutboxMessage.prototype.save = jest.fn().mockResolvedValue(undefined);
+
+  return OutboxMessage;
+});
+
+const seriesRouter = require('../series');
+const Event = require('../../models/Event');
+const EventSeries = require('../../models/EventSeries');
+const { setEventBus } = require('../../eventBus');
+const { createMemoryBus } = require('../../eventBus/memoryBus');
+
+// Collects the domain events published for booking-service
+const recordBus = () => {
+  const bus = createMemoryBus();
+  const published = [];
+  ['event.updated', 'event.cancelled'].forEach(type => {
+    bus.subscribe(type, `test.${type}`, (payload) => {
+      published.push({ type, payload });
+    });
+  });
+  setEventBus(bus);
+  return published;
+};
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/series', seriesRouter);
+  return app;
+};
+
+const workshop = {
+  title: 'Weekly Workshop',
+  description: 'Hands-on practice every week',
+  category: 'workshop',
+  venue: 'Lab 3',
+  date: '2030-01-07',
+  time: '18:00',
+  capacity: 20,
+  price: 5,
+  organizer: 'Coding Club'
+};
+
+const day = (value) => new Date(value).toISOString().slice(0, 10);
+
+// An existing occurrence; `sold` tickets are already taken
+const occurrence = (id, date, sold = 0, extra = {}) => ({
+  _id: id,
+  ...workshop,
+  date: new Date(date),
+  availableSeats: workshop.capacity - sold,
+  seriesId: 'series1',
+  ticketTypes: [],
+  seats: [],
+  version: 1,
+  updatedAt: new Date('2029-12-01T09:00:00.000Z'),
+  ...extra
+});
+
+// The updates that cancelled a dropped day
+const cancellations = () => Event.findOneAndUpdate.mock.calls.filter(([, update]) => update.$set?.status === 'cancelled');
+
+const weeklySeries = (recurrence = {}) => new EventSeries({
+  _id: 'series1',
+  title: workshop.title,
+  startDate: new Date('2030-01-07'),
+  recurrence: { frequency: 'weekly', interval: 1, weekdays: [1], count: 4, until: null, ...recurrence },
+  exceptions: []
+});
+
+describe('Series routes', () => {
+  let app;
+  let published;
+
+  beforeEach(() => {
+    app = buildApp();
+    jest.clearAllMocks();
+    Event.prototype.save.mockResolvedValue(undefined);
+    published = recordBus();
+    Event.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ _id: filter._id, ...workshop, ...(update.$set || update) }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // ---------- POST /api/series ----------
+
+  test('POST /api/series creates one event per weekly occurrence, skipping exceptions', async () => {
+    const res = await request(app)
+      .post('/api/series')
+      .set('x-test-role', 'admin')
+      .send({
+        ...workshop,
+        recurrence: { frequency: 'weekly', weekdays: [1, 3], count: 4 },
+        exceptions: ['2030-01-09']
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.events.map(event => day(event.date))).toEqual(['2030-01-07', '2030-01-14', '2030-01-16']);
+    expect(res.body.events.every(event => event.seriesId === 'series2' && event.title === 'Weekly Workshop')).toBe(true);
+    expect(res.body.series).toMatchObject({
+      recurrence: { frequency: 'weekly', interval: 1, weekdays: [1, 3], count: 4, until: null },
+      exceptions: ['2030-01-09'],
+      createdBy: 'admin1'
+    });
+    expect(Event.prototype.save).toHaveBeenCalledTimes(3);
+  });
+
+  test('POST /api/series repeats daily and monthly rules until their end', async () => {
+    const daily = await request(app)
+      .post('/api/series')
+      .set('x-test-role', 'admin')
+      .send({ ...workshop, recurrence: { frequency: 'daily', interval: 2, until: '2030-01-13' } });
+
+    expect(daily.status).toBe(201);
+    expect(daily.body.events.map(event => day(event.date))).toEqual(['2030-01-07', '2030-01-09', '2030-01-11', '2030-01-13']);
+
+    // Months without a 31st are skipped
+    const monthly = await request(app)
+      .post('/api/series')
+      .set('x-test-role', 'admin')
+      .send({ ...workshop, date: '2030-01-31', recurrence: { frequency: 'monthly', count: 3 } });
+
+    expect(monthly.status).toBe(201);
+    expect(monthly.body.events.map(event => day(event.date))).toEqual(['2030-01-31', '2030-03-31', '2030-05-31']);
+  });
+
+  test('POST /api/series keeps the local start time across a daylight saving change', async () => {
+    const res = await request(app)
+      .post('/api/series')
+      .set('x-test-role', 'admin')
+      .send({
+        ...workshop,
+        date: '2030-03-04',
+        timezone: 'America/New_York',
+        endsAt: '2030-03-05T01:00:00.000Z',
+        recurrence: { frequency: 'weekly', count: 2 }
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.events.map(event => [event.startsAt, event.endsAt, event.time])).toEqual([
+      ['2030-03-04T23:00:00.000Z', '2030-03-05T01:00:00.000Z', '18:00'],
+      ['2030-03-11T22:00:00.000Z', '2030-03-12T00:00:00.000Z', '18:00']
+    ]);
+  });
+
+  test('POST /api/series rejects bad schedules', async () => {
+    const cases = [
+      [{ recurrence: undefined }, 'recurrence is required'],
+      [{ recurrence: { frequency: 'yearly', count: 2 } }, 'Frequency must be daily, weekly or monthly'],
+      [{ recurrence: { frequency: 'daily', count: 2, until: '2030-02-01' } }, 'End the series after a number of occurrences or on a date, not both'],
+      [{ recurrence: { frequency: 'weekly', weekdays: [7], count: 2 } }, 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)'],
+      [{ recurrence: { frequency: 'daily', until: '2031-06-01' } }, 'A series can have at most 100 occurrences'],
+      [{ recurrence: { frequency: 'daily', count: 1 }, exceptions: ['2030-01-07'] }, 'This schedule does not produce any dates'],
+      [{ recurrence: { frequency: 'daily', count: 2 }, exceptions: ['next monday'] }, 'Exceptions must be dates in YYYY-MM-DD form'],
+      [{ date: '2020-01-01', recurrence: { frequency: 'daily', count: 2 } }, 'Event date must be in the future']
+    ];
+
+    for (const [body, error] of cases) {
+      const res = await request(app)
+        .post('/api/series')
+        .set('x-test-role', 'admin')
+        .send({ ...workshop, ...body });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(error);
+    }
+    expect(EventSeries.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('POST /api/series removes everything it created when an occurrence fails to save', async () => {
+    Event.prototype.save
+      .mockResolvedValueOnce(undefined)
+      .mockRejectedValueOnce(new Error('Validation failed'));
+
+    const res = await request(app)
+      .post('/api/series')
+      .set('x-test-role', 'admin')
+      .send({ ...workshop, recurrence: { frequency: 'daily', count: 3 } });
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('Failed to create series');
+    expect(Event.deleteMany).toHaveBeenCalledWith({ _id: { $in: [expect.any(String)] } });
+    expect(EventSeries.findByIdAndDelete).toHaveBeenCalledWith('series2');
+  });
+
+  test('series changes are admin only', async () => {
+    const create = await request(app).post('/api/series').send({ ...workshop, recurrence: { frequency: 'daily', count: 2 } });
+    const update = await request(app).put('/api/series/series1').send({ fromEventId: 'evt1', title: 'X' });
+
+    expect(create.status).toBe(403);
+    expect(update.status).toBe(403);
+  });
+
+  // ---------- GET /api/series/:id ----------
+
+  test('GET /api/series/:id returns the series and its occurrences', async () => {
+    const sort = jest.fn().mockResolvedValue([occurrence('evt1', '2030-01-07'), occurrence('evt2', '2030-01-14')]);
+    EventSeries.findById.mockResolvedValue(weeklySeries());
+    Event.find.mockReturnValue({ sort });
+
+    const res = await request(app).get('/api/series/series1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.events).toHaveLength(2);
+    expect(Event.find).toHaveBeenCalledWith({ seriesId: 'series1' }, { seats: 0 });
+    expect(sort).toHaveBeenCalledWith({ date: 1 });
+
+    EventSeries.findById.mockResolvedValue(null);
+    const missing = await request(app).get('/api/series/nope');
+    expect(missing.status).toBe(404);
+  });
+
+  // ---------- PUT /api/series/:id ----------
+
+  test('PUT /api/series/:id updates this and following occurrences', async () => {
+    const following = [occurrence('evt2', '2030-01-14', 8), occurrence('evt3', '2030-01-21')];
+    EventSeries.findById.mockResolvedValue(weeklySeries());
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt2', venue: 'Main Hall', capacity: 30, date: '2031-01-01' });
+
+    expect(res.status).toBe(200);
+    expect(Event.find).toHaveBeenCalledWith({ seriesId: 'series1', date: { $gte: following[0].date } });
+    expect(Event.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(Event.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'evt2', version: 1 },
+      expect.objectContaining({ venue: 'Main Hall', capacity: 30, availableSeats: 22, seriesId: 'series1' }),
+      expect.objectContaining({ new: true })
+    );
+    expect(Event.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'evt3', version: 1 },
+      expect.objectContaining({ capacity: 30, availableSeats: 30 }),
+      expect.any(Object)
+    );
+    // The day of each occurrence is set by the schedule, not copied across
+    expect(Event.findOneAndUpdate.mock.calls[0][1].date).toBeUndefined();
+    expect(published).toContainEqual({
+      type: 'event.updated',
+      payload: expect.objectContaining({ eventId: 'evt2', eventVenue: 'Main Hall' })
+    });
+    expect(cancellations()).toEqual([]);
+  });
+
+  test('PUT /api/series/:id moves each following occurrence to the new time on its own day', async () => {
+    const zoned = (id, date, startsAt) => occurrence(id, date, 0, { timezone: 'Europe/London', startsAt: new Date(startsAt), endsAt: null });
+    const following = [zoned('evt2', '2030-03-24', '2030-03-24T18:00:00.000Z'), zoned('evt3', '2030-03-31', '2030-03-31T17:00:00.000Z')];
+    EventSeries.findById.mockResolvedValue(weeklySeries());
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt2', time: '19:30' });
+
+    expect(res.status).toBe(200);
+    // London moves to summer time on 2030-03-31
+    expect(Event.findOneAndUpdate.mock.calls.map(([, update]) => update.startsAt.toISOString())).toEqual([
+      '2030-03-24T19:30:00.000Z',
+      '2030-03-31T18:30:00.000Z'
+    ]);
+    expect(published).toContainEqual({
+      type: 'event.updated',
+      payload: expect.objectContaining({ eventId: 'evt3', eventTime: '19:30', eventTimezone: 'Europe/London' })
+    });
+  });
+
+  test('PUT /api/series/:id refuses to lower capacity below tickets sold', async () => {
+    const following = [occurrence('evt2', '2030-01-14', 8)];
+    EventSeries.findById.mockResolvedValue(weeklySeries());
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt2', capacity: 5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Cannot reduce capacity below the 8 tickets already sold for 2030-01-14');
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('PUT /api/series/:id works capacity out again when a booking lands first', async () => {
+    const following = [occurrence('evt2', '2030-01-14', 8)];
+    const booked = occurrence('evt2', '2030-01-14', 9, { version: 2 });
+    EventSeries.findById.mockResolvedValue(weeklySeries());
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+    Event.findById.mockResolvedValue(booked);
+    Event.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(
+      filter.version === booked.version ? { ...booked, ...update } : null
+    ));
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt2', capacity: 30 });
+
+    expect(res.status).toBe(200);
+    expect(Event.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(Event.findOneAndUpdate.mock.calls[1][1]).toMatchObject({ capacity: 30, availableSeats: 21 });
+  });
+
+  test('PUT /api/series/:id stops when a booking leaves too few seats for the new capacity', async () => {
+    const following = [occurrence('evt2', '2030-01-14', 8)];
+    EventSeries.findById.mockResolvedValue(weeklySeries());
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+    Event.findById.mockResolvedValue(occurrence('evt2', '2030-01-14', 12, { version: 2 }));
+    Event.findOneAndUpdate.mockResolvedValue(null);
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt2', capacity: 10 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Cannot reduce capacity below the 12 tickets already sold for 2030-01-14');
+    expect(Event.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(published).toEqual([]);
+  });
+
+  test('PUT /api/series/:id with a new schedule splits the series at that occurrence', async () => {
+    // Mondays from Jan 14: moving to Mondays and Wednesdays keeps the Mondays,
+    // adds the Wednesdays, and drops Jan 28 (unsold) because the new rule ends earlier
+    const following = [occurrence('evt2', '2030-01-14', 3), occurrence('evt3', '2030-01-21'), occurrence('evt4', '2030-01-28')];
+    const series = weeklySeries();
+    EventSeries.findById.mockResolvedValue(series);
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+    Event.countDocuments.mockResolvedValue(1);
+    Event.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({
+      ...following.find(event => event._id === filter._id),
+      ...(update.$set || update)
+    }));
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt2', recurrence: { frequency: 'weekly', weekdays: [1, 3], until: '2030-01-23' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.series._id).toBe('series2');
+    expect(res.body.events.map(event => day(event.date))).toEqual(['2030-01-14', '2030-01-16', '2030-01-21', '2030-01-23']);
+    expect(res.body.events.every(event => event.seriesId === 'series2')).toBe(true);
+    expect(Event.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['evt2', 'evt3'] } },
+      { $set: expect.objectContaining({ seriesId: 'series2' }), $inc: { version: 1 } }
+    );
+
+    // The old series now ends the day before the split
+    expect(series.recurrence).toMatchObject({ count: null });
+    expect(day(series.recurrence.until)).toBe('2030-01-13');
+    expect(EventSeries.prototype.save).toHaveBeenCalledTimes(2);
+
+    // The dropped day is cancelled and leaves the series, but stays on record
+    expect(cancellations()).toEqual([[
+      { _id: 'evt4', status: { $ne: 'cancelled' }, $expr: { $eq: ['$availableSeats', '$capacity'] } },
+      {
+        $set: expect.objectContaining({
+          status: 'cancelled',
+          seriesId: null,
+          cancellationReason: 'This date was removed from the series',
+          cancelledBy: 'admin1'
+        }),
+        $inc: { version: 1 }
+      },
+      { new: true }
+    ]]);
+    expect(Event.deleteMany).not.toHaveBeenCalled();
+    expect(published).toContainEqual({
+      type: 'event.cancelled',
+      payload: { eventId: 'evt4', reason: 'This date was removed from the series', cancelledAt: expect.any(Date) }
+    });
+
+    // New days start with nothing sold
+    const added = res.body.events.find(event => day(event.date) === '2030-01-16');
+    expect(added).toMatchObject({ capacity: 20, title: 'Weekly Workshop' });
+    expect(added.availableSeats).toBeUndefined();
+  });
+
+  test('PUT /api/series/:id leaves the schedule alone when an occurrence cannot be saved', async () => {
+    const following = [occurrence('evt2', '2030-01-14'), occurrence('evt3', '2030-01-21'), occurrence('evt4', '2030-01-28')];
+    const series = weeklySeries();
+    EventSeries.findById.mockResolvedValue(series);
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+    Event.countDocuments.mockResolvedValue(1);
+    // evt3 keeps selling tickets while it is being saved
+    Event.findById.mockImplementation(async () => occurrence('evt3', '2030-01-21', 1, { version: 2 }));
+    Event.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(
+      filter._id === 'evt3' ? null : { _id: filter._id, ...workshop, ...update }
+    ));
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt2', venue: 'Main Hall', exceptions: ['2030-01-28'] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toContain('2030-01-21 kept changing');
+    expect(EventSeries.prototype.save).not.toHaveBeenCalled();
+    expect(series.exceptions).toEqual([]);
+    expect(Event.updateMany).not.toHaveBeenCalled();
+    expect(cancellations()).toEqual([]);
+  });
+
+  test('PUT /api/series/:id from the first occurrence reschedules the series in place', async () => {
+    const following = [occurrence('evt1', '2030-01-07'), occurrence('evt2', '2030-01-14')];
+    const series = weeklySeries({ count: 2 });
+    EventSeries.findById.mockResolvedValue(series);
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+    Event.countDocuments.mockResolvedValue(0);
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt1', exceptions: ['2030-01-14'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.series._id).toBe('series1');
+    expect(series.exceptions).toEqual(['2030-01-14']);
+    expect(cancellations().map(([filter]) => filter._id)).toEqual(['evt2']);
+    expect(Event.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('PUT /api/series/:id will not drop a day that has bookings', async () => {
+    const following = [occurrence('evt2', '2030-01-14'), occurrence('evt3', '2030-01-21', 2)];
+    EventSeries.findById.mockResolvedValue(weeklySeries());
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt2', exceptions: ['2030-01-21'] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toContain('Cannot drop 2030-01-21');
+    expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('PUT /api/series/:id keeps a dropped day that sold tickets during the change', async () => {
+    const following = [occurrence('evt2', '2030-01-14'), occurrence('evt3', '2030-01-21')];
+    EventSeries.findById.mockResolvedValue(weeklySeries());
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+    Event.countDocuments.mockResolvedValue(0);
+    // The day sells a ticket after the check, so the unsold filter no longer matches
+    Event.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(
+      update.$set?.status === 'cancelled' ? null : { _id: filter._id, ...workshop, ...update }
+    ));
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt2', exceptions: ['2030-01-21'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toContain('kept 2030-01-21');
+    expect(cancellations().map(([filter]) => filter._id)).toEqual(['evt3']);
+    expect(published.filter(({ type }) => type === 'event.cancelled')).toEqual([]);
+  });
+
+  test('PUT /api/series/:id takes an already cancelled day out of the series without cancelling it again', async () => {
+    const following = [
+      occurrence('evt2', '2030-01-14'),
+      occurrence('evt3', '2030-01-21', 0, { status: 'cancelled', cancellationReason: 'Snowed in' })
+    ];
+    EventSeries.findById.mockResolvedValue(weeklySeries());
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+    Event.countDocuments.mockResolvedValue(0);
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt2', exceptions: ['2030-01-21'] });
+
+    expect(res.status).toBe(200);
+    expect(Event.findByIdAndUpdate).toHaveBeenCalledWith('evt3', expect.objectContaining({ seriesId: null }));
+    expect(cancellations()).toEqual([]);
+    expect(published.filter(({ type }) => type === 'event.cancelled')).toEqual([]);
+  });
+
+  test('PUT /api/series/:id drops an already cancelled day even if it had sold tickets', async () => {
+    const following = [
+      occurrence('evt2', '2030-01-14'),
+      occurrence('evt3', '2030-01-21', 6, { status: 'cancelled', cancellationReason: 'Snowed in' })
+    ];
+    EventSeries.findById.mockResolvedValue(weeklySeries());
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+    Event.countDocuments.mockResolvedValue(0);
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt2', exceptions: ['2030-01-21'] });
+
+    expect(res.status).toBe(200);
+    expect(Event.findByIdAndUpdate).toHaveBeenCalledWith('evt3', expect.objectContaining({ seriesId: null }));
+  });
+
+  test('PUT /api/series/:id leaves the schedule alone when the rule is resent unchanged', async () => {
+    const following = [occurrence('evt2', '2030-01-14')];
+    EventSeries.findById.mockResolvedValue(weeklySeries());
+    Event.findOne.mockResolvedValue(following[0]);
+    Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(following) });
+
+    const res = await request(app)
+      .put('/api/series/series1')
+      .set('x-test-role', 'admin')
+      .send({ fromEventId: 'evt2', title: 'Evening Workshop', recurrence: { frequency: 'weekly', weekdays: [1], count: 4 } });
+
+    expect(res.status).toBe(200);
+    expect(Event.countDocuments).not.toHaveBeenCalled();
+    expect(cancellations()).toEqual([]);
+    expect(res.body.series.title).toBe('Evening Workshop');
+  });
+
+  test('PUT /api/series/:id returns 404 for an unknown series or occurrence', async () => {
+    EventSeries.findById.mockResolvedValue(null);
+    const noSeries = await request(app).put('/api/series/nope').set('x-test-role', 'admin').send({ fromEventId: 'evt1' });
+
+    EventSeries.findById.mockResolvedValue(weeklySeries());
+    Event.findOne.mockResolvedValue(null);
+    const noOccurrence = await request(app).put('/api/series/series1').set('x-test-role', 'admin').send({ fromEventId: 'evt9' });
+
+    expect(noSeries.status).toBe(404);
+    expect(noOccurrence.status).toBe(404);
+    expect(noOccurrence.body.error).toBe('Occurrence not found in this series');
+  });
+});
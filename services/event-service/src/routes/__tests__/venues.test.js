@@ -0,0 +1,147 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = {
+      _id: req.headers['x-test-user-id'] || 'admin1',
+      name: 'Test User',
+      role: req.headers['x-test-role'] || 'user',
+    };
+    next();
+  },
+  isAdmin: (req, res, next) => {
+    if (req.user && req.user.role === 'admin') return next();
+    return res.status(403).json({ error: 'Access denied. Admin only.' });
+  },
+}));
+
+jest.mock('../../models/Venue', () => {
+  function Venue(data) {
+    Object.assign(this, { _id: 'venue1' }, data);
+  }
+
+  Venue.prototype.save = jest.fn().mockResolvedValue(undefined);
+  Venue.find = jest.fn();
+  Venue.findById = jest.fn();
+  Venue.findByIdAndDelete = jest.fn();
+
+  return Venue;
+});
+
+const venuesRouter = require('../venues');
+const Venue = require('../../models/Venue');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/venues', venuesRouter);
+  return app;
+};
+
+const theatre = {
+  name: 'Campus Theatre',
+  sections: [
+    { name: 'Orchestra', rows: [{ label: 'A', seats: 10 }, { label: 'B', seats: 12 }] },
+    { name: 'Balcony', rows: [{ label: '1', seats: 8 }] }
+  ]
+};
+
+describe('Venue routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('POST /api/venues saves a layout and counts its seats', async () => {
+    const res = await request(app)
+      .post('/api/venues')
+      .set('x-test-role', 'admin')
+      .send(theatre);
+
+    expect(res.status).toBe(201);
+    expect(res.body.venue).toMatchObject({ name: 'Campus Theatre', capacity: 30, createdBy: 'admin1' });
+    expect(Venue.prototype.save).toHaveBeenCalled();
+  });
+
+  test('POST /api/venues rejects duplicate sections, rows and empty layouts', async () => {
+    const cases = [
+      [{ name: 'Hall', sections: [] }, 'A seat map needs at least one section'],
+      [{ name: 'Hall', sections: [{ name: 'Floor', rows: [] }] }, 'Floor needs at least one row'],
+      [
+        { name: 'Hall', sections: [{ name: 'Floor', rows: [{ label: 'A', seats: 2 }] }, { name: 'floor', rows: [{ label: 'A', seats: 2 }] }] },
+        'Section "floor" is listed twice'
+      ],
+      [
+        { name: 'Hall', sections: [{ name: 'Floor', rows: [{ label: 'A', seats: 2 }, { label: 'a', seats: 3 }] }] },
+        'Row a is listed twice in Floor'
+      ],
+      [
+        { name: 'Hall', sections: [{ name: 'Floor', rows: [{ label: 'A', seats: 0 }] }] },
+        'Row A in Floor must have between 1 and 200 seats'
+      ],
+      [{ sections: theatre.sections }, 'Venue name is required']
+    ];
+
+    for (const [body, error] of cases) {
+      const res = await request(app)
+        .post('/api/venues')
+        .set('x-test-role', 'admin')
+        .send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(error);
+    }
+    expect(Venue.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('PUT /api/venues/:id replaces the sections', async () => {
+    const venue = new Venue({ ...theatre, capacity: 30 });
+    Venue.findById.mockResolvedValue(venue);
+
+    const res = await request(app)
+      .put('/api/venues/venue1')
+      .set('x-test-role', 'admin')
+      .send({ sections: [{ name: 'Floor', rows: [{ label: 'A', seats: 5 }] }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.venue).toMatchObject({ name: 'Campus Theatre', capacity: 5 });
+  });
+
+  test('PUT and DELETE return 404 for an unknown venue', async () => {
+    Venue.findById.mockResolvedValue(null);
+    Venue.findByIdAndDelete.mockResolvedValue(null);
+
+    const update = await request(app).put('/api/venues/nope').set('x-test-role', 'admin').send({ name: 'X' });
+    const remove = await request(app).delete('/api/venues/nope').set('x-test-role', 'admin');
+
+    expect(update.status).toBe(404);
+    expect(remove.status).toBe(404);
+  });
+
+  test('venue routes are admin only', async () => {
+    const list = await request(app).get('/api/venues');
+    const create = await request(app).post('/api/venues').send(theatre);
+
+    expect(list.status).toBe(403);
+    expect(create.status).toBe(403);
+  });
+
+  test('GET /api/venues lists layouts by name', async () => {
+    const sort = jest.fn().mockResolvedValue([theatre]);
+    Venue.find.mockReturnValue({ sort });
+
+    const res = await request(app).get('/api/venues').set('x-test-role', 'admin');
+
+    expect(res.status).toBe(200);
+    expect(res.body.venues).toHaveLength(1);
+    expect(sort).toHaveBeenCalledWith({ name: 1 });
+  });
+});
@@ -4,6 +4,12 @@ const mongoose = require('mongoose');
 const Event = require('../models/Event');
 const Feedback = require('../models/Feedback');
 const { verifyToken, isAdmin } = require('../middleware/auth');
+const { verifyService } = require('../middleware/serviceAuth');
+const { buildTicketTypes } = require('../utils/ticketTypes');
+const { seatMapFields, parseSeatLabels, seatsInState } = require('../utils/seatMaps');
+const { resolveSchedule, touchesSchedule, scheduledStatus } = require('../utils/eventTime');
+const { publishEventUpdated, publishEventCancelled } = require('../utils/domainEvents');
+const { fetchSeatUsage } = require('../utils/seatUsage');
 
 const router = express.Router();
 
@@ -21,9 +27,12 @@ router.get('/', async (req, res) => {
       query.category = category;
     }
     
-    // Filter by status
+    // Filter by status. Cancelled events are kept for history but only listed
+    // when asked for by status or with includeCancelled=true.
     if (status) {
       query.status = status;
+    } else if (req.query.includeCancelled !== 'true') {
+      query.status = { $ne: 'cancelled' };
     }
     
     // Search by title or description
@@ -35,17 +44,53 @@ router.get('/', async (req, res) => {
     }
     
     // Sort options
-    let sortOption = { date: 1 }; // default: upcoming first
+    let sortOption = { startsAt: 1 }; // default: upcoming first
     if (sort === 'price-asc') sortOption = { price: 1 };
     if (sort === 'price-desc') sortOption = { price: -1 };
-    if (sort === 'date-desc') sortOption = { date: -1 };
+    if (sort === 'date-desc') sortOption = { startsAt: -1 };
     
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    // groupSeries=true lists each recurring series once, as its earliest
+    // matching occurrence, with the number of matching occurrences
+    if (req.query.groupSeries === 'true') {
+      const [result] = await Event.aggregate([
+        { $match: query },
+        { $sort: { startsAt: 1 } },
+        {
+          $group: {
+            _id: { $ifNull: ['$seriesId', { $toString: '$_id' }] },
+            event: { $first: '$$ROOT' },
+            occurrences: { $sum: 1 }
+          }
+        },
+        { $replaceRoot: { newRoot: { $mergeObjects: ['$event', { seriesOccurrences: '$occurrences' }] } } },
+        { $project: { seats: 0 } },
+        { $sort: { ...sortOption, _id: 1 } },
+        {
+          $facet: {
+            events: [{ $skip: skip }, { $limit: limit }],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      const total = result?.total[0]?.count || 0;
+      return res.json({
+        events: result?.events || [],
+        pagination: {
+          total,
+          page,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    }
+
+    // Seat maps can run to thousands of seats; only the single-event route returns them
     const [events, total] = await Promise.all([
-      Event.find(query)
+      Event.find(query, { seats: 0 })
         .sort(sortOption)
         .skip(skip)
         .limit(limit)
@@ -90,6 +135,35 @@ router.post('/', verifyToken, isAdmin, async (req, res) => {
       ...req.body,
       createdBy: req.user._id
     };
+    delete eventData.seats;
+    // Occurrences join a series only through /api/series
+    delete eventData.seriesId;
+
+    if (req.body.ticketTypes !== undefined) {
+      const tiers = buildTicketTypes(req.body.ticketTypes);
+      if (tiers.error) {
+        return res.status(400).json({ error: tiers.error });
+      }
+      Object.assign(eventData, tiers);
+    }
+
+    if (req.body.venueId) {
+      if ((eventData.ticketTypes || []).length > 0) {
+        return res.status(400).json({ error: 'An event with a seat map cannot also have ticket types' });
+      }
+
+      const seatMap = await seatMapFields(req.body.venueId);
+      if (seatMap.error) {
+        return res.status(400).json({ error: seatMap.error });
+      }
+      Object.assign(eventData, seatMap);
+    }
+
+    const schedule = resolveSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+    Object.assign(eventData, schedule);
     
     const event = new Event(eventData);
     await event.save();
@@ -104,31 +178,116 @@ router.post('/', verifyToken, isAdmin, async (req, res) => {
   }
 });
 
+// Fields a PUT sets on top of the form that follow from the event as it was
+// read: the start instant, tier counts and the seat map.
+// Returns { error } or { updates }.
+const derivedUpdates = async (body, current) => {
+  if (body.status !== undefined && current.status === 'cancelled') {
+    return { error: 'Restore a cancelled event with PATCH /api/events/:id/restore' };
+  }
+
+  const updates = {};
+
+  // A new date, time or timezone moves the start instant; the rest follow from it.
+  // An event moved back into the future is upcoming again.
+  if (touchesSchedule(body)) {
+    const schedule = resolveSchedule(body, current);
+    if (schedule.error) {
+      return { error: schedule.error };
+    }
+    Object.assign(updates, schedule);
+    if (body.status === undefined) {
+      updates.status = scheduledStatus({ ...schedule, status: current.status });
+    }
+  }
+
+  if (body.ticketTypes !== undefined) {
+    const existing = current.ticketTypes || [];
+    const untieredSold = existing.length === 0 ? current.capacity - current.availableSeats : 0;
+    const tiers = buildTicketTypes(body.ticketTypes, existing, untieredSold);
+    if (tiers.error) {
+      return { error: tiers.error };
+    }
+    Object.assign(updates, tiers);
+  }
+
+  if (body.venueId !== undefined) {
+    const seatMap = await seatMapFields(body.venueId, current);
+    if (seatMap.error) {
+      return { error: seatMap.error };
+    }
+    Object.assign(updates, seatMap);
+  }
+
+  const seated = (updates.seats || current.seats || []).length > 0;
+  const tiered = (updates.ticketTypes || current.ticketTypes || []).length > 0;
+  if (seated && tiered) {
+    return { error: 'An event with a seat map cannot also have ticket types' };
+  }
+
+  return { updates };
+};
+
+// How many times a PUT re-reads an event that bookings keep changing under it
+const EDIT_ATTEMPTS = 5;
+
 // PUT /api/events/:id - Update event (admin only)
+// Edits worked out from the stored event (tiers, seat map, schedule) are only
+// written if its version is unchanged since it was read, so a booking made in
+// between is never overwritten; the edit is then worked out again.
 router.put('/:id', verifyToken, isAdmin, async (req, res) => {
   try {
-    const event = await Event.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: Date.now() },
-      { new: true, runValidators: true }
-    );
+    const updates = { ...req.body, updatedAt: Date.now() };
+    ['seats', 'seriesId', 'cancellationReason', 'cancelledAt', 'cancelledBy', 'version'].forEach(field => delete updates[field]);
+
+    // Cancelling tells ticket holders and refunds them, so it has its own route
+    if (req.body.status === 'cancelled') {
+      return res.status(400).json({ error: 'Cancel an event with PATCH /api/events/:id/cancel' });
+    }
+
+    let event = null;
+    if (req.body.ticketTypes !== undefined || req.body.venueId !== undefined || req.body.status !== undefined || touchesSchedule(req.body)) {
+      for (let attempt = 0; !event && attempt < EDIT_ATTEMPTS; attempt += 1) {
+        const current = await Event.findById(req.params.id);
+        if (!current) {
+          return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const derived = await derivedUpdates(req.body, current);
+        if (derived.error) {
+          return res.status(400).json({ error: derived.error });
+        }
+
+        // A new seat map only replaces one whose seats are all still free
+        const filter = { _id: req.params.id, version: current.version || { $in: [0, null] } };
+        if (derived.updates.seats) {
+          filter.seats = { $not: { $elemMatch: { status: { $ne: 'available' } } } };
+        }
+
+        event = await Event.findOneAndUpdate(
+          filter,
+          { ...updates, ...derived.updates, $inc: { version: 1 } },
+          { new: true, runValidators: true }
+        );
+      }
+
+      if (!event) {
+        return res.status(409).json({ error: 'The event kept changing while it was being saved. Please try again.' });
+      }
+    } else {
+      event = await Event.findByIdAndUpdate(
+        req.params.id,
+        { ...updates, $inc: { version: 1 } },
+        { new: true, runValidators: true }
+      );
+    }
     
     if (!event) {
       return res.status(404).json({ error: 'Event not found' });
     }
     
-    // Update booking records with new event details
-    try {
-      await axios.patch(`${BOOKING_SERVICE_URL}/api/bookings/event/${req.params.id}/sync`, {
-        eventTitle: event.title,
-        eventDate: event.date,
-        eventVenue: event.venue,
-        eventTime: event.time
-      });
-    } catch (bookingErr) {
-      console.error('Failed to sync bookings:', bookingErr.message);
-      // Continue even if booking sync fails
-    }
+    // Booking records follow the new event details
+    await publishEventUpdated(event);
     
     res.json({
       message: 'Event updated successfully',
@@ -140,62 +299,333 @@ router.put('/:id', verifyToken, isAdmin, async (req, res) => {
   }
 });
 
-// DELETE /api/events/:id - Delete event (admin only)
-router.delete('/:id', verifyToken, isAdmin, async (req, res) => {
+// PATCH /api/events/:id/cancel - Cancel an event (admin only)
+// The event is kept for history and analytics. Booking-service cancels and
+// refunds its bookings and emails every ticket holder the reason.
+router.patch('/:id/cancel', verifyToken, isAdmin, async (req, res) => {
   try {
-    const event = await Event.findByIdAndDelete(req.params.id);
-    
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'A cancellation reason is required' });
+    }
+    if (reason.length > 500) {
+      return res.status(400).json({ error: 'Cancellation reason cannot exceed 500 characters' });
+    }
+
+    const event = await Event.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'cancelled' } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancellationReason: reason,
+          cancelledAt: new Date(),
+          cancelledBy: req.user._id,
+          updatedAt: Date.now()
+        },
+        $inc: { version: 1 }
+      },
+      { new: true }
+    );
+
+    if (!event) {
+      const existing = await Event.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      return res.status(409).json({ error: 'Event is already cancelled' });
+    }
+
+    await publishEventCancelled(event._id, reason, event.cancelledAt);
+
+    res.json({
+      message: 'Event cancelled successfully',
+      event
+    });
+  } catch (err) {
+    console.error('Cancel event error:', err);
+    res.status(500).json({ error: 'Failed to cancel event', details: err.message });
+  }
+});
+
+// PATCH /api/events/:id/restore - Reopen a cancelled event (admin only)
+// Its bookings stay cancelled and refunded, so every seat goes back on sale.
+// Booking-service cancels them in the background, so the event is only
+// reopened once it no longer counts any tickets for it.
+router.patch('/:id/restore', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
     if (!event) {
       return res.status(404).json({ error: 'Event not found' });
     }
-    
-    // Cancel all bookings for this event
+    if (event.status !== 'cancelled') {
+      return res.status(409).json({ error: 'Only a cancelled event can be restored' });
+    }
+
+    let usage;
     try {
-      await axios.patch(`${BOOKING_SERVICE_URL}/api/bookings/event/${req.params.id}/cancel-all`);
+      usage = await fetchSeatUsage(String(event._id));
     } catch (bookingErr) {
-      console.error('Failed to cancel bookings:', bookingErr.message);
-      // Continue even if booking cancellation fails
+      console.error('Failed to fetch seat usage:', bookingErr.message);
+      return res.status(503).json({ error: 'Could not check the bookings for this event. Please try again.' });
     }
-    
+    if (usage.tickets > 0) {
+      return res.status(409).json({ error: 'Bookings for this event are still being cancelled. Please try again in a minute.' });
+    }
+
+    const plain = (doc) => (doc.toObject ? doc.toObject() : doc);
+    const restored = await Event.findOneAndUpdate(
+      { _id: event._id, status: 'cancelled' },
+      {
+        $set: {
+          status: scheduledStatus({ startsAt: event.startsAt, endsAt: event.endsAt }),
+          availableSeats: event.capacity,
+          ticketTypes: (event.ticketTypes || []).map(tier => ({ ...plain(tier), available: tier.quantity })),
+          seats: (event.seats || []).map(seat => ({ ...plain(seat), status: 'available' })),
+          cancellationReason: null,
+          cancelledAt: null,
+          cancelledBy: null,
+          updatedAt: Date.now()
+        },
+        $inc: { version: 1 }
+      },
+      { new: true }
+    );
+
+    if (!restored) {
+      return res.status(409).json({ error: 'Only a cancelled event can be restored' });
+    }
+
     res.json({
-      message: 'Event deleted successfully',
-      event
+      message: 'Event restored successfully',
+      event: restored
     });
   } catch (err) {
-    console.error('Delete event error:', err);
-    res.status(500).json({ error: 'Failed to delete event', details: err.message });
+    console.error('Restore event error:', err);
+    res.status(500).json({ error: 'Failed to restore event', details: err.message });
   }
 });
 
-// PATCH /api/events/:id/seats - Update available seats (internal use)
-router.patch('/:id/seats', async (req, res) => {
+// DELETE /api/events/:id - Permanently delete a cancelled event (admin only)
+// The event must be cancelled first and its title sent back as `confirm`.
+// Its feedback goes with it; bookings keep their own copy of the event details.
+router.delete('/:id', verifyToken, isAdmin, async (req, res) => {
   try {
-    const { seatsToBook } = req.body;
-
+    const { confirm } = req.body || {};
     const event = await Event.findById(req.params.id);
 
     if (!event) {
       return res.status(404).json({ error: 'Event not found' });
     }
-
-    if (seatsToBook > 0 && event.availableSeats < seatsToBook) {
-      return res.status(400).json({ error: 'Not enough seats available' });
+    if (event.status !== 'cancelled') {
+      return res.status(409).json({ error: 'Cancel the event before deleting it' });
+    }
+    if (confirm !== event.title) {
+      return res.status(400).json({ error: 'Type the event title to confirm' });
     }
 
-    const updatedAvailability = event.availableSeats - seatsToBook;
-    event.availableSeats = Math.min(event.capacity, Math.max(0, updatedAvailability));
-    await event.save();
+    const deleted = await Event.findOneAndDelete({ _id: event._id, status: 'cancelled' });
+    if (!deleted) {
+      return res.status(409).json({ error: 'Cancel the event before deleting it' });
+    }
+    await Feedback.deleteMany({ eventId: event._id });
 
     res.json({
+      message: 'Event deleted permanently',
+      event: deleted
+    });
+  } catch (err) {
+    console.error('Delete event error:', err);
+    res.status(500).json({ error: 'Failed to delete event', details: err.message });
+  }
+});
+
+// PATCH /api/events/:id/seats - Update available seats (services only)
+// Positive seatsToBook reserves seats, negative releases them. Both are single
+// atomic updates so concurrent bookings can never push availableSeats below zero.
+// With a ticketTypeId the tier's own count moves in the same update.
+// With seatLabels (reserved seating) the named seats change state in the same
+// update, and only if every one of them is free (or taken, when releasing).
+router.patch('/:id/seats', verifyService, async (req, res) => {
+  try {
+    const seatsToBook = Number(req.body.seatsToBook);
+    const { ticketTypeId } = req.body;
+
+    if (!Number.isInteger(seatsToBook) || seatsToBook === 0) {
+      return res.status(400).json({ error: 'seatsToBook must be a non-zero integer' });
+    }
+
+    if (req.body.seatLabels !== undefined) {
+      const parsed = parseSeatLabels(req.body.seatLabels);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      const { seatLabels } = parsed;
+      if (seatLabels.length !== Math.abs(seatsToBook)) {
+        return res.status(400).json({ error: 'List one seat for each ticket' });
+      }
+
+      // Held seats belong to an unpaid seat hold; booked seats are paid for
+      const reserving = seatsToBook > 0;
+      const takenStates = ['held', 'booked'];
+      const event = await Event.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          ...seatsInState(seatLabels, reserving ? 'available' : { $in: takenStates })
+        },
+        {
+          $inc: { availableSeats: -seatsToBook, version: 1 },
+          $set: {
+            'seats.$[seat].status': reserving ? (req.body.hold ? 'held' : 'booked') : 'available',
+            updatedAt: Date.now()
+          }
+        },
+        { new: true, arrayFilters: [{ 'seat.label': { $in: seatLabels } }] }
+      );
+
+      if (!event) {
+        const existing = await Event.findById(req.params.id);
+        if (!existing) {
+          return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const states = new Map((existing.seats || []).map(seat => [seat.label, seat.status]));
+        const unavailableSeats = seatLabels.filter(label => (reserving
+          ? states.get(label) !== 'available'
+          : !takenStates.includes(states.get(label))));
+
+        return res.status(400).json({
+          error: reserving ? 'Some of those seats are already taken' : 'Those seats are not taken',
+          unavailableSeats,
+          availableSeats: existing.availableSeats
+        });
+      }
+
+      return res.json({
+        message: 'Seats updated successfully',
+        availableSeats: event.availableSeats
+      });
+    }
+
+    if (ticketTypeId && !mongoose.isValidObjectId(ticketTypeId)) {
+      return res.status(400).json({ error: 'Unknown ticket type' });
+    }
+
+    let event;
+    if (seatsToBook > 0) {
+      const filter = { _id: req.params.id, availableSeats: { $gte: seatsToBook } };
+      const update = { $inc: { availableSeats: -seatsToBook, version: 1 }, $set: { updatedAt: Date.now() } };
+
+      if (ticketTypeId) {
+        filter.ticketTypes = { $elemMatch: { _id: ticketTypeId, available: { $gte: seatsToBook } } };
+        update.$inc['ticketTypes.$.available'] = -seatsToBook;
+      }
+
+      event = await Event.findOneAndUpdate(filter, update, { new: true });
+
+      if (!event) {
+        const existing = await Event.findById(req.params.id);
+        if (!existing) {
+          return res.status(404).json({ error: 'Event not found' });
+        }
+
+        let availableSeats = existing.availableSeats;
+        if (ticketTypeId) {
+          const tier = (existing.ticketTypes || []).find(t => String(t._id) === String(ticketTypeId));
+          if (!tier) {
+            return res.status(400).json({ error: 'Unknown ticket type' });
+          }
+          availableSeats = Math.min(availableSeats, tier.available);
+        }
+
+        return res.status(400).json({
+          error: 'Not enough seats available',
+          availableSeats
+        });
+      }
+    } else {
+      // Released seats are capped at capacity (and at the tier's quantity)
+      const $set = {
+        availableSeats: { $min: ['$capacity', { $add: ['$availableSeats', -seatsToBook] }] },
+        version: { $add: [{ $ifNull: ['$version', 0] }, 1] },
+        updatedAt: '$$NOW'
+      };
+
+      if (ticketTypeId) {
+        $set.ticketTypes = {
+          $map: {
+            input: '$ticketTypes',
+            as: 'tier',
+            in: {
+              $cond: [
+                { $eq: ['$$tier._id', new mongoose.Types.ObjectId(ticketTypeId)] },
+                {
+                  $mergeObjects: ['$$tier', {
+                    available: { $min: ['$$tier.quantity', { $add: ['$$tier.available', -seatsToBook] }] }
+                  }]
+                },
+                '$$tier'
+              ]
+            }
+          }
+        };
+      }
+
+      event = await Event.findByIdAndUpdate(req.params.id, [{ $set }], { new: true });
+
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+    }
+
+    const response = {
       message: 'Seats updated successfully',
       availableSeats: event.availableSeats
-    });
+    };
+
+    if (ticketTypeId) {
+      const tier = (event.ticketTypes || []).find(t => String(t._id) === String(ticketTypeId));
+      response.ticketTypeAvailable = tier ? tier.available : undefined;
+    }
+
+    res.json(response);
   } catch (err) {
     console.error('Update seats error:', err);
     res.status(500).json({ error: 'Failed to update seats', details: err.message });
   }
 });
 
+// PATCH /api/events/:id/seats/confirm - Mark held seats as sold once their hold is paid (services only)
+router.patch('/:id/seats/confirm', verifyService, async (req, res) => {
+  try {
+    const parsed = parseSeatLabels(req.body.seatLabels);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const { seatLabels } = parsed;
+    const event = await Event.findOneAndUpdate(
+      { _id: req.params.id, ...seatsInState(seatLabels, 'held') },
+      { $set: { 'seats.$[seat].status': 'booked', updatedAt: Date.now() }, $inc: { version: 1 } },
+      { new: true, arrayFilters: [{ 'seat.label': { $in: seatLabels } }] }
+    );
+
+    if (!event) {
+      const existing = await Event.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      return res.status(409).json({ error: 'Those seats are no longer held' });
+    }
+
+    res.json({ message: 'Seats confirmed', availableSeats: event.availableSeats });
+  } catch (err) {
+    console.error('Confirm seats error:', err);
+    res.status(500).json({ error: 'Failed to confirm seats', details: err.message });
+  }
+});
+
 // POST /api/events/:id/feedback - Add feedback for an event
 router.post('/:id/feedback', verifyToken, async (req, res) => {
   try {
@@ -246,6 +676,31 @@ router.post('/:id/feedback', verifyToken, async (req, res) => {
   }
 });
 
+// GET /api/events/feedback/user/:userId - All feedback written by one user (admin only)
+router.get('/feedback/user/:userId', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const feedback = await Feedback.find({ userId: req.params.userId }).sort({ createdAt: -1 });
+
+    // Attach event titles so the admin view doesn't need a lookup per row
+    const eventIds = [...new Set(feedback.map(item => String(item.eventId)))];
+    const events = eventIds.length
+      ? await Event.find({ _id: { $in: eventIds } }).select('title date').lean()
+      : [];
+    const titles = new Map(events.map(event => [String(event._id), event.title]));
+
+    res.json({
+      count: feedback.length,
+      feedback: feedback.map(item => ({
+        ...(item.toObject ? item.toObject() : item),
+        eventTitle: titles.get(String(item.eventId)) || 'Deleted event'
+      }))
+    });
+  } catch (err) {
+    console.error('Get user feedback error:', err);
+    res.status(500).json({ error: 'Failed to fetch feedback', details: err.message });
+  }
+});
+
 // GET /api/events/:id/feedback - List feedback for an event
 router.get('/:id/feedback', async (req, res) => {
   try {
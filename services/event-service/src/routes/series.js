@@ -0,0 +1,448 @@
+const express = require('express');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { buildTicketTypes } = require('../utils/ticketTypes');
+const { seatMapFields } = require('../utils/seatMaps');
+const { resolveSchedule } = require('../utils/eventTime');
+const { publishEventUpdated, publishEventCancelled } = require('../utils/domainEvents');
+const {
+  dayKey,
+  startOfDay,
+  addDays,
+  parseRecurrence,
+  parseExceptions,
+  occurrenceDates,
+  sameRecurrence
+} = require('../utils/recurrence');
+
+const router = express.Router();
+
+// Details an admin can change across "this and following" occurrences
+const SHARED_FIELDS = ['title', 'description', 'category', 'venue', 'time', 'endTime', 'timezone', 'price', 'capacity', 'organizer', 'imageUrl', 'tags'];
+
+const soldFor = (event) => event.capacity - event.availableSeats;
+
+// Matches an occurrence with no tickets sold or seats held
+const UNSOLD = { $expr: { $eq: ['$availableSeats', '$capacity'] } };
+
+// How many times an occurrence is read again when bookings keep changing it
+const EDIT_ATTEMPTS = 5;
+
+// Told to anyone on the waitlist of a day dropped from a series
+const DROPPED_REASON = 'This date was removed from the series';
+
+// A fresh copy of an occurrence to create on another day: nothing sold, every seat free
+const occurrenceTemplate = (event) => {
+  const source = event.toObject ? event.toObject() : { ...event };
+  ['_id', '__v', 'date', 'createdAt', 'updatedAt', 'availableSeats'].forEach(field => delete source[field]);
+  source.seats = (source.seats || []).map(seat => ({ ...seat, status: 'available' }));
+  source.ticketTypes = (source.ticketTypes || []).map(({ _id, ...tier }) => ({ ...tier, available: tier.quantity }));
+  return source;
+};
+
+// Save one Event per day, each starting at the template's local time in its
+// timezone and lasting as long as the template. If any save fails, the ones
+// already saved are removed so a series is never left half created.
+const createOccurrences = async (template, dates, seriesId) => {
+  const created = [];
+  try {
+    for (const date of dates) {
+      const schedule = resolveSchedule({ date: dayKey(date) }, template);
+      if (schedule.error) {
+        throw new Error(schedule.error);
+      }
+
+      const event = new Event({
+        ...template,
+        seats: (template.seats || []).map(seat => ({ ...seat })),
+        ticketTypes: (template.ticketTypes || []).map(tier => ({ ...tier })),
+        ...schedule,
+        seriesId
+      });
+      await event.save();
+      created.push(event);
+    }
+  } catch (err) {
+    if (created.length > 0) {
+      await Event.deleteMany({ _id: { $in: created.map(event => event._id) } });
+    }
+    throw err;
+  }
+  return created;
+};
+
+// Shared details for one occurrence. Tiered and seated events work out their
+// own price and capacity, and capacity never drops below what has been sold.
+// A new time, end time or timezone moves the occurrence on its own day.
+// Returns { error } or the update for that event.
+const sharedUpdate = (event, changes) => {
+  const { endTime, ...update } = changes;
+
+  if (changes.time !== undefined || endTime !== undefined || changes.timezone !== undefined) {
+    const schedule = resolveSchedule({ time: changes.time, endTime, timezone: changes.timezone }, event);
+    if (schedule.error) {
+      return { error: schedule.error };
+    }
+    if (schedule.startsAt <= new Date()) {
+      return { error: `The occurrence on ${dayKey(event.date)} would start in the past` };
+    }
+    Object.assign(update, schedule);
+  }
+
+  const derived = (event.ticketTypes || []).length > 0 || (event.seats || []).length > 0;
+
+  if (derived) {
+    delete update.price;
+    delete update.capacity;
+  } else if (update.capacity !== undefined) {
+    const capacity = Number(update.capacity);
+    const sold = soldFor(event);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      return { error: 'Capacity must be at least 1' };
+    }
+    if (capacity < sold) {
+      return { error: `Cannot reduce capacity below the ${sold} tickets already sold for ${dayKey(event.date)}` };
+    }
+    update.capacity = capacity;
+    update.availableSeats = capacity - sold;
+  }
+
+  return { update };
+};
+
+// Save the shared details on one occurrence. The update is worked out from the
+// occurrence as it was read (seats sold, capacity), so it is only written if
+// nothing changed since; otherwise the occurrence is read again and the update
+// worked out afresh. Returns { event } (null if it has gone) or { error }.
+const saveOccurrence = async (event, changes, seriesId) => {
+  let current = event;
+  for (let attempt = 0; attempt < EDIT_ATTEMPTS; attempt += 1) {
+    const shared = sharedUpdate(current, changes);
+    if (shared.error) {
+      return { error: shared.error };
+    }
+
+    const saved = await Event.findOneAndUpdate(
+      { _id: current._id, version: current.version || { $in: [0, null] } },
+      { ...shared.update, seriesId, updatedAt: Date.now(), $inc: { version: 1 } },
+      { new: true, runValidators: true }
+    );
+    if (saved) {
+      return { event: saved };
+    }
+
+    current = await Event.findById(current._id);
+    if (!current) {
+      return { event: null };
+    }
+  }
+  return { error: `The occurrence on ${dayKey(event.date)} kept changing while it was being saved. Please try again.` };
+};
+
+// GET /api/series/:id - Get a series and its occurrences (public)
+router.get('/:id', async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const events = await Event.find({ seriesId: String(series._id) }, { seats: 0 }).sort({ date: 1 });
+
+    res.json({ series, events });
+  } catch (err) {
+    console.error('Get series error:', err);
+    res.status(500).json({ error: 'Failed to fetch series', details: err.message });
+  }
+});
+
+// POST /api/series - Create a recurring event (admin only)
+// Takes the same fields as POST /api/events plus a recurrence rule and any
+// days to skip, and creates one bookable event per occurrence.
+router.post('/', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { recurrence: rule, exceptions: skipped, ...fields } = req.body;
+
+    const first = resolveSchedule(fields);
+    if (first.error) {
+      return res.status(400).json({ error: first.error });
+    }
+    if (first.startsAt <= new Date()) {
+      return res.status(400).json({ error: 'Event date must be in the future' });
+    }
+    const firstDay = first.date;
+
+    const parsed = parseRecurrence(rule, firstDay);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const parsedExceptions = parseExceptions(skipped);
+    if (parsedExceptions.error) {
+      return res.status(400).json({ error: parsedExceptions.error });
+    }
+
+    const schedule = occurrenceDates(firstDay, parsed.recurrence, parsedExceptions.exceptions);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    const template = { ...fields, ...first, createdBy: req.user._id };
+    ['seats', 'seriesId', 'endTime'].forEach(field => delete template[field]);
+
+    if (fields.ticketTypes !== undefined) {
+      const tiers = buildTicketTypes(fields.ticketTypes);
+      if (tiers.error) {
+        return res.status(400).json({ error: tiers.error });
+      }
+      Object.assign(template, tiers);
+    }
+
+    if (fields.venueId) {
+      if ((template.ticketTypes || []).length > 0) {
+        return res.status(400).json({ error: 'An event with a seat map cannot also have ticket types' });
+      }
+
+      const seatMap = await seatMapFields(fields.venueId);
+      if (seatMap.error) {
+        return res.status(400).json({ error: seatMap.error });
+      }
+      Object.assign(template, seatMap);
+    }
+
+    const series = new EventSeries({
+      title: fields.title,
+      startDate: startOfDay(firstDay),
+      recurrence: parsed.recurrence,
+      exceptions: parsedExceptions.exceptions,
+      createdBy: req.user._id
+    });
+    await series.save();
+
+    let events;
+    try {
+      events = await createOccurrences(template, schedule.dates, String(series._id));
+    } catch (err) {
+      await EventSeries.findByIdAndDelete(series._id);
+      throw err;
+    }
+
+    res.status(201).json({
+      message: `Created ${events.length} occurrences`,
+      series,
+      events
+    });
+  } catch (err) {
+    console.error('Create series error:', err);
+    res.status(500).json({ error: 'Failed to create series', details: err.message });
+  }
+});
+
+// PUT /api/series/:id - Edit an occurrence and every one after it (admin only)
+// Body: { fromEventId, ...changed fields, recurrence?, exceptions? }. Earlier
+// occurrences are left alone. A new recurrence or exception list reschedules
+// the following occurrences: days the new schedule keeps stay as they are
+// (with their bookings), new days are added, and dropped days are cancelled
+// and taken out of the series, which is refused for any day that already has
+// bookings. Changing the schedule part-way through splits the series in two
+// at fromEventId.
+router.put('/:id', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const seriesId = String(series._id);
+    const from = await Event.findOne({ _id: req.body.fromEventId, seriesId });
+    if (!from) {
+      return res.status(404).json({ error: 'Occurrence not found in this series' });
+    }
+
+    const changes = {};
+    SHARED_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    const following = await Event.find({ seriesId, date: { $gte: from.date } }).sort({ date: 1 });
+
+    for (const event of following) {
+      const shared = sharedUpdate(event, changes);
+      if (shared.error) {
+        return res.status(400).json({ error: shared.error });
+      }
+    }
+
+    // Work out the new schedule, if there is one
+    let rescheduled = null;
+    if (req.body.recurrence !== undefined || req.body.exceptions !== undefined) {
+      const parsed = req.body.recurrence !== undefined
+        ? parseRecurrence(req.body.recurrence, from.date)
+        : { recurrence: series.recurrence };
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      const parsedExceptions = req.body.exceptions !== undefined
+        ? parseExceptions(req.body.exceptions)
+        : { exceptions: series.exceptions };
+      if (parsedExceptions.error) {
+        return res.status(400).json({ error: parsedExceptions.error });
+      }
+
+      const unchanged = sameRecurrence(parsed.recurrence, series.recurrence)
+        && parsedExceptions.exceptions.join(',') === [...series.exceptions].sort().join(',');
+
+      if (!unchanged) {
+        const schedule = occurrenceDates(from.date, parsed.recurrence, parsedExceptions.exceptions);
+        if (schedule.error) {
+          return res.status(400).json({ error: schedule.error });
+        }
+
+        const newDays = new Set(schedule.dates.map(dayKey));
+        const dropped = following.filter(event => !newDays.has(dayKey(event.date)));
+        const booked = dropped.find(event => event.status !== 'cancelled' && soldFor(event) > 0);
+        if (booked) {
+          return res.status(409).json({
+            error: `Cannot drop ${dayKey(booked.date)}; it already has bookings. Cancel that occurrence separately first.`
+          });
+        }
+
+        const keptDays = new Set(following.map(event => dayKey(event.date)));
+        const added = schedule.dates.filter(date => !keptDays.has(dayKey(date)));
+        const startOn = (date) => resolveSchedule({ date: dayKey(date), time: changes.time, timezone: changes.timezone }, from).startsAt;
+        if (added.some(date => startOn(date) <= new Date())) {
+          return res.status(400).json({ error: 'New occurrences must be in the future' });
+        }
+
+        rescheduled = {
+          recurrence: parsed.recurrence,
+          exceptions: parsedExceptions.exceptions,
+          dropped,
+          added
+        };
+      }
+    }
+
+    // The kept occurrences are saved before either series changes. If one keeps
+    // failing, the schedule is untouched and sending the same edit again
+    // finishes the job.
+    const droppedIds = new Set((rescheduled?.dropped || []).map(event => String(event._id)));
+
+    const updated = [];
+    for (const event of following) {
+      if (droppedIds.has(String(event._id))) continue;
+
+      const saved = await saveOccurrence(event, changes, seriesId);
+      if (saved.error) {
+        return res.status(409).json({ error: saved.error });
+      }
+      if (saved.event) {
+        updated.push(saved.event);
+        await publishEventUpdated(saved.event);
+      }
+    }
+
+    // Changing the schedule part-way through starts a new series at this
+    // occurrence, and the kept occurrences move over to it
+    let target = series;
+    if (rescheduled) {
+      const earlier = await Event.countDocuments({ seriesId, date: { $lt: from.date } });
+
+      if (earlier === 0) {
+        series.startDate = startOfDay(from.date);
+        series.recurrence = rescheduled.recurrence;
+        series.exceptions = rescheduled.exceptions;
+      } else {
+        const cutOff = startOfDay(from.date);
+        series.recurrence = { ...(series.recurrence.toObject ? series.recurrence.toObject() : series.recurrence), count: null, until: addDays(cutOff, -1) };
+        series.exceptions = series.exceptions.filter(day => day < dayKey(cutOff));
+
+        target = new EventSeries({
+          title: changes.title || series.title,
+          startDate: cutOff,
+          recurrence: rescheduled.recurrence,
+          exceptions: rescheduled.exceptions,
+          createdBy: req.user._id
+        });
+        await target.save();
+      }
+    }
+
+    if (changes.title && target === series) {
+      series.title = changes.title;
+    }
+    await series.save();
+
+    const targetId = String(target._id);
+    if (targetId !== seriesId && updated.length > 0) {
+      await Event.updateMany(
+        { _id: { $in: updated.map(event => event._id) } },
+        { $set: { seriesId: targetId, updatedAt: Date.now() }, $inc: { version: 1 } }
+      );
+      updated.forEach(event => {
+        event.seriesId = targetId;
+      });
+    }
+
+    // A dropped day is cancelled like any other event, so it stays on record,
+    // but only while it is still unsold; one booked in the meantime is kept
+    // for the admin to cancel separately
+    const kept = [];
+    if (rescheduled) {
+      for (const event of rescheduled.dropped) {
+        if (event.status === 'cancelled') {
+          await Event.findByIdAndUpdate(event._id, { seriesId: null, updatedAt: Date.now(), $inc: { version: 1 } });
+          continue;
+        }
+
+        const cancelled = await Event.findOneAndUpdate(
+          { _id: event._id, status: { $ne: 'cancelled' }, ...UNSOLD },
+          {
+            $set: {
+              status: 'cancelled',
+              seriesId: null,
+              cancellationReason: DROPPED_REASON,
+              cancelledAt: new Date(),
+              cancelledBy: req.user._id,
+              updatedAt: Date.now()
+            },
+            $inc: { version: 1 }
+          },
+          { new: true }
+        );
+        if (cancelled) {
+          // Dropped days have no sales, but may still have a waitlist
+          await publishEventCancelled(cancelled._id, DROPPED_REASON, cancelled.cancelledAt);
+        } else {
+          kept.push(dayKey(event.date));
+        }
+      }
+
+      if (rescheduled.added.length > 0) {
+        const template = occurrenceTemplate(from);
+        const { update } = sharedUpdate({ ...template, date: from.date, availableSeats: template.capacity }, changes);
+        Object.assign(template, update);
+        const created = await createOccurrences(template, rescheduled.added, targetId);
+        updated.push(...created);
+      }
+    }
+
+    updated.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    res.json({
+      message: kept.length > 0
+        ? `Series updated, but kept ${kept.join(', ')}, which sold tickets during the change. Cancel those separately.`
+        : 'Series updated successfully',
+      series: target,
+      events: updated
+    });
+  } catch (err) {
+    console.error('Update series error:', err);
+    res.status(500).json({ error: 'Failed to update series', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const Venue = require('../models/Venue');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { buildSections } = require('../utils/seatMaps');
+
+const router = express.Router();
+
+// GET /api/venues - List venue layouts (admin only)
+router.get('/', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const venues = await Venue.find().sort({ name: 1 });
+    res.json({ venues });
+  } catch (err) {
+    console.error('Get venues error:', err);
+    res.status(500).json({ error: 'Failed to fetch venues', details: err.message });
+  }
+});
+
+// POST /api/venues - Create a venue layout (admin only)
+router.post('/', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'Venue name is required' });
+    }
+
+    const layout = buildSections(req.body.sections);
+    if (layout.error) {
+      return res.status(400).json({ error: layout.error });
+    }
+
+    const venue = new Venue({
+      name,
+      address: req.body.address,
+      ...layout,
+      createdBy: req.user._id
+    });
+    await venue.save();
+
+    res.status(201).json({
+      message: 'Venue created successfully',
+      venue
+    });
+  } catch (err) {
+    console.error('Create venue error:', err);
+    res.status(500).json({ error: 'Failed to create venue', details: err.message });
+  }
+});
+
+// PUT /api/venues/:id - Update a venue layout (admin only)
+// Events keep the copy of the seats they were given, so edits only affect events attached afterwards.
+router.put('/:id', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+
+    if (!venue) {
+      return res.status(404).json({ error: 'Venue not found' });
+    }
+
+    if (req.body.name !== undefined) {
+      const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+      if (!name) {
+        return res.status(400).json({ error: 'Venue name is required' });
+      }
+      venue.name = name;
+    }
+
+    if (req.body.address !== undefined) {
+      venue.address = req.body.address;
+    }
+
+    if (req.body.sections !== undefined) {
+      const layout = buildSections(req.body.sections);
+      if (layout.error) {
+        return res.status(400).json({ error: layout.error });
+      }
+      venue.sections = layout.sections;
+      venue.capacity = layout.capacity;
+    }
+
+    await venue.save();
+
+    res.json({
+      message: 'Venue updated successfully',
+      venue
+    });
+  } catch (err) {
+    console.error('Update venue error:', err);
+    res.status(500).json({ error: 'Failed to update venue', details: err.message });
+  }
+});
+
+// DELETE /api/venues/:id - Delete a venue layout (admin only)
+router.delete('/:id', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const venue = await Venue.findByIdAndDelete(req.params.id);
+
+    if (!venue) {
+      return res.status(404).json({ error: 'Venue not found' });
+    }
+
+    res.json({
+      message: 'Venue deleted successfully',
+      venue
+    });
+  } catch (err) {
+    console.error('Delete venue error:', err);
+    res.status(500).json({ error: 'Failed to delete venue', details: err.message });
+  }
+});
+
+module.exports = router;
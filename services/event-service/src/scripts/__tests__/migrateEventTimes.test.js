@@ -0,0 +1,82 @@
+jest.mock('axios', () => ({
+  patch: jest.fn()
+}));
+
+jest.mock('../../models/Event', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({})
+}));
+
+const axios = require('axios');
+const Event = require('../../models/Event');
+const { migrateEventTimes } = require('../migrateEventTimes');
+
+// Calls to another service's internal routes carry a signature
+const signedByService = { headers: expect.objectContaining({ 'X-Service-Signature': expect.any(String) }) };
+
+const legacy = (id, date, time, extra = {}) => ({
+  _id: id,
+  title: `Event ${id}`,
+  venue: 'Hall',
+  date: new Date(date),
+  time,
+  ...extra
+});
+
+describe('migrateEventTimes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.patch.mockResolvedValue({});
+  });
+
+  const stored = (events) => {
+    Event.find.mockReturnValue({ lean: jest.fn().mockResolvedValue(events) });
+  };
+
+  test('reads the old date and time in the given timezone and syncs bookings', async () => {
+    stored([
+      legacy('evt1', '2030-03-10T00:00:00.000Z', '18:00'),
+      legacy('evt2', '2020-12-01T00:00:00.000Z', '7:30 PM')
+    ]);
+
+    const result = await migrateEventTimes({ timezone: 'America/New_York' });
+
+    expect(result).toEqual({ migrated: 2, skipped: [], unsynced: 0 });
+    expect(Event.find).toHaveBeenCalledWith({ startsAt: null }, { seats: 0 });
+
+    const [first, second] = Event.updateOne.mock.calls.map(([, update]) => update.$set);
+    expect(first.startsAt.toISOString()).toBe('2030-03-10T22:00:00.000Z');
+    expect(first.timezone).toBe('America/New_York');
+    // Past events are migrated too, with 12-hour times normalised
+    expect(second.startsAt.toISOString()).toBe('2020-12-02T00:30:00.000Z');
+    expect(second.time).toBe('19:30');
+
+    expect(axios.patch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/bookings/event/evt1/sync'),
+      expect.objectContaining({ eventTime: '18:00', eventTimezone: 'America/New_York' }),
+      signedByService
+    );
+  });
+
+  test('skips events whose time cannot be read and counts failed booking syncs', async () => {
+    stored([
+      legacy('evt1', '2030-03-10T00:00:00.000Z', 'evening'),
+      legacy('evt2', '2030-03-11T00:00:00.000Z', '09:00')
+    ]);
+    axios.patch.mockRejectedValue(new Error('Booking service down'));
+
+    const result = await migrateEventTimes({ timezone: 'UTC' });
+
+    expect(result).toEqual({
+      migrated: 1,
+      skipped: [{ id: 'evt1', title: 'Event evt1', error: 'Event time must look like 18:30' }],
+      unsynced: 1
+    });
+    expect(Event.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses an unknown timezone', async () => {
+    await expect(migrateEventTimes({ timezone: 'Nowhere/Special' })).rejects.toThrow('Unknown timezone Nowhere/Special');
+    expect(Event.find).not.toHaveBeenCalled();
+  });
+});
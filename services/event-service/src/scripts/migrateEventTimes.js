@@ -0,0 +1,79 @@
+// Give events saved before start instants were stored a startsAt and a
+// timezone, reading their old local date and time in that timezone:
+//   DEFAULT_EVENT_TIMEZONE=America/New_York npm run migrate-event-times
+const axios = require('axios');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Event = require('../models/Event');
+const { serviceHeaders } = require('../middleware/serviceAuth');
+const { DEFAULT_TIMEZONE, isValidTimezone, resolveSchedule } = require('../utils/eventTime');
+
+const BOOKING_SERVICE_URL = process.env.BOOKING_SERVICE_URL || 'http://localhost:4003';
+
+// Resolves { migrated, skipped, unsynced }. Safe to run repeatedly: events
+// that already have a start instant are left alone. Past events are migrated
+// too, so the update skips the "must be in the future" validation.
+const migrateEventTimes = async ({ timezone = DEFAULT_TIMEZONE } = {}) => {
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Unknown timezone ${timezone}`);
+  }
+
+  const events = await Event.find({ startsAt: null }, { seats: 0 }).lean();
+  const skipped = [];
+  let migrated = 0;
+  let unsynced = 0;
+
+  for (const event of events) {
+    const schedule = resolveSchedule({ date: event.date, time: event.time, timezone });
+    if (schedule.error) {
+      skipped.push({ id: String(event._id), title: event.title, error: schedule.error });
+      continue;
+    }
+
+    await Event.updateOne({ _id: event._id }, { $set: schedule });
+    migrated++;
+
+    // Bookings keep their own copy of the event's time
+    try {
+      const url = `${BOOKING_SERVICE_URL}/api/bookings/event/${event._id}/sync`;
+      const sync = {
+        eventTitle: event.title,
+        eventDate: schedule.date,
+        eventVenue: event.venue,
+        eventTime: schedule.time,
+        eventStartsAt: schedule.startsAt,
+        eventTimezone: schedule.timezone
+      };
+      await axios.patch(url, sync, { headers: serviceHeaders('PATCH', url, sync) });
+    } catch (bookingErr) {
+      unsynced++;
+    }
+  }
+
+  return { migrated, skipped, unsynced };
+};
+
+if (require.main === module) {
+  const MONGO_URI = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/eventsphere-events';
+
+  mongoose.connect(MONGO_URI)
+    .then(() => migrateEventTimes())
+    .then(({ migrated, skipped, unsynced }) => {
+      console.log(`✅ Migrated ${migrated} event(s) to ${DEFAULT_TIMEZONE}`);
+      skipped.forEach(({ id, title, error }) => {
+        console.log(`⚠️  Skipped ${title} (${id}): ${error}`);
+      });
+      if (unsynced > 0) {
+        console.log(`⚠️  Could not update bookings for ${unsynced} event(s); re-save them once the booking service is up`);
+      }
+      return mongoose.disconnect();
+    })
+    .catch(async err => {
+      console.error('❌ Event time migration failed:', err.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateEventTimes };
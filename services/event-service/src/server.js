@@ -4,6 +4,11 @@ const cors = require('cors');
 require('dotenv').config();
 
 const eventRoutes = require('./routes/events');
+const venueRoutes = require('./routes/venues');
+const seriesRoutes = require('./routes/series');
+const { startStatusScheduler } = require('./jobs/statusScheduler');
+const { startOutboxRelay } = require('./jobs/outboxRelay');
+const { startSeatReconciler } = require('./jobs/seatReconciler');
 
 const app = express();
 
@@ -23,6 +28,8 @@ app.use(express.json());
 
 // Routes
 app.use('/api/events', eventRoutes);
+app.use('/api/venues', venueRoutes);
+app.use('/api/series', seriesRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -33,6 +40,9 @@ app.get('/health', (req, res) => {
 mongoose.connect(MONGO_URI)
   .then(() => {
     console.log('✅ Connected to MongoDB');
+    startStatusScheduler();
+    startOutboxRelay();
+    startSeatReconciler();
     app.listen(PORT, () => {
       console.log(`🚀 Event service running on port ${PORT}`);
     });
@@ -0,0 +1,33 @@
+const { publish } = require('./outbox');
+
+// Events other services follow. Booking-service copies event details onto
+// bookings, cancels the bookings of a cancelled event and closes the waitlist
+// once an event starts.
+
+const publishEventUpdated = (event) => publish('event.updated', {
+  eventId: String(event._id),
+  eventTitle: event.title,
+  eventDate: event.date,
+  eventVenue: event.venue,
+  eventTime: event.time,
+  eventStartsAt: event.startsAt,
+  eventTimezone: event.timezone,
+  eventUpdatedAt: event.updatedAt
+});
+
+// The reason is passed on to ticket holders.
+// Only bookings made before cancelledAt are cancelled, so a late delivery
+// leaves bookings made after the event was restored alone.
+const publishEventCancelled = (eventId, reason, cancelledAt) => publish('event.cancelled', {
+  eventId: String(eventId),
+  ...(reason && { reason }),
+  ...(cancelledAt && { cancelledAt })
+});
+
+const publishEventStarted = (eventId) => publish('event.started', { eventId: String(eventId) });
+
+module.exports = {
+  publishEventUpdated,
+  publishEventCancelled,
+  publishEventStarted
+};
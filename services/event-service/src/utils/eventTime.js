@@ -0,0 +1,198 @@
+// Event times. An event starts (and optionally ends) at a real instant and is
+// shown in its own IANA timezone, e.g. "America/New_York". The `date` (the
+// local calendar day, stored at UTC midnight) and `time` (local "HH:mm")
+// fields are derived from the instant and kept for listings, series and the
+// booking records that copy them.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_EVENT_TIMEZONE || 'UTC';
+// How long an event without an end time is treated as running
+const DEFAULT_DURATION_MS = parseInt(process.env.DEFAULT_EVENT_DURATION_MINUTES || '120', 10) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Wall-clock reading of an instant in a timezone
+const wallClock = (instant, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+};
+
+// How far ahead of UTC the timezone is at that instant
+const offsetMs = (instant, timezone) => {
+  const clock = wallClock(instant, timezone);
+  const asUtc = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// The instant a local day ("YYYY-MM-DD") and time ("HH:mm") happen in a timezone.
+// The second pass corrects the offset when the first guess fell on the other
+// side of a daylight saving change. A time skipped when the clocks go forward
+// lands just after the gap (02:30 becomes 03:30).
+const zonedTimeToInstant = (day, time, timezone) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, date, hour, minute);
+
+  const first = new Date(guess - offsetMs(new Date(guess), timezone));
+  const second = new Date(guess - offsetMs(first, timezone));
+
+  const clock = wallClock(second, timezone);
+  return clock.hour === hour && clock.minute === minute ? second : first;
+};
+
+// The local day (as UTC midnight) and "HH:mm" time of an instant
+const localDayAndTime = (instant, timezone) => {
+  const clock = wallClock(instant, timezone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    date: new Date(Date.UTC(clock.year, clock.month - 1, clock.day)),
+    time: `${pad(clock.hour)}:${pad(clock.minute)}`
+  };
+};
+
+// "18:30", "6:30 PM" -> "18:30"; anything else -> null
+const parseTime = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!match) return null;
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2]);
+  const period = match[3] && match[3].toUpperCase();
+  if (period) {
+    if (hour < 1 || hour > 12) return null;
+    if (period === 'PM' && hour !== 12) hour += 12;
+    if (period === 'AM' && hour === 12) hour = 0;
+  }
+  if (hour > 23 || minute > 59) return null;
+
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+const toDayKey = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString().slice(0, 10);
+};
+
+// Work out an event's schedule from what was submitted, falling back to the
+// current event for anything left out. Takes either a `startsAt` instant or a
+// local `date` and `time` read in `timezone`, and optionally when it ends: an
+// `endsAt` instant, or a local `endTime` (the next day if it is not after the
+// start). Moving the start keeps the event's length unless a new end is sent.
+// Returns { error } or { startsAt, endsAt, timezone, date, time }.
+const resolveSchedule = (input, current = null) => {
+  const timezone = input.timezone !== undefined && input.timezone !== null && input.timezone !== ''
+    ? input.timezone
+    : (current?.timezone || DEFAULT_TIMEZONE);
+  if (!isValidTimezone(timezone)) {
+    return { error: `Unknown timezone ${timezone}` };
+  }
+
+  let startsAt;
+  if (input.startsAt !== undefined && input.startsAt !== null && input.startsAt !== '') {
+    startsAt = new Date(input.startsAt);
+    if (isNaN(startsAt)) {
+      return { error: 'Start time is not a valid date' };
+    }
+  } else {
+    const dayValue = input.date !== undefined ? input.date : current?.date;
+    const timeValue = input.time !== undefined ? input.time : current?.time;
+    if (!dayValue || !timeValue) {
+      return { error: 'Event date and time are required' };
+    }
+
+    const day = toDayKey(dayValue);
+    if (!day) {
+      return { error: 'Event date is not a valid date' };
+    }
+    const time = parseTime(timeValue);
+    if (!time) {
+      return { error: 'Event time must look like 18:30' };
+    }
+    startsAt = zonedTimeToInstant(day, time, timezone);
+  }
+
+  let endsAt = null;
+  if (input.endsAt !== undefined) {
+    endsAt = input.endsAt ? new Date(input.endsAt) : null;
+    if (endsAt && isNaN(endsAt)) {
+      return { error: 'End time is not a valid date' };
+    }
+  } else if (input.endTime !== undefined) {
+    if (input.endTime) {
+      const endTime = parseTime(input.endTime);
+      if (!endTime) {
+        return { error: 'End time must look like 21:00' };
+      }
+      const startDay = localDayAndTime(startsAt, timezone).date;
+      endsAt = zonedTimeToInstant(toDayKey(startDay), endTime, timezone);
+      if (endsAt <= startsAt) {
+        endsAt = zonedTimeToInstant(toDayKey(new Date(startDay.getTime() + DAY_MS)), endTime, timezone);
+      }
+    }
+  } else if (current?.endsAt && current?.startsAt) {
+    endsAt = new Date(new Date(current.endsAt).getTime() + (startsAt.getTime() - new Date(current.startsAt).getTime()));
+  }
+  if (endsAt && endsAt <= startsAt) {
+    return { error: 'The event must end after it starts' };
+  }
+
+  return { startsAt, endsAt, timezone, ...localDayAndTime(startsAt, timezone) };
+};
+
+// Request fields that move an event in time
+const SCHEDULE_FIELDS = ['date', 'time', 'timezone', 'startsAt', 'endsAt', 'endTime'];
+
+// When an event stops running: its end time, or a default length after it starts
+const effectiveEnd = (event) => (event.endsAt
+  ? new Date(event.endsAt)
+  : new Date(new Date(event.startsAt).getTime() + DEFAULT_DURATION_MS));
+
+// Where the clock puts an event. Cancelled events stay cancelled.
+const scheduledStatus = (event, now = new Date()) => {
+  if (event.status === 'cancelled') return 'cancelled';
+  if (new Date(event.startsAt) > now) return 'upcoming';
+  return effectiveEnd(event) > now ? 'ongoing' : 'completed';
+};
+
+const touchesSchedule = (body) => SCHEDULE_FIELDS.some(field => body[field] !== undefined);
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DURATION_MS,
+  SCHEDULE_FIELDS,
+  isValidTimezone,
+  zonedTimeToInstant,
+  localDayAndTime,
+  parseTime,
+  resolveSchedule,
+  touchesSchedule,
+  effectiveEnd,
+  scheduledStatus
+};
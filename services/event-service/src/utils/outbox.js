@@ -0,0 +1,104 @@
+const OutboxMessage = require('../models/OutboxMessage');
+const { getEventBus } = require('../eventBus');
+
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '10', 10);
+// Retries back off from 15 seconds, doubling up to an hour
+const RETRY_BASE_MS = 15000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// How long a message is left alone while one attempt is running
+const CLAIM_MS = 60000;
+
+// Each handler throws when the call did not go through, so it is retried
+const handlers = {
+  // Put a domain event on the bus. The message id doubles as the event id, so
+  // a retried publish is not delivered twice.
+  publish: async ({ type, payload }, message) => {
+    await getEventBus().publish(type, payload, { id: String(message._id) });
+  }
+};
+
+const retryDelay = (attempts) => Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+
+// Run a message's handler once and record how it went
+const deliver = async (message) => {
+  try {
+    const handler = handlers[message.type];
+    if (!handler) {
+      throw new Error(`No outbox handler for ${message.type}`);
+    }
+    await handler(message.payload, message);
+    message.status = 'done';
+    message.processedAt = new Date();
+  } catch (err) {
+    message.attempts += 1;
+    message.lastError = err.message;
+    if (message.attempts >= OUTBOX_MAX_ATTEMPTS) {
+      message.status = 'failed';
+      console.error(`Outbox message ${message._id} (${message.type}) failed for good:`, err.message);
+    } else {
+      message.nextAttemptAt = new Date(Date.now() + retryDelay(message.attempts));
+    }
+  }
+
+  await message.save();
+  return message.status === 'done';
+};
+
+// Record a call in the outbox, then try it straight away. If the outbox itself
+// cannot be written the call is still tried once. The message is not written
+// in a transaction with the caller's own change, so a crash between the two
+// loses it.
+// Resolves true when the call went through on this first attempt.
+const enqueue = async (type, payload) => {
+  const message = new OutboxMessage({
+    type,
+    payload,
+    nextAttemptAt: new Date(Date.now() + CLAIM_MS)
+  });
+
+  try {
+    await message.save();
+  } catch (err) {
+    console.error('Outbox write error:', err.message);
+    try {
+      await handlers[type](payload, message);
+      return true;
+    } catch (callErr) {
+      console.error(`Outbox call ${type} failed:`, callErr.message);
+      return false;
+    }
+  }
+
+  return deliver(message);
+};
+
+// Retry every message that is due. Each one is claimed first so two relays
+// never run the same message at once.
+const processOutbox = async (now = new Date()) => {
+  const due = await OutboxMessage.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ createdAt: 1 })
+    .limit(100);
+  let delivered = 0;
+
+  for (const { _id } of due) {
+    const message = await OutboxMessage.findOneAndUpdate(
+      { _id, status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS), updatedAt: Date.now() } },
+      { new: true }
+    );
+    if (message && await deliver(message)) {
+      delivered += 1;
+    }
+  }
+
+  return delivered;
+};
+
+// Publish a domain event once this service's own changes are saved
+const publish = (type, payload) => enqueue('publish', { type, payload });
+
+module.exports = {
+  enqueue,
+  publish,
+  processOutbox
+};
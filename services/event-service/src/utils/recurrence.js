@@ -0,0 +1,152 @@
+// Recurring events. A rule repeats daily, weekly (on chosen weekdays) or
+// monthly (on the start date's day of the month) every `interval` periods, and
+// ends after `count` occurrences or on the `until` day. Exceptions are days to
+// skip. All day arithmetic is in UTC, the same way event dates are stored.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_OCCURRENCES = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Validate a submitted rule against the series' first day.
+// Returns { error } or { recurrence }.
+const parseRecurrence = (input, startDate) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'recurrence is required' };
+  }
+
+  const { frequency } = input;
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: 'Frequency must be daily, weekly or monthly' };
+  }
+
+  const interval = input.interval === undefined || input.interval === null || input.interval === ''
+    ? 1
+    : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+    return { error: 'Interval must be a whole number between 1 and 99' };
+  }
+
+  const start = startOfDay(startDate);
+  let weekdays = [];
+  if (frequency === 'weekly') {
+    weekdays = input.weekdays === undefined || input.weekdays === null || input.weekdays.length === 0
+      ? [start.getUTCDay()]
+      : input.weekdays;
+    if (!Array.isArray(weekdays) || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)' };
+    }
+    weekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+  }
+
+  const hasCount = input.count !== undefined && input.count !== null && input.count !== '';
+  const hasUntil = Boolean(input.until);
+  if (hasCount === hasUntil) {
+    return { error: 'End the series after a number of occurrences or on a date, not both' };
+  }
+
+  let count = null;
+  let until = null;
+  if (hasCount) {
+    count = Number(input.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      return { error: `Occurrences must be between 1 and ${MAX_OCCURRENCES}` };
+    }
+  } else {
+    until = new Date(input.until);
+    if (isNaN(until)) {
+      return { error: 'End date is not a valid date' };
+    }
+    until = startOfDay(until);
+    if (until < start) {
+      return { error: 'The series must end on or after its first date' };
+    }
+  }
+
+  return { recurrence: { frequency, interval, weekdays, count, until } };
+};
+
+// Skipped days sent as YYYY-MM-DD strings. Returns { error } or { exceptions }.
+const parseExceptions = (value) => {
+  if (value === undefined || value === null) {
+    return { exceptions: [] };
+  }
+  if (!Array.isArray(value) || value.some(day => typeof day !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(new Date(day)))) {
+    return { error: 'Exceptions must be dates in YYYY-MM-DD form' };
+  }
+  return { exceptions: [...new Set(value)].sort() };
+};
+
+// Candidate days in order, before the count, until and exceptions are applied
+function* candidateDays(start, recurrence) {
+  const { frequency, interval, weekdays } = recurrence;
+
+  for (let period = 0; ; period++) {
+    if (frequency === 'daily') {
+      yield addDays(start, period * interval);
+    } else if (frequency === 'weekly') {
+      const weekStart = addDays(start, period * interval * 7 - start.getUTCDay());
+      for (const weekday of weekdays) {
+        const day = addDays(weekStart, weekday);
+        if (day >= start) yield day;
+      }
+    } else {
+      // Months without the start's day of the month (the 31st in April) are skipped
+      const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + period * interval, start.getUTCDate()));
+      if (day.getUTCDate() === start.getUTCDate()) yield day;
+    }
+  }
+}
+
+// The days a rule produces from startDate. Returns { error } or { dates }.
+const occurrenceDates = (startDate, recurrence, exceptions = []) => {
+  const start = startOfDay(startDate);
+  const skipped = new Set(exceptions);
+  const dates = [];
+  let generated = 0;
+
+  for (const day of candidateDays(start, recurrence)) {
+    if (recurrence.count && generated >= recurrence.count) break;
+    if (recurrence.until && day > recurrence.until) break;
+
+    generated++;
+    if (generated > MAX_OCCURRENCES) {
+      return { error: `A series can have at most ${MAX_OCCURRENCES} occurrences` };
+    }
+    if (!skipped.has(dayKey(day))) {
+      dates.push(day);
+    }
+  }
+
+  if (dates.length === 0) {
+    return { error: 'This schedule does not produce any dates' };
+  }
+
+  return { dates };
+};
+
+// Two rules are the same if they produce the same schedule from the same day
+const sameRecurrence = (a, b) => a.frequency === b.frequency
+  && Number(a.interval) === Number(b.interval)
+  && (a.weekdays || []).join(',') === (b.weekdays || []).join(',')
+  && (a.count || null) === (b.count || null)
+  && (a.until ? dayKey(a.until) : null) === (b.until ? dayKey(b.until) : null);
+
+module.exports = {
+  MAX_OCCURRENCES,
+  dayKey,
+  startOfDay,
+  addDays,
+  parseRecurrence,
+  parseExceptions,
+  occurrenceDates,
+  sameRecurrence
+};
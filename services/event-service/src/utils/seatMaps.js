@@ -0,0 +1,137 @@
+// Reserved seating. A venue layout is a list of sections, each with labelled
+// rows of numbered seats. Attaching a layout to an event copies its seats onto
+// the event, so later edits to the layout never move seats that were sold.
+
+const Venue = require('../models/Venue');
+
+const MAX_SEATS = 5000;
+
+const seatLabel = (section, row, number) => `${section} ${row}-${number}`;
+
+// Validate the sections an admin submitted.
+// Returns { error } or { sections, capacity }.
+const buildSections = (incoming) => {
+  if (!Array.isArray(incoming) || incoming.length === 0) {
+    return { error: 'A seat map needs at least one section' };
+  }
+
+  const names = new Set();
+  const sections = [];
+  let capacity = 0;
+
+  for (const section of incoming) {
+    const name = typeof section?.name === 'string' ? section.name.trim() : '';
+    if (!name) {
+      return { error: 'Every section needs a name' };
+    }
+    if (names.has(name.toLowerCase())) {
+      return { error: `Section "${name}" is listed twice` };
+    }
+    names.add(name.toLowerCase());
+
+    if (!Array.isArray(section.rows) || section.rows.length === 0) {
+      return { error: `${name} needs at least one row` };
+    }
+
+    const rowLabels = new Set();
+    const rows = [];
+    for (const row of section.rows) {
+      const label = String(row?.label ?? '').trim();
+      const seats = Number(row?.seats);
+
+      if (!label) {
+        return { error: `Every row in ${name} needs a label` };
+      }
+      if (rowLabels.has(label.toLowerCase())) {
+        return { error: `Row ${label} is listed twice in ${name}` };
+      }
+      rowLabels.add(label.toLowerCase());
+
+      if (!Number.isInteger(seats) || seats < 1 || seats > 200) {
+        return { error: `Row ${label} in ${name} must have between 1 and 200 seats` };
+      }
+
+      rows.push({ label, seats });
+      capacity += seats;
+    }
+
+    sections.push({ name, rows });
+  }
+
+  if (capacity > MAX_SEATS) {
+    return { error: `A seat map cannot have more than ${MAX_SEATS} seats` };
+  }
+
+  return { sections, capacity };
+};
+
+// Flatten a layout into the event's seat list, every seat available
+const seatsForLayout = (venue) => venue.sections.flatMap(section => section.rows.flatMap(row => (
+  Array.from({ length: row.seats }, (_, i) => ({
+    label: seatLabel(section.name, row.label, i + 1),
+    section: section.name,
+    row: row.label,
+    number: i + 1,
+    status: 'available'
+  }))
+)));
+
+// Event fields for attaching (or, with an empty venueId, detaching) a seat map.
+// Swapping layouts is refused once any seat or general admission ticket has
+// been held or sold.
+// Returns { error } or the fields to set on the event.
+const seatMapFields = async (venueId, current = null) => {
+  const seats = current?.seats || [];
+  const sameLayout = current && String(current.venueId || '') === String(venueId || '');
+
+  // Capacity follows the seat map, whatever the form sent
+  if (sameLayout) {
+    return seats.length > 0 ? { capacity: seats.length } : {};
+  }
+
+  if (seats.some(seat => seat.status !== 'available') || (current && current.availableSeats !== current.capacity)) {
+    return { error: 'Cannot change the seat map after seats have been held or sold' };
+  }
+
+  if (!venueId) {
+    return { venueId: null, seats: [] };
+  }
+
+  const venue = await Venue.findById(venueId);
+  if (!venue) {
+    return { error: 'Venue layout not found' };
+  }
+
+  const layoutSeats = seatsForLayout(venue);
+  return {
+    venueId: String(venue._id),
+    seats: layoutSeats,
+    capacity: layoutSeats.length,
+    availableSeats: layoutSeats.length
+  };
+};
+
+// Seat labels sent with a seat update. Returns { error } or { seatLabels }.
+const parseSeatLabels = (value) => {
+  if (!Array.isArray(value) || value.length === 0 || value.some(label => typeof label !== 'string' || !label)) {
+    return { error: 'seatLabels must be a list of seat labels' };
+  }
+  if (new Set(value).size !== value.length) {
+    return { error: 'The same seat is listed twice' };
+  }
+  return { seatLabels: value };
+};
+
+// Query matching an event where every listed seat is in the given state
+const seatsInState = (seatLabels, status) => ({
+  $and: seatLabels.map(label => ({ seats: { $elemMatch: { label, status } } }))
+});
+
+module.exports = {
+  seatLabel,
+  buildSections,
+  seatsForLayout,
+  seatMapFields,
+  parseSeatLabels,
+  seatsInState
+};
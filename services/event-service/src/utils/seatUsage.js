@@ -0,0 +1,14 @@
+const axios = require('axios');
+const { serviceHeaders } = require('../middleware/serviceAuth');
+
+const BOOKING_SERVICE_URL = process.env.BOOKING_SERVICE_URL || 'http://localhost:4003';
+
+// The tickets, ticket types and named seats booking-service still accounts
+// for on an event: confirmed bookings, bookings being made and live holds
+const fetchSeatUsage = async (eventId) => {
+  const url = `${BOOKING_SERVICE_URL}/api/bookings/event/${eventId}/seat-usage`;
+  const response = await axios.get(url, { headers: serviceHeaders('GET', url) });
+  return response.data;
+};
+
+module.exports = { fetchSeatUsage };
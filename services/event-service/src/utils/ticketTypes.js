@@ -0,0 +1,89 @@
+// Ticket tiers (General, VIP, Student, ...). When an event has tiers, its
+// capacity, availableSeats and headline price are derived from them.
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+// Validate the tiers an admin submitted and merge them with the event's current
+// tiers so seats already sold in a tier are carried over. untieredSold counts
+// tickets the event sold before it had tiers, which belong to none of them.
+// Returns { error } or { ticketTypes, capacity, availableSeats, price }.
+const buildTicketTypes = (incoming, existing = [], untieredSold = 0) => {
+  if (!Array.isArray(incoming)) {
+    return { error: 'ticketTypes must be a list' };
+  }
+
+  const names = new Set();
+  const ticketTypes = [];
+
+  for (const tier of incoming) {
+    const name = typeof tier?.name === 'string' ? tier.name.trim() : '';
+    const price = Number(tier?.price);
+    const quantity = Number(tier?.quantity);
+
+    if (!name) {
+      return { error: 'Every ticket type needs a name' };
+    }
+    if (names.has(name.toLowerCase())) {
+      return { error: `Ticket type "${name}" is listed twice` };
+    }
+    names.add(name.toLowerCase());
+
+    if (!Number.isFinite(price) || price < 0) {
+      return { error: `Price for ${name} cannot be negative` };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: `Quantity for ${name} must be at least 1` };
+    }
+
+    const salesStart = tier.salesStart ? new Date(tier.salesStart) : null;
+    const salesEnd = tier.salesEnd ? new Date(tier.salesEnd) : null;
+    if ((salesStart && isNaN(salesStart)) || (salesEnd && isNaN(salesEnd))) {
+      return { error: `Sale window for ${name} is not a valid date` };
+    }
+    if (salesStart && salesEnd && salesEnd <= salesStart) {
+      return { error: `Sales for ${name} must end after they start` };
+    }
+
+    const current = existing.find(t => sameId(t._id, tier._id));
+    const sold = current ? current.quantity - current.available : 0;
+    if (quantity < sold) {
+      return { error: `Cannot reduce ${name} below the ${sold} tickets already sold` };
+    }
+
+    ticketTypes.push({
+      ...(current ? { _id: current._id } : {}),
+      name,
+      price,
+      quantity,
+      available: quantity - sold,
+      salesStart,
+      salesEnd
+    });
+  }
+
+  for (const current of existing) {
+    const kept = ticketTypes.some(t => sameId(t._id, current._id));
+    if (!kept && current.quantity - current.available > 0) {
+      return { error: `Cannot remove ${current.name}; tickets have already been sold` };
+    }
+  }
+
+  if (ticketTypes.length === 0) {
+    return { ticketTypes };
+  }
+
+  if (existing.length === 0 && untieredSold > 0) {
+    return { error: `Cannot add ticket types after ${untieredSold} tickets were sold without them` };
+  }
+
+  return {
+    ticketTypes,
+    capacity: ticketTypes.reduce((sum, t) => sum + t.quantity, 0),
+    availableSeats: ticketTypes.reduce((sum, t) => sum + t.available, 0),
+    price: Math.min(...ticketTypes.map(t => t.price))
+  };
+};
+
+module.exports = {
+  buildTicketTypes
+};